@@ -38,6 +38,9 @@ class VideoCallManager {
     private var isInitiator = false // 是否是发起方
     private var pendingOffer: (sdp: RTCSessionDescription, from: String)? // 缓存的 offer
 
+    private var iceConfigTimer: Timer? // TURN 凭证到期前重新获取
+    private var hasIceConfig = false // 是否已从服务器获取过 ICE 配置
+
     // 回调
     var onStateChanged: ((VideoCallState) -> Void)?
     var onLocalVideoTrack: ((RTCVideoTrack) -> Void)?
@@ -126,17 +129,76 @@ class VideoCallManager {
         signalingService.onHangup = { [weak self] in
             self?.endCall()
         }
+
+        signalingService.onSessionResumed = { [weak self] callId in
+            guard let self = self, callId != nil, self.remoteDeviceId != nil,
+                  self.webRTCClient.isPeerConnectionReady else { return }
+            // 网络切换后本端地址已变化，在恢复的信令通道上重新协商 ICE
+            print("[VideoCallManager] Session resumed during call, restarting ICE")
+            self.createAndSendOffer(iceRestart: true)
+        }
+
+        signalingService.onPeerReconnecting = { from in
+            print("[VideoCallManager] Peer reconnecting: \(from)")
+        }
+
+        signalingService.onPeerResumed = { from in
+            print("[VideoCallManager] Peer resumed: \(from)")
+        }
     }
 
     // MARK: - Public Methods
 
     /// 连接到信令服务器（用于接收来电）
+    ///
+    /// 同时获取服务器下发的 STUN/TURN 配置，供之后创建的 PeerConnection 使用
     func connectSignaling(serverURL: String) {
         signalingService.connect(serverURL: serverURL)
+        loadIceConfig()
+    }
+
+    /// 从 `/api/ice-config` 获取 ICE 服务器，失败时保留默认的公共 STUN（或上次获取的配置）
+    ///
+    /// TURN 凭证有有效期（`ttl`），在到期前重新获取；刷新失败时一分钟后重试
+    private func loadIceConfig() {
+        iceConfigTimer?.invalidate()
+        iceConfigTimer = nil
+
+        APIClient.shared.getIceConfig(deviceId: localDeviceId) { [weak self] result in
+            guard let self = self else { return }
+
+            switch result {
+            case .success(let config):
+                self.webRTCClient.iceServers = config.iceServers.map { server in
+                    RTCIceServer(urlStrings: server.urls, username: server.username, credential: server.credential)
+                }
+                self.hasIceConfig = true
+                print("[VideoCallManager] Loaded \(config.iceServers.count) ICE servers from server")
+
+                // 公共 STUN 没有 ttl，不需要刷新
+                if let ttl = config.ttl, ttl > 0 {
+                    self.scheduleIceConfigRefresh(after: TimeInterval(ttl) * 0.8)
+                }
+            case .failure(let error):
+                print("[VideoCallManager] Failed to load ICE config: \(error)")
+                if self.hasIceConfig {
+                    self.scheduleIceConfigRefresh(after: 60)
+                }
+            }
+        }
+    }
+
+    private func scheduleIceConfigRefresh(after interval: TimeInterval) {
+        iceConfigTimer?.invalidate()
+        iceConfigTimer = Timer.scheduledTimer(withTimeInterval: interval, repeats: false) { [weak self] _ in
+            self?.loadIceConfig()
+        }
     }
 
     /// 断开信令服务器连接
     func disconnectSignaling() {
+        iceConfigTimer?.invalidate()
+        iceConfigTimer = nil
         signalingService.disconnect()
     }
 
@@ -225,11 +287,11 @@ class VideoCallManager {
 
     // MARK: - Private Methods
 
-    private func createAndSendOffer() {
+    private func createAndSendOffer(iceRestart: Bool = false) {
         guard let remoteDeviceId = remoteDeviceId else { return }
 
         print("[VideoCallManager] 📤 Creating offer for: \(remoteDeviceId)")
-        webRTCClient.createOffer { [weak self] sdp in
+        webRTCClient.createOffer(iceRestart: iceRestart) { [weak self] sdp in
             guard let sdp = sdp else {
                 print("[VideoCallManager] ❌ Failed to create offer")
                 self?.onStateChanged?(.error("创建 Offer 失败"))
@@ -293,6 +355,7 @@ class VideoCallManager {
     }
 
     deinit {
+        iceConfigTimer?.invalidate()
         cleanup()
     }
 }
@@ -64,6 +64,16 @@ class WebRTCClient: NSObject {
     /// 摄像头视频采集器
     private var videoCapturer: RTCCameraVideoCapturer?
 
+    // MARK: - ICE Configuration
+
+    /// ICE 服务器（创建 PeerConnection 前由 `VideoCallManager` 从 `/api/ice-config` 更新）
+    ///
+    /// 默认只有公共 STUN 服务器，服务器不可达时仍可在局域网内直连
+    var iceServers: [RTCIceServer] = [
+        RTCIceServer(urlStrings: ["stun:stun.l.google.com:19302"]),
+        RTCIceServer(urlStrings: ["stun:stun1.l.google.com:19302"])
+    ]
+
     // MARK: - Initialization State
 
     /// Factory 是否已初始化
@@ -191,9 +201,8 @@ class WebRTCClient: NSObject {
     /// 创建 WebRTC 对等连接，配置 ICE 服务器和媒体约束
     ///
     /// ## ICE 服务器配置
-    /// - 多个 Google STUN 服务器（提高连通率）
-    /// - 备用公共 STUN 服务器
-    /// - TURN 中继服务器（解决 NAT 穿透问题）
+    /// - 使用 `iceServers`：信令服务器内置的 STUN/TURN（临时凭证）
+    /// - 获取失败时回退到公共 STUN 服务器
     ///
     /// ## 编码优化
     /// - 最大码率：800kbps（适合移动网络）
@@ -207,35 +216,8 @@ class WebRTCClient: NSObject {
 
             let config = RTCConfiguration()
 
-            // 配置多个 STUN/TURN 服务器以提高连通率
-            config.iceServers = [
-                // Google 公共 STUN 服务器
-                RTCIceServer(urlStrings: ["stun:stun.l.google.com:19302"]),
-                RTCIceServer(urlStrings: ["stun:stun1.l.google.com:19302"]),
-                RTCIceServer(urlStrings: ["stun:stun2.l.google.com:19302"]),
-                RTCIceServer(urlStrings: ["stun:stun3.l.google.com:19302"]),
-
-                // 备用公共 STUN 服务器（提高 SRFLX 候选生成成功率）
-                RTCIceServer(urlStrings: ["stun:stun.stunprotocol.org:3478"]),
-                RTCIceServer(urlStrings: ["stun:stun.services.mozilla.com:3478"]),
-
-                // TURN 服务器（解决多网络接口问题）
-                RTCIceServer(
-                    urlStrings: ["turn:192.168.1.50:3478"],  // 替换为实际IP
-                    username: "test",
-                    credential: "test123"
-                ),
-
-                // 备用 TURN 服务器（可选）
-                // RTCIceServer(
-                //     urlStrings: [
-                //         "turn:your-turn-server.com:3478?transport=udp",
-                //         "turn:your-turn-server.com:3478?transport=tcp"
-                //     ],
-                //     username: "username",
-                //     credential: "password"
-                // )
-            ]
+            // STUN/TURN 服务器由信令服务器下发
+            config.iceServers = self.iceServers
 
             print("[WebRTCClient] Configured \(config.iceServers.count) ICE servers")
 
@@ -295,17 +277,24 @@ class WebRTCClient: NSObject {
     ///
     /// 创建 SDP Offer 并设置为本地描述
     ///
-    /// - Parameter completion: 完成回调
-    ///   - Success: 返回 SDP Offer 对象
-    ///   - Failure: 返回 nil
+    /// - Parameters:
+    ///   - iceRestart: 是否重新收集 ICE 候选（网络切换后恢复通话时使用）
+    ///   - completion: 完成回调
+    ///     - Success: 返回 SDP Offer 对象
+    ///     - Failure: 返回 nil
     ///
     /// - Note: 成功后需要通过信令服务器发送给对方
-    func createOffer(completion: @escaping (RTCSessionDescription?) -> Void) {
+    func createOffer(iceRestart: Bool = false, completion: @escaping (RTCSessionDescription?) -> Void) {
+        var mandatoryConstraints = [
+            "OfferToReceiveAudio": "true",
+            "OfferToReceiveVideo": "true"
+        ]
+        if iceRestart {
+            mandatoryConstraints["IceRestart"] = "true"
+        }
+
         let constraints = RTCMediaConstraints(
-            mandatoryConstraints: [
-                "OfferToReceiveAudio": "true",
-                "OfferToReceiveVideo": "true"
-            ],
+            mandatoryConstraints: mandatoryConstraints,
             optionalConstraints: nil
         )
 
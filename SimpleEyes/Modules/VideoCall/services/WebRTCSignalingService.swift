@@ -20,6 +20,7 @@ import WebRTC
 /// - 通话请求和应答
 /// - 挂断通知
 /// - 自动协议适配（兼容扁平和嵌套格式）
+/// - 会话恢复（网络切换导致断线后，在服务器宽限期内带 resumeToken 重连）
 ///
 /// ## 信令流程
 /// 1. 连接到信令服务器
@@ -47,6 +48,14 @@ class WebRTCSignalingService: WebSocketDelegate {
     private var isConnected = false
     private let deviceId: String
 
+    // 会话恢复
+    private var serverURL: String?
+    private var resumeToken: String?
+    private var sessionGracePeriod: TimeInterval = 0
+    private var disconnectedAt: Date?
+    private var isManualDisconnect = false
+    private let resumeRetryInterval: TimeInterval = 1
+
     // 回调
     var onConnected: (() -> Void)?
     var onDisconnected: (() -> Void)?
@@ -56,6 +65,9 @@ class WebRTCSignalingService: WebSocketDelegate {
     var onIncomingCall: ((String, String) -> Void)? // (fromDeviceId, callType)
     var onCallFailed: ((String) -> Void)?
     var onHangup: (() -> Void)?
+    var onSessionResumed: ((String?) -> Void)? // (callId)，恢复时仍在通话中则可进行 ICE restart
+    var onPeerReconnecting: ((String) -> Void)? // (fromDeviceId)
+    var onPeerResumed: ((String) -> Void)? // (fromDeviceId)
 
     // MARK: - Initialization
 
@@ -66,7 +78,20 @@ class WebRTCSignalingService: WebSocketDelegate {
     // MARK: - Connection Management
 
     func connect(serverURL: String) {
-        guard let url = URL(string: "\(serverURL)?deviceId=\(deviceId)&type=peer") else {
+        self.serverURL = serverURL
+        resumeToken = nil
+        disconnectedAt = nil
+        isManualDisconnect = false
+        openSocket(serverURL: serverURL)
+    }
+
+    private func openSocket(serverURL: String) {
+        var urlString = "\(serverURL)?deviceId=\(deviceId)&type=peer"
+        if let resumeToken = resumeToken {
+            urlString += "&resumeToken=\(resumeToken)"
+        }
+
+        guard let url = URL(string: urlString) else {
             print("[WebRTCSignalingService] Invalid URL: \(serverURL)")
             return
         }
@@ -82,12 +107,43 @@ class WebRTCSignalingService: WebSocketDelegate {
     }
 
     func disconnect() {
-        socket?.disconnect()
+        isManualDisconnect = true
+        resumeToken = nil
+        socket?.disconnect(closeCode: CloseCode.normal.rawValue)
         socket = nil
         isConnected = false
         print("[WebRTCSignalingService] Disconnected")
     }
 
+    /// 连接异常断开：宽限期内带 resumeToken 重连，否则通知断开
+    private func handleConnectionLost() {
+        isConnected = false
+
+        guard !isManualDisconnect, resumeToken != nil, let serverURL = serverURL else {
+            onDisconnected?()
+            return
+        }
+
+        let since = disconnectedAt ?? Date()
+        disconnectedAt = since
+        guard Date().timeIntervalSince(since) < sessionGracePeriod else {
+            print("[WebRTCSignalingService] Session grace period expired")
+            resumeToken = nil
+            disconnectedAt = nil
+            onDisconnected?()
+            return
+        }
+
+        print("[WebRTCSignalingService] Connection lost, resuming session...")
+        DispatchQueue.main.asyncAfter(deadline: .now() + resumeRetryInterval) { [weak self] in
+            guard let self = self, !self.isManualDisconnect, !self.isConnected else { return }
+            // 丢弃旧 socket 时先解除代理，避免它的断开事件再次触发重连
+            self.socket?.delegate = nil
+            self.socket?.forceDisconnect()
+            self.openSocket(serverURL: serverURL)
+        }
+    }
+
     // MARK: - Signaling Methods
 
     /// 发送通话请求
@@ -169,12 +225,14 @@ class WebRTCSignalingService: WebSocketDelegate {
         case .connected(let headers):
             print("[WebRTCSignalingService] Connected: \(headers)")
             isConnected = true
-            onConnected?()
+            // 恢复会话时保持通话状态，不重复通知上层
+            if disconnectedAt == nil {
+                onConnected?()
+            }
 
         case .disconnected(let reason, let code):
             print("[WebRTCSignalingService] Disconnected: \(reason) with code: \(code)")
-            isConnected = false
-            onDisconnected?()
+            handleConnectionLost()
 
         case .text(let string):
             handleTextMessage(string)
@@ -184,20 +242,24 @@ class WebRTCSignalingService: WebSocketDelegate {
 
         case .error(let error):
             print("[WebRTCSignalingService] Error: \(error?.localizedDescription ?? "unknown")")
-            isConnected = false
-            onDisconnected?()
+            handleConnectionLost()
 
         case .cancelled:
             print("[WebRTCSignalingService] Cancelled")
-            isConnected = false
-            onDisconnected?()
+            handleConnectionLost()
 
         case .peerClosed:
             print("[WebRTCSignalingService] Peer closed")
-            isConnected = false
-            onDisconnected?()
+            handleConnectionLost()
+
+        case .reconnectSuggested(let shouldReconnect):
+            // 系统提示有更好的网络路径（如 Wi-Fi ↔ 蜂窝切换），主动断开后走会话恢复
+            if shouldReconnect && isConnected {
+                print("[WebRTCSignalingService] Reconnect suggested, switching network path")
+                socket?.forceDisconnect()
+            }
 
-        case .ping(_), .pong(_), .reconnectSuggested(_), .viabilityChanged(_):
+        case .ping(_), .pong(_), .viabilityChanged(_):
             break
         }
     }
@@ -213,6 +275,19 @@ class WebRTCSignalingService: WebSocketDelegate {
         print("[WebRTCSignalingService] Received message: \(type)")
 
         switch type {
+        case "session":
+            handleSession(json)
+
+        case "peer-reconnecting":
+            if let from = json["from"] as? String {
+                onPeerReconnecting?(from)
+            }
+
+        case "peer-resumed":
+            if let from = json["from"] as? String {
+                onPeerResumed?(from)
+            }
+
         case "offer":
             handleOffer(json)
 
@@ -238,6 +313,26 @@ class WebRTCSignalingService: WebSocketDelegate {
         }
     }
 
+    private func handleSession(_ json: [String: Any]) {
+        resumeToken = json["resumeToken"] as? String
+        if let gracePeriod = json["gracePeriod"] as? Double {
+            sessionGracePeriod = gracePeriod / 1000
+        }
+
+        let wasResuming = disconnectedAt != nil
+        disconnectedAt = nil
+
+        if json["resumed"] as? Bool == true {
+            print("[WebRTCSignalingService] Session resumed")
+            onSessionResumed?(json["callId"] as? String)
+        } else if wasResuming {
+            // 服务器已结束原会话，按新连接处理
+            print("[WebRTCSignalingService] Session not resumed, starting a new session")
+            onDisconnected?()
+            onConnected?()
+        }
+    }
+
     private func handleOffer(_ json: [String: Any]) {
         guard let from = json["from"] as? String else {
             print("[WebRTCSignalingService] Missing 'from' field in offer")
@@ -267,6 +267,47 @@ class APIClient {
         }
     }
     
+    // MARK: - WebRTC APIs
+
+    /// 获取 ICE 服务器配置
+    ///
+    /// 从信令服务器获取 STUN/TURN 地址和 TURN 临时凭证，替代客户端写死的公共 STUN 服务器
+    ///
+    /// - Parameters:
+    ///   - deviceId: 本机设备ID，用于生成 TURN 用户名（服务器启用鉴权时以 Token 中的设备ID为准）
+    ///   - completion: 完成回调
+    ///     - Success: 返回 `IceConfigResponse`
+    ///     - Failure: 返回 `APIError` 错误类型
+    ///
+    /// - Note: 与 `getOnlineDevices` 一样使用 WebSocket 服务器的 HTTP API；服务器默认要求鉴权，请求带上 Access Token
+    func getIceConfig(deviceId: String, completion: @escaping (Result<IceConfigResponse, APIError>) -> Void) {
+        let httpURL = APIConfig.wsURL.replacingOccurrences(of: "ws://", with: "http://")
+                                     .replacingOccurrences(of: "wss://", with: "https://")
+
+        let url = "\(httpURL)/api/ice-config"
+
+        var headers = HTTPHeaders()
+        if let token = CombineTokenManager.shared.accessToken {
+            headers.add(.authorization(bearerToken: token))
+        }
+
+        AF.request(url, parameters: ["deviceId": deviceId], headers: headers).validate().responseData { response in
+            switch response.result {
+            case .success(let data):
+                do {
+                    let result = try JSONDecoder().decode(IceConfigResponse.self, from: data)
+                    completion(.success(result))
+                } catch {
+                    print("[APIClient] ICE config decode error: \(error)")
+                    completion(.failure(.decodingError))
+                }
+            case .failure(let error):
+                print("[APIClient] ICE config request error: \(error)")
+                completion(.failure(.networkError(error)))
+            }
+        }
+    }
+
     // MARK: - Example Usage
 
     /// 使用新网络服务的示例方法
@@ -282,3 +282,22 @@ struct OnlineDevicesResponse: Codable, Sendable {
     let devices: [OnlineDevice]
     let count: Int
 }
+
+// MARK: - ICE Config Models
+
+/// ICE 服务器模型
+///
+/// 与浏览器 `RTCIceServer` 结构一致，STUN 服务器不带凭证
+struct IceServerConfig: Codable, Sendable {
+    let urls: [String]
+    let username: String?
+    let credential: String?
+}
+
+/// ICE 配置响应模型
+///
+/// `GET /api/ice-config` 返回的 STUN/TURN 配置，`ttl` 为 TURN 凭证有效期（秒）
+struct IceConfigResponse: Codable, Sendable {
+    let iceServers: [IceServerConfig]
+    let ttl: Int?
+}
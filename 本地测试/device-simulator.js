@@ -1,86 +1,235 @@
 #!/usr/bin/env node
 /**
- * 模拟设备端 - 用于测试 App 音频对讲
- * 接收 App 发送的音频，并回传（回声测试）
+ * 设备模拟器 - 用于压测信令服务器和语音对讲
+ * 可同时模拟多台设备：自动接听来电并交换 SDP / ICE、发送模拟对讲音频、
+ * 注入延迟和断网，按 YAML 场景执行并输出通话建立耗时分位数
+ *
+ * 用法见 README「设备模拟器」一节，或 node device-simulator.js --help
  */
 
-const WebSocket = require('ws');
-
-// 配置
-const SERVER_URL = 'ws://localhost:8080';
-const DEVICE_ID = process.argv[2] || 'test-001';
-
-console.log('╔══════════════════════════════════════════════════════════╗');
-console.log('║                                                          ║');
-console.log('║           SimpleEyes 设备模拟器 (回声测试)               ║');
-console.log('║                                                          ║');
-console.log('╚══════════════════════════════════════════════════════════╝');
-console.log('');
-console.log(`📱 设备ID: ${DEVICE_ID}`);
-console.log(`🔌 连接到: ${SERVER_URL}`);
-console.log('');
-
-// 连接到 WebSocket 服务器
-const ws = new WebSocket(`${SERVER_URL}?deviceId=${DEVICE_ID}`, {
-    headers: {
-        'x-role': 'device'
+const { logger, configureLogger } = require('./lib/logger');
+const { loadScenario, validateScenario, createScenarioRunner, formatReport } = require('./lib/scenario-runner');
+
+const USAGE = `用法:
+  node device-simulator.js [deviceId]               一台对讲设备，回传收到的音频（回声测试）
+  node device-simulator.js --scenario <file.yaml>   执行场景文件
+  node device-simulator.js [选项]                   按命令行参数生成场景
+
+选项:
+  -s, --server <url>          服务器地址（默认 ws://localhost:8080）
+  -n, --count <n>             模拟设备数（默认 1）
+      --prefix <prefix>       设备ID前缀，设备ID为 <prefix>001、<prefix>002 …（默认 sim-）
+      --protocol <name>       signal（信令）/ intercom（对讲），默认 signal
+      --type <type>           信令连接的 type 参数（默认 peer）
+      --role <role>           对讲连接的 x-role：device / app（默认 device）
+      --calls                 前一半设备依次呼叫后一半设备
+      --call <deviceId>       所有设备呼叫指定设备（如真实的 App）
+      --call-type <type>      video / audio（默认 video）
+      --no-answer             拒接来电（默认自动接听）
+      --answer-delay <ms>     接听前等待，模拟振铃
+      --tone                  对讲：持续发送模拟音频（默认回传收到的音频）
+      --codec <codec>         模拟音频编码：pcm16 / aac / opus（默认 pcm16；aac / opus 只模拟帧大小）
+      --legacy-audio          对讲：不协商编码，按旧协议发送不带帧头的音频
+      --frequency <hz>        模拟音调频率（默认 440）
+      --audio-file <file>     改为循环发送 ADTS 格式的 .aac 文件
+      --latency <ms>          每条发出的消息延迟
+      --jitter <ms>           额外的随机延迟上限
+      --disconnect-every <ms> 每隔一段时间随机断开一台设备
+      --reconnect-after <ms>  断开后多久重连（默认 2000）
+      --ramp-up <ms>          在这段时间内逐步建立连接和呼叫
+  -d, --duration <ms>         保持时长，省略时一直运行到 Ctrl+C
+      --secrets <file>        设备密钥文件，服务器启用鉴权时用于换取 Token
+      --token <token>         Access Token（单台设备时）
+      --json                  以 JSON 输出报告（日志写到 stderr）
+  -v, --verbose               输出每条信令消息
+  -h, --help                  显示帮助`;
+
+// 选项名 → 是否带参数
+const OPTIONS = {
+    server: true, count: true, prefix: true, protocol: true, type: true, role: true,
+    calls: false, call: true, 'call-type': true, 'no-answer': false, 'answer-delay': true,
+    tone: false, codec: true, frequency: true, 'audio-file': true, 'legacy-audio': false,
+    latency: true, jitter: true, 'disconnect-every': true, 'reconnect-after': true, 'ramp-up': true,
+    duration: true, secrets: true, token: true, scenario: true, json: false, verbose: false, help: false
+};
+const ALIASES = { s: 'server', n: 'count', d: 'duration', v: 'verbose', h: 'help' };
+const NUMERIC = ['count', 'answer-delay', 'frequency', 'latency', 'jitter', 'disconnect-every', 'reconnect-after', 'ramp-up', 'duration'];
+
+function parseArgs(argv) {
+    const args = { positional: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('-')) {
+            args.positional.push(arg);
+            continue;
+        }
+
+        const name = arg.startsWith('--') ? arg.slice(2) : ALIASES[arg.slice(1)];
+        if (!name || !(name in OPTIONS)) {
+            throw new Error(`未知选项: ${arg}`);
+        }
+        if (!OPTIONS[name]) {
+            args[name] = true;
+            continue;
+        }
+
+        const value = argv[++i];
+        if (value === undefined) {
+            throw new Error(`选项 ${arg} 缺少参数`);
+        }
+        if (NUMERIC.includes(name)) {
+            if (!/^\d+$/.test(value)) throw new Error(`选项 ${arg} 需要非负整数`);
+            args[name] = parseInt(value, 10);
+        } else {
+            args[name] = value;
+        }
     }
-});
+    return args;
+}
 
-let audioPacketCount = 0;
-
-ws.on('open', () => {
-    console.log('✅ 已连接到服务器');
-    console.log('');
-    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-    console.log('');
-    console.log('💡 等待 App 连接...');
-    console.log(`   在 App 中输入设备ID: ${DEVICE_ID}`);
-    console.log('   然后点击"开始对讲"');
-    console.log('');
-    console.log('🔊 收到的音频会立即回传，形成回声效果');
-    console.log('');
-    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-    console.log('');
-});
+// 命令行参数转为场景
+function buildScenario(args) {
+    // 只给出设备ID时与旧版模拟器一致：对讲设备端，回传收到的音频
+    const legacy = args.positional.length > 0 && !args.protocol;
+    const protocol = args.protocol || (legacy ? 'intercom' : 'signal');
+    const count = args.count || 1;
 
-ws.on('message', (data) => {
-    audioPacketCount++;
-    
-    // 显示接收到的音频信息
-    const timestamp = new Date().toLocaleTimeString();
-    console.log(`📥 [${timestamp}] 收到音频包 #${audioPacketCount}: ${data.length} bytes (AAC)`);
-    
-    // 立即回传（回声效果）
-    ws.send(data);
-    console.log(`📤 [${timestamp}] 回传音频包 #${audioPacketCount}: ${data.length} bytes`);
-    
-    // 每10个包显示一次统计
-    if (audioPacketCount % 10 === 0) {
-        console.log('');
-        console.log(`📊 统计: 已处理 ${audioPacketCount} 个音频包`);
-        console.log('');
+    const group = {
+        protocol: protocol,
+        type: args.type,
+        role: args.role,
+        autoAnswer: !args['no-answer'],
+        answerDelay: args['answer-delay'],
+        echo: protocol === 'intercom' && !args.tone,
+        audio: { codec: args.codec, frequency: args.frequency, file: args['audio-file'] },
+        framing: !args['legacy-audio'],
+        latency: args.latency,
+        jitter: args.jitter,
+        disconnectEvery: args['disconnect-every'],
+        reconnectAfter: args['reconnect-after'],
+        token: args.token
+    };
+    // 去掉未指定的选项，由模拟设备取默认值
+    for (const key of Object.keys(group)) {
+        if (group[key] === undefined) delete group[key];
     }
-});
 
-ws.on('close', () => {
-    console.log('');
-    console.log('❌ 连接已断开');
-    console.log(`📊 总共处理了 ${audioPacketCount} 个音频包`);
-    process.exit(0);
-});
+    const groups = {};
+    const steps = [{ connect: { group: 'all', rampUp: args['ramp-up'] } }];
+    const prefix = args.prefix || 'sim-';
 
-ws.on('error', (error) => {
-    console.error('⚠️  连接错误:', error.message);
-    console.log('');
-    console.log('💡 请确保:');
-    console.log('   1. WebSocket 服务器正在运行 (node test-server.js)');
-    console.log('   2. 服务器地址正确');
-    process.exit(1);
-});
+    if (args.calls) {
+        if (count < 2) throw new Error('--calls 至少需要 2 台设备');
+        groups.callers = { ...group, count: Math.floor(count / 2), prefix: `${prefix}a-` };
+        groups.callees = { ...group, count: Math.ceil(count / 2), prefix: `${prefix}b-` };
+        steps.push({ call: { from: 'callers', to: 'callees', callType: args['call-type'], rampUp: args['ramp-up'] } });
+    } else {
+        groups.devices = args.positional.length > 0
+            ? { ...group, ids: args.positional }
+            : { ...group, count: count, prefix: prefix };
+        if (args.call) {
+            steps.push({ call: { from: 'devices', target: args.call, callType: args['call-type'], rampUp: args['ramp-up'] } });
+        }
+    }
+
+    if (protocol === 'intercom' && args.tone) {
+        steps.push({ audio: { group: 'all' } });
+    }
+    steps.push({ hold: args.duration });
+    steps.push({ hangup: 'all' }, { close: 'all' });
 
-// 优雅退出
-process.on('SIGINT', () => {
-    console.log('\n\n👋 正在断开连接...');
-    ws.close();
+    return validateScenario({
+        name: args.calls ? `${count} 台设备互相呼叫` : `${count} 台设备（${protocol}）`,
+        server: args.server,
+        secrets: args.secrets,
+        groups: groups,
+        steps: steps
+    });
+}
+
+// 运行中每 5 秒输出一次概况
+function startProgress(runner) {
+    return setInterval(() => {
+        const devices = runner.devices();
+        const open = devices.filter(device => device.isOpen()).length;
+        const inCall = devices.filter(device => device.inCall()).length;
+        const frames = devices.reduce((sum, device) => sum + device.stats.audioFramesSent + device.stats.audioFramesReceived, 0);
+        logger.info(`📊 在线 ${open}/${devices.length}，通话中 ${inCall}，音频帧 ${frames}`);
+    }, 5000);
+}
+
+async function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}（使用 --help 查看用法）`);
+        return 2;
+    }
+    if (args.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    // JSON 报告写 stdout，日志改写到 stderr
+    configureLogger({
+        level: args.verbose ? 'debug' : 'info',
+        stdout: args.json ? process.stderr : process.stdout
+    });
+
+    const scenario = args.scenario ? loadScenario(args.scenario) : buildScenario(args);
+    if (args.server) scenario.server = args.server;
+
+    logger.print('╔══════════════════════════════════════════════════════════╗');
+    logger.print('║                                                          ║');
+    logger.print('║              SimpleEyes 设备模拟器                       ║');
+    logger.print('║                                                          ║');
+    logger.print('╚══════════════════════════════════════════════════════════╝');
+    logger.print('');
+    logger.info(`📋 场景: ${scenario.name}`);
+    logger.info(`🔌 服务器: ${scenario.server}`);
+    logger.print('');
+
+    const runner = createScenarioRunner(scenario);
+
+    // 第一次 Ctrl+C 结束场景并输出报告，第二次直接退出
+    let interrupted = false;
+    process.on('SIGINT', () => {
+        if (interrupted) process.exit(130);
+        interrupted = true;
+        logger.print('\n\n👋 正在断开连接...');
+        runner.stop();
+    });
+
+    const progress = startProgress(runner);
+    let report;
+    try {
+        report = await runner.run();
+    } finally {
+        clearInterval(progress);
+    }
+
+    if (args.json) {
+        process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+    } else {
+        logger.print('');
+        logger.print('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+        logger.print(formatReport(report));
+        logger.print('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    }
+
+    // 有设备连不上或阈值未达标时返回非 0，便于发布前的压测脚本判断
+    return report.violations.length > 0 || report.connect.failed > 0 ? 1 : 0;
+}
+
+main().then((code) => {
+    process.exit(code);
+}).catch((error) => {
+    logger.error('❌ 模拟器运行失败', { err: error });
+    logger.print('');
+    logger.print('💡 请确保:');
+    logger.print('   1. 信令服务器正在运行 (npm start)');
+    logger.print('   2. 服务器地址和场景文件正确');
+    process.exit(1);
 });
@@ -0,0 +1,337 @@
+/**
+ * SimpleEyes 用户、设备归属与共享
+ * 以 JSON 文件持久化，字段与 iOS Models.swift 中的 UserInfo 保持一致；可以直接编辑该文件添加第一个管理员
+ * 文件被修改（手工编辑或其他实例写入）后，下次读取时自动重新加载
+ *
+ * 文件格式:
+ * {
+ *     "users": [
+ *         { "userId": "alice", "name": "Alice", "model": "iPhone", "userType": "admin", "createdAt": "2025-01-01T08:00:00Z" }
+ *     ],
+ *     "devices": [
+ *         {
+ *             "deviceId": "camera-01",
+ *             "owner": "alice",
+ *             "shares": [{ "userId": "bob", "level": "talker", "sharedAt": "2025-01-02T08:00:00Z" }]
+ *         }
+ *     ]
+ * }
+ *
+ * App 客户端通过设备密钥文件中的 userId 归属到用户（见 auth）
+ * 权限等级: viewer（观看视频、收听对讲）< talker（另可语音通话、对讲发言、下发命令）< owner（另可共享和转让）
+ * userType 为 admin 的用户可以为任意设备指定归属、管理用户，但不因此获得设备的通话权限
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { toISO8601 } = require('./device-registry');
+const { logger } = require('./logger');
+
+const LEVELS = ['viewer', 'talker', 'owner'];
+const SHARE_LEVELS = ['viewer', 'talker'];
+const USER_TYPES = ['user', 'admin'];
+
+const MAX_ID_LENGTH = 64;
+
+function validId(value) {
+    return typeof value === 'string' && value.length > 0 && value.length <= MAX_ID_LENGTH;
+}
+
+/**
+ * 创建用户与设备权限存储
+ * @param {Object} options
+ * @param {string} options.file JSON 文件路径
+ */
+function createAccessControl(options) {
+    // Map<userId, user>
+    const users = new Map();
+    // Map<deviceId, {deviceId, owner, shares: Map<userId, {userId, level, sharedAt}>}>
+    const devices = new Map();
+    // 最近一次读取或写入时文件的修改时间
+    let loadedMtime = null;
+
+    function mtimeOf(file) {
+        try {
+            return fs.statSync(file).mtimeMs;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // 文件不存在或未修改时保留内存中的数据；解析失败时记录错误并沿用之前的数据
+    function load() {
+        const mtime = mtimeOf(options.file);
+        if (mtime === null || mtime === loadedMtime) return;
+        loadedMtime = mtime;
+
+        let content;
+        try {
+            content = JSON.parse(fs.readFileSync(options.file, 'utf8'));
+        } catch (error) {
+            logger.error('❌ 读取用户与设备权限文件失败', { err: error, file: options.file });
+            return;
+        }
+
+        users.clear();
+        devices.clear();
+        for (const user of content.users || []) {
+            users.set(user.userId, user);
+        }
+        for (const device of content.devices || []) {
+            devices.set(device.deviceId, {
+                deviceId: device.deviceId,
+                owner: device.owner || null,
+                shares: new Map((device.shares || []).map(share => [share.userId, share]))
+            });
+        }
+    }
+
+    function save() {
+        const content = JSON.stringify({
+            users: Array.from(users.values()),
+            devices: Array.from(devices.values())
+                .filter(device => device.owner)
+                .map(device => ({ deviceId: device.deviceId, owner: device.owner, shares: Array.from(device.shares.values()) }))
+        }, null, 2);
+        const tmpFile = `${options.file}.tmp`;
+        fs.mkdirSync(path.dirname(options.file), { recursive: true });
+        fs.writeFileSync(tmpFile, content);
+        fs.renameSync(tmpFile, options.file);
+        loadedMtime = mtimeOf(options.file);
+    }
+
+    // iOS UserInfo 模型（model 为必填字段）
+    function describeUser(user) {
+        return {
+            userId: user.userId,
+            name: user.name,
+            model: user.model || '',
+            userType: user.userType || 'user'
+        };
+    }
+
+    function describeDevice(deviceId) {
+        const device = devices.get(deviceId);
+        return {
+            deviceId: deviceId,
+            owner: device ? device.owner : null,
+            shares: device ? Array.from(device.shares.values()) : []
+        };
+    }
+
+    function levelOf(userId, deviceId) {
+        const device = devices.get(deviceId);
+        if (!userId || !device || !device.owner) return null;
+        if (device.owner === userId) return 'owner';
+        const share = device.shares.get(userId);
+        return share ? share.level : null;
+    }
+
+    function hasLevel(userId, deviceId, level) {
+        const current = levelOf(userId, deviceId);
+        return current !== null && LEVELS.indexOf(current) >= LEVELS.indexOf(level);
+    }
+
+    // 两个用户是否属于同一家庭 / 站点：同一用户，或对同一台设备都有权限
+    function related(userA, userB) {
+        if (!userA || !userB) return false;
+        if (userA === userB) return true;
+        for (const device of devices.values()) {
+            if (levelOf(userA, device.deviceId) && levelOf(userB, device.deviceId)) return true;
+        }
+        return false;
+    }
+
+    load();
+
+    return {
+        getUser(userId) {
+            load();
+            const user = users.get(userId);
+            return user ? describeUser(user) : null;
+        },
+
+        listUsers() {
+            load();
+            return Array.from(users.values()).map(describeUser);
+        },
+
+        isAdmin(userId) {
+            load();
+            const user = users.get(userId);
+            return Boolean(user && user.userType === 'admin');
+        },
+
+        /**
+         * 创建用户
+         * @param {{userId: string, name?: string, model?: string, userType?: string}} fields
+         * @throws {Error} 字段无效或 userId 已存在
+         */
+        createUser(fields) {
+            load();
+            if (!validId(fields.userId)) {
+                throw new Error(`userId 应为 1-${MAX_ID_LENGTH} 个字符`);
+            }
+            if (users.has(fields.userId)) {
+                throw new Error(`用户已存在: ${fields.userId}`);
+            }
+            const userType = fields.userType || 'user';
+            if (!USER_TYPES.includes(userType)) {
+                throw new Error(`userType 只能是 ${USER_TYPES.join(' / ')}`);
+            }
+
+            const user = {
+                userId: fields.userId,
+                name: typeof fields.name === 'string' ? fields.name : fields.userId,
+                model: typeof fields.model === 'string' ? fields.model : '',
+                userType: userType,
+                createdAt: toISO8601(Date.now())
+            };
+            users.set(user.userId, user);
+            save();
+            return describeUser(user);
+        },
+
+        /**
+         * 删除用户，同时释放其拥有的设备和收到的共享
+         * @returns {boolean} 用户是否存在
+         */
+        removeUser(userId) {
+            load();
+            if (!users.delete(userId)) return false;
+            for (const device of devices.values()) {
+                if (device.owner === userId) {
+                    devices.delete(device.deviceId);
+                } else {
+                    device.shares.delete(userId);
+                }
+            }
+            save();
+            return true;
+        },
+
+        /**
+         * 设备的归属和共享: {deviceId, owner, shares: [{userId, level, sharedAt}]}，没有归属时 owner 为 null
+         */
+        getDevice(deviceId) {
+            load();
+            return describeDevice(deviceId);
+        },
+
+        /**
+         * 用户对设备的权限: owner / talker / viewer，没有权限时为 null
+         */
+        levelOf(userId, deviceId) {
+            load();
+            return levelOf(userId, deviceId);
+        },
+
+        hasLevel(userId, deviceId, level) {
+            load();
+            return hasLevel(userId, deviceId, level);
+        },
+
+        /**
+         * 用户拥有或被共享的设备: [{deviceId, level}]
+         */
+        devicesOf(userId) {
+            load();
+            return Array.from(devices.keys())
+                .map(deviceId => ({ deviceId: deviceId, level: levelOf(userId, deviceId) }))
+                .filter(entry => entry.level);
+        },
+
+        /**
+         * 指定或转让设备归属，原有的共享随之清除
+         * @throws {Error} 用户不存在
+         */
+        setOwner(deviceId, userId) {
+            load();
+            if (!users.has(userId)) {
+                throw new Error(`用户不存在: ${userId}`);
+            }
+            const device = devices.get(deviceId);
+            if (device && device.owner === userId) return describeDevice(deviceId);
+
+            devices.set(deviceId, { deviceId: deviceId, owner: userId, shares: new Map() });
+            save();
+            logger.info(`🔑 设备归属: ${deviceId} → ${userId}`, { deviceId: deviceId, userId: userId });
+            return describeDevice(deviceId);
+        },
+
+        /**
+         * 解除设备归属（同时清除共享）
+         * @returns {boolean} 设备原本是否有归属
+         */
+        removeOwner(deviceId) {
+            load();
+            if (!devices.delete(deviceId)) return false;
+            save();
+            return true;
+        },
+
+        /**
+         * 把设备共享给用户，已共享时修改等级
+         * @throws {Error} 设备没有归属、用户不存在、等级无效或共享给所有者
+         */
+        share(deviceId, userId, level) {
+            load();
+            const device = devices.get(deviceId);
+            if (!device || !device.owner) {
+                throw new Error(`设备没有归属: ${deviceId}`);
+            }
+            if (!users.has(userId)) {
+                throw new Error(`用户不存在: ${userId}`);
+            }
+            if (!SHARE_LEVELS.includes(level)) {
+                throw new Error(`level 只能是 ${SHARE_LEVELS.join(' / ')}`);
+            }
+            if (device.owner === userId) {
+                throw new Error('不能共享给设备所有者');
+            }
+
+            device.shares.set(userId, { userId: userId, level: level, sharedAt: toISO8601(Date.now()) });
+            save();
+            return describeDevice(deviceId);
+        },
+
+        /**
+         * 取消共享
+         * @returns {boolean} 是否存在该共享
+         */
+        unshare(deviceId, userId) {
+            load();
+            const device = devices.get(deviceId);
+            if (!device || !device.shares.delete(userId)) return false;
+            save();
+            return true;
+        },
+
+        /**
+         * 一方能否联系另一方（呼叫、转发信令、下发命令、对讲）
+         * from / to 为 {deviceId, role, userId}，role 为 app 或 device
+         * - App → 设备：用户对设备至少有 level 权限
+         * - 设备 → App：该 App 的用户对设备有任意权限
+         * - App ↔ App：同一用户，或两个用户对同一台设备都有权限
+         * - 设备 ↔ 设备：属于同一所有者
+         * @param {Object} from
+         * @param {Object} to
+         * @param {string} level App 联系设备时需要的等级（viewer / talker）
+         */
+        mayReach(from, to, level) {
+            load();
+            if (from.role === 'app' && to.role === 'app') return related(from.userId, to.userId);
+            if (from.role === 'app') return hasLevel(from.userId, to.deviceId, level);
+            if (to.role === 'app') return hasLevel(to.userId, from.deviceId, 'viewer');
+
+            const a = devices.get(from.deviceId);
+            const b = devices.get(to.deviceId);
+            return Boolean(a && b && a.owner && a.owner === b.owner);
+        }
+    };
+}
+
+module.exports = {
+    SHARE_LEVELS,
+    createAccessControl
+};
@@ -0,0 +1,191 @@
+/**
+ * SimpleEyes 设备鉴权
+ * 基于 HMAC-SHA256 的 JWT（HS256），用于 WebSocket 升级和 HTTP API
+ *
+ * 设备密钥文件格式（JSON）:
+ * {
+ *     "iPhone-001": { "secret": "xxxx", "role": "app", "userId": "alice" },
+ *     "camera-01": { "secret": "yyyy", "role": "device" }
+ * }
+ * App 条目的 userId 指明该客户端属于哪个用户（见 access-control）
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const DEFAULT_ACCESS_TTL = 60 * 60;           // Access Token 有效期（秒）
+const DEFAULT_REFRESH_TTL = 30 * 24 * 60 * 60; // Refresh Token 有效期（秒）
+const DEFAULT_STREAM_TTL = 10 * 60;            // 直播播放 Token 有效期（秒）
+
+function base64UrlEncode(input) {
+    return Buffer.from(input)
+        .toString('base64')
+        .replace(/=+$/, '')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_');
+}
+
+function base64UrlDecode(input) {
+    const base64 = input.replace(/-/g, '+').replace(/_/g, '/');
+    return Buffer.from(base64, 'base64');
+}
+
+// 常量时间比较，避免时序攻击
+function safeEqual(a, b) {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function signJwt(payload, key) {
+    const header = base64UrlEncode(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const body = base64UrlEncode(JSON.stringify(payload));
+    const signature = base64UrlEncode(
+        crypto.createHmac('sha256', key).update(`${header}.${body}`).digest()
+    );
+    return `${header}.${body}.${signature}`;
+}
+
+// 校验签名与有效期，成功返回 payload，失败返回 null
+function verifyJwt(token, key) {
+    if (typeof token !== 'string') return null;
+
+    const parts = token.split('.');
+    if (parts.length !== 3) return null;
+
+    const [header, body, signature] = parts;
+    const expected = base64UrlEncode(
+        crypto.createHmac('sha256', key).update(`${header}.${body}`).digest()
+    );
+    if (!safeEqual(signature, expected)) return null;
+
+    try {
+        const { alg } = JSON.parse(base64UrlDecode(header).toString());
+        if (alg !== 'HS256') return null;
+
+        const payload = JSON.parse(base64UrlDecode(body).toString());
+        if (typeof payload.exp !== 'number' || payload.exp <= Math.floor(Date.now() / 1000)) {
+            return null;
+        }
+        return payload;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * 创建鉴权服务
+ * @param {Object} options
+ * @param {string} options.secretsFile 设备密钥文件路径
+ * @param {string} [options.signingKey] 签名密钥，未提供时随机生成（重启后旧 Token 失效）
+ * @param {number} [options.accessTtl] Access Token 有效期（秒）
+ * @param {number} [options.refreshTtl] Refresh Token 有效期（秒）
+ * @param {number} [options.streamTtl] 直播播放 Token 有效期（秒）
+ */
+function createTokenAuth(options) {
+    const signingKey = options.signingKey || crypto.randomBytes(32).toString('hex');
+    const accessTtl = options.accessTtl || DEFAULT_ACCESS_TTL;
+    const refreshTtl = options.refreshTtl || DEFAULT_REFRESH_TTL;
+    const streamTtl = options.streamTtl || DEFAULT_STREAM_TTL;
+
+    // 解析后的密钥文件及其修改时间（文件不存在时为 null）
+    let secrets = {};
+    let loadedMtime;
+
+    function mtimeOf(file) {
+        try {
+            return fs.statSync(file).mtimeMs;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // 文件修改时间变化时才重新读取，修改密钥文件后无需重启服务器；读取失败时记录一次警告并视为没有密钥
+    function loadSecrets() {
+        const mtime = mtimeOf(options.secretsFile);
+        if (mtime === loadedMtime) return secrets;
+        loadedMtime = mtime;
+
+        try {
+            secrets = JSON.parse(fs.readFileSync(options.secretsFile, 'utf8'));
+        } catch (error) {
+            logger.warn('⚠️  读取设备密钥文件失败', { err: error });
+            secrets = {};
+        }
+        return secrets;
+    }
+
+    function issue(deviceId, role) {
+        const now = Math.floor(Date.now() / 1000);
+        return {
+            access_token: signJwt({ sub: deviceId, role, typ: 'access', iat: now, exp: now + accessTtl }, signingKey),
+            refresh_token: signJwt({ sub: deviceId, role, typ: 'refresh', iat: now, exp: now + refreshTtl }, signingKey),
+            token_type: 'Bearer',
+            expires_in: accessTtl
+        };
+    }
+
+    return {
+        // 用设备ID和设备密钥换取 Token，凭据错误返回 null
+        issueTokens(deviceId, secret) {
+            const entry = loadSecrets()[deviceId];
+            if (!entry || !secret || !safeEqual(entry.secret, secret)) {
+                return null;
+            }
+            return issue(deviceId, entry.role || 'device');
+        },
+
+        // 用 Refresh Token 换取新 Token，无效返回 null
+        refreshTokens(refreshToken) {
+            const payload = verifyJwt(refreshToken, signingKey);
+            if (!payload || payload.typ !== 'refresh') return null;
+
+            // 设备已从密钥文件移除时不再续期
+            if (!loadSecrets()[payload.sub]) return null;
+
+            return issue(payload.sub, payload.role);
+        },
+
+        // 校验 Access Token，成功返回 { deviceId, role, exp }
+        verifyAccessToken(token) {
+            const payload = verifyJwt(token, signingKey);
+            if (!payload || payload.typ !== 'access') return null;
+            return { deviceId: payload.sub, role: payload.role, exp: payload.exp };
+        },
+
+        // 签发只能拉取一路直播（streamId 为设备ID）的短期 Token，写在 HLS 地址中，不能用于其他 API
+        issueStreamToken(deviceId, streamId) {
+            const now = Math.floor(Date.now() / 1000);
+            return signJwt({ sub: deviceId, typ: 'stream', stream: streamId, iat: now, exp: now + streamTtl }, signingKey);
+        },
+
+        // 校验直播播放 Token 是否对应该路直播，成功返回 { deviceId, exp }
+        verifyStreamToken(token, streamId) {
+            const payload = verifyJwt(token, signingKey);
+            if (!payload || payload.typ !== 'stream' || payload.stream !== streamId) return null;
+            return { deviceId: payload.sub, exp: payload.exp };
+        },
+
+        // 密钥文件中登记的客户端: { deviceId, role, userId }，未登记返回 null
+        describeClient(deviceId) {
+            const entry = loadSecrets()[deviceId];
+            if (!entry) return null;
+            return { deviceId: deviceId, role: entry.role || 'device', userId: entry.userId || null };
+        }
+    };
+}
+
+// 从请求中提取 Token：Authorization: Bearer xxx 或 ?token=xxx（浏览器 WebSocket 无法设置请求头）
+function extractToken(req) {
+    const header = req.headers['authorization'];
+    if (header && header.startsWith('Bearer ')) {
+        return header.slice('Bearer '.length).trim();
+    }
+    return new URL(req.url, 'http://localhost').searchParams.get('token');
+}
+
+module.exports = {
+    createTokenAuth,
+    extractToken
+};
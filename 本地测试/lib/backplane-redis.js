@@ -0,0 +1,184 @@
+/**
+ * SimpleEyes Redis 背板
+ * 接口见 backplane.js，依赖可选依赖 ioredis
+ *
+ * Redis 数据:
+ * - <prefix>devices             Hash，deviceId → 设备信息 JSON（含所在 instanceId）
+ * - <prefix>instance:<id>       实例存活标记，定期续期，实例退出或崩溃后过期
+ * - <prefix>events              频道，设备目录变化
+ * - <prefix>inbox:<id>          频道，发给指定实例的消息
+ */
+
+const EventEmitter = require('events');
+const Redis = require('ioredis');
+const { createInstanceId } = require('./backplane');
+const { logger } = require('./logger');
+
+const DEFAULT_KEY_PREFIX = 'simpleeyes:';
+const INSTANCE_TTL = 15000;          // 实例存活标记的有效期（毫秒）
+const INSTANCE_REFRESH = 5000;       // 续期间隔（毫秒）
+
+// 只在条目仍归属本实例时删除，避免设备已重连到其他实例后被旧实例误删
+const REMOVE_OWN_DEVICE = `
+local value = redis.call('HGET', KEYS[1], ARGV[1])
+if value and cjson.decode(value).instanceId == ARGV[2] then
+    return redis.call('HDEL', KEYS[1], ARGV[1])
+end
+return 0
+`;
+
+/**
+ * 创建 Redis 背板
+ * @param {Object} [options]
+ * @param {string} [options.instanceId]
+ * @param {string} [options.redisUrl='redis://127.0.0.1:6379']
+ * @param {string} [options.keyPrefix='simpleeyes:']
+ */
+function createRedisBackplane(options = {}) {
+    const backplane = new EventEmitter();
+    const instanceId = options.instanceId || createInstanceId();
+    const redisUrl = options.redisUrl || 'redis://127.0.0.1:6379';
+    const prefix = options.keyPrefix || DEFAULT_KEY_PREFIX;
+
+    const devicesKey = `${prefix}devices`;
+    const eventsChannel = `${prefix}events`;
+    const instanceKey = (id) => `${prefix}instance:${id}`;
+    const inboxChannel = (id) => `${prefix}inbox:${id}`;
+
+    // 发布订阅需要独立连接
+    const client = new Redis(redisUrl, { lazyConnect: true });
+    const subscriber = new Redis(redisUrl, { lazyConnect: true });
+
+    // 其他实例设备的本地缓存: Map<deviceId, info>
+    const remoteDevices = new Map();
+    // 本实例发布过的设备
+    const localDevices = new Set();
+
+    let refreshTimer = null;
+
+    function report(error) {
+        logger.warn('⚠️  Redis 背板错误', { err: error });
+    }
+
+    client.on('error', report);
+    subscriber.on('error', report);
+
+    function handleEvent(payload) {
+        const { from, deviceId, info } = payload;
+        if (from === instanceId) return;
+
+        if (info) {
+            remoteDevices.set(deviceId, info);
+        } else {
+            const cached = remoteDevices.get(deviceId);
+            if (!cached || cached.instanceId !== from) return;
+            remoteDevices.delete(deviceId);
+        }
+        backplane.emit('device', deviceId, info);
+    }
+
+    subscriber.on('message', (channel, raw) => {
+        let payload;
+        try {
+            payload = JSON.parse(raw);
+        } catch (error) {
+            return;
+        }
+
+        if (channel === eventsChannel) {
+            handleEvent(payload);
+        } else if (channel === inboxChannel(instanceId)) {
+            backplane.emit('message', payload);
+        }
+    });
+
+    // 续期本实例的存活标记，并清理已失联实例留下的设备
+    async function refresh() {
+        await client.set(instanceKey(instanceId), String(Date.now()), 'PX', INSTANCE_TTL);
+
+        const instances = Array.from(new Set(Array.from(remoteDevices.values()).map(info => info.instanceId)));
+        if (instances.length === 0) return;
+
+        const alive = await client.mget(instances.map(instanceKey));
+        const dead = new Set(instances.filter((id, index) => alive[index] === null));
+        if (dead.size === 0) return;
+
+        for (const [deviceId, info] of Array.from(remoteDevices.entries())) {
+            if (!dead.has(info.instanceId)) continue;
+
+            remoteDevices.delete(deviceId);
+            await client.eval(REMOVE_OWN_DEVICE, 1, devicesKey, deviceId, info.instanceId);
+            backplane.emit('device', deviceId, null);
+        }
+        logger.warn(`⚠️  背板实例已失联，清理其设备: ${Array.from(dead).join(', ')}`);
+    }
+
+    function publishDevice(deviceId, info) {
+        client.publish(eventsChannel, JSON.stringify({ from: instanceId, deviceId, info })).catch(report);
+    }
+
+    backplane.instanceId = instanceId;
+    backplane.type = 'redis';
+
+    backplane.start = async () => {
+        await client.connect();
+        await subscriber.connect();
+        await subscriber.subscribe(eventsChannel, inboxChannel(instanceId));
+
+        const entries = await client.hgetall(devicesKey);
+        for (const [deviceId, raw] of Object.entries(entries)) {
+            try {
+                const info = JSON.parse(raw);
+                if (info.instanceId !== instanceId) {
+                    remoteDevices.set(deviceId, info);
+                }
+            } catch (error) {
+                // 忽略损坏的条目
+            }
+        }
+
+        await refresh();
+        refreshTimer = setInterval(() => refresh().catch(report), INSTANCE_REFRESH);
+    };
+
+    backplane.setDevice = (deviceId, info) => {
+        const entry = { ...info, deviceId, instanceId };
+        localDevices.add(deviceId);
+        remoteDevices.delete(deviceId);
+        client.hset(devicesKey, deviceId, JSON.stringify(entry)).catch(report);
+        publishDevice(deviceId, entry);
+    };
+
+    backplane.removeDevice = (deviceId) => {
+        if (!localDevices.delete(deviceId)) return;
+        client.eval(REMOVE_OWN_DEVICE, 1, devicesKey, deviceId, instanceId).catch(report);
+        publishDevice(deviceId, null);
+    };
+
+    backplane.getDevice = (deviceId) => remoteDevices.get(deviceId) || null;
+
+    backplane.listDevices = () => Array.from(remoteDevices.values());
+
+    backplane.send = (to, envelope) => {
+        client.publish(inboxChannel(to), JSON.stringify({ ...envelope, from: instanceId, to })).catch(report);
+    };
+
+    backplane.close = async () => {
+        clearInterval(refreshTimer);
+        try {
+            for (const deviceId of Array.from(localDevices)) {
+                backplane.removeDevice(deviceId);
+            }
+            await client.del(instanceKey(instanceId));
+        } finally {
+            subscriber.disconnect();
+            await client.quit().catch(() => client.disconnect());
+        }
+    };
+
+    return backplane;
+}
+
+module.exports = {
+    createRedisBackplane
+};
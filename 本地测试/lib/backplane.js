@@ -0,0 +1,143 @@
+/**
+ * SimpleEyes 多实例背板（backplane）
+ * 多个信令服务器实例通过背板共享在线设备目录，并把消息投递给连接在其他实例上的设备
+ *
+ * 接口（内存实现与 Redis 实现一致）:
+ * - instanceId                        当前实例 ID
+ * - start() → Promise                 连接并加载其他实例的设备目录
+ * - setDevice(deviceId, info)         发布本实例设备的在线信息（presence 等）
+ * - removeDevice(deviceId)            设备离开本实例（只删除仍归属本实例的条目）
+ * - getDevice(deviceId) → info|null   其他实例上的设备（本地缓存，同步返回）
+ * - listDevices() → info[]            其他实例上的全部设备
+ * - send(instanceId, envelope)        向指定实例发送消息
+ * - close() → Promise                 删除本实例的设备并断开
+ *
+ * 事件:
+ * - 'device' (deviceId, info|null)    其他实例上的设备上线、状态变化或离线
+ * - 'message' (envelope)              其他实例发给本实例的消息，envelope.from 为发送方实例
+ *
+ * info: {instanceId, deviceId, type, role, presence, inCall, declaredStatus, profile, lastHeartbeat}
+ * profile: 设备 register 上报的信息 {name, model, platform, appVersion, capabilities}
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const os = require('os');
+
+/**
+ * 默认实例 ID：主机名 + 进程号 + 随机后缀
+ */
+function createInstanceId() {
+    return `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * 创建进程内共享的消息总线，传给多个内存背板即可模拟多实例（测试用）
+ */
+function createMemoryBus() {
+    return {
+        devices: new Map(),           // Map<deviceId, info>
+        emitter: new EventEmitter()
+    };
+}
+
+/**
+ * 内存背板（默认）：不传 bus 时只有本实例，行为与单机部署相同
+ * @param {Object} [options]
+ * @param {string} [options.instanceId]
+ * @param {Object} [options.bus] createMemoryBus() 的结果
+ */
+function createMemoryBackplane(options = {}) {
+    const backplane = new EventEmitter();
+    const instanceId = options.instanceId || createInstanceId();
+    const bus = options.bus || createMemoryBus();
+    bus.emitter.setMaxListeners(0);
+
+    // 与 Redis 的发布订阅一样异步投递
+    function publish(event, payload) {
+        setImmediate(() => bus.emitter.emit(event, payload));
+    }
+
+    function onDevice({ from, deviceId, info }) {
+        if (from === instanceId) return;
+        backplane.emit('device', deviceId, info);
+    }
+
+    function onMessage(envelope) {
+        if (envelope.to === instanceId) {
+            backplane.emit('message', envelope);
+        }
+    }
+
+    backplane.instanceId = instanceId;
+    backplane.type = 'memory';
+
+    backplane.start = () => {
+        bus.emitter.on('device', onDevice);
+        bus.emitter.on('message', onMessage);
+        return Promise.resolve();
+    };
+
+    backplane.setDevice = (deviceId, info) => {
+        const entry = { ...info, deviceId, instanceId };
+        bus.devices.set(deviceId, entry);
+        publish('device', { from: instanceId, deviceId, info: entry });
+    };
+
+    backplane.removeDevice = (deviceId) => {
+        const entry = bus.devices.get(deviceId);
+        if (!entry || entry.instanceId !== instanceId) return;
+
+        bus.devices.delete(deviceId);
+        publish('device', { from: instanceId, deviceId, info: null });
+    };
+
+    backplane.getDevice = (deviceId) => {
+        const entry = bus.devices.get(deviceId);
+        return entry && entry.instanceId !== instanceId ? entry : null;
+    };
+
+    backplane.listDevices = () => Array.from(bus.devices.values())
+        .filter(entry => entry.instanceId !== instanceId);
+
+    backplane.send = (to, envelope) => {
+        publish('message', { ...envelope, from: instanceId, to });
+    };
+
+    backplane.close = () => {
+        for (const [deviceId, entry] of Array.from(bus.devices.entries())) {
+            if (entry.instanceId === instanceId) {
+                backplane.removeDevice(deviceId);
+            }
+        }
+        bus.emitter.removeListener('device', onDevice);
+        bus.emitter.removeListener('message', onMessage);
+        return Promise.resolve();
+    };
+
+    return backplane;
+}
+
+/**
+ * 按配置创建背板
+ * @param {Object} options
+ * @param {string} [options.type='memory'] memory / redis
+ * @param {string} [options.instanceId]
+ * @param {Object} [options.bus] 内存背板的共享总线（type=memory 时）
+ * @param {string} [options.redisUrl] Redis 地址（type=redis 时）
+ * @param {string} [options.keyPrefix] Redis 键和频道前缀
+ */
+function createBackplane(options = {}) {
+    if (options.type === 'redis') {
+        // 可选依赖 ioredis，只在启用 Redis 背板时加载
+        return require('./backplane-redis').createRedisBackplane(options);
+    }
+    return createMemoryBackplane(options);
+}
+
+module.exports = {
+    createBackplane,
+    createMemoryBackplane,
+    createMemoryBus,
+    createInstanceId
+};
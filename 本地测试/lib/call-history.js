@@ -0,0 +1,304 @@
+/**
+ * SimpleEyes 通话记录（CDR）
+ * 每次呼叫（包括未接通的）结束时写入一条记录，供 App 的最近通话列表和客服查询
+ *
+ * 保存在本地 SQLite 数据库（better-sqlite3）中：结束一个通话插入一行，
+ * 按 (设备, 发起时间) 建索引，查询和分页在数据库中完成；超过保留天数或条数上限的旧记录直接删除，无需重写文件
+ *
+ * 记录格式:
+ * {
+ *     "callId": "3f2a9c1b7d4e8a60",
+ *     "caller": "iPhone-001",
+ *     "callee": "camera-01",
+ *     "callType": "video",
+ *     "startedAt": "2025-01-24T08:00:00Z",
+ *     "answeredAt": "2025-01-24T08:00:05Z",
+ *     "endedAt": "2025-01-24T08:03:05Z",
+ *     "endReason": "hangup",
+ *     "answered": true,
+ *     "duration": 180,       // 接通后的通话时长（秒），未接通为 0
+ *     "ringDuration": 5      // 发起到接听或结束的时长（秒）
+ * }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { toISO8601 } = require('./device-registry');
+const { logger } = require('./logger');
+
+const DEFAULT_RETENTION_DAYS = 90;
+const DEFAULT_MAX_RECORDS = 100000;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// 清理过期记录的最短间隔
+const PRUNE_INTERVAL = 60 * 60 * 1000;
+
+// 时间以毫秒时间戳保存；一通电话涉及两台设备，主叫和被叫各建一个 (设备, 发起时间) 索引
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS calls (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        call_id TEXT NOT NULL UNIQUE,
+        caller TEXT NOT NULL,
+        callee TEXT NOT NULL,
+        call_type TEXT,
+        started_at INTEGER NOT NULL,
+        answered_at INTEGER,
+        ended_at INTEGER NOT NULL,
+        end_reason TEXT,
+        answered INTEGER NOT NULL,
+        duration INTEGER NOT NULL,
+        ring_duration INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS calls_caller_started ON calls (caller, started_at);
+    CREATE INDEX IF NOT EXISTS calls_callee_started ON calls (callee, started_at);
+    CREATE INDEX IF NOT EXISTS calls_started ON calls (started_at);
+`;
+
+// 信令服务器的结束原因 → CDR 结束原因（其余原样保留）
+// hangup / cancelled / rejected / busy / offline / timeout / unsupported / network / shutdown
+const END_REASONS = {
+    disconnected: 'network'
+};
+
+const CSV_COLUMNS = ['callId', 'caller', 'callee', 'callType', 'startedAt', 'answeredAt', 'endedAt',
+    'endReason', 'answered', 'duration', 'ringDuration'];
+
+// 以 = + - @（或制表符、回车）开头的值在表格软件中会被当作公式执行，前面加单引号
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 记录列表转为 CSV（带表头，CRLF 换行）
+ */
+function toCsv(records) {
+    const lines = [CSV_COLUMNS.join(',')];
+    for (const record of records) {
+        lines.push(CSV_COLUMNS.map(column => csvField(record[column])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+// 数据库行 → 记录
+function toRecord(row) {
+    return {
+        callId: row.call_id,
+        caller: row.caller,
+        callee: row.callee,
+        callType: row.call_type,
+        startedAt: toISO8601(row.started_at),
+        answeredAt: row.answered_at === null ? null : toISO8601(row.answered_at),
+        endedAt: toISO8601(row.ended_at),
+        endReason: row.end_reason,
+        answered: row.answered === 1,
+        duration: row.duration,
+        ringDuration: row.ring_duration
+    };
+}
+
+// 查询条件 → WHERE 子句和参数（visible 是 JS 函数，在取出后筛选）
+function whereClause(filters) {
+    const conditions = [];
+    const params = {};
+    if (filters.deviceId) {
+        conditions.push('(caller = @deviceId OR callee = @deviceId)');
+        params.deviceId = filters.deviceId;
+    }
+    if (filters.from !== null && filters.from !== undefined) {
+        conditions.push('started_at >= @from');
+        params.from = filters.from;
+    }
+    if (filters.to !== null && filters.to !== undefined) {
+        conditions.push('started_at <= @to');
+        params.to = filters.to;
+    }
+    if (filters.answered !== undefined && filters.answered !== null) {
+        conditions.push('answered = @answered');
+        params.answered = filters.answered ? 1 : 0;
+    }
+    return {
+        sql: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+        params: params
+    };
+}
+
+/**
+ * 创建通话记录存储
+ * @param {Object} options
+ * @param {string} options.file SQLite 数据库文件路径
+ * @param {number} [options.retentionDays=90] 记录保留天数
+ * @param {number} [options.maxRecords=100000] 最多保留的记录数
+ */
+function createCallHistory(options) {
+    const retention = (options.retentionDays || DEFAULT_RETENTION_DAYS) * 24 * 60 * 60 * 1000;
+    const maxRecords = options.maxRecords || DEFAULT_MAX_RECORDS;
+
+    fs.mkdirSync(path.dirname(options.file), { recursive: true });
+    const db = new Database(options.file);
+    db.pragma('journal_mode = WAL');
+    db.exec(SCHEMA);
+
+    const insertCall = db.prepare(`
+        INSERT INTO calls (call_id, caller, callee, call_type, started_at, answered_at, ended_at,
+            end_reason, answered, duration, ring_duration)
+        VALUES (@callId, @caller, @callee, @callType, @startedAt, @answeredAt, @endedAt,
+            @endReason, @answered, @duration, @ringDuration)
+    `);
+    const selectCall = db.prepare('SELECT * FROM calls WHERE call_id = ?');
+    const deleteExpired = db.prepare('DELETE FROM calls WHERE started_at < ?');
+    const deleteOldest = db.prepare('DELETE FROM calls WHERE seq IN (SELECT seq FROM calls ORDER BY seq LIMIT ?)');
+
+    // 按 WHERE 子句缓存的查询语句
+    const queries = new Map();
+    function queryStatements(where) {
+        let statements = queries.get(where);
+        if (!statements) {
+            const select = `SELECT * FROM calls ${where} ORDER BY started_at DESC, seq DESC`;
+            statements = {
+                count: db.prepare(`SELECT COUNT(*) AS total FROM calls ${where}`).pluck(),
+                all: db.prepare(select),
+                page: db.prepare(`${select} LIMIT @limit OFFSET @offset`)
+            };
+            queries.set(where, statements);
+        }
+        return statements;
+    }
+
+    let count = db.prepare('SELECT COUNT(*) FROM calls').pluck().get();
+    let lastPrunedAt = 0;
+
+    // 删除过期和超出上限的最旧记录
+    function prune() {
+        lastPrunedAt = Date.now();
+        count -= deleteExpired.run(lastPrunedAt - retention).changes;
+        if (count > maxRecords) {
+            count -= deleteOldest.run(count - maxRecords).changes;
+        }
+    }
+
+    prune();
+
+    return {
+        /**
+         * 写入一条通话记录
+         * @param {Object} call 信令服务器的通话信息 {callId, caller, callee, callType, createdAt, answeredAt, endedAt, endReason}
+         * @returns {Object} 写入的记录
+         */
+        record(call) {
+            const startedAt = Date.parse(call.createdAt);
+            const answeredAt = call.answeredAt ? Date.parse(call.answeredAt) : null;
+            const endedAt = call.endedAt ? Date.parse(call.endedAt) : Date.now();
+
+            const record = {
+                callId: call.callId,
+                caller: call.caller,
+                callee: call.callee,
+                callType: call.callType,
+                startedAt: toISO8601(startedAt),
+                answeredAt: answeredAt ? toISO8601(answeredAt) : null,
+                endedAt: toISO8601(endedAt),
+                endReason: END_REASONS[call.endReason] || call.endReason,
+                answered: Boolean(answeredAt),
+                duration: answeredAt ? Math.round((endedAt - answeredAt) / 1000) : 0,
+                ringDuration: Math.round(((answeredAt || endedAt) - startedAt) / 1000)
+            };
+
+            try {
+                count += insertCall.run({
+                    ...record,
+                    callType: record.callType || null,
+                    startedAt: startedAt,
+                    answeredAt: answeredAt,
+                    endedAt: endedAt,
+                    answered: record.answered ? 1 : 0
+                }).changes;
+                if (count > maxRecords || Date.now() - lastPrunedAt >= PRUNE_INTERVAL) {
+                    prune();
+                }
+            } catch (error) {
+                logger.error('❌ 保存通话记录失败', { err: error, callId: record.callId });
+            }
+            return record;
+        },
+
+        /**
+         * 单条记录，不存在时返回 null
+         */
+        get(callId) {
+            const row = selectCall.get(callId);
+            return row ? toRecord(row) : null;
+        },
+
+        /**
+         * 按条件查询，按发起时间倒序（最新的在前）
+         * @param {Object} [filters]
+         * @param {string} [filters.deviceId] 作为主叫或被叫参与的设备
+         * @param {number} [filters.from] 发起时间下限（毫秒时间戳）
+         * @param {number} [filters.to] 发起时间上限（毫秒时间戳）
+         * @param {boolean} [filters.answered] 只看接通 / 未接通的
+         * @param {function(Object): boolean} [filters.visible] 只看该函数返回 true 的记录（按请求方权限筛选）
+         * @param {Object} [paging] {page, pageSize}，省略时返回全部
+         * @returns {{calls: Array, total: number, page?: number, pageSize?: number, totalPages?: number}}
+         */
+        query(filters = {}, paging) {
+            const where = whereClause(filters);
+            const statements = queryStatements(where.sql);
+            const pageSize = paging ? Math.min(paging.pageSize || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE) : null;
+            const page = paging ? paging.page || 1 : null;
+
+            let calls;
+            let total;
+            if (filters.visible) {
+                // 权限筛选无法写成 SQL，逐行判断后在内存中分页
+                const matched = [];
+                for (const row of statements.all.iterate(where.params)) {
+                    const record = toRecord(row);
+                    if (filters.visible(record)) matched.push(record);
+                }
+                total = matched.length;
+                calls = paging ? matched.slice((page - 1) * pageSize, page * pageSize) : matched;
+            } else if (paging) {
+                total = statements.count.get(where.params);
+                calls = statements.page.all({ ...where.params, limit: pageSize, offset: (page - 1) * pageSize }).map(toRecord);
+            } else {
+                calls = statements.all.all(where.params).map(toRecord);
+                total = calls.length;
+            }
+
+            if (!paging) {
+                return { calls: calls, total: total };
+            }
+            return {
+                calls: calls,
+                page: page,
+                pageSize: pageSize,
+                total: total,
+                totalPages: Math.ceil(total / pageSize)
+            };
+        },
+
+        get size() {
+            return count;
+        },
+
+        /**
+         * 关闭数据库
+         */
+        close() {
+            db.close();
+        }
+    };
+}
+
+module.exports = {
+    MAX_PAGE_SIZE,
+    createCallHistory,
+    toCsv
+};
@@ -0,0 +1,200 @@
+/**
+ * SimpleEyes 通话质量统计
+ * 按通话汇总客户端上报的 call-stats 样本（RTT、抖动、丢包、码率、分辨率、帧率、候选类型），
+ * 通话结束后保留一段时间供 /api/calls 查询
+ */
+
+const DEFAULT_RETENTION = 24 * 60 * 60 * 1000; // 已结束通话的保留时长（毫秒）
+const DEFAULT_MAX_CALLS = 1000;                 // 最多保留的通话数
+const DEFAULT_MAX_SAMPLES = 720;                // 每台设备每个通话最多保留的样本数（5 秒一次约 1 小时）
+
+const METRICS = ['rtt', 'jitter', 'packetLoss', 'bitrate', 'fps'];
+const QUALITY_LEVELS = ['good', 'fair', 'poor'];
+
+// 质量评级阈值：任一指标达到 poor 即为 poor，其次 fair
+const QUALITY_THRESHOLDS = {
+    rtt: { fair: 150, poor: 300 },          // 毫秒，越低越好
+    jitter: { fair: 30, poor: 60 },         // 毫秒，越低越好
+    packetLoss: { fair: 2, poor: 5 },       // %，越低越好
+    fps: { fair: 20, poor: 12, lowerIsWorse: true }
+};
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// 单个指标的统计: {avg, min, max, p95}
+function summarizeMetric(values) {
+    if (values.length === 0) return null;
+
+    const sorted = values.slice().sort((a, b) => a - b);
+    const sum = sorted.reduce((total, value) => total + value, 0);
+    return {
+        avg: round(sum / sorted.length),
+        min: round(sorted[0]),
+        max: round(sorted[sorted.length - 1]),
+        p95: round(sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))])
+    };
+}
+
+// 按平均值评级，没有样本时为 null
+function rateQuality(metrics) {
+    let quality = null;
+
+    for (const [name, threshold] of Object.entries(QUALITY_THRESHOLDS)) {
+        const metric = metrics[name];
+        if (!metric) continue;
+
+        const value = metric.avg;
+        const poor = threshold.lowerIsWorse ? value < threshold.poor : value >= threshold.poor;
+        const fair = threshold.lowerIsWorse ? value < threshold.fair : value >= threshold.fair;
+        if (poor) return 'poor';
+        if (fair) quality = 'fair';
+        else if (!quality) quality = 'good';
+    }
+    return quality;
+}
+
+// 一组样本的汇总
+function summarizeSamples(samples) {
+    const metrics = {};
+    for (const name of METRICS) {
+        metrics[name] = summarizeMetric(samples
+            .map(sample => sample[name])
+            .filter(value => typeof value === 'number'));
+    }
+
+    const last = samples.length > 0 ? samples[samples.length - 1] : null;
+    const withResolution = samples.filter(sample => sample.width && sample.height);
+    const resolution = withResolution.length > 0 ? withResolution[withResolution.length - 1] : null;
+
+    return {
+        samples: samples.length,
+        ...metrics,
+        resolution: resolution ? `${resolution.width}x${resolution.height}` : null,
+        candidateTypes: Array.from(new Set(samples.map(sample => sample.candidateType).filter(Boolean))),
+        lastReportAt: last ? last.time : null,
+        quality: rateQuality(metrics)
+    };
+}
+
+/**
+ * 创建通话统计存储
+ * @param {Object} [options]
+ * @param {number} [options.retention] 已结束通话的保留时长（毫秒）
+ * @param {number} [options.maxCalls] 最多保留的通话数
+ * @param {number} [options.maxSamples] 每台设备每个通话最多保留的样本数
+ */
+function createCallStatsStore(options = {}) {
+    const retention = options.retention || DEFAULT_RETENTION;
+    const maxCalls = options.maxCalls || DEFAULT_MAX_CALLS;
+    const maxSamples = options.maxSamples || DEFAULT_MAX_SAMPLES;
+
+    // Map<callId, {call, samples: Map<deviceId, sample[]>}>，按创建顺序插入
+    const entries = new Map();
+
+    // 丢弃过期和超出上限的已结束通话
+    function prune() {
+        const now = Date.now();
+        for (const [callId, entry] of entries.entries()) {
+            const endedAt = entry.call.endedAt ? Date.parse(entry.call.endedAt) : null;
+            if (endedAt && now - endedAt > retention) {
+                entries.delete(callId);
+            }
+        }
+
+        for (const [callId, entry] of entries.entries()) {
+            if (entries.size <= maxCalls) break;
+            if (entry.call.endedAt) entries.delete(callId);
+        }
+    }
+
+    function summarizeEntry(entry) {
+        const all = [];
+        const devices = {};
+        for (const [deviceId, samples] of entry.samples.entries()) {
+            devices[deviceId] = summarizeSamples(samples);
+            all.push(...samples);
+        }
+        all.sort((a, b) => a.time.localeCompare(b.time));
+
+        // 通话评级取双方中较差的一方，避免一端卡顿被另一端的好数据平均掉
+        const summary = summarizeSamples(all);
+        const qualities = Object.values(devices).map(device => device.quality).filter(Boolean);
+        summary.quality = qualities.length > 0
+            ? qualities.reduce((worst, quality) =>
+                QUALITY_LEVELS.indexOf(quality) > QUALITY_LEVELS.indexOf(worst) ? quality : worst)
+            : null;
+
+        return {
+            ...entry.call,
+            duration: entry.call.answeredAt
+                ? Math.round(((entry.call.endedAt ? Date.parse(entry.call.endedAt) : Date.now()) -
+                    Date.parse(entry.call.answeredAt)) / 1000)
+                : 0,
+            summary: summary,
+            devices: devices
+        };
+    }
+
+    return {
+        /**
+         * 登记或更新通话信息（创建、接通、结束时调用）
+         * @param {Object} call describeCall() 的结果
+         */
+        trackCall(call) {
+            const entry = entries.get(call.callId);
+            if (entry) {
+                entry.call = call;
+            } else {
+                entries.set(call.callId, { call, samples: new Map() });
+                prune();
+            }
+        },
+
+        /**
+         * 记录一条统计样本，通话未登记时返回 false
+         */
+        record(callId, deviceId, sample) {
+            const entry = entries.get(callId);
+            if (!entry) return false;
+
+            const samples = entry.samples.get(deviceId) || [];
+            samples.push({ ...sample, time: new Date().toISOString() });
+            entry.samples.set(deviceId, samples.slice(-maxSamples));
+            return true;
+        },
+
+        /**
+         * 单个通话的汇总和原始样本
+         */
+        get(callId) {
+            const entry = entries.get(callId);
+            if (!entry) return null;
+
+            const samples = {};
+            for (const [deviceId, deviceSamples] of entry.samples.entries()) {
+                samples[deviceId] = deviceSamples;
+            }
+            return { ...summarizeEntry(entry), samples };
+        },
+
+        /**
+         * 按创建时间筛选通话汇总，from/to 为毫秒时间戳（可省略），按创建时间倒序
+         */
+        list(from, to) {
+            prune();
+            return Array.from(entries.values())
+                .filter((entry) => {
+                    const createdAt = Date.parse(entry.call.createdAt);
+                    return (from === null || createdAt >= from) && (to === null || createdAt <= to);
+                })
+                .map(summarizeEntry)
+                .reverse();
+        }
+    };
+}
+
+module.exports = {
+    createCallStatsStore
+};
@@ -0,0 +1,222 @@
+/**
+ * SimpleEyes 设备命令跟踪
+ * App（HTTP 或信令连接）发给设备的远程控制命令：拍照、云台、重启、开始/停止录像、修改设置
+ *
+ * 命令状态: sent（已下发）→ acked（设备已确认收到）→ succeeded / failed（设备回报结果）
+ * 超过 ackTimeout 未确认或超过 timeout 未回报结果时为 timeout
+ * 结束的命令保留 retention 毫秒供查询
+ *
+ * 事件:
+ * - 'update' (command)    命令状态变化（含创建），command 为对外的命令信息
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const { toISO8601 } = require('./device-registry');
+
+// 支持的命令
+const COMMAND_ACTIONS = ['snapshot', 'ptz', 'reboot', 'start-recording', 'stop-recording', 'update-settings'];
+
+const DEFAULT_ACK_TIMEOUT = 10 * 1000;
+const DEFAULT_TIMEOUT = 60 * 1000;
+const DEFAULT_RETENTION = 10 * 60 * 1000;
+
+// 命令可指定的超时上限（毫秒）
+const MAX_TIMEOUT = 10 * 60 * 1000;
+
+// 每个设备保留的命令数上限
+const MAX_COMMANDS_PER_DEVICE = 100;
+
+const FINAL_STATUSES = ['succeeded', 'failed', 'timeout'];
+
+function createCommandId() {
+    return `cmd-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+/**
+ * 创建命令跟踪器
+ * @param {Object} [options]
+ * @param {number} [options.ackTimeout=10000] 下发后等待设备确认的时长（毫秒）
+ * @param {number} [options.timeout=60000] 下发后等待结果的默认时长（毫秒），命令可单独指定
+ * @param {number} [options.retention=600000] 结束的命令保留时长（毫秒）
+ */
+function createCommandTracker(options = {}) {
+    const tracker = new EventEmitter();
+    const ackTimeout = options.ackTimeout || DEFAULT_ACK_TIMEOUT;
+    const defaultTimeout = options.timeout || DEFAULT_TIMEOUT;
+    const retention = options.retention || DEFAULT_RETENTION;
+
+    // Map<commandId, command>，按创建顺序
+    const commands = new Map();
+
+    // 对外的命令信息
+    function describe(command) {
+        return {
+            commandId: command.commandId,
+            deviceId: command.deviceId,
+            action: command.action,
+            params: command.params,
+            from: command.from,
+            ref: command.ref,
+            status: command.status,
+            createdAt: toISO8601(command.createdAt),
+            ackedAt: command.ackedAt ? toISO8601(command.ackedAt) : null,
+            completedAt: command.completedAt ? toISO8601(command.completedAt) : null,
+            result: command.result,
+            error: command.error
+        };
+    }
+
+    function update(command, changes) {
+        Object.assign(command, changes);
+        const view = describe(command);
+        tracker.emit('update', view);
+        return view;
+    }
+
+    function finish(command, changes) {
+        clearTimeout(command.ackTimer);
+        clearTimeout(command.timer);
+        command.ackTimer = null;
+        command.timer = setTimeout(() => commands.delete(command.commandId), retention);
+        command.timer.unref();
+        return update(command, { ...changes, completedAt: Date.now() });
+    }
+
+    // 只保留每个设备最近的 MAX_COMMANDS_PER_DEVICE 条（进行中的不删除）
+    function prune(deviceId) {
+        const owned = Array.from(commands.values()).filter(command => command.deviceId === deviceId);
+        for (const command of owned.slice(0, Math.max(owned.length - MAX_COMMANDS_PER_DEVICE, 0))) {
+            if (!FINAL_STATUSES.includes(command.status)) continue;
+            clearTimeout(command.timer);
+            commands.delete(command.commandId);
+        }
+    }
+
+    function find(deviceId, commandId) {
+        const command = commands.get(commandId);
+        return command && command.deviceId === deviceId ? command : null;
+    }
+
+    /**
+     * 创建命令并开始计时，调用方负责下发给设备
+     * @param {Object} request
+     * @param {string} request.deviceId 目标设备
+     * @param {string} request.action COMMAND_ACTIONS 之一
+     * @param {Object} [request.params] 命令参数，原样交给设备
+     * @param {string} [request.from] 发起方设备ID，状态变化会通知发起方
+     * @param {string} [request.ref] 发起方请求消息的 id，在命令信息中回显
+     * @param {number} [request.timeout] 等待结果的时长（毫秒）
+     * @returns {Object} 命令信息
+     * @throws {Error} action 不支持或 timeout 超出范围
+     */
+    tracker.create = (request) => {
+        if (!COMMAND_ACTIONS.includes(request.action)) {
+            throw new Error(`不支持的命令: ${request.action}`);
+        }
+        const timeout = request.timeout === undefined ? defaultTimeout : request.timeout;
+        if (!Number.isInteger(timeout) || timeout < 1 || timeout > MAX_TIMEOUT) {
+            throw new Error(`timeout 应为 1-${MAX_TIMEOUT} 毫秒`);
+        }
+
+        const command = {
+            commandId: createCommandId(),
+            deviceId: request.deviceId,
+            action: request.action,
+            params: request.params || {},
+            from: request.from || null,
+            ref: request.ref || null,
+            status: 'sent',
+            createdAt: Date.now(),
+            ackedAt: null,
+            completedAt: null,
+            result: null,
+            error: null,
+            ackTimer: null,
+            timer: null
+        };
+        commands.set(command.commandId, command);
+        prune(command.deviceId);
+
+        command.ackTimer = setTimeout(() => {
+            finish(command, { status: 'timeout', error: 'ack-timeout' });
+        }, Math.min(ackTimeout, timeout));
+        command.ackTimer.unref();
+        command.timer = setTimeout(() => {
+            finish(command, { status: 'timeout', error: 'result-timeout' });
+        }, timeout);
+        command.timer.unref();
+
+        return update(command, {});
+    };
+
+    /**
+     * 设备确认收到命令，命令不存在、不属于该设备或已结束时返回 null
+     */
+    tracker.ack = (deviceId, commandId) => {
+        const command = find(deviceId, commandId);
+        if (!command || command.status !== 'sent') return null;
+
+        clearTimeout(command.ackTimer);
+        command.ackTimer = null;
+        return update(command, { status: 'acked', ackedAt: Date.now() });
+    };
+
+    /**
+     * 设备回报执行结果（未确认直接回报结果也接受），命令不存在或已结束时返回 null
+     * @param {string} deviceId
+     * @param {string} commandId
+     * @param {{success: boolean, result?: Object, error?: string}} outcome
+     */
+    tracker.complete = (deviceId, commandId, outcome) => {
+        const command = find(deviceId, commandId);
+        if (!command || FINAL_STATUSES.includes(command.status)) return null;
+
+        return finish(command, {
+            status: outcome.success ? 'succeeded' : 'failed',
+            ackedAt: command.ackedAt || Date.now(),
+            result: outcome.result === undefined ? null : outcome.result,
+            error: outcome.success ? null : (outcome.error || 'failed')
+        });
+    };
+
+    /**
+     * 命令信息，不存在或不属于该设备时返回 null
+     */
+    tracker.get = (deviceId, commandId) => {
+        const command = find(deviceId, commandId);
+        return command ? describe(command) : null;
+    };
+
+    /**
+     * 设备的命令，最新的在前
+     */
+    tracker.list = (deviceId) => Array.from(commands.values())
+        .filter(command => command.deviceId === deviceId)
+        .reverse()
+        .map(describe);
+
+    /**
+     * 进行中的命令数（供 /metrics）
+     */
+    tracker.pendingCount = () => Array.from(commands.values())
+        .filter(command => !FINAL_STATUSES.includes(command.status)).length;
+
+    /**
+     * 停止所有计时器
+     */
+    tracker.close = () => {
+        for (const command of commands.values()) {
+            clearTimeout(command.ackTimer);
+            clearTimeout(command.timer);
+        }
+        commands.clear();
+    };
+
+    return tracker;
+}
+
+module.exports = {
+    COMMAND_ACTIONS,
+    createCommandTracker
+};
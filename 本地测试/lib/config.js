@@ -0,0 +1,249 @@
+/**
+ * SimpleEyes 配置加载
+ * 优先级：默认值 < 配置文件 < 环境变量 < 命令行参数
+ *
+ * 每个服务器用一张配置表（schema）声明配置项：
+ *   port: { type: 'int', default: 8080, env: 'PORT', description: '监听端口' }
+ * - type: string / int / bool / list（逗号分隔）/ path（相对路径：配置文件中的相对于配置文件所在目录，其余相对于当前目录）
+ * - env: 对应的环境变量；invert 为 true 时环境变量表示“关闭”（如 AUTH_DISABLED=1 → auth: false）
+ * - 命令行参数为配置项名的短横线形式：--ring-timeout 30000，布尔项用 --auth / --no-auth
+ * - 配置文件为 JSON，键名与配置项相同，通过 --config <file> 或 CONFIG_FILE 指定
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TRUE_VALUES = ['1', 'true', 'yes', 'on'];
+const FALSE_VALUES = ['0', 'false', 'no', 'off'];
+
+// ringTimeout → ring-timeout
+function toFlag(key) {
+    return key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+/**
+ * 按类型解析一个配置值
+ * @param {Object} option 配置表中的一项
+ * @param {*} value 字符串（环境变量、命令行）或 JSON 值（配置文件）
+ * @param {string} source 出错时提示的来源，如 "环境变量 PORT"
+ * @param {string} baseDir path 类型相对路径的基准目录
+ */
+function parseValue(option, value, source, baseDir) {
+    switch (option.type) {
+        case 'int': {
+            const number = typeof value === 'number' ? value : (/^\s*\d+\s*$/.test(value) ? parseInt(value, 10) : NaN);
+            if (!Number.isInteger(number) || number < 0) {
+                throw new Error(`${source} 需要非负整数，实际为 ${JSON.stringify(value)}`);
+            }
+            return number;
+        }
+        case 'bool': {
+            if (typeof value === 'boolean') return value;
+            const text = String(value).trim().toLowerCase();
+            if (TRUE_VALUES.includes(text)) return true;
+            if (FALSE_VALUES.includes(text)) return false;
+            throw new Error(`${source} 需要布尔值（1/0、true/false），实际为 ${JSON.stringify(value)}`);
+        }
+        case 'list': {
+            if (Array.isArray(value)) return value.map(String);
+            return String(value).split(',').map(item => item.trim()).filter(Boolean);
+        }
+        case 'path': {
+            if (typeof value !== 'string' || value === '') {
+                throw new Error(`${source} 需要文件路径`);
+            }
+            return path.resolve(baseDir, value);
+        }
+        default: {
+            if (typeof value !== 'string') {
+                throw new Error(`${source} 需要字符串，实际为 ${JSON.stringify(value)}`);
+            }
+            return value;
+        }
+    }
+}
+
+/**
+ * 配置表中的默认值
+ * @param {Object} schema
+ */
+function defaultConfig(schema) {
+    const config = {};
+    for (const [key, option] of Object.entries(schema)) {
+        config[key] = Array.isArray(option.default) ? option.default.slice() : option.default;
+    }
+    return config;
+}
+
+/**
+ * 解析命令行参数
+ * @returns {{configFile: string|undefined, help: boolean, values: Object}}
+ */
+function parseArgs(schema, argv) {
+    const flags = new Map(Object.keys(schema).map(key => [toFlag(key), key]));
+    const result = { configFile: undefined, help: false, values: {} };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h' || arg === '--help') {
+            result.help = true;
+            continue;
+        }
+        if (!arg.startsWith('--')) {
+            throw new Error(`无法识别的参数: ${arg}`);
+        }
+
+        // --name=value 或 --name value
+        const separator = arg.indexOf('=');
+        const name = separator === -1 ? arg.slice(2) : arg.slice(2, separator);
+        let value = separator === -1 ? undefined : arg.slice(separator + 1);
+
+        if (name === 'config') {
+            if (value === undefined) value = argv[++i];
+            if (!value) throw new Error('选项 --config 缺少参数');
+            result.configFile = value;
+            continue;
+        }
+
+        // --no-<name> 关闭布尔项
+        if (name.startsWith('no-') && value === undefined) {
+            const key = flags.get(name.slice(3));
+            if (key && schema[key].type === 'bool') {
+                result.values[key] = false;
+                continue;
+            }
+        }
+
+        const key = flags.get(name);
+        if (!key) {
+            throw new Error(`未知选项: --${name}`);
+        }
+
+        const option = schema[key];
+        if (option.type === 'bool' && value === undefined) {
+            result.values[key] = true;
+            continue;
+        }
+        if (value === undefined) value = argv[++i];
+        if (value === undefined) {
+            throw new Error(`选项 --${name} 缺少参数`);
+        }
+        result.values[key] = parseValue(option, value, `选项 --${name}`, process.cwd());
+    }
+    return result;
+}
+
+/**
+ * 读取 JSON 配置文件，未知的键视为错误（多半是拼写错误）
+ */
+function readConfigFile(schema, file) {
+    let content;
+    try {
+        content = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`读取配置文件失败 ${file}: ${error.message}`);
+    }
+    if (!content || typeof content !== 'object' || Array.isArray(content)) {
+        throw new Error(`配置文件 ${file} 需要是 JSON 对象`);
+    }
+
+    const values = {};
+    const baseDir = path.dirname(path.resolve(file));
+    for (const [key, value] of Object.entries(content)) {
+        if (!schema[key]) {
+            throw new Error(`配置文件 ${file} 中有未知的配置项: ${key}`);
+        }
+        // null 表示使用默认值
+        if (value === null) continue;
+        values[key] = parseValue(schema[key], value, `配置文件中的 ${key}`, baseDir);
+    }
+    return values;
+}
+
+/**
+ * 按优先级合并出最终配置
+ * @param {Object} schema 配置表
+ * @param {Object} [sources]
+ * @param {Object} [sources.env] 环境变量，默认不读取
+ * @param {string[]} [sources.argv] 命令行参数（不含 node 和脚本路径）
+ * @returns {Object} 配置；命令行带 --help 时返回 null
+ * @throws {Error} 配置项格式错误、未知选项或配置文件无法读取
+ */
+function resolveConfig(schema, sources = {}) {
+    const env = sources.env || {};
+    const args = parseArgs(schema, sources.argv || []);
+    if (args.help) return null;
+
+    const config = defaultConfig(schema);
+
+    const configFile = args.configFile || env.CONFIG_FILE;
+    if (configFile) {
+        Object.assign(config, readConfigFile(schema, configFile));
+    }
+
+    for (const [key, option] of Object.entries(schema)) {
+        const value = option.env ? env[option.env] : undefined;
+        if (value === undefined || value === '') continue;
+
+        const parsed = parseValue(option, value, `环境变量 ${option.env}`, process.cwd());
+        config[key] = option.invert ? !parsed : parsed;
+    }
+
+    Object.assign(config, args.values);
+    return config;
+}
+
+/**
+ * 生成 --help 中的配置项说明
+ */
+function formatOptions(schema) {
+    const lines = ['  --config <file>                 JSON 配置文件（环境变量 CONFIG_FILE）'];
+    for (const [key, option] of Object.entries(schema)) {
+        const flag = option.type === 'bool'
+            ? `--${option.default ? 'no-' : ''}${toFlag(key)}`
+            : `--${toFlag(key)} <${option.type === 'list' ? 'a,b' : option.type}>`;
+        const env = option.env ? `（环境变量 ${option.env}${option.invert ? '=1' : ''}）` : '';
+        lines.push(`  ${flag.padEnd(32)}${option.description || ''}${env}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * 读取 TLS 证书，未配置时返回 null
+ * @param {{tlsCert?: string, tlsKey?: string, tlsCa?: string}} config
+ */
+function loadTlsOptions(config) {
+    if (!config.tlsCert && !config.tlsKey) return null;
+    if (!config.tlsCert || !config.tlsKey) {
+        throw new Error('启用 TLS 需要同时配置 tlsCert 和 tlsKey');
+    }
+
+    try {
+        return {
+            cert: fs.readFileSync(config.tlsCert),
+            key: fs.readFileSync(config.tlsKey),
+            ca: config.tlsCa ? fs.readFileSync(config.tlsCa) : undefined
+        };
+    } catch (error) {
+        throw new Error(`读取 TLS 证书失败: ${error.message}`);
+    }
+}
+
+/**
+ * 按允许的来源列表计算 Access-Control-Allow-Origin，不允许时返回 null
+ * @param {string[]} allowed 允许的来源，含 '*' 时允许所有来源
+ * @param {string} [origin] 请求头 Origin
+ */
+function resolveCorsOrigin(allowed, origin) {
+    if (allowed.includes('*')) return '*';
+    if (origin && allowed.includes(origin)) return origin;
+    return null;
+}
+
+module.exports = {
+    resolveConfig,
+    defaultConfig,
+    formatOptions,
+    loadTlsOptions,
+    resolveCorsOrigin
+};
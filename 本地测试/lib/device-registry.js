@@ -0,0 +1,168 @@
+/**
+ * SimpleEyes 设备注册表
+ * 以 JSON 文件持久化设备信息，字段与 iOS Models.swift 中的 Device 保持一致
+ *
+ * 文件格式:
+ * {
+ *     "devices": [
+ *         {
+ *             "deviceId": "camera-01",
+ *             "name": "门口摄像头",
+ *             "model": "SE-CAM-100",
+ *             "type": "camera",
+ *             "registeredAt": "2025-01-01T08:00:00Z",
+ *             "lastHeartbeat": "2025-01-01T08:00:00Z",
+ *             "updateAt": null,
+ *             "stream": { "protocol": "hls", "url": "http://.../index.m3u8" },
+ *             "recordings": []
+ *         }
+ *     ]
+ * }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// iOS 端 ISO8601DateFormatter 默认不支持毫秒，统一输出到秒
+function toISO8601(date) {
+    return new Date(date).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+// 本地时区的 YYYY-MM-DD（录像按日期筛选用）
+function toLocalDate(date) {
+    const d = new Date(date);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+const DEFAULT_FLUSH_DELAY = 5000;
+
+/**
+ * 创建设备注册表
+ * 心跳时间只更新内存，最多每 flushDelay 毫秒合并写入一次文件；注册和更新字段立即写入
+ * @param {Object} options
+ * @param {string} options.file 注册表文件路径，不存在时自动创建
+ * @param {number} [options.flushDelay=5000] 心跳时间写入文件的延迟（毫秒）
+ */
+function createDeviceRegistry(options) {
+    const devices = new Map();
+    const flushDelay = options.flushDelay === undefined ? DEFAULT_FLUSH_DELAY : options.flushDelay;
+
+    // 尚未写入文件的心跳时间对应的计时器；close() 之后不再写入
+    let flushTimer = null;
+    let closed = false;
+
+    function load() {
+        if (!fs.existsSync(options.file)) return;
+
+        try {
+            const content = JSON.parse(fs.readFileSync(options.file, 'utf8'));
+            for (const device of content.devices || []) {
+                devices.set(device.deviceId, device);
+            }
+        } catch (error) {
+            logger.warn('⚠️  读取设备注册表失败', { err: error });
+        }
+    }
+
+    // 先写临时文件再重命名，避免写到一半时进程退出导致文件损坏
+    function save() {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        if (closed) return;
+
+        const content = JSON.stringify({ devices: Array.from(devices.values()) }, null, 2);
+        const tmpFile = `${options.file}.tmp`;
+        fs.mkdirSync(path.dirname(options.file), { recursive: true });
+        fs.writeFileSync(tmpFile, content);
+        fs.renameSync(tmpFile, options.file);
+    }
+
+    function scheduleFlush() {
+        if (flushTimer || closed) return;
+        flushTimer = setTimeout(() => {
+            flushTimer = null;
+            try {
+                save();
+            } catch (error) {
+                logger.error('❌ 保存设备注册表失败', { err: error });
+            }
+        }, flushDelay);
+        flushTimer.unref();
+    }
+
+    function flush() {
+        if (flushTimer) save();
+    }
+
+    load();
+
+    return {
+        list() {
+            return Array.from(devices.values());
+        },
+
+        get(deviceId) {
+            return devices.get(deviceId) || null;
+        },
+
+        // 注册设备，已存在时直接返回
+        register(deviceId, fields) {
+            let device = devices.get(deviceId);
+            if (device) return device;
+
+            const now = toISO8601(Date.now());
+            device = {
+                deviceId: deviceId,
+                name: `设备 ${deviceId}`,
+                model: 'unknown',
+                type: null,
+                registeredAt: now,
+                lastHeartbeat: now,
+                updateAt: null,
+                stream: null,
+                recordings: [],
+                ...fields
+            };
+            devices.set(deviceId, device);
+            save();
+            return device;
+        },
+
+        // 更新设备字段，设备不存在时返回 null
+        update(deviceId, fields) {
+            const device = devices.get(deviceId);
+            if (!device) return null;
+
+            Object.assign(device, fields, { updateAt: toISO8601(Date.now()) });
+            save();
+            return device;
+        },
+
+        // 记录心跳时间（延迟写入文件）
+        touch(deviceId, date) {
+            const device = devices.get(deviceId);
+            if (!device) return null;
+
+            device.lastHeartbeat = toISO8601(date || Date.now());
+            scheduleFlush();
+            return device;
+        },
+
+        // 立即写入尚未保存的心跳时间
+        flush: flush,
+
+        // 写入尚未保存的内容，之后的修改只保留在内存中（服务器关闭时调用）
+        close() {
+            flush();
+            closed = true;
+        }
+    };
+}
+
+module.exports = {
+    createDeviceRegistry,
+    toISO8601,
+    toLocalDate
+};
@@ -0,0 +1,246 @@
+/**
+ * SimpleEyes 对讲音频分帧协议
+ *
+ * 连接后先发送 negotiate 控制消息协商编码，之后该连接上的每个二进制帧都带 10 字节帧头（多字节字段为大端）：
+ *
+ *   0         1         2         3         4-5         6-9
+ * +---------+---------+---------+---------+-----------+-----------------+
+ * | version |  codec  |  flags  | 保留(0) | sequence  | timestamp (ms)  |
+ * +---------+---------+---------+---------+-----------+-----------------+
+ *
+ * - version: 当前为 1
+ * - codec: 1 = AAC-LC 裸帧，2 = Opus，3 = PCM16（有符号 16 位小端，多声道交错）
+ * - flags: bit0 一段讲话的第一帧，bit1 一段讲话的最后一帧
+ * - sequence: 每帧加 1，65535 之后回到 0
+ * - timestamp: 采集时间（毫秒，相对发送方自己选择的起点，按 uint32 回绕）
+ *
+ * 没有协商的连接按旧协议处理：二进制帧为不带帧头的 16kHz 单声道 AAC-LC 裸帧
+ */
+
+const FRAME_VERSION = 1;
+const HEADER_SIZE = 10;
+
+const FLAGS = {
+    START: 0x01,
+    END: 0x02
+};
+
+// 支持的编码及采样率
+const CODECS = {
+    aac: { id: 1, sampleRates: [8000, 16000, 22050, 24000, 32000, 44100, 48000] },
+    opus: { id: 2, sampleRates: [8000, 12000, 16000, 24000, 48000] },
+    pcm16: { id: 3, sampleRates: [8000, 16000, 24000, 32000, 44100, 48000] }
+};
+
+// 未协商的连接（旧客户端）发送的音频
+const LEGACY_CODEC = { name: 'aac', sampleRate: 16000, channels: 1 };
+
+const CODEC_NAMES = Object.fromEntries(Object.entries(CODECS).map(([name, codec]) => [codec.id, name]));
+
+const SEQUENCE_MOD = 0x10000;
+
+/**
+ * 编码一帧
+ * @param {{codec: string, sequence: number, timestamp: number, flags?: number}} header
+ * @param {Buffer} payload
+ * @returns {Buffer}
+ */
+function encodeFrame(header, payload) {
+    const codec = CODECS[header.codec];
+    if (!codec) {
+        throw new Error(`不支持的音频编码: ${header.codec}`);
+    }
+
+    const frame = Buffer.alloc(HEADER_SIZE + payload.length);
+    frame[0] = FRAME_VERSION;
+    frame[1] = codec.id;
+    frame[2] = header.flags || 0;
+    frame.writeUInt16BE(((header.sequence % SEQUENCE_MOD) + SEQUENCE_MOD) % SEQUENCE_MOD, 4);
+    frame.writeUInt32BE(header.timestamp >>> 0, 6);
+    payload.copy(frame, HEADER_SIZE);
+    return frame;
+}
+
+/**
+ * 解析一帧
+ * @param {Buffer} frame
+ * @returns {{version: number, codec: string, flags: number, sequence: number, timestamp: number, payload: Buffer}}
+ * @throws {Error} 帧过短、版本或编码未知
+ */
+function decodeFrame(frame) {
+    if (frame.length < HEADER_SIZE) {
+        throw new Error(`帧长度 ${frame.length} 小于帧头长度 ${HEADER_SIZE}`);
+    }
+    if (frame[0] !== FRAME_VERSION) {
+        throw new Error(`不支持的帧版本: ${frame[0]}`);
+    }
+    const codec = CODEC_NAMES[frame[1]];
+    if (!codec) {
+        throw new Error(`未知的编码 ID: ${frame[1]}`);
+    }
+
+    return {
+        version: frame[0],
+        codec: codec,
+        flags: frame[2],
+        sequence: frame.readUInt16BE(4),
+        timestamp: frame.readUInt32BE(6),
+        payload: frame.subarray(HEADER_SIZE)
+    };
+}
+
+function sameCodec(a, b) {
+    return a.name === b.name && a.sampleRate === b.sampleRate && a.channels === b.channels;
+}
+
+/**
+ * 从客户端提供的编码列表（按偏好排序）中选出一个
+ * 对端已协商的编码在列表中时优先选它，避免转发时需要转码
+ * @param {Array<{name: string, sampleRate: number, channels?: number}>} offers
+ * @param {Object} [preferred] 对端使用的编码
+ * @returns {{name, sampleRate, channels}|null} 没有支持的编码时返回 null
+ * @throws {Error} offers 格式错误
+ */
+function negotiateCodec(offers, preferred) {
+    if (!Array.isArray(offers) || offers.length === 0) {
+        throw new Error('codecs must be a non-empty array');
+    }
+
+    const supported = [];
+    for (const offer of offers) {
+        if (!offer || typeof offer !== 'object' || typeof offer.name !== 'string' || !Number.isInteger(offer.sampleRate)) {
+            throw new Error('each codec needs a name and an integer sampleRate');
+        }
+        const channels = offer.channels === undefined ? 1 : offer.channels;
+        const codec = CODECS[offer.name.toLowerCase()];
+        if (codec && codec.sampleRates.includes(offer.sampleRate) && [1, 2].includes(channels)) {
+            supported.push({ name: offer.name.toLowerCase(), sampleRate: offer.sampleRate, channels: channels });
+        }
+    }
+
+    if (preferred) {
+        const match = supported.find(codec => sameCodec(codec, preferred));
+        if (match) return match;
+    }
+    return supported[0] || null;
+}
+
+/**
+ * PCM16 采样率 / 声道转换（线性插值，立体声转单声道取平均）
+ * @param {Buffer} payload
+ * @param {{sampleRate: number, channels: number}} from
+ * @param {{sampleRate: number, channels: number}} to
+ * @returns {Buffer}
+ */
+function convertPcm16(payload, from, to) {
+    const inFrames = Math.floor(payload.length / (2 * from.channels));
+    if (inFrames === 0) return Buffer.alloc(0);
+    const outFrames = Math.max(1, Math.round(inFrames * to.sampleRate / from.sampleRate));
+    const output = Buffer.alloc(outFrames * 2 * to.channels);
+
+    // 第 frame 个采样点在 channel 声道的值，转单声道时取各声道平均
+    const sampleAt = (frame, channel) => {
+        if (to.channels === 1 && from.channels > 1) {
+            let sum = 0;
+            for (let c = 0; c < from.channels; c++) sum += payload.readInt16LE((frame * from.channels + c) * 2);
+            return sum / from.channels;
+        }
+        return payload.readInt16LE((frame * from.channels + Math.min(channel, from.channels - 1)) * 2);
+    };
+
+    for (let i = 0; i < outFrames; i++) {
+        const position = i * from.sampleRate / to.sampleRate;
+        const index = Math.min(Math.floor(position), inFrames - 1);
+        const next = Math.min(index + 1, inFrames - 1);
+        const fraction = position - index;
+        for (let channel = 0; channel < to.channels; channel++) {
+            const value = sampleAt(index, channel) * (1 - fraction) + sampleAt(next, channel) * fraction;
+            output.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(value))), (i * to.channels + channel) * 2);
+        }
+    }
+    return output;
+}
+
+/**
+ * 单个音频流的接收统计（按 RFC 3550 的方法计算丢包和抖动）
+ * - packetsLost: 按序号推算应收帧数减去实收帧数，迟到的帧到达后会抵消
+ * - reordered: 序号小于已收到的最大序号的帧（迟到）
+ * - duplicates: 与最大序号重复的帧
+ * - jitter: 到达间隔与采集时间间隔之差的平滑平均（毫秒）
+ */
+function createStreamStats() {
+    let baseSequence = null;
+    let maxSequence = 0;
+    let cycles = 0;
+    let received = 0;
+    let reordered = 0;
+    let duplicates = 0;
+    let jitter = 0;
+    let lastTransit = null;
+
+    return {
+        /**
+         * 记录收到的一帧
+         * @param {number} sequence
+         * @param {number} timestamp 帧头中的采集时间（毫秒）
+         * @param {number} [arrival=Date.now()] 到达时间
+         */
+        update(sequence, timestamp, arrival = Date.now()) {
+            received += 1;
+            if (baseSequence === null) {
+                baseSequence = sequence;
+                maxSequence = sequence;
+            } else {
+                const delta = (sequence - maxSequence + SEQUENCE_MOD) % SEQUENCE_MOD;
+                if (delta === 0) {
+                    duplicates += 1;
+                    return;
+                }
+                if (delta < SEQUENCE_MOD / 2) {
+                    if (sequence < maxSequence) cycles += SEQUENCE_MOD;
+                    maxSequence = sequence;
+                } else {
+                    reordered += 1;
+                }
+            }
+
+            const transit = arrival - timestamp;
+            if (lastTransit !== null) {
+                jitter += (Math.abs(transit - lastTransit) - jitter) / 16;
+            }
+            lastTransit = transit;
+        },
+
+        /**
+         * 统计快照: {packetsReceived, packetsExpected, packetsLost, lossRate, reordered, duplicates, jitter, lastSequence}
+         */
+        snapshot() {
+            const expected = baseSequence === null ? 0 : cycles + maxSequence - baseSequence + 1;
+            const lost = Math.max(expected - (received - duplicates), 0);
+            return {
+                packetsReceived: received,
+                packetsExpected: expected,
+                packetsLost: lost,
+                lossRate: expected > 0 ? Number((lost / expected).toFixed(4)) : 0,
+                reordered: reordered,
+                duplicates: duplicates,
+                jitter: Number(jitter.toFixed(2)),
+                lastSequence: baseSequence === null ? null : maxSequence
+            };
+        }
+    };
+}
+
+module.exports = {
+    FRAME_VERSION,
+    HEADER_SIZE,
+    FLAGS,
+    CODECS,
+    LEGACY_CODEC,
+    encodeFrame,
+    decodeFrame,
+    sameCodec,
+    negotiateCodec,
+    convertPcm16,
+    createStreamStats
+};
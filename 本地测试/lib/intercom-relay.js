@@ -0,0 +1,665 @@
+/**
+ * SimpleEyes 语音对讲转发
+ * App 端和设备端按 deviceId 配对，一端发来的二进制音频帧原样转发给另一端
+ * 连接以 deviceId_role 为键，role 来自 x-role 请求头（app / device）；启用鉴权时以 Token 中的角色为准
+ *
+ * 话权（push-to-talk）：连接上的 JSON 文本消息用于申请和释放话权
+ * - 每个 deviceId（频道）一个话权，有人持有时只转发持有者的音频，其他人的帧被丢弃
+ * - 以 ?mode=ptt 连接的频道为半双工：没有人持有话权时谁的音频都不转发；默认全双工，与旧客户端兼容
+ * - 优先级（0-9）更高的申请抢占当前持有者，持有者收到 floor-revoked
+ * 广播寻呼（paging）：设备端加入寻呼组，App 持有组话权期间发出的音频转发给组内所有设备
+ * 话权变化以 floor-state 通知频道 / 组内的所有连接
+ * 接入时可传入权限（见 handleConnection）：没有发言权限的连接只能收听，寻呼时只转发给有权限的设备
+ *
+ * 编码协商：连接发送 negotiate 后，二进制帧带分帧协议的帧头（见 intercom-audio），服务器据此统计每路音频的丢包、乱序和抖动
+ * - 未协商的旧客户端收到的帧去掉帧头，已协商的连接收到旧客户端的帧时由服务器补上帧头
+ * - 两端编码不同时：PCM16 之间转换采样率和声道，其他组合原样转发（接收方可从帧头得知编码）
+ *
+ * 开启录制时，每个连接收到的 AAC 音频（没有话权而丢弃的除外）写成一段 ADTS/.aac 录音（见 recording-store）
+ */
+
+const WebSocket = require('ws');
+const { toISO8601 } = require('./device-registry');
+const { logger } = require('./logger');
+const {
+    FRAME_VERSION,
+    HEADER_SIZE,
+    LEGACY_CODEC,
+    encodeFrame,
+    decodeFrame,
+    sameCodec,
+    negotiateCodec,
+    convertPcm16,
+    createStreamStats
+} = require('./intercom-audio');
+
+const MAX_PRIORITY = 9;
+const MAX_GROUP_ID_LENGTH = 64;
+const MAX_CONTROL_MESSAGE_SIZE = 1024;
+
+/**
+ * 创建对讲转发服务
+ * @param {Object} options
+ * @param {Object} [options.recordingStore] 录像存储，不传则不录制
+ * @param {number} [options.idleTimeout=10000] 超过该时长没有音频即结束当前录音，下一帧开始新的一段
+ */
+function createIntercomRelay(options) {
+    const recordingStore = options.recordingStore || null;
+    const idleTimeout = options.idleTimeout || 10000;
+
+    // 存储连接的客户端: Map<deviceId_role, WebSocket>
+    const clients = new Map();
+
+    // 连接属性: Map<deviceId_role, {deviceId, role, ptt, groups: Set<groupId>, codec, stream, access, ...}>
+    // codec 为协商的编码，null 表示旧客户端（不带帧头）；access 为接入时传入的权限，null 表示不限制
+    const participants = new Map();
+
+    // 当前话权: Map<scopeKey, {holderKey, priority, grantedAt}>
+    // scopeKey 为 channel:<deviceId> 或 group:<groupId>
+    const floors = new Map();
+
+    // 寻呼组成员（设备端连接）: Map<groupId, Set<deviceId_role>>
+    const groups = new Map();
+
+    // 进行中的对讲录音: Map<deviceId_role, {entry, idleTimer}>
+    const sessions = new Map();
+
+    // 累计转发统计（供 /metrics）
+    const counters = {
+        bytesRelayed: 0,
+        framesRelayed: 0,
+        framesDropped: 0,    // 对端未连接时丢弃的帧
+        framesBlocked: 0,    // 没有话权而丢弃的帧
+        framesMalformed: 0,  // 帧头无法解析或与协商的编码不符
+        framesTranscoded: 0, // 为目标连接转换过编码参数的帧
+        codecMismatches: 0   // 两端编码不同又无法转换、原样转发的帧
+    };
+
+    // 结束一段对讲录音
+    function stopRecording(clientKey) {
+        const session = sessions.get(clientKey);
+        if (!session) return Promise.resolve();
+
+        sessions.delete(clientKey);
+        clearTimeout(session.idleTimer);
+        return session.entry.close();
+    }
+
+    // 记录一帧对讲音频，没有进行中的录音时开始新的一段
+    function recordAudio(clientKey, deviceId, role, codec, data) {
+        let session = sessions.get(clientKey);
+        if (!session) {
+            session = {
+                entry: recordingStore.startAacRecording({
+                    deviceId: deviceId,
+                    kind: 'intercom',
+                    source: role
+                }, { sampleRate: codec.sampleRate, channels: codec.channels }),
+                idleTimer: null
+            };
+            sessions.set(clientKey, session);
+        }
+
+        session.entry.write(data);
+        clearTimeout(session.idleTimer);
+        session.idleTimer = setTimeout(() => stopRecording(clientKey), idleTimeout);
+    }
+
+    function sendControl(clientKey, message) {
+        const ws = clients.get(clientKey);
+        if (ws && ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify(message));
+        }
+    }
+
+    function holderOf(floor) {
+        const participant = floor ? participants.get(floor.holderKey) : null;
+        return participant ? { deviceId: participant.deviceId, role: participant.role } : null;
+    }
+
+    // 话权状态（floor-state 消息和 HTTP 接口使用）
+    function describeFloor(scopeKey) {
+        const floor = floors.get(scopeKey);
+        const scope = scopeKey.slice(0, scopeKey.indexOf(':'));
+        const id = scopeKey.slice(scope.length + 1);
+        return {
+            scope: scope,
+            [scope === 'group' ? 'groupId' : 'deviceId']: id,
+            holder: holderOf(floor),
+            priority: floor ? floor.priority : null,
+            since: floor ? toISO8601(floor.grantedAt) : null
+        };
+    }
+
+    // 话权范围内的连接：频道为该 deviceId 的两端，寻呼组为组内设备和当前寻呼方
+    function scopeMembers(scopeKey) {
+        const id = scopeKey.slice(scopeKey.indexOf(':') + 1);
+        const members = new Set();
+        if (scopeKey.startsWith('channel:')) {
+            for (const role of ['app', 'device']) {
+                if (clients.has(`${id}_${role}`)) members.add(`${id}_${role}`);
+            }
+        } else {
+            for (const member of groups.get(id) || []) members.add(member);
+            const floor = floors.get(scopeKey);
+            if (floor) members.add(floor.holderKey);
+        }
+        return members;
+    }
+
+    function broadcastFloor(scopeKey, extraMembers = []) {
+        const message = { type: 'floor-state', ...describeFloor(scopeKey) };
+        for (const member of new Set([...scopeMembers(scopeKey), ...extraMembers])) {
+            sendControl(member, message);
+        }
+    }
+
+    /**
+     * 申请话权；已持有时更新优先级。优先级高于当前持有者时抢占
+     * @returns {boolean} 是否获得话权
+     */
+    function requestFloor(clientKey, scopeKey, priority, ref) {
+        const current = floors.get(scopeKey);
+        if (current && current.holderKey !== clientKey && priority <= current.priority) {
+            sendControl(clientKey, { type: 'floor-denied', ...describeFloor(scopeKey), ref: ref });
+            return false;
+        }
+
+        const previous = current && current.holderKey !== clientKey ? current.holderKey : null;
+        floors.set(scopeKey, {
+            holderKey: clientKey,
+            priority: priority,
+            grantedAt: current && !previous ? current.grantedAt : Date.now()
+        });
+
+        const granted = describeFloor(scopeKey);
+        if (previous) {
+            sendControl(previous, { type: 'floor-revoked', ...granted, by: granted.holder });
+            logger.info(`📢 话权被抢占: ${scopeKey} ${previous} → ${clientKey} (优先级 ${priority})`);
+        }
+        sendControl(clientKey, { type: 'floor-granted', ...granted, ref: ref });
+        broadcastFloor(scopeKey, previous ? [previous] : []);
+        return true;
+    }
+
+    // 释放话权（只有持有者可以释放）
+    function releaseFloor(clientKey, scopeKey) {
+        const floor = floors.get(scopeKey);
+        if (!floor || floor.holderKey !== clientKey) return false;
+
+        floors.delete(scopeKey);
+        broadcastFloor(scopeKey, [clientKey]);
+        return true;
+    }
+
+    function leaveGroup(clientKey, groupId) {
+        const members = groups.get(groupId);
+        if (!members || !members.delete(clientKey)) return false;
+        if (members.size === 0) groups.delete(groupId);
+        participants.get(clientKey).groups.delete(groupId);
+        return true;
+    }
+
+    function sendControlError(clientKey, code, message, ref) {
+        sendControl(clientKey, { type: 'error', code: code, message: message, ref: ref });
+    }
+
+    // 该连接能否向 deviceId 的设备发言，结果按连接缓存（权限检查需要读取密钥文件）
+    function canTalkTo(clientKey, deviceId) {
+        const participant = participants.get(clientKey);
+        if (!participant.access) return true;
+        if (!participant.talkable.has(deviceId)) {
+            participant.talkable.set(deviceId, Boolean(participant.access.canTalkTo(deviceId)));
+        }
+        return participant.talkable.get(deviceId);
+    }
+
+    function parsePriority(value) {
+        if (value === undefined) return 0;
+        return Number.isInteger(value) && value >= 0 && value <= MAX_PRIORITY ? value : null;
+    }
+
+    function validGroupId(groupId) {
+        return typeof groupId === 'string' && groupId.length > 0 && groupId.length <= MAX_GROUP_ID_LENGTH;
+    }
+
+    // 处理文本控制消息
+    function handleControl(clientKey, text) {
+        const participant = participants.get(clientKey);
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            sendControlError(clientKey, 'invalid-json', error.message, null);
+            return;
+        }
+        if (!data || typeof data !== 'object' || typeof data.type !== 'string') {
+            sendControlError(clientKey, 'invalid-message', 'message must be a JSON object with type', null);
+            return;
+        }
+
+        const ref = typeof data.id === 'string' ? data.id : data.type;
+        const priority = parsePriority(data.priority);
+        if (priority === null) {
+            sendControlError(clientKey, 'invalid-field', `priority must be an integer between 0 and ${MAX_PRIORITY}`, ref);
+            return;
+        }
+        const needsGroup = ['join-group', 'leave-group', 'page-start', 'page-stop'].includes(data.type);
+        if (needsGroup && !validGroupId(data.groupId)) {
+            sendControlError(clientKey, 'invalid-field', 'groupId is required', ref);
+            return;
+        }
+
+        switch (data.type) {
+            case 'negotiate':
+                negotiate(clientKey, data.codecs, ref);
+                break;
+
+            case 'floor-request':
+                if (!canTalkTo(clientKey, participant.deviceId)) {
+                    sendControlError(clientKey, 'forbidden', `no talk permission for ${participant.deviceId}`, ref);
+                    break;
+                }
+                requestFloor(clientKey, `channel:${participant.deviceId}`, priority, ref);
+                break;
+
+            case 'floor-release':
+                releaseFloor(clientKey, `channel:${participant.deviceId}`);
+                break;
+
+            case 'join-group': {
+                // 只有设备端接收寻呼
+                if (participant.role !== 'device') {
+                    sendControlError(clientKey, 'forbidden', 'only devices can join paging groups', ref);
+                    break;
+                }
+                if (!groups.has(data.groupId)) groups.set(data.groupId, new Set());
+                groups.get(data.groupId).add(clientKey);
+                participant.groups.add(data.groupId);
+                sendControl(clientKey, {
+                    type: 'group-joined',
+                    groupId: data.groupId,
+                    members: groups.get(data.groupId).size,
+                    floor: describeFloor(`group:${data.groupId}`),
+                    ref: ref
+                });
+                break;
+            }
+
+            case 'leave-group':
+                leaveGroup(clientKey, data.groupId);
+                sendControl(clientKey, { type: 'group-left', groupId: data.groupId, ref: ref });
+                break;
+
+            case 'page-start': {
+                // App 向寻呼组广播
+                if (participant.role !== 'app') {
+                    sendControlError(clientKey, 'forbidden', 'only apps can page a group', ref);
+                    break;
+                }
+                const members = groups.get(data.groupId);
+                if (!members || members.size === 0) {
+                    sendControlError(clientKey, 'empty-group', `no devices in group ${data.groupId}`, ref);
+                    break;
+                }
+                if (!Array.from(members).some(member => canTalkTo(clientKey, participants.get(member).deviceId))) {
+                    sendControlError(clientKey, 'forbidden', `no talk permission for any device in group ${data.groupId}`, ref);
+                    break;
+                }
+                if (requestFloor(clientKey, `group:${data.groupId}`, priority, ref)) {
+                    logger.info(`📢 开始寻呼: 组=${data.groupId} ${clientKey} (${members.size} 台设备)`);
+                }
+                break;
+            }
+
+            case 'page-stop':
+                releaseFloor(clientKey, `group:${data.groupId}`);
+                break;
+
+            default:
+                sendControlError(clientKey, 'unknown-type', `unknown message type: ${data.type}`, ref);
+        }
+    }
+
+    // 对端（频道另一端）协商的编码
+    function peerCodec(clientKey) {
+        const { deviceId, role } = participants.get(clientKey);
+        const peer = participants.get(`${deviceId}_${role === 'app' ? 'device' : 'app'}`);
+        return peer ? peer.codec : null;
+    }
+
+    // 协商编码，之后该连接的二进制帧须带帧头；重新协商时重置接收统计
+    function negotiate(clientKey, offers, ref) {
+        const participant = participants.get(clientKey);
+        let codec;
+        try {
+            codec = negotiateCodec(offers, peerCodec(clientKey));
+        } catch (error) {
+            sendControlError(clientKey, 'invalid-field', error.message, ref);
+            return;
+        }
+        if (!codec) {
+            sendControlError(clientKey, 'unsupported-codec', 'none of the offered codecs is supported', ref);
+            return;
+        }
+
+        // 编码参数变了，当前录音不能再续写
+        if (participant.codec && !sameCodec(participant.codec, codec)) {
+            stopRecording(clientKey);
+        }
+        participant.codec = codec;
+        participant.stream = createStreamStats();
+        sendControl(clientKey, {
+            type: 'negotiated',
+            codec: codec,
+            framing: { version: FRAME_VERSION, headerSize: HEADER_SIZE },
+            peer: peerCodec(clientKey),
+            ref: ref
+        });
+        logger.info(`🎚️  对讲编码协商: ${clientKey} → ${codec.name}/${codec.sampleRate}/${codec.channels}`);
+    }
+
+    /**
+     * 解析收到的二进制帧，统一为 {codec, flags, sequence, timestamp, payload}
+     * 旧客户端的帧由服务器编号；已协商的连接帧头无效时返回 null
+     */
+    function readFrame(clientKey, data) {
+        const participant = participants.get(clientKey);
+        if (!participant.codec) {
+            participant.framesReceived += 1;
+            return {
+                codec: LEGACY_CODEC.name,
+                flags: 0,
+                sequence: participant.framesReceived - 1,
+                timestamp: Date.now() - participant.connectedAt,
+                payload: data
+            };
+        }
+
+        let frame;
+        try {
+            frame = decodeFrame(data);
+            if (frame.codec !== participant.codec.name) {
+                throw new Error(`帧头编码 ${frame.codec} 与协商的 ${participant.codec.name} 不符`);
+            }
+        } catch (error) {
+            counters.framesMalformed += 1;
+            // 每个连接只提示一次，避免每帧都回错误
+            if (!participant.malformedReported) {
+                participant.malformedReported = true;
+                sendControlError(clientKey, 'invalid-frame', error.message, null);
+            }
+            return null;
+        }
+
+        participant.framesReceived += 1;
+        participant.stream.update(frame.sequence, frame.timestamp);
+        return frame;
+    }
+
+    // 按目标连接的编码调整帧：旧客户端去掉帧头，已协商的连接带帧头；两端都是 PCM16 时转换采样率和声道
+    function adaptFrame(sender, data, frame, target) {
+        const sourceCodec = sender.codec || LEGACY_CODEC;
+        const targetCodec = target.codec || LEGACY_CODEC;
+        let payload = frame.payload;
+        let converted = false;
+
+        if (!sameCodec(sourceCodec, targetCodec)) {
+            if (sourceCodec.name === 'pcm16' && targetCodec.name === 'pcm16') {
+                payload = convertPcm16(payload, sourceCodec, targetCodec);
+                counters.framesTranscoded += 1;
+                converted = true;
+            } else {
+                counters.codecMismatches += 1;
+            }
+        }
+
+        if (!target.codec) return payload;
+        if (sender.codec && !converted) return data;
+        return encodeFrame(frame, payload);
+    }
+
+    // 转发一帧音频，返回转发到的连接数
+    function relayFrame(clientKey, data, frame) {
+        // 持有寻呼组话权时广播给组内所有（有发言权限的）设备
+        const targets = new Set();
+        for (const [scopeKey, floor] of floors) {
+            if (floor.holderKey === clientKey && scopeKey.startsWith('group:')) {
+                for (const member of groups.get(scopeKey.slice('group:'.length)) || []) {
+                    if (canTalkTo(clientKey, participants.get(member).deviceId)) targets.add(member);
+                }
+            }
+        }
+
+        const sender = participants.get(clientKey);
+        if (targets.size === 0 && canTalkTo(clientKey, sender.deviceId)) {
+            const targetRole = sender.role === 'app' ? 'device' : 'app';
+            targets.add(`${sender.deviceId}_${targetRole}`);
+        }
+
+        // 寻呼时多个目标编码相同，只调整一次
+        const adapted = new Map();
+        let delivered = 0;
+        for (const targetKey of targets) {
+            const target = clients.get(targetKey);
+            if (target && target.readyState === WebSocket.OPEN) {
+                const participant = participants.get(targetKey);
+                const codec = participant.codec || LEGACY_CODEC;
+                const variant = `${Boolean(participant.codec)}:${codec.name}/${codec.sampleRate}/${codec.channels}`;
+                if (!adapted.has(variant)) adapted.set(variant, adaptFrame(sender, data, frame, participant));
+                const output = adapted.get(variant);
+
+                target.send(output, { binary: true });
+                counters.bytesRelayed += output.length;
+                counters.framesRelayed += 1;
+                delivered += 1;
+            }
+        }
+        if (delivered === 0) {
+            counters.framesDropped += 1;
+        }
+        return delivered;
+    }
+
+    // 当前是否允许该连接发言：寻呼中的 App 总是允许，其余按发言权限和所在频道的话权
+    function mayTalk(clientKey) {
+        for (const [scopeKey, floor] of floors) {
+            if (floor.holderKey === clientKey && scopeKey.startsWith('group:')) return true;
+        }
+
+        const { deviceId } = participants.get(clientKey);
+        if (!canTalkTo(clientKey, deviceId)) return false;
+
+        const floor = floors.get(`channel:${deviceId}`);
+        if (floor) return floor.holderKey === clientKey;
+
+        // 半双工频道没有人持有话权时不转发
+        return !['app', 'device'].some(role => {
+            const participant = participants.get(`${deviceId}_${role}`);
+            return participant && participant.ptt;
+        });
+    }
+
+    return {
+        /**
+         * 接入一条对讲连接
+         * @param {WebSocket} ws
+         * @param {http.IncomingMessage} req 升级请求，需带 ?deviceId= 和 x-role 头，可带 ?mode=ptt
+         * @param {{role: string, canTalkTo: function(string): boolean}} [access] 连接方身份和发言权限：
+         *     role 为 Token 中的角色（优先于 x-role 头），canTalkTo 判断能否向指定设备发言（含寻呼），不传则不限制
+         */
+        handleConnection(ws, req, access) {
+            const url = new URL(req.url, 'http://localhost');
+            const deviceId = url.searchParams.get('deviceId');
+            const role = (access && access.role) || req.headers['x-role'] || 'unknown'; // 'app' 或 'device'
+
+            if (!deviceId) {
+                logger.info('❌ 对讲连接被拒绝: 缺少 deviceId 参数');
+                ws.close();
+                return;
+            }
+
+            const clientKey = `${deviceId}_${role}`;
+
+            // 同一端重复连接时关闭旧连接（新连接沿用话权和已加入的寻呼组）
+            const previous = clients.get(clientKey);
+            if (previous && previous !== ws) {
+                previous.close(4000, 'replaced');
+            }
+            const previousParticipant = participants.get(clientKey);
+            clients.set(clientKey, ws);
+            participants.set(clientKey, {
+                deviceId: deviceId,
+                role: role,
+                ptt: url.searchParams.get('mode') === 'ptt',
+                groups: previousParticipant ? previousParticipant.groups : new Set(),
+                codec: null,
+                stream: null,
+                framesReceived: 0,
+                malformedReported: false,
+                connectedAt: Date.now(),
+                access: access && access.canTalkTo ? access : null,
+                talkable: new Map()
+            });
+
+            const log = logger.child({ deviceId: deviceId, role: role });
+            log.info(`✅ 对讲连接: [${role}] 设备ID=${deviceId} (对讲连接数: ${clients.size})`);
+
+            // 频道已有人持有话权时告知新连接
+            if (floors.has(`channel:${deviceId}`)) {
+                sendControl(clientKey, { type: 'floor-state', ...describeFloor(`channel:${deviceId}`) });
+            }
+
+            ws.on('message', (data, isBinary) => {
+                if (clients.get(clientKey) !== ws) return;
+
+                // 文本消息为话权和寻呼控制
+                if (!isBinary) {
+                    if (data.length > MAX_CONTROL_MESSAGE_SIZE) {
+                        sendControlError(clientKey, 'too-large', `message exceeds ${MAX_CONTROL_MESSAGE_SIZE} bytes`, null);
+                        return;
+                    }
+                    handleControl(clientKey, data.toString());
+                    return;
+                }
+
+                const frame = readFrame(clientKey, data);
+                if (!frame) return;
+
+                if (!mayTalk(clientKey)) {
+                    counters.framesBlocked += 1;
+                    return;
+                }
+
+                // 录音只支持 AAC
+                const codec = participants.get(clientKey).codec || LEGACY_CODEC;
+                if (recordingStore && codec.name === 'aac') {
+                    recordAudio(clientKey, deviceId, role, codec, frame.payload);
+                }
+
+                // 转发音频数据到对应的目标端
+                relayFrame(clientKey, data, frame);
+            });
+
+            ws.on('close', () => {
+                // 被新连接替换时不影响新连接
+                if (clients.get(clientKey) !== ws) return;
+
+                // 释放持有的话权、退出寻呼组
+                for (const [scopeKey, floor] of Array.from(floors.entries())) {
+                    if (floor.holderKey === clientKey) releaseFloor(clientKey, scopeKey);
+                }
+                for (const groupId of Array.from(participants.get(clientKey).groups)) {
+                    leaveGroup(clientKey, groupId);
+                }
+
+                clients.delete(clientKey);
+                participants.delete(clientKey);
+                stopRecording(clientKey);
+                log.info(`❌ 对讲断开: [${role}] 设备ID=${deviceId} (剩余对讲连接: ${clients.size})`);
+            });
+
+            ws.on('error', (error) => {
+                log.warn(`⚠️  对讲错误 [${role}] 设备ID=${deviceId}`, { err: error });
+            });
+        },
+
+        /**
+         * 当前对讲连接: [{deviceId, role, open}]
+         */
+        list() {
+            return Array.from(clients.entries()).map(([key, ws]) => {
+                const separator = key.lastIndexOf('_');
+                return {
+                    deviceId: key.slice(0, separator),
+                    role: key.slice(separator + 1),
+                    open: ws.readyState === WebSocket.OPEN
+                };
+            });
+        },
+
+        /**
+         * 当前话权持有情况（只列出有人持有的）: [{scope, deviceId | groupId, holder, priority, since}]
+         */
+        floors() {
+            return Array.from(floors.keys()).map(describeFloor);
+        },
+
+        /**
+         * 寻呼组: [{groupId, members: [deviceId], floor}]
+         */
+        groups() {
+            return Array.from(groups.entries()).map(([groupId, members]) => ({
+                groupId: groupId,
+                members: Array.from(members).map(member => participants.get(member).deviceId),
+                floor: describeFloor(`group:${groupId}`)
+            }));
+        },
+
+        /**
+         * 每个连接发来的音频流统计: [{deviceId, role, framed, codec, packetsReceived, packetsLost, lossRate, reordered, duplicates, jitter, ...}]
+         * 旧客户端（framed 为 false）的帧没有序号，只有 packetsReceived
+         */
+        streams() {
+            return Array.from(participants.values()).map(participant => ({
+                deviceId: participant.deviceId,
+                role: participant.role,
+                framed: Boolean(participant.codec),
+                codec: participant.codec || LEGACY_CODEC,
+                since: toISO8601(participant.connectedAt),
+                ...(participant.stream ? participant.stream.snapshot() : {
+                    packetsReceived: participant.framesReceived,
+                    packetsExpected: null,
+                    packetsLost: null,
+                    lossRate: null,
+                    reordered: null,
+                    duplicates: null,
+                    jitter: null,
+                    lastSequence: null
+                })
+            }));
+        },
+
+        get size() {
+            return clients.size;
+        },
+
+        /**
+         * 累计转发统计: {bytesRelayed, framesRelayed, framesDropped, framesBlocked, framesMalformed, framesTranscoded, codecMismatches}
+         */
+        stats() {
+            return { ...counters };
+        },
+
+        /**
+         * 写完进行中的录音
+         */
+        close() {
+            return Promise.all(Array.from(sessions.keys()).map(stopRecording));
+        }
+    };
+}
+
+module.exports = {
+    createIntercomRelay
+};
@@ -0,0 +1,120 @@
+/**
+ * SimpleEyes 日志
+ * 默认输出带表情符号的文本行（与原先的 console.log 一致），
+ * LOG_FORMAT=json 时每条日志输出一行 JSON，便于日志系统按 requestId / callId / deviceId 关联检索
+ *
+ * 用法:
+ *   const { logger } = require('./lib/logger');
+ *   const log = logger.child({ requestId });
+ *   log.info('📞 通话请求', { callId, deviceId });
+ */
+
+const crypto = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// JSON 格式下去掉消息开头的表情符号和空白
+const LEADING_EMOJI = /^[\p{Extended_Pictographic}\uFE0F\u200D\s]+/u;
+
+const config = {
+    format: 'text',
+    level: LEVELS.info,
+    stdout: process.stdout,
+    stderr: process.stderr
+};
+
+/**
+ * 设置全局日志格式和级别（启动时调用一次）
+ * @param {Object} options
+ * @param {string} [options.format='text'] text / json
+ * @param {string} [options.level='info'] debug / info / warn / error
+ */
+function configureLogger(options = {}) {
+    if (options.format) {
+        config.format = options.format === 'json' ? 'json' : 'text';
+    }
+    if (options.level && LEVELS[options.level]) {
+        config.level = LEVELS[options.level];
+    }
+    if (options.stdout) config.stdout = options.stdout;
+    if (options.stderr) config.stderr = options.stderr;
+}
+
+// 文本格式下附加字段只输出 Error 的 message，其余字段已经写在消息里
+function formatText(message, fields) {
+    const error = fields && fields.err;
+    return error ? `${message}: ${error}` : message;
+}
+
+function serializeFields(fields) {
+    const result = {};
+    for (const [key, value] of Object.entries(fields)) {
+        if (value === undefined) continue;
+        result[key] = value instanceof Error ? value.message : value;
+    }
+    return result;
+}
+
+function createLogger(bindings = {}) {
+    function write(level, message, fields) {
+        if (LEVELS[level] < config.level) return;
+
+        // 与原先 console.log / console.error 的分流一致：只有 error 写 stderr
+        const stream = level === 'error' ? config.stderr : config.stdout;
+        const merged = serializeFields({ ...bindings, ...(fields || {}) });
+
+        if (config.format === 'json') {
+            stream.write(JSON.stringify({
+                time: new Date().toISOString(),
+                level: level,
+                msg: message.replace(LEADING_EMOJI, ''),
+                ...merged
+            }) + '\n');
+        } else {
+            stream.write(formatText(message, merged) + '\n');
+        }
+    }
+
+    return {
+        debug: (message, fields) => write('debug', message, fields),
+        info: (message, fields) => write('info', message, fields),
+        warn: (message, fields) => write('warn', message, fields),
+        error: (message, fields) => write('error', message, fields),
+
+        /**
+         * 派生带固定关联字段的日志器
+         */
+        child(fields) {
+            return createLogger({ ...bindings, ...fields });
+        },
+
+        /**
+         * 启动横幅、状态表等只给人看的输出，JSON 格式下不输出
+         */
+        print(line = '') {
+            if (config.format !== 'json') {
+                config.stdout.write(line + '\n');
+            }
+        },
+
+        get json() {
+            return config.format === 'json';
+        }
+    };
+}
+
+/**
+ * 生成关联 ID（HTTP 请求、WebSocket 连接）
+ */
+function createCorrelationId() {
+    return crypto.randomBytes(8).toString('hex');
+}
+
+const logger = createLogger();
+
+module.exports = {
+    logger,
+    createLogger,
+    configureLogger,
+    createCorrelationId
+};
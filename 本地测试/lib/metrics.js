@@ -0,0 +1,164 @@
+/**
+ * SimpleEyes 运行指标
+ * 轻量的 Prometheus 指标注册表（counter / gauge / histogram），
+ * render() 输出 text exposition format 0.0.4，供 /metrics 抓取
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+// 按标签名顺序生成序列键
+function seriesKey(labelNames, labels) {
+    return labelNames.map(name => String(labels[name] === undefined ? '' : labels[name])).join('\u0000');
+}
+
+function pickLabels(labelNames, labels) {
+    const result = {};
+    for (const name of labelNames) {
+        result[name] = labels[name] === undefined ? '' : labels[name];
+    }
+    return result;
+}
+
+/**
+ * 创建指标注册表
+ * @param {Object} [options]
+ * @param {string} [options.prefix=''] 指标名前缀
+ */
+function createMetricsRegistry(options = {}) {
+    const prefix = options.prefix || '';
+    const metrics = [];
+
+    function register(type, name, help, labelNames, collect) {
+        const metric = {
+            type,
+            name: prefix + name,
+            help,
+            labelNames: labelNames || [],
+            series: new Map(),   // Map<seriesKey, {labels, value}>
+            collect: collect || null
+        };
+        metrics.push(metric);
+        return metric;
+    }
+
+    function seriesFor(metric, labels, initial) {
+        const key = seriesKey(metric.labelNames, labels);
+        let series = metric.series.get(key);
+        if (!series) {
+            series = { labels: pickLabels(metric.labelNames, labels), value: initial() };
+            metric.series.set(key, series);
+        }
+        return series;
+    }
+
+    function renderMetric(metric) {
+        const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+
+        if (metric.type === 'histogram') {
+            for (const { labels, value } of metric.series.values()) {
+                metric.buckets.forEach((bound, index) => {
+                    lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${value.counts[index]}`);
+                });
+                lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+                lines.push(`${metric.name}_sum${formatLabels(labels)} ${value.sum}`);
+                lines.push(`${metric.name}_count${formatLabels(labels)} ${value.count}`);
+            }
+            return lines;
+        }
+
+        // collect 回调在抓取时返回当前值: number 或 [{labels, value}]
+        if (metric.collect) {
+            const collected = metric.collect();
+            const samples = typeof collected === 'number' ? [{ labels: {}, value: collected }] : collected;
+            for (const sample of samples) {
+                lines.push(`${metric.name}${formatLabels(sample.labels || {})} ${formatValue(sample.value)}`);
+            }
+            return lines;
+        }
+
+        for (const { labels, value } of metric.series.values()) {
+            lines.push(`${metric.name}${formatLabels(labels)} ${formatValue(value)}`);
+        }
+        return lines;
+    }
+
+    return {
+        /**
+         * 计数器（只增不减）
+         * @param {string} name
+         * @param {string} help
+         * @param {string[]} [labelNames]
+         * @param {Function} [collect] 抓取时返回当前累计值（由其他模块维护计数时使用）
+         */
+        counter(name, help, labelNames, collect) {
+            const metric = register('counter', name, help, labelNames, collect);
+            return {
+                inc(labels = {}, amount = 1) {
+                    seriesFor(metric, labels, () => 0).value += amount;
+                }
+            };
+        },
+
+        /**
+         * 仪表（可增可减），传 collect 时在抓取时取值
+         */
+        gauge(name, help, labelNames, collect) {
+            const metric = register('gauge', name, help, labelNames, collect);
+            return {
+                set(labels, value) {
+                    seriesFor(metric, labels, () => 0).value = value;
+                }
+            };
+        },
+
+        /**
+         * 直方图
+         * @param {number[]} buckets 升序的桶上界
+         */
+        histogram(name, help, labelNames, buckets) {
+            const metric = register('histogram', name, help, labelNames);
+            metric.buckets = buckets.slice().sort((a, b) => a - b);
+            const initial = () => ({ counts: metric.buckets.map(() => 0), sum: 0, count: 0 });
+
+            return {
+                observe(labels, value) {
+                    const series = seriesFor(metric, labels, initial).value;
+                    metric.buckets.forEach((bound, index) => {
+                        if (value <= bound) series.counts[index] += 1;
+                    });
+                    series.sum += value;
+                    series.count += 1;
+                }
+            };
+        },
+
+        /**
+         * 输出所有指标
+         */
+        render() {
+            return metrics.map(renderMetric).map(lines => lines.join('\n')).join('\n') + '\n';
+        },
+
+        contentType: CONTENT_TYPE
+    };
+}
+
+module.exports = {
+    createMetricsRegistry
+};
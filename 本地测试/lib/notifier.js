@@ -0,0 +1,59 @@
+/**
+ * SimpleEyes 离线通知
+ * 呼叫离线设备时触发，可替换为 APNs 等推送实现，只需提供 notify(event) 方法
+ */
+
+const http = require('http');
+const https = require('https');
+const { logger } = require('./logger');
+
+const DEFAULT_TIMEOUT = 5000;
+
+/**
+ * Webhook 通知：把事件以 JSON POST 到指定 URL
+ * @param {string} webhookUrl 接收通知的 URL
+ * @param {Object} [options]
+ * @param {number} [options.timeout] 请求超时（毫秒）
+ */
+function createWebhookNotifier(webhookUrl, options = {}) {
+    const target = new URL(webhookUrl);
+    const transport = target.protocol === 'https:' ? https : http;
+    const timeout = options.timeout || DEFAULT_TIMEOUT;
+
+    return {
+        notify(event) {
+            const body = JSON.stringify(event);
+            const req = transport.request(target, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Content-Length': Buffer.byteLength(body)
+                },
+                timeout: timeout
+            }, (res) => {
+                res.resume();
+                if (res.statusCode >= 400) {
+                    logger.warn(`⚠️  Webhook 通知失败: HTTP ${res.statusCode} (${event.event})`, { event: event.event, deviceId: event.deviceId, callId: event.callId });
+                }
+            });
+
+            req.on('timeout', () => req.destroy(new Error('timeout')));
+            req.on('error', (error) => {
+                logger.warn(`⚠️  Webhook 通知失败: ${error.message} (${event.event})`, { event: event.event, deviceId: event.deviceId, callId: event.callId });
+            });
+            req.end(body);
+        }
+    };
+}
+
+// 未配置通知时使用
+function createNoopNotifier() {
+    return {
+        notify() {}
+    };
+}
+
+module.exports = {
+    createWebhookNotifier,
+    createNoopNotifier
+};
@@ -0,0 +1,88 @@
+/**
+ * SimpleEyes 离线消息队列
+ * 目标设备不在线时暂存信令消息和未接来电，设备以相同 deviceId 重连后一次性投递
+ */
+
+const DEFAULT_MESSAGE_TTL = 30 * 1000;          // 信令消息保留时长（毫秒），过期的 SDP 已无意义
+const DEFAULT_MISSED_CALL_TTL = 24 * 60 * 60 * 1000; // 未接来电保留时长（毫秒）
+const DEFAULT_MAX_MESSAGES = 100;               // 每台设备最多暂存的信令消息数
+const DEFAULT_MAX_MISSED_CALLS = 50;            // 每台设备最多保留的未接来电数
+const DEFAULT_MAX_DEVICES = 10000;              // 最多为多少台设备暂存（信令消息和未接来电分别计算）
+
+/**
+ * 创建离线消息队列
+ * @param {Object} [options]
+ * @param {number} [options.messageTtl] 信令消息保留时长（毫秒）
+ * @param {number} [options.missedCallTtl] 未接来电保留时长（毫秒）
+ * @param {number} [options.maxMessages] 每台设备最多暂存的信令消息数
+ * @param {number} [options.maxMissedCalls] 每台设备最多保留的未接来电数
+ * @param {number} [options.maxDevices] 最多为多少台设备暂存，超出时先清理过期队列，仍然超出则丢弃最早建立的一批队列
+ */
+function createOfflineStore(options = {}) {
+    const messageTtl = options.messageTtl || DEFAULT_MESSAGE_TTL;
+    const missedCallTtl = options.missedCallTtl || DEFAULT_MISSED_CALL_TTL;
+    const maxMessages = options.maxMessages || DEFAULT_MAX_MESSAGES;
+    const maxMissedCalls = options.maxMissedCalls || DEFAULT_MAX_MISSED_CALLS;
+    const maxDevices = options.maxDevices || DEFAULT_MAX_DEVICES;
+
+    // Map<deviceId, [{message, queuedAt}]>
+    const messages = new Map();
+    // Map<deviceId, [{callId, from, callType, time, queuedAt}]>
+    const missedCalls = new Map();
+
+    // 为新设备建队列前腾出位置：目标 deviceId 由客户端指定，不限制时可以无限增长
+    function makeRoom(store, ttl, now) {
+        if (store.size < maxDevices) return;
+
+        for (const [deviceId, queue] of store) {
+            if (queue.every(item => now - item.queuedAt > ttl)) store.delete(deviceId);
+        }
+        // 仍然超出时一次丢弃最早建立的十分之一，避免之后每条消息都要扫描
+        if (store.size >= maxDevices) {
+            const evict = Math.max(1, Math.ceil(maxDevices / 10));
+            for (const deviceId of Array.from(store.keys()).slice(0, evict)) store.delete(deviceId);
+        }
+    }
+
+    // 追加到设备队列，同时丢弃过期项和超出上限的最旧项
+    function push(store, deviceId, entry, ttl, max) {
+        const now = Date.now();
+        if (!store.has(deviceId)) makeRoom(store, ttl, now);
+        const queue = (store.get(deviceId) || []).filter(item => now - item.queuedAt <= ttl);
+        queue.push(entry);
+        store.set(deviceId, queue.slice(-max));
+    }
+
+    // 取出设备队列中未过期的项并清空
+    function take(store, deviceId, ttl) {
+        const now = Date.now();
+        const queue = store.get(deviceId) || [];
+        store.delete(deviceId);
+        return queue.filter(item => now - item.queuedAt <= ttl);
+    }
+
+    return {
+        // 暂存发往离线设备的信令消息
+        enqueueMessage(deviceId, message) {
+            push(messages, deviceId, { message, queuedAt: Date.now() }, messageTtl, maxMessages);
+        },
+
+        // 记录未接来电
+        addMissedCall(deviceId, call) {
+            push(missedCalls, deviceId, { ...call, queuedAt: Date.now() }, missedCallTtl, maxMissedCalls);
+        },
+
+        // 设备重连时取出全部待投递内容
+        drain(deviceId) {
+            return {
+                missedCalls: take(missedCalls, deviceId, missedCallTtl)
+                    .map(({ queuedAt, ...call }) => call),
+                messages: take(messages, deviceId, messageTtl)
+            };
+        }
+    };
+}
+
+module.exports = {
+    createOfflineStore
+};
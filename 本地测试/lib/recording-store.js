@@ -0,0 +1,195 @@
+/**
+ * SimpleEyes 录像存储
+ * 每段录像在录制目录下保存一个媒体文件和一个同名 .json 元数据文件，
+ * 对讲服务器和信令服务器可以各自写入同一目录而不互相覆盖
+ *
+ * 元数据字段与 iOS Models.swift 中的 Recording 一致:
+ * { id, deviceId, startTime, endTime, duration, size, url }
+ * 另有 kind（intercom / call）、source、format、file 等内部字段，url 在响应时生成
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { toISO8601 } = require('./device-registry');
+const { logger } = require('./logger');
+
+// AAC 采样率索引（ISO/IEC 14496-3）
+const AAC_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+const CONTENT_TYPES = {
+    aac: 'audio/aac',
+    webm: 'video/webm',
+    mp4: 'video/mp4'
+};
+
+/**
+ * 为裸 AAC-LC 帧加 7 字节 ADTS 头，已带 ADTS 头的帧原样返回
+ * @param {Buffer} frame AAC 帧
+ * @param {number} sampleRate 采样率
+ * @param {number} channels 声道数
+ */
+function toAdtsFrame(frame, sampleRate, channels) {
+    if (frame.length >= 2 && frame[0] === 0xff && (frame[1] & 0xf0) === 0xf0) {
+        return frame;
+    }
+
+    const sampleRateIndex = AAC_SAMPLE_RATES.indexOf(sampleRate);
+    const frameLength = frame.length + 7;
+    const profile = 1; // AAC-LC（audio object type 2 - 1）
+    const header = Buffer.alloc(7);
+
+    header[0] = 0xff;
+    header[1] = 0xf1; // MPEG-4，无 CRC
+    header[2] = (profile << 6) | (sampleRateIndex << 2) | (channels >> 2);
+    header[3] = ((channels & 0x3) << 6) | (frameLength >> 11);
+    header[4] = (frameLength >> 3) & 0xff;
+    header[5] = ((frameLength & 0x7) << 5) | 0x1f;
+    header[6] = 0xfc;
+
+    return Buffer.concat([header, frame]);
+}
+
+/**
+ * 创建录像存储
+ * @param {Object} options
+ * @param {string} options.dir 录制目录
+ */
+function createRecordingStore(options) {
+    const dir = options.dir;
+
+    function metadataPath(id) {
+        return path.join(dir, `${id}.json`);
+    }
+
+    function readMetadata(id) {
+        try {
+            return JSON.parse(fs.readFileSync(metadataPath(id), 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function writeMetadata(recording) {
+        const tmpFile = `${metadataPath(recording.id)}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify(recording, null, 2));
+        fs.renameSync(tmpFile, metadataPath(recording.id));
+    }
+
+    // 完成录制：补充结束时间、时长和文件大小（startedAt 为毫秒时间戳，startTime 只精确到秒）
+    function finish(recording, startedAt) {
+        const endTime = Date.now();
+        let size = 0;
+        try {
+            size = fs.statSync(path.join(dir, recording.file)).size;
+        } catch (error) {
+            // 文件未生成时记为 0 字节
+        }
+
+        recording.endTime = toISO8601(endTime);
+        recording.duration = Math.round((endTime - startedAt) / 1000);
+        recording.size = size;
+        recording.recording = false;
+        writeMetadata(recording);
+        logger.info(`💾 录制完成: ${recording.file} (${recording.duration}s, ${size} bytes)`, { recordingId: recording.id, deviceId: recording.deviceId });
+        return recording;
+    }
+
+    // 创建录像元数据，录制中的录像 recording 为 true
+    function create(fields, format, startTime) {
+        fs.mkdirSync(dir, { recursive: true });
+
+        const id = `${fields.kind}-${startTime}-${crypto.randomBytes(3).toString('hex')}`;
+        const recording = {
+            id: id,
+            deviceId: fields.deviceId,
+            kind: fields.kind,
+            source: fields.source || null,
+            roomId: fields.roomId || null,
+            format: format,
+            file: `${id}.${format}`,
+            startTime: toISO8601(startTime),
+            endTime: toISO8601(startTime),
+            duration: 0,
+            size: 0,
+            recording: true
+        };
+        writeMetadata(recording);
+        return recording;
+    }
+
+    return {
+        /**
+         * 开始录制对讲音频（ADTS/.aac）
+         * @returns {{recording: Object, write: function(Buffer), close: function(): Object}}
+         */
+        startAacRecording(fields, audioOptions) {
+            const startedAt = Date.now();
+            const recording = create(fields, 'aac', startedAt);
+            const stream = fs.createWriteStream(path.join(dir, recording.file));
+            const sampleRate = audioOptions.sampleRate;
+            const channels = audioOptions.channels;
+            logger.info(`⏺️  开始录制: ${recording.file}`, { recordingId: recording.id, deviceId: recording.deviceId });
+
+            return {
+                recording,
+                write(frame) {
+                    stream.write(toAdtsFrame(frame, sampleRate, channels));
+                },
+                close() {
+                    return new Promise((resolve) => {
+                        stream.end(() => resolve(finish(recording, startedAt)));
+                    });
+                }
+            };
+        },
+
+        /**
+         * 为外部写入器（如 werift MediaRecorder）登记录像
+         * @returns {{recording: Object, filePath: string, close: function(): Object}}
+         */
+        startFileRecording(fields, format) {
+            const startedAt = Date.now();
+            const recording = create(fields, format, startedAt);
+            logger.info(`⏺️  开始录制: ${recording.file}`, { recordingId: recording.id, deviceId: recording.deviceId });
+
+            return {
+                recording,
+                filePath: path.join(dir, recording.file),
+                close() {
+                    return Promise.resolve(finish(recording, startedAt));
+                }
+            };
+        },
+
+        // 设备的已完成录像，按开始时间倒序
+        list(deviceId) {
+            if (!fs.existsSync(dir)) return [];
+
+            return fs.readdirSync(dir)
+                .filter(name => name.endsWith('.json'))
+                .map(name => readMetadata(name.slice(0, -'.json'.length)))
+                .filter(recording => recording && !recording.recording && recording.deviceId === deviceId)
+                .sort((a, b) => b.startTime.localeCompare(a.startTime));
+        },
+
+        get(id) {
+            // id 只允许安全字符，避免路径穿越
+            if (!/^[\w-]+$/.test(id)) return null;
+            return readMetadata(id);
+        },
+
+        filePath(recording) {
+            return path.join(dir, recording.file);
+        },
+
+        contentType(recording) {
+            return CONTENT_TYPES[recording.format] || 'application/octet-stream';
+        }
+    };
+}
+
+module.exports = {
+    createRecordingStore,
+    toAdtsFrame
+};
@@ -0,0 +1,567 @@
+/**
+ * SimpleEyes 设备模拟场景
+ * 按 YAML 场景创建多组模拟设备，依次执行步骤，汇总连接、通话建立耗时（分位数）、重连和对讲音频统计
+ *
+ * 场景格式见 README「设备模拟器」一节，示例:
+ *   server: ws://localhost:8080
+ *   groups:
+ *     cameras: { count: 20, protocol: signal }
+ *     phones: { count: 20, protocol: signal }
+ *   steps:
+ *     - connect: all
+ *     - call: { from: phones, to: cameras }
+ *     - wait: 5000
+ *     - hangup: phones
+ *     - close: all
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const { createSimulatedDevice } = require('./simulated-device');
+const { logger } = require('./logger');
+
+const DEFAULT_PERCENTILES = [50, 90, 95, 99];
+
+// 每组设备允许的选项，其余键视为拼写错误
+const GROUP_OPTIONS = [
+    'count', 'prefix', 'ids', 'protocol', 'type', 'role', 'autoAnswer', 'answerDelay', 'echo', 'audio', 'framing',
+    'latency', 'jitter', 'heartbeatInterval', 'callTimeout', 'disconnectEvery', 'reconnectAfter', 'token'
+];
+
+const STEP_TYPES = ['connect', 'call', 'wait', 'hold', 'hangup', 'disconnect', 'audio', 'close'];
+
+/**
+ * 读取 YAML（或 JSON）场景文件
+ */
+function loadScenario(file) {
+    // yaml 是可选依赖，只在使用场景文件时加载
+    const YAML = require('yaml');
+    const scenario = YAML.parse(fs.readFileSync(file, 'utf8'));
+    if (!scenario || typeof scenario !== 'object') {
+        throw new Error(`场景文件为空或格式错误: ${file}`);
+    }
+    // 场景中的相对路径（secrets、audio.file）相对于场景文件
+    scenario.baseDir = path.dirname(path.resolve(file));
+    return validateScenario(scenario);
+}
+
+/**
+ * 检查场景结构，补全默认值
+ */
+function validateScenario(scenario) {
+    if (!scenario.groups || typeof scenario.groups !== 'object' || Object.keys(scenario.groups).length === 0) {
+        throw new Error('场景缺少 groups');
+    }
+    if (!Array.isArray(scenario.steps) || scenario.steps.length === 0) {
+        throw new Error('场景缺少 steps');
+    }
+
+    for (const [name, group] of Object.entries(scenario.groups)) {
+        for (const key of Object.keys(group)) {
+            if (!GROUP_OPTIONS.includes(key)) {
+                throw new Error(`设备组 ${name}: 未知选项 ${key}`);
+            }
+        }
+        if (group.protocol && !['signal', 'intercom'].includes(group.protocol)) {
+            throw new Error(`设备组 ${name}: protocol 只能是 signal 或 intercom`);
+        }
+    }
+
+    scenario.steps.forEach((step, index) => {
+        const keys = Object.keys(step || {});
+        if (keys.length !== 1 || !STEP_TYPES.includes(keys[0])) {
+            throw new Error(`第 ${index + 1} 步格式错误，应为 ${STEP_TYPES.join(' / ')} 之一`);
+        }
+    });
+
+    return {
+        name: scenario.name || '未命名场景',
+        server: scenario.server || 'ws://localhost:8080',
+        secrets: scenario.secrets || null,
+        baseDir: scenario.baseDir || process.cwd(),
+        percentiles: scenario.percentiles || DEFAULT_PERCENTILES,
+        thresholds: scenario.thresholds || {},
+        groups: scenario.groups,
+        steps: scenario.steps
+    };
+}
+
+/**
+ * 最近秩法计算分位数，样本为空时返回 null
+ */
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const rank = Math.ceil(p / 100 * sorted.length);
+    return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+function summarize(samples, percentiles) {
+    const sorted = samples.slice().sort((a, b) => a - b);
+    const summary = {
+        count: sorted.length,
+        min: sorted.length ? sorted[0] : null,
+        max: sorted.length ? sorted[sorted.length - 1] : null,
+        avg: sorted.length ? Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length) : null
+    };
+    for (const p of percentiles) {
+        summary[`p${p}`] = percentile(sorted, p);
+    }
+    return summary;
+}
+
+// 用设备密钥换取 Access Token（服务器启用鉴权时）
+function requestToken(server, deviceId, secret) {
+    const url = new URL('/api/auth/token', server.replace(/^ws/, 'http'));
+    const client = url.protocol === 'https:' ? https : http;
+    const body = JSON.stringify({ deviceId, secret });
+
+    return new Promise((resolve, reject) => {
+        const req = client.request(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) }
+        }, (res) => {
+            let data = '';
+            res.on('data', (chunk) => { data += chunk; });
+            res.on('end', () => {
+                if (res.statusCode !== 200) {
+                    reject(new Error(`获取 Token 失败: 设备ID=${deviceId} HTTP ${res.statusCode}`));
+                    return;
+                }
+                resolve(JSON.parse(data).access_token);
+            });
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * 创建场景执行器
+ * @param {Object} scenario validateScenario / loadScenario 的结果
+ * @returns {EventEmitter} run() → Promise<report>，stop() 提前结束 hold 步骤
+ */
+function createScenarioRunner(scenario) {
+    const runner = new EventEmitter();
+
+    // Map<groupName, device[]>
+    const groups = new Map();
+    const chaosTimers = [];
+    let stopRequested = false;
+    let wakeHold = null;
+
+    const samples = {
+        connect: [],
+        callAccept: [],
+        callSetup: [],
+        reconnect: []
+    };
+    const counters = {
+        connectFailed: 0,
+        calls: { attempted: 0, connected: 0, busy: 0, rejected: 0, failed: 0, timeout: 0 },
+        reconnects: { attempted: 0, resumed: 0, newSession: 0, failed: 0 },
+        failures: {}   // 失败原因 → 次数
+    };
+
+    function countFailure(reason) {
+        counters.failures[reason] = (counters.failures[reason] || 0) + 1;
+    }
+
+    // 解析步骤中的设备组引用：'all'、组名或组名数组
+    function resolveDevices(ref) {
+        const names = ref === 'all' || ref === undefined ? Array.from(groups.keys()) : [].concat(ref);
+        const devices = [];
+        for (const name of names) {
+            if (!groups.has(name)) {
+                throw new Error(`未知设备组: ${name}`);
+            }
+            devices.push(...groups.get(name));
+        }
+        return devices;
+    }
+
+    function pick(devices, step) {
+        if (step.count !== undefined) return devices.slice(0, step.count);
+        if (step.ratio !== undefined) return devices.slice(0, Math.round(devices.length * step.ratio));
+        return devices;
+    }
+
+    // 按 rampUp 把并发操作均匀分散到一段时间内
+    function spread(items, rampUp, action) {
+        const interval = rampUp && items.length > 1 ? rampUp / (items.length - 1) : 0;
+        return Promise.all(items.map((item, index) => sleep(interval * index).then(() => action(item, index))));
+    }
+
+    async function loadTokens() {
+        if (!scenario.secrets) return {};
+
+        const secrets = JSON.parse(fs.readFileSync(path.resolve(scenario.baseDir, scenario.secrets), 'utf8'));
+        const tokens = {};
+        for (const devices of groups.values()) {
+            for (const device of devices) {
+                const entry = secrets[device.deviceId];
+                if (!entry) {
+                    throw new Error(`密钥文件中没有设备 ${device.deviceId}`);
+                }
+                tokens[device.deviceId] = await requestToken(scenario.server, device.deviceId, entry.secret);
+            }
+        }
+        return tokens;
+    }
+
+    function createDevices() {
+        for (const [name, group] of Object.entries(scenario.groups)) {
+            const count = group.ids ? group.ids.length : (group.count || 1);
+            const prefix = group.prefix || `${name}-`;
+            const devices = [];
+
+            for (let i = 0; i < count; i++) {
+                const deviceId = group.ids ? String(group.ids[i]) : `${prefix}${String(i + 1).padStart(3, '0')}`;
+                const audio = group.audio && group.audio.file
+                    ? { ...group.audio, file: path.resolve(scenario.baseDir, group.audio.file) }
+                    : group.audio;
+                const device = createSimulatedDevice({ ...group, audio, server: scenario.server, deviceId });
+                device.group = name;
+                devices.push(device);
+            }
+            groups.set(name, devices);
+        }
+    }
+
+    async function reconnect(device, delay) {
+        await sleep(delay);
+        // 等待期间场景已结束或设备已正常断开
+        if (device.isClosed()) return;
+
+        counters.reconnects.attempted += 1;
+        const startedAt = Date.now();
+        try {
+            const result = await device.connect();
+            samples.reconnect.push(Date.now() - startedAt);
+            if (result.resumed) {
+                counters.reconnects.resumed += 1;
+            } else {
+                counters.reconnects.newSession += 1;
+            }
+        } catch (error) {
+            counters.reconnects.failed += 1;
+            countFailure(`reconnect: ${error.message}`);
+        }
+    }
+
+    // 设备组的 disconnectEvery：连接期间每隔一段时间随机断开一台设备，reconnectAfter 后重连
+    function startChaos() {
+        for (const [name, group] of Object.entries(scenario.groups)) {
+            if (!group.disconnectEvery) continue;
+
+            const timer = setInterval(() => {
+                const candidates = groups.get(name).filter(device => device.isOpen());
+                if (candidates.length === 0) return;
+
+                const device = candidates[Math.floor(Math.random() * candidates.length)];
+                logger.info(`💥 模拟断网: ${device.deviceId}`, { deviceId: device.deviceId });
+                device.drop();
+                reconnect(device, group.reconnectAfter || 2000);
+            }, group.disconnectEvery);
+            chaosTimers.push(timer);
+        }
+    }
+
+    const steps = {
+        async connect(ref) {
+            const step = typeof ref === 'object' && !Array.isArray(ref) ? ref : { group: ref };
+            const devices = resolveDevices(step.group);
+            logger.info(`🔌 连接 ${devices.length} 台设备`);
+
+            await spread(devices, step.rampUp, async (device) => {
+                try {
+                    const result = await device.connect();
+                    samples.connect.push(result.time);
+                } catch (error) {
+                    counters.connectFailed += 1;
+                    countFailure(`connect: ${error.message}`);
+                    logger.warn(`⚠️  连接失败: ${device.deviceId}`, { err: error, deviceId: device.deviceId });
+                }
+            });
+        },
+
+        // 主叫组第 i 台呼叫被叫组第 i 台（被叫组较少时循环使用）
+        async call(step) {
+            const callers = resolveDevices(step.from);
+            const callees = step.target ? [{ deviceId: step.target }] : resolveDevices(step.to);
+            if (callees.length === 0) throw new Error('call 步骤缺少被叫（to 或 target）');
+
+            logger.info(`📞 发起 ${callers.length} 路通话`);
+            await spread(callers, step.rampUp, async (caller, index) => {
+                if (!caller.isOpen()) return;
+
+                const callee = callees[index % callees.length];
+                counters.calls.attempted += 1;
+                const result = await caller.call(callee.deviceId, { callType: step.callType });
+                counters.calls[result.status] += 1;
+
+                if (result.acceptTime !== null) samples.callAccept.push(result.acceptTime);
+                if (result.status === 'connected') {
+                    samples.callSetup.push(result.setupTime);
+                } else {
+                    countFailure(`call: ${result.status}${result.reason ? ` (${result.reason})` : ''}`);
+                }
+                logger.debug(`📞 ${caller.deviceId} → ${callee.deviceId}: ${result.status}`, {
+                    deviceId: caller.deviceId,
+                    callId: result.callId
+                });
+            });
+        },
+
+        wait(ms) {
+            return sleep(ms);
+        },
+
+        // 保持当前状态，duration 毫秒后或 stop() 时继续（省略 duration 则一直等到 stop()）
+        hold(step) {
+            const duration = typeof step === 'number' ? step : (step && step.duration);
+            if (stopRequested) return Promise.resolve();
+
+            logger.info(duration ? `⏳ 保持 ${duration}ms` : '⏳ 保持连接，按 Ctrl+C 结束');
+            return new Promise((resolve) => {
+                const timer = duration ? setTimeout(resolve, duration) : null;
+                wakeHold = () => {
+                    clearTimeout(timer);
+                    resolve();
+                };
+            });
+        },
+
+        hangup(ref) {
+            for (const device of resolveDevices(ref)) {
+                device.hangup();
+            }
+        },
+
+        // 不发关闭帧直接断开；指定 reconnectAfter 时随后带 resumeToken 重连
+        async disconnect(step) {
+            const devices = pick(resolveDevices(step.group).filter(device => device.isOpen()), step);
+            logger.info(`💥 模拟断网: ${devices.length} 台设备`);
+
+            for (const device of devices) {
+                device.drop();
+            }
+            if (step.reconnectAfter !== undefined) {
+                await Promise.all(devices.map(device => reconnect(device, step.reconnectAfter)));
+            }
+        },
+
+        // 省略 duration 时在后台持续发送，直到设备断开
+        async audio(step) {
+            const devices = resolveDevices(step.group).filter(device => device.isOpen());
+            logger.info(`🎵 ${devices.length} 台设备发送模拟音频${step.duration ? ` ${step.duration}ms` : ''}`);
+
+            const streams = Promise.all(devices.map(device => device.startAudio(step.duration)));
+            if (step.duration) await streams;
+        },
+
+        async close(ref) {
+            await Promise.all(resolveDevices(ref).map(device => device.close()));
+        }
+    };
+
+    function buildReport(startedAt) {
+        const devices = Array.from(groups.values()).flat();
+        const total = (key) => devices.reduce((sum, device) => sum + device.stats[key], 0);
+        const serverErrors = {};
+        for (const device of devices) {
+            for (const [code, count] of Object.entries(device.stats.serverErrors)) {
+                serverErrors[code] = (serverErrors[code] || 0) + count;
+            }
+        }
+
+        const calls = counters.calls;
+        return {
+            name: scenario.name,
+            server: scenario.server,
+            duration: Date.now() - startedAt,
+            devices: devices.length,
+            connect: {
+                ok: samples.connect.length,
+                failed: counters.connectFailed,
+                time: summarize(samples.connect, scenario.percentiles)
+            },
+            calls: {
+                ...calls,
+                successRate: calls.attempted ? calls.connected / calls.attempted : null,
+                acceptTime: summarize(samples.callAccept, scenario.percentiles),
+                setupTime: summarize(samples.callSetup, scenario.percentiles)
+            },
+            reconnects: {
+                ...counters.reconnects,
+                time: summarize(samples.reconnect, scenario.percentiles)
+            },
+            messages: {
+                sent: total('messagesSent'),
+                received: total('messagesReceived'),
+                dropped: total('messagesDropped')
+            },
+            audio: {
+                framesSent: total('audioFramesSent'),
+                bytesSent: total('audioBytesSent'),
+                framesReceived: total('audioFramesReceived'),
+                bytesReceived: total('audioBytesReceived'),
+                framesLost: total('audioFramesLost')
+            },
+            serverErrors: serverErrors,
+            failures: counters.failures
+        };
+    }
+
+    // 检查场景的 thresholds，返回未达标项
+    function checkThresholds(report) {
+        const timings = {
+            connectTime: samples.connect,
+            acceptTime: samples.callAccept,
+            setupTime: samples.callSetup,
+            reconnectTime: samples.reconnect
+        };
+        const violations = [];
+
+        for (const [key, limit] of Object.entries(scenario.thresholds)) {
+            // 耗时分位数，如 setupTimeP95: 2000
+            const match = /^(\w+Time)P(\d+)$/.exec(key);
+            if (match && timings[match[1]]) {
+                const value = percentile(timings[match[1]].slice().sort((a, b) => a - b), Number(match[2]));
+                if (value !== null && value > limit) {
+                    violations.push(`${key} = ${value}ms，超过 ${limit}ms`);
+                }
+            } else if (key === 'callSuccessRate') {
+                if (report.calls.successRate !== null && report.calls.successRate < limit) {
+                    violations.push(`callSuccessRate = ${report.calls.successRate.toFixed(3)}，低于 ${limit}`);
+                }
+            } else if (key === 'connectFailures') {
+                if (report.connect.failed > limit) {
+                    violations.push(`connectFailures = ${report.connect.failed}，超过 ${limit}`);
+                }
+            } else {
+                violations.push(`未知阈值: ${key}`);
+            }
+        }
+        return violations;
+    }
+
+    /**
+     * 执行场景
+     * @returns {Promise<Object>} 报告，report.violations 为未达标的阈值
+     */
+    runner.run = async () => {
+        const startedAt = Date.now();
+        createDevices();
+
+        const tokens = await loadTokens();
+        for (const devices of groups.values()) {
+            for (const device of devices) {
+                if (tokens[device.deviceId]) device.setToken(tokens[device.deviceId]);
+            }
+        }
+
+        startChaos();
+        try {
+            for (const step of scenario.steps) {
+                const [type, argument] = Object.entries(step)[0];
+                if (stopRequested && type !== 'close' && type !== 'hangup') continue;
+
+                runner.emit('step', type, argument);
+                await steps[type](argument);
+            }
+        } finally {
+            chaosTimers.forEach(clearInterval);
+        }
+
+        // 场景末尾没有 close 时断开所有设备
+        await Promise.all(Array.from(groups.values()).flat().map(device => device.close()));
+
+        const report = buildReport(startedAt);
+        report.violations = checkThresholds(report);
+        return report;
+    };
+
+    /**
+     * 提前结束：结束当前 hold，跳过其余步骤（hangup / close 仍会执行）
+     */
+    runner.stop = () => {
+        stopRequested = true;
+        if (wakeHold) wakeHold();
+    };
+
+    runner.devices = () => Array.from(groups.values()).flat();
+
+    return runner;
+}
+
+/**
+ * 报告的文本格式
+ */
+function formatReport(report) {
+    const ms = (value) => (value === null ? '-' : `${value}ms`);
+    const timing = (summary) => {
+        const keys = Object.keys(summary).filter(key => /^p\d+$/.test(key));
+        return `n=${summary.count} ` + keys.map(key => `${key}=${ms(summary[key])}`).join(' ') +
+            ` max=${ms(summary.max)} avg=${ms(summary.avg)}`;
+    };
+
+    const calls = report.calls;
+    const lines = [
+        `📋 场景: ${report.name}（${report.devices} 台设备，耗时 ${(report.duration / 1000).toFixed(1)}s）`,
+        `🔌 连接: 成功 ${report.connect.ok}，失败 ${report.connect.failed}`,
+        `   耗时 ${timing(report.connect.time)}`
+    ];
+
+    if (calls.attempted > 0) {
+        lines.push(
+            `📞 通话: ${calls.attempted} 路，接通 ${calls.connected}，忙线 ${calls.busy}，拒接 ${calls.rejected}，` +
+                `失败 ${calls.failed}，超时 ${calls.timeout}（成功率 ${(calls.successRate * 100).toFixed(1)}%）`,
+            `   接听耗时 ${timing(calls.acceptTime)}`,
+            `   建立耗时 ${timing(calls.setupTime)}`
+        );
+    }
+    if (report.reconnects.attempted > 0) {
+        const reconnects = report.reconnects;
+        lines.push(
+            `🔁 重连: ${reconnects.attempted} 次，恢复会话 ${reconnects.resumed}，新会话 ${reconnects.newSession}，失败 ${reconnects.failed}`,
+            `   耗时 ${timing(reconnects.time)}`
+        );
+    }
+    if (report.audio.framesSent > 0 || report.audio.framesReceived > 0) {
+        lines.push(`🎵 音频: 发送 ${report.audio.framesSent} 帧 / ${report.audio.bytesSent} bytes，` +
+            `收到 ${report.audio.framesReceived} 帧 / ${report.audio.bytesReceived} bytes，丢失 ${report.audio.framesLost} 帧`);
+    }
+    lines.push(`📨 信令: 发送 ${report.messages.sent}，收到 ${report.messages.received}，未发出 ${report.messages.dropped}`);
+
+    const errors = Object.entries(report.serverErrors);
+    if (errors.length > 0) {
+        lines.push(`⚠️  服务器错误: ${errors.map(([code, count]) => `${code} × ${count}`).join('，')}`);
+    }
+    const failures = Object.entries(report.failures);
+    if (failures.length > 0) {
+        lines.push('❌ 失败原因:');
+        for (const [reason, count] of failures) {
+            lines.push(`   ${reason} × ${count}`);
+        }
+    }
+    if (report.violations && report.violations.length > 0) {
+        lines.push('🚫 未达标:');
+        for (const violation of report.violations) {
+            lines.push(`   ${violation}`);
+        }
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    loadScenario,
+    validateScenario,
+    createScenarioRunner,
+    formatReport,
+    percentile
+};
@@ -0,0 +1,127 @@
+/**
+ * SimpleEyes 信令会话
+ * 每次连接签发一个恢复令牌（resumeToken），连接异常断开后进入宽限期，
+ * 宽限期内带令牌重连即可恢复原会话（房间、通话），超时后才按断开处理
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_GRACE_PERIOD = 30 * 1000; // 断开后保留会话的时长（毫秒）
+
+function createToken() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+function tokensEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * 创建会话存储
+ * @param {Object} [options]
+ * @param {number} [options.gracePeriod] 断开后保留会话的时长（毫秒）
+ */
+function createSessionStore(options = {}) {
+    const gracePeriod = options.gracePeriod || DEFAULT_GRACE_PERIOD;
+
+    // Map<deviceId, {token, suspendedAt, timer}>
+    const sessions = new Map();
+
+    function clear(session) {
+        clearTimeout(session.timer);
+        session.timer = null;
+        session.suspendedAt = null;
+    }
+
+    return {
+        gracePeriod: gracePeriod,
+
+        /**
+         * 开始新会话（替换该设备已有的会话），返回恢复令牌
+         */
+        open(deviceId) {
+            const previous = sessions.get(deviceId);
+            if (previous) clear(previous);
+
+            const token = createToken();
+            sessions.set(deviceId, { token, suspendedAt: null, timer: null });
+            return token;
+        },
+
+        /**
+         * 连接断开，进入宽限期；到期未恢复时调用 onExpire
+         */
+        suspend(deviceId, onExpire) {
+            const session = sessions.get(deviceId);
+            if (!session) {
+                onExpire();
+                return;
+            }
+
+            clear(session);
+            session.suspendedAt = Date.now();
+            session.timer = setTimeout(() => {
+                sessions.delete(deviceId);
+                onExpire();
+            }, gracePeriod);
+        },
+
+        /**
+         * 校验恢复令牌，通过时取消宽限期并返回新令牌（令牌一次有效），否则返回 null
+         */
+        resume(deviceId, token) {
+            const session = sessions.get(deviceId);
+            if (!session || !token || !tokensEqual(session.token, token)) return null;
+
+            clear(session);
+            session.token = createToken();
+            return session.token;
+        },
+
+        /**
+         * 是否处于宽限期
+         */
+        isSuspended(deviceId) {
+            const session = sessions.get(deviceId);
+            return Boolean(session && session.suspendedAt);
+        },
+
+        /**
+         * 结束会话（正常断开或宽限期外重连）
+         */
+        discard(deviceId) {
+            const session = sessions.get(deviceId);
+            if (!session) return;
+
+            clear(session);
+            sessions.delete(deviceId);
+        },
+
+        /**
+         * 处于宽限期的会话数
+         */
+        suspendedCount() {
+            let count = 0;
+            for (const session of sessions.values()) {
+                if (session.suspendedAt) count += 1;
+            }
+            return count;
+        },
+
+        /**
+         * 取消所有宽限期定时器（服务器退出时）
+         */
+        close() {
+            for (const session of sessions.values()) {
+                clear(session);
+            }
+            sessions.clear();
+        }
+    };
+}
+
+module.exports = {
+    createSessionStore
+};
@@ -0,0 +1,349 @@
+/**
+ * SimpleEyes SFU 转发
+ * 每个客户端只向服务器发布一次音视频，服务器把 RTP 转发给房间内的订阅者
+ * 基于纯 JS 的 WebRTC 实现 werift，信令复用现有 WebSocket
+ *
+ * 事件:
+ * - 'track' ({roomId, publisherId, kind, track, codec})  发布者的轨道开始接收，可用于录制等服务端处理
+ * - 'publish' ({roomId, publisherId, tracks})            发布协商完成，tracks 为发布者的全部轨道
+ * - 'unpublish' ({roomId, publisherId})                 发布者停止发布
+ */
+
+const EventEmitter = require('events');
+const { logger } = require('./logger');
+const {
+    RTCPeerConnection,
+    RTCRtpCodecParameters,
+    RtcpPayloadSpecificFeedback,
+    PictureLossIndication,
+    useOPUS,
+    useVP8,
+    useH264
+} = require('werift');
+
+// 发布端可协商的编解码器（iOS 与浏览器都支持 VP8/H264）
+const PUBLISH_CODECS = {
+    audio: [useOPUS()],
+    video: [useVP8(), useH264()]
+};
+
+// 每条连接最多缓存的早到 ICE 候选数
+const MAX_PENDING_CANDIDATES = 50;
+
+// 订阅端沿用发布端协商出的编解码器，RTP 无需转码即可转发
+function cloneCodec(codec) {
+    return new RTCRtpCodecParameters({
+        mimeType: codec.mimeType,
+        clockRate: codec.clockRate,
+        channels: codec.channels,
+        parameters: codec.parameters,
+        rtcpFeedback: codec.rtcpFeedback
+    });
+}
+
+function isPictureLossIndication(packet) {
+    return packet.type === RtcpPayloadSpecificFeedback.type &&
+        packet.feedback && packet.feedback.count === PictureLossIndication.count;
+}
+
+/**
+ * 创建 SFU 转发服务
+ * @param {Object} options
+ * @param {function(string, Object): boolean} options.send 向设备发送信令
+ * @param {function(string): string[]} options.getRoomMembers 获取房间成员
+ * @param {Object[]} [options.iceServers] 服务端 PeerConnection 使用的 ICE 服务器
+ */
+function createSfuRelay(options) {
+    const relay = new EventEmitter();
+    const iceServers = options.iceServers || [];
+
+    // Map<roomId, Map<publisherId, {pc, tracks: Map<kind, {track, receiver, codec}>, live: Set<kind>, subscribers: Map<subscriberId, pc>}>>
+    // live 为已收到 RTP 的轨道类型，只有这些轨道会转发给订阅者
+    const rooms = new Map();
+
+    // 远端描述设置之前到达的 ICE 候选: Map<"roomId|deviceId|publisherId", candidate[]>
+    const pendingCandidates = new Map();
+
+    function candidateKey(roomId, deviceId, publisherId) {
+        return `${roomId}|${deviceId}|${publisherId || ''}`;
+    }
+
+    // 远端描述就绪后补充之前缓存的候选
+    async function flushCandidates(pc, roomId, deviceId, publisherId) {
+        const key = candidateKey(roomId, deviceId, publisherId);
+        const candidates = pendingCandidates.get(key) || [];
+        pendingCandidates.delete(key);
+        for (const candidate of candidates) {
+            await pc.addIceCandidate(candidate);
+        }
+    }
+
+    function getPublishers(roomId) {
+        let publishers = rooms.get(roomId);
+        if (!publishers) {
+            publishers = new Map();
+            rooms.set(roomId, publishers);
+        }
+        return publishers;
+    }
+
+    function getPublisher(roomId, publisherId) {
+        const publishers = rooms.get(roomId);
+        return publishers ? publishers.get(publisherId) || null : null;
+    }
+
+    // 服务端候选通过信令下发给客户端（trickle ICE）
+    function trickleCandidates(pc, deviceId, roomId, publisherId) {
+        pc.onIceCandidate.subscribe((candidate) => {
+            if (!candidate) return;
+            options.send(deviceId, {
+                type: 'sfu-ice-candidate',
+                roomId: roomId,
+                publisherId: publisherId,
+                candidate: candidate.candidate,
+                sdpMid: candidate.sdpMid,
+                sdpMLineIndex: candidate.sdpMLineIndex
+            });
+        });
+    }
+
+    function requestKeyFrame(publisher) {
+        const video = publisher.tracks.get('video');
+        if (video && video.track.ssrc) {
+            video.receiver.sendRtcpPLI(video.track.ssrc).catch(() => {});
+        }
+    }
+
+    function notifyRoom(roomId, exceptId, message) {
+        for (const memberId of options.getRoomMembers(roomId)) {
+            if (memberId !== exceptId) {
+                options.send(memberId, message);
+            }
+        }
+    }
+
+    function closeSubscriber(publisher, subscriberId) {
+        const pc = publisher.subscribers.get(subscriberId);
+        if (!pc) return;
+
+        publisher.subscribers.delete(subscriberId);
+        pc.close().catch(() => {});
+    }
+
+    /**
+     * 停止发布：关闭发布连接和所有订阅连接，通知房间成员
+     */
+    relay.unpublish = (roomId, publisherId) => {
+        const publisher = getPublisher(roomId, publisherId);
+        if (!publisher) return;
+
+        // 先移出表，关闭连接触发的状态回调不会重复进入
+        const publishers = rooms.get(roomId);
+        publishers.delete(publisherId);
+        if (publishers.size === 0) {
+            rooms.delete(roomId);
+        }
+
+        for (const subscriberId of Array.from(publisher.subscribers.keys())) {
+            closeSubscriber(publisher, subscriberId);
+        }
+        publisher.pc.close().catch(() => {});
+
+        notifyRoom(roomId, publisherId, {
+            type: 'sfu-unpublished',
+            roomId: roomId,
+            publisherId: publisherId
+        });
+        relay.emit('unpublish', { roomId, publisherId });
+        logger.info(`🛑 SFU 停止发布: [${publisherId}] 房间=${roomId}`, { roomId, deviceId: publisherId });
+    };
+
+    /**
+     * 发布：客户端提交 offer，返回服务端 answer SDP
+     */
+    relay.publish = async (roomId, publisherId, sdp) => {
+        // 重新发布时先清理旧连接
+        relay.unpublish(roomId, publisherId);
+
+        const pc = new RTCPeerConnection({ iceServers, codecs: PUBLISH_CODECS });
+        const publisher = { pc, tracks: new Map(), live: new Set(), subscribers: new Map() };
+        getPublishers(roomId).set(publisherId, publisher);
+
+        pc.ontrack = ({ track, receiver, transceiver }) => {
+            const codec = transceiver.codecs[0];
+            publisher.tracks.set(track.kind, { track, receiver, codec });
+            relay.emit('track', { roomId, publisherId, kind: track.kind, track, codec });
+            logger.info(`🎞️  SFU 收到轨道: [${publisherId}] 房间=${roomId} (${track.kind}, ${codec ? codec.mimeType : 'unknown'})`, { roomId, deviceId: publisherId });
+
+            // 协商完成时还没有媒体，等该轨道收到第一个 RTP 包再通知房间；
+            // 之后每增加一种轨道都重新通知，订阅者重新订阅即可拿到新轨道
+            track.onReceiveRtp.once(() => {
+                if (getPublisher(roomId, publisherId) !== publisher) return;
+                publisher.live.add(track.kind);
+                notifyRoom(roomId, publisherId, {
+                    type: 'sfu-published',
+                    roomId: roomId,
+                    publisherId: publisherId,
+                    kinds: Array.from(publisher.live)
+                });
+                logger.info(`📡 SFU 轨道就绪: [${publisherId}] 房间=${roomId} (${track.kind})`, { roomId, deviceId: publisherId });
+            });
+        };
+
+        pc.connectionStateChange.subscribe((state) => {
+            if ((state === 'failed' || state === 'closed') && getPublisher(roomId, publisherId) === publisher) {
+                relay.unpublish(roomId, publisherId);
+            }
+        });
+
+        trickleCandidates(pc, publisherId, roomId, null);
+
+        await pc.setRemoteDescription({ type: 'offer', sdp });
+        await flushCandidates(pc, roomId, publisherId, null);
+        await pc.setLocalDescription(await pc.createAnswer());
+
+        relay.emit('publish', {
+            roomId,
+            publisherId,
+            tracks: Array.from(publisher.tracks.values()).map(({ track }) => track)
+        });
+
+        logger.info(`📤 SFU 发布: [${publisherId}] 房间=${roomId}`, { roomId, deviceId: publisherId });
+
+        return pc.localDescription.sdp;
+    };
+
+    /**
+     * 订阅：为订阅者创建只发送的连接，返回服务端 offer SDP
+     */
+    relay.subscribe = async (roomId, subscriberId, publisherId) => {
+        const publisher = getPublisher(roomId, publisherId);
+        if (!publisher) {
+            throw new Error('no-such-publisher');
+        }
+        if (publisher.live.size === 0) {
+            throw new Error('publisher-not-ready');
+        }
+
+        closeSubscriber(publisher, subscriberId);
+
+        const codecs = {};
+        const tracks = Array.from(publisher.tracks.entries()).filter(([kind]) => publisher.live.has(kind));
+        for (const [kind, { codec }] of tracks) {
+            if (codec) {
+                codecs[kind] = [cloneCodec(codec)];
+            }
+        }
+
+        const pc = new RTCPeerConnection({ iceServers, codecs });
+        publisher.subscribers.set(subscriberId, pc);
+
+        for (const [, { track }] of tracks) {
+            const transceiver = pc.addTransceiver(track, { direction: 'sendonly' });
+
+            // 订阅者请求关键帧时转给发布者
+            transceiver.sender.onRtcp.subscribe((packet) => {
+                if (isPictureLossIndication(packet)) {
+                    requestKeyFrame(publisher);
+                }
+            });
+        }
+
+        pc.connectionStateChange.subscribe((state) => {
+            if (state === 'connected') {
+                // 新订阅者需要关键帧才能开始解码
+                requestKeyFrame(publisher);
+            } else if ((state === 'failed' || state === 'closed') && publisher.subscribers.get(subscriberId) === pc) {
+                closeSubscriber(publisher, subscriberId);
+            }
+        });
+
+        trickleCandidates(pc, subscriberId, roomId, publisherId);
+
+        await pc.setLocalDescription(await pc.createOffer());
+        logger.info(`📥 SFU 订阅: [${subscriberId}] ← [${publisherId}] 房间=${roomId}`, { roomId, deviceId: subscriberId, publisherId });
+
+        return pc.localDescription.sdp;
+    };
+
+    /**
+     * 订阅者提交 answer
+     */
+    relay.completeSubscribe = async (roomId, subscriberId, publisherId, sdp) => {
+        const publisher = getPublisher(roomId, publisherId);
+        const pc = publisher && publisher.subscribers.get(subscriberId);
+        if (!pc) {
+            throw new Error('no-such-subscription');
+        }
+        await pc.setRemoteDescription({ type: 'answer', sdp });
+        await flushCandidates(pc, roomId, subscriberId, publisherId);
+    };
+
+    /**
+     * 停止订阅
+     */
+    relay.unsubscribe = (roomId, subscriberId, publisherId) => {
+        const publisher = getPublisher(roomId, publisherId);
+        if (publisher) {
+            closeSubscriber(publisher, subscriberId);
+        }
+    };
+
+    /**
+     * 客户端的 ICE 候选：publisherId 为空时对应发布连接，否则对应该发布者的订阅连接
+     */
+    relay.addIceCandidate = async (roomId, deviceId, publisherId, candidate) => {
+        const pc = publisherId
+            ? (getPublisher(roomId, publisherId) || { subscribers: new Map() }).subscribers.get(deviceId)
+            : (getPublisher(roomId, deviceId) || {}).pc;
+
+        // 客户端的候选可能先于 offer/answer 到达，先缓存
+        if (!pc || !pc.remoteDescription) {
+            const key = candidateKey(roomId, deviceId, publisherId);
+            const candidates = pendingCandidates.get(key) || [];
+            candidates.push(candidate);
+            pendingCandidates.set(key, candidates.slice(-MAX_PENDING_CANDIDATES));
+            return;
+        }
+        await pc.addIceCandidate(candidate);
+    };
+
+    /**
+     * 成员离开房间：停止其发布和全部订阅
+     */
+    relay.leave = (roomId, deviceId) => {
+        relay.unpublish(roomId, deviceId);
+
+        for (const key of Array.from(pendingCandidates.keys())) {
+            if (key.startsWith(`${roomId}|${deviceId}|`)) {
+                pendingCandidates.delete(key);
+            }
+        }
+
+        const publishers = rooms.get(roomId);
+        if (!publishers) return;
+        for (const publisher of publishers.values()) {
+            closeSubscriber(publisher, deviceId);
+        }
+    };
+
+    /**
+     * 房间内的发布者及其已收到媒体的轨道类型
+     */
+    relay.listPublishers = (roomId) => {
+        const publishers = rooms.get(roomId);
+        if (!publishers) return [];
+
+        return Array.from(publishers.entries()).map(([publisherId, publisher]) => ({
+            publisherId: publisherId,
+            kinds: Array.from(publisher.live),
+            subscribers: Array.from(publisher.subscribers.keys())
+        }));
+    };
+
+    return relay;
+}
+
+module.exports = {
+    createSfuRelay
+};
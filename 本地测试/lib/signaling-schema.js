@@ -0,0 +1,321 @@
+/**
+ * SimpleEyes 信令消息格式校验
+ * 每种消息类型声明允许的字段、类型和长度上限，未声明的字段会被丢弃
+ *
+ * 字段描述:
+ * { type: 'string' | 'integer' | 'number' | 'boolean' | 'object' | 'array',
+ *   required, nullable, maxLength, enum, min, max,
+ *   fields（object 的子字段，未声明的同样丢弃）, items 与 maxItems（array 的元素描述和个数上限） }
+ */
+
+const { COMMAND_ACTIONS } = require('./command-tracker');
+
+// 当前协议版本，客户端可通过 v 字段声明，省略时视为 1
+const SCHEMA_VERSION = 1;
+
+const MAX_MESSAGE_SIZE = 64 * 1024;  // 单条文本消息上限（字节）
+const MAX_SDP_LENGTH = 32 * 1024;    // SDP 长度上限
+const MAX_CANDIDATE_LENGTH = 1024;   // ICE candidate 长度上限
+
+const DEVICE_ID = { type: 'string', maxLength: 128 };
+const RESOLUTION = {
+    type: 'object',
+    fields: {
+        width: { type: 'integer', required: true, min: 1, max: 16384 },
+        height: { type: 'integer', required: true, min: 1, max: 16384 }
+    }
+};
+const ROOM_ID = { type: 'string', maxLength: 128 };
+const CALL_ID = { type: 'string', maxLength: 64 };
+const COMMAND_ID = { type: 'string', maxLength: 64 };
+
+// 所有消息都允许的字段：id 用于在错误回复中回显（ref）
+const COMMON_FIELDS = {
+    v: { type: 'integer', min: 1 },
+    id: { type: 'string', maxLength: 64 }
+};
+
+const MESSAGE_SCHEMAS = {
+    'call': {
+        fields: {
+            to: { ...DEVICE_ID, required: true },
+            callType: { type: 'string', enum: ['video', 'audio'] }
+        }
+    },
+    'accept': {
+        fields: {
+            callId: CALL_ID
+        }
+    },
+    'reject': {
+        fields: {
+            callId: CALL_ID,
+            reason: { type: 'string', maxLength: 64 }
+        }
+    },
+    'hangup': {
+        fields: {
+            to: DEVICE_ID,
+            callId: CALL_ID
+        },
+        requireOneOf: ['to', 'callId']
+    },
+    'offer': {
+        fields: {
+            to: DEVICE_ID,
+            roomId: ROOM_ID,
+            callId: CALL_ID,
+            sdp: { type: 'string', required: true, maxLength: MAX_SDP_LENGTH }
+        },
+        requireOneOf: ['to', 'roomId']
+    },
+    'answer': {
+        fields: {
+            to: DEVICE_ID,
+            roomId: ROOM_ID,
+            callId: CALL_ID,
+            sdp: { type: 'string', required: true, maxLength: MAX_SDP_LENGTH }
+        },
+        requireOneOf: ['to', 'roomId']
+    },
+    'ice-candidate': {
+        fields: {
+            to: DEVICE_ID,
+            roomId: ROOM_ID,
+            callId: CALL_ID,
+            // 空字符串表示 end-of-candidates
+            candidate: { type: 'string', required: true, maxLength: MAX_CANDIDATE_LENGTH },
+            sdpMid: { type: 'string', nullable: true, maxLength: 32 },
+            sdpMLineIndex: { type: 'integer', nullable: true, min: 0, max: 255 }
+        },
+        requireOneOf: ['to', 'roomId']
+    },
+    'join-room': {
+        fields: {
+            roomId: { ...ROOM_ID, required: true }
+        }
+    },
+    'leave-room': {
+        fields: {
+            roomId: { ...ROOM_ID, required: true }
+        }
+    },
+    'sfu-publish': {
+        fields: {
+            roomId: { ...ROOM_ID, required: true },
+            sdp: { type: 'string', required: true, maxLength: MAX_SDP_LENGTH }
+        }
+    },
+    'sfu-unpublish': {
+        fields: {
+            roomId: { ...ROOM_ID, required: true }
+        }
+    },
+    'sfu-subscribe': {
+        fields: {
+            roomId: { ...ROOM_ID, required: true },
+            publisherId: { ...DEVICE_ID, required: true }
+        }
+    },
+    'sfu-subscribe-answer': {
+        fields: {
+            roomId: { ...ROOM_ID, required: true },
+            publisherId: { ...DEVICE_ID, required: true },
+            sdp: { type: 'string', required: true, maxLength: MAX_SDP_LENGTH }
+        }
+    },
+    'sfu-unsubscribe': {
+        fields: {
+            roomId: { ...ROOM_ID, required: true },
+            publisherId: { ...DEVICE_ID, required: true }
+        }
+    },
+    'sfu-ice-candidate': {
+        fields: {
+            roomId: { ...ROOM_ID, required: true },
+            // 省略时对应发布连接，否则对应订阅该发布者的连接
+            publisherId: { ...DEVICE_ID, nullable: true },
+            candidate: { type: 'string', required: true, maxLength: MAX_CANDIDATE_LENGTH },
+            sdpMid: { type: 'string', nullable: true, maxLength: 32 },
+            sdpMLineIndex: { type: 'integer', nullable: true, min: 0, max: 255 }
+        }
+    },
+    // 设备信息与能力（连接后发送，可重复发送以更新）
+    'register': {
+        fields: {
+            name: { type: 'string', maxLength: 64 },
+            model: { type: 'string', maxLength: 64 },
+            platform: { type: 'string', maxLength: 32 },       // ios / android / linux …
+            appVersion: { type: 'string', maxLength: 32 },
+            capabilities: {
+                type: 'object',
+                fields: {
+                    video: { type: 'boolean' },
+                    audio: { type: 'boolean' },
+                    intercomCodecs: { type: 'array', maxItems: 8, items: { type: 'string', maxLength: 16 } },
+                    maxResolution: RESOLUTION,
+                    // 支持的远程命令，省略时不限制
+                    commands: { type: 'array', maxItems: 16, items: { type: 'string', maxLength: 32 } }
+                }
+            }
+        }
+    },
+    // 远程控制命令（App → 设备），params 原样交给设备
+    'command': {
+        fields: {
+            to: { ...DEVICE_ID, required: true },
+            action: { type: 'string', required: true, enum: COMMAND_ACTIONS },
+            params: { type: 'object' },
+            timeout: { type: 'integer', min: 1, max: 600000 }   // 等待结果的时长（毫秒）
+        }
+    },
+    // 设备确认收到命令
+    'command-ack': {
+        fields: {
+            commandId: { ...COMMAND_ID, required: true }
+        }
+    },
+    // 设备回报命令执行结果
+    'command-result': {
+        fields: {
+            commandId: { ...COMMAND_ID, required: true },
+            success: { type: 'boolean', required: true },
+            result: { type: 'object' },
+            error: { type: 'string', maxLength: 256 }
+        }
+    },
+    'heartbeat': {
+        fields: {
+            status: { type: 'string', enum: ['busy', 'idle'] }
+        }
+    },
+    // 通话质量统计（客户端按 getStats() 汇总后定期上报，省略 callId 时取当前通话）
+    'call-stats': {
+        fields: {
+            callId: CALL_ID,
+            rtt: { type: 'number', min: 0, max: 60000 },          // 往返时延（毫秒）
+            jitter: { type: 'number', min: 0, max: 60000 },       // 接收抖动（毫秒）
+            packetLoss: { type: 'number', min: 0, max: 100 },     // 上报周期内丢包率（%）
+            bitrate: { type: 'number', min: 0, max: 1000000 },    // 接收码率（kbps）
+            width: { type: 'integer', min: 0, max: 16384 },
+            height: { type: 'integer', min: 0, max: 16384 },
+            fps: { type: 'number', min: 0, max: 240 },
+            candidateType: { type: 'string', enum: ['host', 'srflx', 'prflx', 'relay'] }
+        }
+    }
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function fail(code, message) {
+    return { ok: false, code, message };
+}
+
+// 校验单个字段，通过返回 {value}（object 只保留声明过的子字段），否则返回 {error}
+function checkField(name, value, spec) {
+    if (value === null) {
+        return spec.nullable ? { value: null } : { error: fail('invalid-field', `${name} must not be null`) };
+    }
+
+    const actual = typeOf(value);
+    const typeMatches = actual === spec.type || (spec.type === 'number' && actual === 'integer');
+    if (!typeMatches) {
+        return { error: fail('invalid-field', `${name} must be ${spec.type}`) };
+    }
+    if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+        return { error: fail('too-large', `${name} exceeds ${spec.maxLength} characters`) };
+    }
+    if (spec.enum && !spec.enum.includes(value)) {
+        return { error: fail('invalid-field', `${name} must be one of ${spec.enum.join(', ')}`) };
+    }
+    if (spec.min !== undefined && value < spec.min) {
+        return { error: fail('invalid-field', `${name} must be >= ${spec.min}`) };
+    }
+    if (spec.max !== undefined && value > spec.max) {
+        return { error: fail('invalid-field', `${name} must be <= ${spec.max}`) };
+    }
+
+    if (spec.type === 'object' && spec.fields) {
+        return checkFields(value, spec.fields, `${name}.`);
+    }
+    if (spec.type === 'array') {
+        if (spec.maxItems !== undefined && value.length > spec.maxItems) {
+            return { error: fail('too-large', `${name} exceeds ${spec.maxItems} items`) };
+        }
+        if (spec.items) {
+            const items = [];
+            for (let i = 0; i < value.length; i++) {
+                const result = checkField(`${name}[${i}]`, value[i], spec.items);
+                if (result.error) return result;
+                items.push(result.value);
+            }
+            return { value: items };
+        }
+    }
+    return { value: value };
+}
+
+// 按字段描述校验对象，通过返回只含声明字段的 {value}，否则返回 {error}
+function checkFields(data, fields, prefix = '') {
+    const value = {};
+
+    for (const [name, spec] of Object.entries(fields)) {
+        if (data[name] === undefined) {
+            if (spec.required) {
+                return { error: fail('missing-field', `${prefix}${name} is required`) };
+            }
+            continue;
+        }
+
+        const result = checkField(`${prefix}${name}`, data[name], spec);
+        if (result.error) return result;
+        value[name] = result.value;
+    }
+    return { value: value };
+}
+
+/**
+ * 校验已解析的信令消息
+ * @param {*} data JSON.parse 后的消息
+ * @returns {{ok: true, message: Object} | {ok: false, code: string, message: string}}
+ *          通过时 message 只包含声明过的字段
+ */
+function validateMessage(data) {
+    if (typeOf(data) !== 'object') {
+        return fail('invalid-message', 'message must be a JSON object');
+    }
+    if (typeof data.type !== 'string') {
+        return fail('missing-field', 'type is required');
+    }
+
+    const schema = MESSAGE_SCHEMAS[data.type];
+    if (!schema) {
+        return fail('unknown-type', `unknown message type: ${data.type}`);
+    }
+
+    if (data.v !== undefined && (!Number.isInteger(data.v) || data.v > SCHEMA_VERSION)) {
+        return fail('unsupported-version', `supported schema version is ${SCHEMA_VERSION}`);
+    }
+
+    const result = checkFields(data, { ...COMMON_FIELDS, ...schema.fields });
+    if (result.error) return result.error;
+    const message = { type: data.type, ...result.value };
+
+    if (schema.requireOneOf && !schema.requireOneOf.some(name => message[name] !== undefined)) {
+        return fail('missing-field', `one of ${schema.requireOneOf.join(', ')} is required`);
+    }
+
+    return { ok: true, message };
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    MAX_MESSAGE_SIZE,
+    MESSAGE_SCHEMAS,
+    validateMessage
+};
@@ -0,0 +1,565 @@
+/**
+ * SimpleEyes 模拟设备（设备模拟器使用）
+ * 一个实例对应一台设备，可连接信令通道（/signal）或对讲通道（/intercom）
+ *
+ * 信令：自动接听来电并按脚本交换 SDP / ICE，主叫时记录接通耗时；
+ *       断线重连时带 resumeToken 恢复会话；收到远程命令时立即确认并回报模拟结果
+ * 对讲：回传收到的音频（回声测试）或持续发送模拟音频；连接后协商编码，收发带帧头的音频并统计丢包和抖动
+ * 故障注入：latency / jitter 延迟发出的每条消息，drop() 模拟网络中断
+ *
+ * 事件:
+ * - 'message' (data)        收到的信令消息或对讲控制消息
+ * - 'incoming-call' (data)  收到来电
+ * - 'audio' (frame)         收到的对讲音频（已去掉帧头）
+ * - 'close' (code)          连接断开
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const { createAudioSource } = require('./synthetic-audio');
+const { encodeFrame, decodeFrame, createStreamStats } = require('./intercom-audio');
+const { logger } = require('./logger');
+
+const DEFAULT_CALL_TIMEOUT = 45000;       // 主叫等待结果的上限，应大于服务器的振铃超时
+const DEFAULT_CONNECT_TIMEOUT = 10000;
+
+// 脚本化的 SDP：字段齐全，可通过服务器的格式校验，但不对应真实的媒体
+function createFakeSdp(callType) {
+    const sessionId = crypto.randomBytes(6).readUIntBE(0, 6);
+    const ufrag = crypto.randomBytes(3).toString('hex');
+    const pwd = crypto.randomBytes(12).toString('hex');
+    const fingerprint = crypto.randomBytes(32).toString('hex').toUpperCase().match(/../g).join(':');
+
+    const media = (kind, mid, codec) => [
+        `m=${kind} 9 UDP/TLS/RTP/SAVPF ${codec.pt}`,
+        'c=IN IP4 0.0.0.0',
+        `a=mid:${mid}`,
+        `a=ice-ufrag:${ufrag}`,
+        `a=ice-pwd:${pwd}`,
+        `a=fingerprint:sha-256 ${fingerprint}`,
+        'a=setup:actpass',
+        'a=sendrecv',
+        'a=rtcp-mux',
+        `a=rtpmap:${codec.pt} ${codec.name}`
+    ];
+
+    const lines = [
+        'v=0',
+        `o=- ${sessionId} 2 IN IP4 127.0.0.1`,
+        's=-',
+        't=0 0',
+        `a=group:BUNDLE 0${callType === 'video' ? ' 1' : ''}`,
+        ...media('audio', 0, { pt: 111, name: 'opus/48000/2' })
+    ];
+    if (callType === 'video') {
+        lines.push(...media('video', 1, { pt: 96, name: 'H264/90000' }));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+function createFakeCandidates() {
+    const port = 50000 + crypto.randomInt(10000);
+    const host = `192.168.${crypto.randomInt(256)}.${1 + crypto.randomInt(254)}`;
+    return [
+        { candidate: `candidate:1 1 udp 2122260223 ${host} ${port} typ host generation 0`, sdpMid: '0', sdpMLineIndex: 0 },
+        { candidate: `candidate:2 1 udp 1686052607 203.0.113.${1 + crypto.randomInt(254)} ${port} typ srflx raddr ${host} rport ${port} generation 0`, sdpMid: '0', sdpMLineIndex: 0 },
+        { candidate: '', sdpMid: '0', sdpMLineIndex: 0 }   // end-of-candidates
+    ];
+}
+
+/**
+ * 创建模拟设备
+ * @param {Object} options
+ * @param {string} options.server 服务器地址，如 ws://localhost:8080
+ * @param {string} options.deviceId
+ * @param {string} [options.protocol='signal'] signal / intercom
+ * @param {string} [options.type='peer'] 信令连接的 type 参数
+ * @param {string} [options.role='device'] 对讲连接的 x-role（app / device）
+ * @param {string} [options.token] Access Token（服务器启用鉴权时）
+ * @param {boolean} [options.autoAnswer=true] 自动接听来电，为 false 时拒接
+ * @param {number} [options.answerDelay=0] 接听前等待（毫秒），模拟振铃
+ * @param {boolean} [options.echo=false] 对讲：回传收到的音频
+ * @param {Object} [options.audio] 对讲：模拟音频参数（见 synthetic-audio）
+ * @param {boolean} [options.framing=true] 对讲：连接后协商编码并发送带帧头的音频，为 false 时按旧协议发送裸帧
+ * @param {number} [options.latency=0] 发出消息前的固定延迟（毫秒）
+ * @param {number} [options.jitter=0] 额外的随机延迟上限（毫秒）
+ * @param {number} [options.heartbeatInterval=15000] 应用层心跳间隔，0 为不发送
+ * @param {number} [options.callTimeout=45000] 主叫等待接通的上限（毫秒）
+ */
+function createSimulatedDevice(options) {
+    const device = new EventEmitter();
+    const deviceId = options.deviceId;
+    const protocol = options.protocol || 'signal';
+    const latency = options.latency || 0;
+    const jitter = options.jitter || 0;
+    const heartbeatInterval = options.heartbeatInterval === undefined ? 15000 : options.heartbeatInterval;
+    const callTimeout = options.callTimeout || DEFAULT_CALL_TIMEOUT;
+    const log = logger.child({ deviceId: deviceId });
+
+    let ws = null;
+    let resumeToken = null;
+    let heartbeatTimer = null;
+    let audioTimer = null;
+    let audioSource = null;
+
+    // 对讲：协商的编码（null 为旧协议）、发送序号、接收统计
+    let codec = null;
+    let sequence = 0;
+    let audioEpoch = Date.now();
+    let receiveStats = createStreamStats();
+    let lastSendAt = 0;
+    let closing = false;
+
+    // 当前通话: {callId, peerId, callType, outgoing, startedAt, acceptedAt, settle}
+    let call = null;
+
+    const stats = {
+        messagesSent: 0,
+        messagesReceived: 0,
+        messagesDropped: 0,     // 连接已断开而未发出的消息
+        serverErrors: {},       // error 消息，按 code 统计
+        commandsHandled: 0,
+        audioFramesSent: 0,
+        audioBytesSent: 0,
+        audioFramesReceived: 0,
+        audioBytesReceived: 0,
+        audioFramesLost: 0,     // 按帧序号推算的丢包
+        audioJitter: 0          // 接收抖动（毫秒）
+    };
+
+    function buildUrl() {
+        const url = new URL(options.server);
+        url.pathname = protocol === 'intercom' ? '/intercom' : '/signal';
+        url.searchParams.set('deviceId', deviceId);
+        if (protocol === 'signal') {
+            url.searchParams.set('type', options.type || 'peer');
+            if (resumeToken) url.searchParams.set('resumeToken', resumeToken);
+        }
+        return url.toString();
+    }
+
+    // 发出的消息按 latency + jitter 延迟，保持发送顺序
+    function transmit(payload) {
+        const delay = latency + (jitter ? Math.random() * jitter : 0);
+        const socket = ws;
+
+        const deliver = () => {
+            if (!socket || socket !== ws || socket.readyState !== WebSocket.OPEN) {
+                stats.messagesDropped += 1;
+                return;
+            }
+            socket.send(payload);
+            stats.messagesSent += 1;
+        };
+
+        if (delay === 0 && lastSendAt <= Date.now()) {
+            deliver();
+            return;
+        }
+        lastSendAt = Math.max(Date.now() + delay, lastSendAt);
+        setTimeout(deliver, lastSendAt - Date.now());
+    }
+
+    function send(message) {
+        transmit(JSON.stringify(message));
+    }
+
+    function getAudioSource() {
+        if (!audioSource) audioSource = createAudioSource(options.audio);
+        return audioSource;
+    }
+
+    // 发送一帧对讲音频，已协商时加上帧头
+    function sendAudio(payload) {
+        if (!codec) {
+            transmit(payload);
+            return;
+        }
+        transmit(encodeFrame({ codec: codec.name, sequence: sequence, timestamp: Date.now() - audioEpoch }, payload));
+        sequence += 1;
+    }
+
+    function receiveAudio(raw) {
+        let payload = raw;
+        if (codec) {
+            try {
+                const frame = decodeFrame(raw);
+                receiveStats.update(frame.sequence, frame.timestamp);
+                const snapshot = receiveStats.snapshot();
+                stats.audioFramesLost = snapshot.packetsLost;
+                stats.audioJitter = snapshot.jitter;
+                payload = frame.payload;
+            } catch (error) {
+                log.debug(`⚠️  无法解析的音频帧: ${error.message}`);
+                return;
+            }
+        }
+
+        stats.audioFramesReceived += 1;
+        stats.audioBytesReceived += payload.length;
+        device.emit('audio', payload);
+        if (options.echo) sendAudio(payload);
+    }
+
+    function sendCandidates(peerId, callId) {
+        for (const candidate of createFakeCandidates()) {
+            send({ type: 'ice-candidate', to: peerId, callId: callId, ...candidate });
+        }
+    }
+
+    // 结束当前主叫请求并返回结果
+    function settleCall(status, extra = {}) {
+        if (!call || !call.settle) return;
+
+        const settle = call.settle;
+        call.settle = null;
+        clearTimeout(call.timer);
+        settle({
+            status: status,
+            callId: call.callId,
+            to: call.peerId,
+            acceptTime: call.acceptedAt ? call.acceptedAt - call.startedAt : null,
+            ...extra
+        });
+        if (status !== 'connected') call = null;
+    }
+
+    function handleSignal(data) {
+        switch (data.type) {
+            case 'session':
+                resumeToken = data.resumeToken;
+                break;
+
+            case 'incoming-call':
+                device.emit('incoming-call', data);
+                if (call) {
+                    send({ type: 'reject', callId: data.callId, reason: 'busy' });
+                    break;
+                }
+                if (options.autoAnswer === false) {
+                    send({ type: 'reject', callId: data.callId });
+                    break;
+                }
+                call = { callId: data.callId, peerId: data.from, callType: data.callType, outgoing: false };
+                setTimeout(() => {
+                    if (call && call.callId === data.callId) {
+                        send({ type: 'accept', callId: data.callId });
+                    }
+                }, options.answerDelay || 0);
+                break;
+
+            case 'call-ringing':
+                if (call && call.outgoing) call.callId = data.callId;
+                break;
+
+            case 'call-accepted':
+                // 主叫发 offer，被叫回 answer 后视为接通
+                if (!call || !call.outgoing) break;
+                call.acceptedAt = Date.now();
+                send({ type: 'offer', to: call.peerId, callId: call.callId, sdp: createFakeSdp(call.callType) });
+                sendCandidates(call.peerId, call.callId);
+                break;
+
+            case 'offer':
+                if (data.roomId) break;
+                send({ type: 'answer', to: data.from, callId: data.callId, sdp: createFakeSdp(call ? call.callType : 'video') });
+                sendCandidates(data.from, data.callId);
+                break;
+
+            case 'answer':
+                if (call && call.outgoing && call.settle) {
+                    settleCall('connected', { setupTime: Date.now() - call.startedAt });
+                }
+                break;
+
+            case 'busy':
+                settleCall('busy');
+                break;
+
+            case 'call-rejected':
+                settleCall('rejected', { reason: data.reason });
+                break;
+
+            case 'call-failed':
+                settleCall('failed', { reason: data.reason });
+                break;
+
+            case 'call-timeout':
+                if (call && call.outgoing) {
+                    settleCall('timeout');
+                } else {
+                    call = null;
+                }
+                break;
+
+            case 'hangup':
+                settleCall('failed', { reason: data.reason || 'hangup' });
+                call = null;
+                break;
+
+            case 'command':
+                // 远程命令：先确认，再回报模拟结果
+                stats.commandsHandled += 1;
+                send({ type: 'command-ack', commandId: data.commandId });
+                send({
+                    type: 'command-result',
+                    commandId: data.commandId,
+                    success: true,
+                    result: { action: data.action, simulated: true }
+                });
+                break;
+
+            case 'error':
+                stats.serverErrors[data.code] = (stats.serverErrors[data.code] || 0) + 1;
+                log.warn(`⚠️  服务器返回错误: ${data.code} ${data.message}`, { code: data.code });
+                break;
+        }
+    }
+
+    function startHeartbeat() {
+        clearInterval(heartbeatTimer);
+        if (protocol !== 'signal' || !heartbeatInterval) return;
+
+        heartbeatTimer = setInterval(() => {
+            send({ type: 'heartbeat', status: call ? 'busy' : 'idle' });
+        }, heartbeatInterval);
+    }
+
+    function attach(socket) {
+        socket.on('message', (raw, isBinary) => {
+            if (socket !== ws) return;
+
+            if (protocol === 'intercom' && isBinary) {
+                receiveAudio(raw);
+                return;
+            }
+
+            if (isBinary) return;
+            let data;
+            try {
+                data = JSON.parse(raw);
+            } catch (error) {
+                return;
+            }
+
+            stats.messagesReceived += 1;
+            log.debug(`📨 收到消息: ${data.type}`, { messageType: data.type, callId: data.callId });
+            if (protocol === 'signal') handleSignal(data);
+            device.emit('message', data);
+        });
+
+        socket.on('close', (code) => {
+            if (socket !== ws) return;
+
+            clearInterval(heartbeatTimer);
+            clearInterval(audioTimer);
+            audioTimer = null;
+            device.emit('close', code);
+        });
+
+        socket.on('error', (error) => {
+            log.debug(`⚠️  连接错误: ${error.message}`);
+        });
+    }
+
+    device.deviceId = deviceId;
+    device.protocol = protocol;
+    device.stats = stats;
+
+    /**
+     * 建立连接，信令连接收到 session 消息后才算完成
+     * @returns {Promise<{resumed: boolean, time: number}>}
+     */
+    device.connect = () => new Promise((resolve, reject) => {
+        const startedAt = Date.now();
+        const headers = {};
+        if (protocol === 'intercom') headers['x-role'] = options.role || 'device';
+        if (options.token) headers['Authorization'] = `Bearer ${options.token}`;
+
+        closing = false;
+        const socket = new WebSocket(buildUrl(), { headers });
+        ws = socket;
+        attach(socket);
+
+        const timer = setTimeout(() => {
+            socket.terminate();
+            reject(new Error('连接超时'));
+        }, DEFAULT_CONNECT_TIMEOUT);
+
+        const onError = (error) => fail(error);
+        const onRejected = (req, res) => {
+            fail(new Error(`服务器拒绝连接: HTTP ${res.statusCode}`));
+            socket.terminate();
+        };
+        const onClose = (code) => fail(new Error(`连接已关闭: ${code}`));
+
+        const cleanup = () => {
+            clearTimeout(timer);
+            socket.removeListener('error', onError);
+            socket.removeListener('unexpected-response', onRejected);
+            socket.removeListener('close', onClose);
+        };
+        const fail = (error) => {
+            cleanup();
+            reject(error);
+        };
+        socket.once('error', onError);
+        socket.once('unexpected-response', onRejected);
+        socket.once('close', onClose);
+
+        const done = (resumed) => {
+            cleanup();
+            startHeartbeat();
+            resolve({ resumed: resumed, time: Date.now() - startedAt });
+        };
+
+        if (protocol === 'intercom' && options.framing === false) {
+            socket.once('open', () => done(false));
+        } else if (protocol === 'intercom') {
+            // 协商编码，新连接上序号和接收统计重新开始
+            const source = getAudioSource();
+            socket.once('open', () => {
+                send({ type: 'negotiate', codecs: [{ name: source.codec, sampleRate: source.sampleRate, channels: 1 }] });
+            });
+            const onNegotiated = (data) => {
+                if (data.type !== 'negotiated' && data.type !== 'error') return;
+                device.removeListener('message', onNegotiated);
+                if (data.type === 'error') {
+                    fail(new Error(`编码协商失败: ${data.message}`));
+                    socket.terminate();
+                    return;
+                }
+                codec = data.codec;
+                sequence = 0;
+                audioEpoch = Date.now();
+                receiveStats = createStreamStats();
+                done(false);
+            };
+            device.on('message', onNegotiated);
+        } else {
+            const onSession = (data) => {
+                if (data.type !== 'session') return;
+                device.removeListener('message', onSession);
+                done(Boolean(data.resumed));
+            };
+            device.on('message', onSession);
+        }
+    });
+
+    /**
+     * 发起通话，收到 answer（SDP 交换完成）视为接通
+     * @returns {Promise<{status: string, callId, to, acceptTime, setupTime, reason}>}
+     *          status: connected / busy / rejected / failed / timeout
+     */
+    device.call = (to, callOptions = {}) => new Promise((resolve) => {
+        if (call) {
+            resolve({ status: 'failed', to: to, reason: 'already-in-call' });
+            return;
+        }
+
+        call = {
+            callId: null,
+            peerId: to,
+            callType: callOptions.callType || 'video',
+            outgoing: true,
+            startedAt: Date.now(),
+            acceptedAt: null,
+            settle: resolve
+        };
+        call.timer = setTimeout(() => settleCall('timeout'), callTimeout);
+        send({ type: 'call', to: to, callType: call.callType });
+    });
+
+    /**
+     * 挂断当前通话
+     */
+    device.hangup = () => {
+        if (!call) return;
+        send({ type: 'hangup', to: call.peerId, callId: call.callId || undefined });
+        settleCall('failed', { reason: 'hangup' });
+        call = null;
+    };
+
+    /**
+     * 是否在通话中
+     */
+    device.inCall = () => Boolean(call && !call.settle);
+
+    /**
+     * 对讲：开始持续发送模拟音频，duration 毫秒后自动停止（省略则一直发送）
+     * @returns {Promise} 停止发送时完成
+     */
+    device.startAudio = (duration) => new Promise((resolve) => {
+        const source = getAudioSource();
+        const startedAt = Date.now();
+        let sent = 0;
+
+        clearInterval(audioTimer);
+        // 按已过时间补发，避免定时器漂移导致码率偏低
+        const timer = setInterval(() => {
+            const due = Math.floor((Date.now() - startedAt) / source.frameDuration);
+            while (sent < due) {
+                const frame = source.nextFrame();
+                sendAudio(frame);
+                stats.audioFramesSent += 1;
+                stats.audioBytesSent += frame.length;
+                sent += 1;
+            }
+            if (duration && Date.now() - startedAt >= duration) {
+                clearInterval(timer);
+                resolve();
+            }
+        }, Math.min(source.frameDuration, 20));
+        audioTimer = timer;
+
+        device.once('close', () => resolve());
+    });
+
+    device.stopAudio = () => {
+        clearInterval(audioTimer);
+        audioTimer = null;
+    };
+
+    /**
+     * 模拟网络中断：不发关闭帧直接断开（服务器按异常断开处理，进入会话宽限期）
+     */
+    device.drop = () => {
+        if (ws) ws.terminate();
+    };
+
+    /**
+     * 正常断开
+     */
+    device.close = () => {
+        closing = true;
+        clearInterval(heartbeatTimer);
+        device.stopAudio();
+        if (call) device.hangup();
+        if (!ws || ws.readyState === WebSocket.CLOSED) return Promise.resolve();
+
+        const socket = ws;
+        return new Promise((resolve) => {
+            socket.once('close', () => resolve());
+            // 等延迟发送的挂断消息发出后再关闭
+            setTimeout(() => socket.close(1000), Math.max(0, lastSendAt - Date.now()));
+        });
+    };
+
+    /**
+     * 设置 Access Token，下次连接时使用
+     */
+    device.setToken = (token) => {
+        options.token = token;
+    };
+
+    device.isClosed = () => closing;
+
+    device.isOpen = () => Boolean(ws && ws.readyState === WebSocket.OPEN && !closing);
+
+    return device;
+}
+
+module.exports = {
+    createSimulatedDevice
+};
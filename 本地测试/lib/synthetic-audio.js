@@ -0,0 +1,131 @@
+/**
+ * SimpleEyes 模拟音频源（设备模拟器使用）
+ * 按真实编码器的帧间隔和码率产生对讲音频帧，用于压测对讲转发和录音
+ *
+ * - pcm16（默认）：20ms 一帧的 16 位小端 PCM 正弦波，是真实可播放的音频
+ * - aac / opus 合成音调：帧内容由正弦波量化得到，帧长、间隔与 16kHz 单声道 AAC-LC / Opus 一致，
+ *   只用于压测转发的帧大小和节奏；不是真正的编码数据，服务器录下的 .aac 无法播放
+ * - file：循环发送 ADTS 格式的 .aac 文件（去掉 ADTS 头，与 iOS 端发送的裸帧一致）
+ */
+
+const fs = require('fs');
+
+const SAMPLE_RATE = 16000;
+
+// 各编码的帧参数：samplesPerFrame 决定帧间隔，bitrate 决定帧大小
+const CODECS = {
+    aac: { samplesPerFrame: 1024, bitrate: 24000 },  // 64ms/帧
+    opus: { samplesPerFrame: 320, bitrate: 24000 },  // 20ms/帧
+    pcm16: { samplesPerFrame: 320, bitrate: SAMPLE_RATE * 16 }
+};
+
+// ADTS 头中的采样率索引
+const ADTS_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+/**
+ * 拆分 ADTS 文件，返回去掉头部的裸 AAC 帧
+ */
+function readAdtsFrames(file) {
+    const data = fs.readFileSync(file);
+    const frames = [];
+    let sampleRate = SAMPLE_RATE;
+    let offset = 0;
+
+    while (offset + 7 <= data.length) {
+        // 同步字 0xFFF
+        if (data[offset] !== 0xFF || (data[offset + 1] & 0xF0) !== 0xF0) {
+            throw new Error(`不是 ADTS 格式的 AAC 文件（偏移 ${offset}）`);
+        }
+
+        const protectionAbsent = data[offset + 1] & 0x01;
+        const headerLength = protectionAbsent ? 7 : 9;
+        const frameLength = ((data[offset + 3] & 0x03) << 11) | (data[offset + 4] << 3) | (data[offset + 5] >> 5);
+        if (frameLength < headerLength || offset + frameLength > data.length) break;
+
+        sampleRate = ADTS_SAMPLE_RATES[(data[offset + 2] >> 2) & 0x0F] || sampleRate;
+        frames.push(data.subarray(offset + headerLength, offset + frameLength));
+        offset += frameLength;
+    }
+
+    if (frames.length === 0) {
+        throw new Error('AAC 文件中没有完整的音频帧');
+    }
+    return { frames, sampleRate, frameDuration: 1024 * 1000 / sampleRate };
+}
+
+/**
+ * 创建音频源
+ * @param {Object} [options]
+ * @param {string} [options.codec='pcm16'] pcm16 / aac / opus
+ * @param {number} [options.frequency=440] 合成音调频率（Hz）
+ * @param {number} [options.bitrate] 合成帧的码率（bps），pcm16 忽略
+ * @param {string} [options.file] ADTS .aac 文件，指定时忽略 codec 等参数
+ * @returns {{codec: string, sampleRate: number, frameDuration: number, nextFrame: function(): Buffer}}
+ */
+function createAudioSource(options = {}) {
+    if (options.file) {
+        const { frames, sampleRate, frameDuration } = readAdtsFrames(options.file);
+        let index = 0;
+        return {
+            codec: 'aac',
+            sampleRate: sampleRate,
+            frameDuration: frameDuration,
+            nextFrame() {
+                const frame = frames[index];
+                index = (index + 1) % frames.length;
+                return frame;
+            }
+        };
+    }
+
+    const codec = options.codec || 'pcm16';
+    const params = CODECS[codec];
+    if (!params) {
+        throw new Error(`不支持的音频编码: ${codec}（可选 ${Object.keys(CODECS).join(' / ')}）`);
+    }
+
+    const frequency = options.frequency || 440;
+    const frameDuration = params.samplesPerFrame * 1000 / SAMPLE_RATE;
+    let sample = 0;
+
+    if (codec === 'pcm16') {
+        return {
+            codec: codec,
+            sampleRate: SAMPLE_RATE,
+            frameDuration: frameDuration,
+            nextFrame() {
+                const frame = Buffer.alloc(params.samplesPerFrame * 2);
+                for (let i = 0; i < params.samplesPerFrame; i++) {
+                    const t = (sample + i) / SAMPLE_RATE;
+                    frame.writeInt16LE(Math.round(16000 * Math.sin(2 * Math.PI * frequency * t)), i * 2);
+                }
+                sample += params.samplesPerFrame;
+                return frame;
+            }
+        };
+    }
+
+    const bitrate = options.bitrate || params.bitrate;
+    const frameSize = Math.max(1, Math.round(bitrate * frameDuration / 1000 / 8));
+
+    return {
+        codec: codec,
+        sampleRate: SAMPLE_RATE,
+        frameDuration: frameDuration,
+        nextFrame() {
+            // 把本帧时间段内的正弦波均匀量化为 frameSize 个字节
+            const frame = Buffer.alloc(frameSize);
+            for (let i = 0; i < frameSize; i++) {
+                const t = (sample + i * params.samplesPerFrame / frameSize) / SAMPLE_RATE;
+                frame[i] = Math.round(127.5 + 127.5 * Math.sin(2 * Math.PI * frequency * t));
+            }
+            sample += params.samplesPerFrame;
+            return frame;
+        }
+    };
+}
+
+module.exports = {
+    createAudioSource,
+    readAdtsFrames
+};
@@ -0,0 +1,380 @@
+/**
+ * SimpleEyes 直播转码
+ * 每个设备一个 ffmpeg 进程，把输入（本地文件或 RTSP 等网络流）转成滚动的 HLS 切片：
+ *   <dir>/<deviceId>/index.m3u8 + seg_00001.ts ...
+ * 播放列表只保留最近 playlistSize 个切片，旧切片由 ffmpeg 删除
+ *
+ * 任务状态: starting（进程已启动，播放列表未生成）→ live → stopped / failed
+ * 超过 idleTimeout 没有人拉取播放列表或切片时自动停止（touch() 续期）
+ *
+ * 网络输入只能是设备登记的直播地址或 allowedHosts 中的主机，避免被用来让服务器访问内网的任意地址
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { toISO8601 } = require('./device-registry');
+const { logger } = require('./logger');
+
+// 允许的网络输入协议，其余一律当作 inputDir 下的文件
+const NETWORK_PROTOCOLS = ['rtsp', 'rtsps', 'rtmp', 'rtmps', 'http', 'https', 'srt', 'udp'];
+
+// HLS 目录中允许访问的文件名
+const HLS_FILE_PATTERN = /^[\w.-]+\.(m3u8|ts)$/;
+
+const DEFAULTS = {
+    resolution: '1280x720',
+    bitrate: '2000k',
+    fps: 25
+};
+
+// 停止时等待 ffmpeg 写完最后一个切片的时长，超时后强制结束
+const STOP_TIMEOUT = 5000;
+
+// 失败时保留的 ffmpeg stderr 行数
+const STDERR_LINES = 20;
+
+/**
+ * 校验转码参数，缺省项取默认值
+ * @param {Object} params {inputUrl, resolution, bitrate, fps}
+ * @returns {{inputUrl: string, resolution: string, bitrate: string, fps: number}}
+ * @throws {Error} 参数格式错误
+ */
+function normalizeParams(params) {
+    const inputUrl = typeof params.inputUrl === 'string' ? params.inputUrl.trim() : '';
+    if (!inputUrl) {
+        throw new Error('缺少 inputUrl');
+    }
+
+    const resolution = params.resolution === undefined ? DEFAULTS.resolution : String(params.resolution);
+    if (!/^\d{2,5}x\d{2,5}$/.test(resolution)) {
+        throw new Error(`resolution 格式应为 宽x高，实际为 ${JSON.stringify(params.resolution)}`);
+    }
+
+    // 2000k / 2M / 2000000
+    const bitrate = params.bitrate === undefined ? DEFAULTS.bitrate : String(params.bitrate);
+    if (!/^\d+[kKmM]?$/.test(bitrate)) {
+        throw new Error(`bitrate 格式应为 2000k，实际为 ${JSON.stringify(params.bitrate)}`);
+    }
+
+    const fps = params.fps === undefined ? DEFAULTS.fps : Number(params.fps);
+    if (!Number.isInteger(fps) || fps < 1 || fps > 60) {
+        throw new Error(`fps 应为 1-60 的整数，实际为 ${JSON.stringify(params.fps)}`);
+    }
+
+    return { inputUrl, resolution, bitrate, fps };
+}
+
+/**
+ * 创建转码任务管理器
+ * @param {Object} options
+ * @param {string} options.dir HLS 输出目录，每个设备一个子目录
+ * @param {string} options.inputDir 本地输入文件所在目录，文件输入只能引用该目录下的文件
+ * @param {string} [options.ffmpegPath='ffmpeg']
+ * @param {number} [options.segmentDuration=2] 切片时长（秒）
+ * @param {number} [options.playlistSize=6] 播放列表保留的切片数
+ * @param {number} [options.idleTimeout=60000] 无人观看多久后停止（毫秒），0 为不自动停止
+ * @param {string[]} [options.allowedHosts] 允许作为网络输入的主机名
+ */
+function createTranscodeManager(options) {
+    const dir = options.dir;
+    const inputDir = options.inputDir;
+    const ffmpegPath = options.ffmpegPath || 'ffmpeg';
+    const segmentDuration = options.segmentDuration || 2;
+    const playlistSize = options.playlistSize || 6;
+    const idleTimeout = options.idleTimeout === undefined ? 60000 : options.idleTimeout;
+    const allowedHosts = (options.allowedHosts || []).map(host => host.toLowerCase());
+
+    // 转码任务: Map<deviceId, job>
+    const jobs = new Map();
+
+    // 正在处理的 start() 调用: Map<deviceId, Promise>，同一设备的启动依次进行
+    const starting = new Map();
+
+    function hostnameOf(inputUrl) {
+        try {
+            return new URL(inputUrl).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // 解析输入：网络流原样交给 ffmpeg，文件限定在 inputDir 内
+    // streamUrl 为设备登记的直播地址，网络输入须与之相同或主机在 allowedHosts 中
+    function resolveInput(inputUrl, streamUrl) {
+        const scheme = /^([a-z][a-z0-9+.-]*):\/\//i.exec(inputUrl);
+        if (scheme && scheme[1].toLowerCase() !== 'file') {
+            const protocol = scheme[1].toLowerCase();
+            if (!NETWORK_PROTOCOLS.includes(protocol)) {
+                throw new Error(`不支持的输入协议: ${protocol}`);
+            }
+            if (inputUrl !== streamUrl && !allowedHosts.includes(hostnameOf(inputUrl))) {
+                throw new Error('网络输入只能是设备登记的直播地址或允许的主机');
+            }
+            return { type: protocol, source: inputUrl };
+        }
+
+        const file = scheme ? decodeURIComponent(inputUrl.slice('file://'.length)) : inputUrl;
+        const root = path.resolve(inputDir);
+        const filePath = path.resolve(root, file);
+        if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+            throw new Error(`输入文件须位于 ${root} 下`);
+        }
+        if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+            throw new Error(`输入文件不存在: ${file}`);
+        }
+        return { type: 'file', source: filePath };
+    }
+
+    function buildArgs(input, params, outputDir) {
+        const [width, height] = params.resolution.split('x');
+        const args = ['-hide_banner', '-loglevel', 'error', '-nostdin'];
+
+        if (input.type === 'file') {
+            // 按原速循环播放本地文件，模拟摄像头直播
+            args.push('-re', '-stream_loop', '-1');
+        } else if (input.type === 'rtsp' || input.type === 'rtsps') {
+            args.push('-rtsp_transport', 'tcp');
+        }
+        args.push('-i', input.source);
+
+        args.push(
+            '-map', '0:v:0', '-map', '0:a:0?',
+            '-c:v', 'libx264', '-preset', 'veryfast', '-tune', 'zerolatency',
+            '-vf', `scale=${width}:${height}`,
+            '-b:v', params.bitrate, '-maxrate', params.bitrate, '-bufsize', params.bitrate,
+            '-r', String(params.fps),
+            // 每个切片以关键帧开头
+            '-g', String(params.fps * segmentDuration), '-sc_threshold', '0',
+            '-c:a', 'aac', '-b:a', '64k', '-ar', '44100',
+            '-f', 'hls',
+            '-hls_time', String(segmentDuration),
+            '-hls_list_size', String(playlistSize),
+            '-hls_flags', 'delete_segments+omit_endlist',
+            '-hls_segment_filename', path.join(outputDir, 'seg_%05d.ts'),
+            path.join(outputDir, 'index.m3u8')
+        );
+        return args;
+    }
+
+    // 对外的任务信息
+    function describe(job) {
+        return {
+            deviceId: job.deviceId,
+            status: job.status,
+            inputUrl: job.params.inputUrl,
+            resolution: job.params.resolution,
+            bitrate: job.params.bitrate,
+            fps: job.params.fps,
+            startedAt: toISO8601(job.startedAt),
+            error: job.error
+        };
+    }
+
+    function resetIdleTimer(job) {
+        clearTimeout(job.idleTimer);
+        if (!idleTimeout) return;
+        job.idleTimer = setTimeout(() => {
+            logger.info(`💤 直播无人观看，停止转码: 设备ID=${job.deviceId}`, { deviceId: job.deviceId });
+            stopJob(job);
+        }, idleTimeout);
+        job.idleTimer.unref();
+    }
+
+    function clearTimers(job) {
+        clearTimeout(job.idleTimer);
+        clearInterval(job.pollTimer);
+        clearTimeout(job.killTimer);
+    }
+
+    function removeOutput(job) {
+        fs.rmSync(job.dir, { recursive: true, force: true });
+    }
+
+    // 停止一个任务，进程退出并清理输出目录后 resolve
+    function stopJob(job) {
+        if (job.status === 'stopped' || job.status === 'failed') {
+            if (jobs.get(job.deviceId) === job) jobs.delete(job.deviceId);
+            return Promise.resolve();
+        }
+        if (!job.stopping) {
+            job.stopping = true;
+            clearTimeout(job.idleTimer);
+            job.process.kill('SIGTERM');
+            job.killTimer = setTimeout(() => job.process.kill('SIGKILL'), STOP_TIMEOUT);
+        }
+        return job.exited;
+    }
+
+    function startJob(deviceId, params, input) {
+        const outputDir = path.join(dir, encodeURIComponent(deviceId));
+        fs.rmSync(outputDir, { recursive: true, force: true });
+        fs.mkdirSync(outputDir, { recursive: true });
+
+        const child = spawn(ffmpegPath, buildArgs(input, params, outputDir), {
+            stdio: ['ignore', 'ignore', 'pipe']
+        });
+        const job = {
+            deviceId: deviceId,
+            params: params,
+            dir: outputDir,
+            process: child,
+            status: 'starting',
+            startedAt: Date.now(),
+            error: null,
+            stopping: false,
+            stderr: [],
+            idleTimer: null,
+            pollTimer: null,
+            killTimer: null,
+            exited: null
+        };
+        jobs.set(deviceId, job);
+
+        child.stderr.setEncoding('utf8');
+        child.stderr.on('data', (chunk) => {
+            job.stderr.push(...chunk.split('\n').filter(Boolean));
+            job.stderr.splice(0, Math.max(job.stderr.length - STDERR_LINES, 0));
+        });
+
+        // 播放列表生成后进入 live
+        const playlist = path.join(outputDir, 'index.m3u8');
+        job.pollTimer = setInterval(() => {
+            if (job.status === 'starting' && fs.existsSync(playlist)) {
+                job.status = 'live';
+                clearInterval(job.pollTimer);
+                logger.info(`📺 直播已就绪: 设备ID=${deviceId}`, { deviceId: deviceId });
+            }
+        }, 500);
+        job.pollTimer.unref();
+
+        job.exited = new Promise((resolve) => {
+            child.once('close', (code, signal) => {
+                clearTimers(job);
+                removeOutput(job);
+                if (job.stopping) {
+                    job.status = 'stopped';
+                    if (jobs.get(deviceId) === job) jobs.delete(deviceId);
+                    logger.info(`⏹️  停止转码: 设备ID=${deviceId}`, { deviceId: deviceId });
+                } else {
+                    // 意外退出：保留任务和最后的错误输出，供 get() 查询
+                    job.status = 'failed';
+                    job.error = job.error || job.stderr.slice(-3).join('\n') || `ffmpeg 退出 (code=${code}, signal=${signal})`;
+                    logger.warn(`⚠️  转码进程退出: 设备ID=${deviceId} ${job.error}`, { deviceId: deviceId });
+                }
+                resolve();
+            });
+        });
+
+        resetIdleTimer(job);
+
+        return new Promise((resolve, reject) => {
+            child.once('spawn', () => {
+                logger.info(`🎬 启动转码: 设备ID=${deviceId} 输入=${params.inputUrl}`, { deviceId: deviceId });
+                resolve(describe(job));
+            });
+            child.once('error', (error) => {
+                job.error = error.code === 'ENOENT' ? `找不到 ffmpeg: ${ffmpegPath}` : error.message;
+                if (job.status === 'starting' && !child.pid) {
+                    // 进程未能启动
+                    clearTimers(job);
+                    removeOutput(job);
+                    job.status = 'failed';
+                }
+                reject(new Error(job.error));
+            });
+        });
+    }
+
+    return {
+        /**
+         * 启动（或复用）设备的转码任务
+         * 参数相同且仍在运行的任务直接复用，否则先停止旧任务；同一设备的并发调用依次处理
+         * @param {string} deviceId
+         * @param {Object} params {inputUrl, resolution?, bitrate?, fps?}
+         * @param {string} [streamUrl] 设备登记的直播地址，允许作为网络输入
+         * @returns {Promise<Object>} 进程启动后 resolve 任务信息；ffmpeg 无法启动时 reject
+         * @throws {Error} 参数错误或输入无效（同步抛出）
+         */
+        start(deviceId, params, streamUrl) {
+            const normalized = normalizeParams(params);
+            const input = resolveInput(normalized.inputUrl, streamUrl);
+
+            const run = () => {
+                const existing = jobs.get(deviceId);
+                if (existing && !existing.stopping && (existing.status === 'starting' || existing.status === 'live')
+                    && JSON.stringify(existing.params) === JSON.stringify(normalized)) {
+                    resetIdleTimer(existing);
+                    return describe(existing);
+                }
+
+                const previous = existing ? stopJob(existing) : Promise.resolve();
+                return previous.then(() => startJob(deviceId, normalized, input));
+            };
+
+            const pending = starting.get(deviceId) || Promise.resolve();
+            const result = pending.catch(() => {}).then(run);
+            starting.set(deviceId, result);
+            const cleanup = () => {
+                if (starting.get(deviceId) === result) starting.delete(deviceId);
+            };
+            result.then(cleanup, cleanup);
+            return result;
+        },
+
+        /**
+         * 停止设备的转码任务，没有任务时返回 false
+         * @returns {Promise<boolean>}
+         */
+        stop(deviceId) {
+            const job = jobs.get(deviceId);
+            if (!job) return Promise.resolve(false);
+            return stopJob(job).then(() => true);
+        },
+
+        /**
+         * 任务信息，没有任务时返回 null
+         */
+        get(deviceId) {
+            const job = jobs.get(deviceId);
+            return job ? describe(job) : null;
+        },
+
+        list() {
+            return Array.from(jobs.values()).map(describe);
+        },
+
+        /**
+         * 有人拉取播放列表或切片时续期，推迟空闲停止
+         */
+        touch(deviceId) {
+            const job = jobs.get(deviceId);
+            if (job && !job.stopping && (job.status === 'starting' || job.status === 'live')) {
+                resetIdleTimer(job);
+            }
+        },
+
+        /**
+         * HLS 文件的本地路径，文件名不合法或任务不存在时返回 null
+         * @param {string} deviceId
+         * @param {string} name index.m3u8 或 seg_00001.ts
+         */
+        resolveFile(deviceId, name) {
+            const job = jobs.get(deviceId);
+            if (!job || !HLS_FILE_PATTERN.test(name)) return null;
+            return path.join(job.dir, name);
+        },
+
+        /**
+         * 停止所有转码任务
+         */
+        close() {
+            return Promise.all(Array.from(jobs.values()).map(stopJob));
+        }
+    };
+}
+
+module.exports = {
+    createTranscodeManager,
+    normalizeParams
+};
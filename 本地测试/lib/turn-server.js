@@ -0,0 +1,781 @@
+/**
+ * SimpleEyes 内置 STUN/TURN 服务器（UDP）
+ * 实现 RFC 5389 Binding 和 RFC 5766 TURN 中继（Allocate、Refresh、CreatePermission、ChannelBind、Send/Data、ChannelData）
+ *
+ * 鉴权采用 coturn REST API 风格的临时凭证:
+ *   username   = "<过期时间戳(秒)>:<用户标识>"
+ *   credential = base64(HMAC-SHA1(secret, username))
+ * 服务器只需共享密钥即可校验，不保存用户表
+ *
+ * 对端地址不能是回环、0.0.0.0/8、链路本地、组播或广播地址，本机地址只能是其他分配的中继端口，
+ * 否则 CreatePermission / ChannelBind 返回 403，Send 指示和 ChannelData 丢弃
+ */
+
+const dgram = require('dgram');
+const crypto = require('crypto');
+const os = require('os');
+const EventEmitter = require('events');
+const { logger } = require('./logger');
+
+const MAGIC_COOKIE = 0x2112a442;
+const HEADER_SIZE = 20;
+
+// 方法
+const METHOD = {
+    BINDING: 0x001,
+    ALLOCATE: 0x003,
+    REFRESH: 0x004,
+    SEND: 0x006,
+    DATA: 0x007,
+    CREATE_PERMISSION: 0x008,
+    CHANNEL_BIND: 0x009
+};
+
+// 消息类别
+const CLASS = {
+    REQUEST: 0x000,
+    INDICATION: 0x010,
+    SUCCESS: 0x100,
+    ERROR: 0x110
+};
+
+// 属性
+const ATTR = {
+    MAPPED_ADDRESS: 0x0001,
+    USERNAME: 0x0006,
+    MESSAGE_INTEGRITY: 0x0008,
+    ERROR_CODE: 0x0009,
+    CHANNEL_NUMBER: 0x000c,
+    LIFETIME: 0x000d,
+    XOR_PEER_ADDRESS: 0x0012,
+    DATA: 0x0013,
+    REALM: 0x0014,
+    NONCE: 0x0015,
+    XOR_RELAYED_ADDRESS: 0x0016,
+    REQUESTED_TRANSPORT: 0x0019,
+    XOR_MAPPED_ADDRESS: 0x0020,
+    SOFTWARE: 0x8022,
+    FINGERPRINT: 0x8028
+};
+
+const ERROR_REASONS = {
+    400: 'Bad Request',
+    401: 'Unauthorized',
+    403: 'Forbidden',
+    437: 'Allocation Mismatch',
+    438: 'Stale Nonce',
+    442: 'Unsupported Transport Protocol',
+    486: 'Allocation Quota Reached',
+    508: 'Insufficient Capacity'
+};
+
+const SOFTWARE = 'SimpleEyes TURN';
+const TRANSPORT_UDP = 17;
+const DEFAULT_LIFETIME = 600;
+const MAX_LIFETIME = 3600;
+const PERMISSION_LIFETIME = 300;
+const CHANNEL_LIFETIME = 600;
+const NONCE_LIFETIME = 600;
+
+// 不允许中继到的对端地址段（同 coturn 默认的 no-loopback-peers 和 denied-peer-ip）：
+// 0.0.0.0/8、回环、链路本地、组播和保留地址（含广播）
+const DENIED_PEER_RANGES = [
+    ['0.0.0.0', 8],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['224.0.0.0', 4],
+    ['240.0.0.0', 4]
+].map(([base, bits]) => ({ base: ipv4ToInt(base), mask: (0xffffffff << (32 - bits)) >>> 0 }));
+
+function ipv4ToInt(address) {
+    return address.split('.').reduce((sum, part) => (sum << 8) + parseInt(part, 10), 0) >>> 0;
+}
+
+function isDeniedPeerAddress(address) {
+    const ip = ipv4ToInt(address);
+    return DENIED_PEER_RANGES.some(range => ((ip & range.mask) >>> 0) === range.base);
+}
+
+/**
+ * 生成 coturn REST 风格的临时凭证
+ * @param {string} secret 共享密钥
+ * @param {string} userId 用户标识（一般为设备ID）
+ * @param {number} ttl 有效期（秒）
+ * @returns {{username: string, credential: string, ttl: number}}
+ */
+function createTurnCredentials(secret, userId, ttl) {
+    const expiry = Math.floor(Date.now() / 1000) + ttl;
+    const username = `${expiry}:${userId}`;
+    return {
+        username: username,
+        credential: crypto.createHmac('sha1', secret).update(username).digest('base64'),
+        ttl: ttl
+    };
+}
+
+// ========== STUN 编解码 ==========
+
+function isStunMessage(buffer) {
+    return buffer.length >= HEADER_SIZE &&
+        (buffer[0] & 0xc0) === 0 &&
+        buffer.readUInt32BE(4) === MAGIC_COOKIE;
+}
+
+function isChannelData(buffer) {
+    return buffer.length >= 4 && buffer[0] >= 0x40 && buffer[0] <= 0x7f;
+}
+
+function parseMessage(buffer) {
+    const type = buffer.readUInt16BE(0);
+    const length = buffer.readUInt16BE(2);
+    if (HEADER_SIZE + length > buffer.length) return null;
+
+    const message = {
+        method: (type & 0x000f) | ((type & 0x00e0) >> 1) | ((type & 0x3e00) >> 2),
+        cls: type & 0x0110,
+        transactionId: buffer.subarray(8, 20),
+        attributes: [],
+        raw: buffer.subarray(0, HEADER_SIZE + length),
+        integrityOffset: -1
+    };
+
+    let offset = HEADER_SIZE;
+    while (offset + 4 <= HEADER_SIZE + length) {
+        const attrType = buffer.readUInt16BE(offset);
+        const attrLength = buffer.readUInt16BE(offset + 2);
+        if (offset + 4 + attrLength > HEADER_SIZE + length) return null;
+
+        if (attrType === ATTR.MESSAGE_INTEGRITY) {
+            message.integrityOffset = offset;
+        }
+        message.attributes.push({ type: attrType, value: buffer.subarray(offset + 4, offset + 4 + attrLength) });
+        offset += 4 + Math.ceil(attrLength / 4) * 4;
+    }
+    return message;
+}
+
+function getAttribute(message, type) {
+    const attribute = message.attributes.find(attr => attr.type === type);
+    return attribute ? attribute.value : null;
+}
+
+// XOR 地址（RFC 5389 15.2）
+function decodeXorAddress(value, transactionId) {
+    if (!value || value.length < 8) return null;
+
+    const family = value[1];
+    const port = value.readUInt16BE(2) ^ (MAGIC_COOKIE >>> 16);
+    if (family === 0x01) {
+        const address = (value.readUInt32BE(4) ^ MAGIC_COOKIE) >>> 0;
+        return {
+            family: 'IPv4',
+            address: [address >>> 24, (address >> 16) & 0xff, (address >> 8) & 0xff, address & 0xff].join('.'),
+            port: port
+        };
+    }
+    if (family === 0x02 && value.length >= 20) {
+        const mask = Buffer.alloc(16);
+        mask.writeUInt32BE(MAGIC_COOKIE, 0);
+        transactionId.copy(mask, 4);
+        const groups = [];
+        for (let i = 0; i < 16; i += 2) {
+            groups.push(((value[4 + i] ^ mask[i]) << 8 | (value[5 + i] ^ mask[i + 1])).toString(16));
+        }
+        return { family: 'IPv6', address: groups.join(':'), port: port };
+    }
+    return null;
+}
+
+function encodeXorAddress(address, port, transactionId) {
+    const xorPort = port ^ (MAGIC_COOKIE >>> 16);
+
+    if (!address.includes(':')) {
+        const value = Buffer.alloc(8);
+        value[1] = 0x01;
+        value.writeUInt16BE(xorPort, 2);
+        value.writeUInt32BE((ipv4ToInt(address) ^ MAGIC_COOKIE) >>> 0, 4);
+        return value;
+    }
+
+    const value = Buffer.alloc(20);
+    value[1] = 0x02;
+    value.writeUInt16BE(xorPort, 2);
+    const mask = Buffer.alloc(16);
+    mask.writeUInt32BE(MAGIC_COOKIE, 0);
+    transactionId.copy(mask, 4);
+    expandIPv6(address).forEach((byte, i) => {
+        value[4 + i] = byte ^ mask[i];
+    });
+    return value;
+}
+
+function expandIPv6(address) {
+    const [head, tail] = address.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail !== undefined && tail ? tail.split(':') : [];
+    const zeros = new Array(8 - headGroups.length - tailGroups.length).fill('0');
+    const groups = tail === undefined ? headGroups : headGroups.concat(zeros, tailGroups);
+
+    const bytes = [];
+    for (const group of groups) {
+        const value = parseInt(group, 16) || 0;
+        bytes.push(value >> 8, value & 0xff);
+    }
+    return bytes;
+}
+
+function encodeErrorCode(code) {
+    const reason = Buffer.from(ERROR_REASONS[code] || 'Error');
+    const value = Buffer.alloc(4 + reason.length);
+    value[2] = Math.floor(code / 100);
+    value[3] = code % 100;
+    reason.copy(value, 4);
+    return value;
+}
+
+function uint32(value) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32BE(value >>> 0, 0);
+    return buffer;
+}
+
+/**
+ * 编码 STUN 消息，传入 key 时追加 MESSAGE-INTEGRITY
+ */
+function buildMessage(method, cls, transactionId, attributes, key) {
+    const parts = [];
+    for (const [type, value] of attributes) {
+        const header = Buffer.alloc(4);
+        header.writeUInt16BE(type, 0);
+        header.writeUInt16BE(value.length, 2);
+        const padding = Buffer.alloc((4 - (value.length % 4)) % 4);
+        parts.push(header, value, padding);
+    }
+
+    let body = Buffer.concat(parts);
+    const type = (method & 0x000f) | ((method & 0x0070) << 1) | ((method & 0x0f80) << 2) | cls;
+
+    const header = Buffer.alloc(HEADER_SIZE);
+    header.writeUInt16BE(type, 0);
+    header.writeUInt32BE(MAGIC_COOKIE, 4);
+    transactionId.copy(header, 8);
+
+    if (key) {
+        // MESSAGE-INTEGRITY 计算时长度字段需包含该属性本身（24 字节）
+        header.writeUInt16BE(body.length + 24, 2);
+        const hmac = crypto.createHmac('sha1', key).update(Buffer.concat([header, body])).digest();
+        const attrHeader = Buffer.alloc(4);
+        attrHeader.writeUInt16BE(ATTR.MESSAGE_INTEGRITY, 0);
+        attrHeader.writeUInt16BE(20, 2);
+        body = Buffer.concat([body, attrHeader, hmac]);
+    }
+
+    header.writeUInt16BE(body.length, 2);
+    return Buffer.concat([header, body]);
+}
+
+// 校验请求的 MESSAGE-INTEGRITY
+function verifyIntegrity(message, key) {
+    if (message.integrityOffset < 0) return false;
+
+    const covered = Buffer.from(message.raw.subarray(0, message.integrityOffset));
+    covered.writeUInt16BE(message.integrityOffset + 24 - HEADER_SIZE, 2);
+    const expected = crypto.createHmac('sha1', key).update(covered).digest();
+    const actual = message.raw.subarray(message.integrityOffset + 4, message.integrityOffset + 24);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * 创建 STUN/TURN 服务器
+ * @param {Object} options
+ * @param {string} options.secret 凭证共享密钥
+ * @param {number} [options.port=3478] 监听端口
+ * @param {string} [options.realm='simpleeyes'] 鉴权域
+ * @param {string} options.relayAddress 分配给客户端的中继地址（对端可达的本机 IP）
+ * @param {number} [options.minPort] 中继端口范围下限，不设置时由系统分配
+ * @param {number} [options.maxPort] 中继端口范围上限
+ * @param {number} [options.maxAllocations=100] 最大分配数
+ */
+function createTurnServer(options) {
+    const server = new EventEmitter();
+    const port = options.port || 3478;
+    const realm = options.realm || 'simpleeyes';
+    const secret = options.secret;
+    const relayAddress = options.relayAddress;
+    const maxAllocations = options.maxAllocations || 100;
+
+    const socket = dgram.createSocket('udp4');
+
+    // 中继分配: Map<"客户端IP:端口", {client, username, key, relay, relayPort, expiresAt, permissions: Map<peerIP, expiresAt>, channels: Map<number, {peer, expiresAt}>, peerChannels: Map<"IP:端口", number>}>
+    const allocations = new Map();
+
+    // 正在绑定中继端口的分配: Map<"客户端IP:端口", transactionId>，防止重传的 Allocate 再创建一个中继
+    const pendingAllocations = new Map();
+
+    // 已分配的中继端口，以及本机地址（中继地址和各网卡的 IPv4 地址）
+    const relayPorts = new Set();
+    const localAddresses = new Set([relayAddress]);
+    for (const addresses of Object.values(os.networkInterfaces())) {
+        for (const { family, address } of addresses || []) {
+            if (family === 'IPv4' || family === 4) localAddresses.add(address);
+        }
+    }
+
+    let sweepTimer = null;
+
+    function clientKey(rinfo) {
+        return `${rinfo.address}:${rinfo.port}`;
+    }
+
+    // 无状态 nonce：时间戳 + HMAC，过期后返回 438
+    function createNonce(rinfo) {
+        const timestamp = Math.floor(Date.now() / 1000).toString(16);
+        const mac = crypto.createHmac('sha1', secret).update(`${timestamp}:${rinfo.address}`).digest('hex').slice(0, 16);
+        return `${timestamp}${mac}`;
+    }
+
+    function checkNonce(nonce, rinfo) {
+        const timestamp = nonce.slice(0, -16);
+        const mac = crypto.createHmac('sha1', secret).update(`${timestamp}:${rinfo.address}`).digest('hex').slice(0, 16);
+        if (nonce.slice(-16) !== mac) return 'invalid';
+        if (Date.now() / 1000 - parseInt(timestamp, 16) > NONCE_LIFETIME) return 'stale';
+        return 'ok';
+    }
+
+    // 临时凭证 → 长期凭证密钥 MD5(username:realm:password)
+    function credentialKey(username) {
+        const expiry = parseInt(username.split(':')[0], 10);
+        if (!expiry || expiry < Date.now() / 1000) return null;
+
+        const password = crypto.createHmac('sha1', secret).update(username).digest('base64');
+        return crypto.createHash('md5').update(`${username}:${realm}:${password}`).digest();
+    }
+
+    function send(buffer, rinfo) {
+        socket.send(buffer, rinfo.port, rinfo.address);
+    }
+
+    function sendError(message, rinfo, code, key, extra) {
+        const attributes = [[ATTR.ERROR_CODE, encodeErrorCode(code)]].concat(extra || []);
+        attributes.push([ATTR.SOFTWARE, Buffer.from(SOFTWARE)]);
+        send(buildMessage(message.method, CLASS.ERROR, message.transactionId, attributes, key), rinfo);
+    }
+
+    function sendSuccess(message, rinfo, attributes, key) {
+        attributes.push([ATTR.SOFTWARE, Buffer.from(SOFTWARE)]);
+        send(buildMessage(message.method, CLASS.SUCCESS, message.transactionId, attributes, key), rinfo);
+    }
+
+    /**
+     * 长期凭证鉴权，通过时返回 {username, key}，否则已回复错误并返回 null
+     */
+    function authenticate(message, rinfo) {
+        const challenge = () => [
+            [ATTR.REALM, Buffer.from(realm)],
+            [ATTR.NONCE, Buffer.from(createNonce(rinfo))]
+        ];
+
+        const username = getAttribute(message, ATTR.USERNAME);
+        const nonce = getAttribute(message, ATTR.NONCE);
+        if (!username || !nonce || message.integrityOffset < 0) {
+            sendError(message, rinfo, 401, null, challenge());
+            return null;
+        }
+
+        const nonceState = checkNonce(nonce.toString(), rinfo);
+        if (nonceState === 'stale') {
+            sendError(message, rinfo, 438, null, challenge());
+            return null;
+        }
+
+        const key = credentialKey(username.toString());
+        if (nonceState !== 'ok' || !key || !verifyIntegrity(message, key)) {
+            sendError(message, rinfo, 401, null, challenge());
+            return null;
+        }
+
+        return { username: username.toString(), key };
+    }
+
+    function clampLifetime(message) {
+        const value = getAttribute(message, ATTR.LIFETIME);
+        if (!value || value.length < 4) return DEFAULT_LIFETIME;
+        const requested = value.readUInt32BE(0);
+        return requested === 0 ? 0 : Math.min(Math.max(requested, DEFAULT_LIFETIME), MAX_LIFETIME);
+    }
+
+    // 在端口范围内绑定中继套接字
+    function bindRelaySocket() {
+        const candidates = [];
+        if (options.minPort && options.maxPort) {
+            for (let p = options.minPort; p <= options.maxPort; p++) candidates.push(p);
+            // 打乱顺序，避免总是复用同一个端口
+            candidates.sort(() => Math.random() - 0.5);
+        } else {
+            candidates.push(0);
+        }
+
+        const tryBind = (index) => new Promise((resolve, reject) => {
+            if (index >= candidates.length) {
+                reject(new Error('no-relay-port'));
+                return;
+            }
+            const relay = dgram.createSocket('udp4');
+            const onBindError = () => {
+                relay.close();
+                tryBind(index + 1).then(resolve, reject);
+            };
+            relay.once('error', onBindError);
+            relay.bind(candidates[index], () => {
+                // 调用方需在同一轮事件循环内挂上自己的 error 处理
+                relay.removeListener('error', onBindError);
+                resolve(relay);
+            });
+        });
+
+        return tryBind(0);
+    }
+
+    // 能否为该 IP 创建许可：中继地址（对端也走中继时）或不在禁止的地址段内
+    function mayPermit(address) {
+        return address === relayAddress || !isDeniedPeerAddress(address);
+    }
+
+    // 能否向对端发送：本机地址只能发往其他分配的中继端口，防止借中继访问本机的 TURN 端口或其他服务
+    function mayRelayTo(peer) {
+        if (localAddresses.has(peer.address)) return relayPorts.has(peer.port);
+        return !isDeniedPeerAddress(peer.address);
+    }
+
+    function hasPermission(allocation, address) {
+        const expiresAt = allocation.permissions.get(address);
+        return Boolean(expiresAt && expiresAt > Date.now());
+    }
+
+    function closeAllocation(key) {
+        const allocation = allocations.get(key);
+        if (!allocation) return;
+
+        allocations.delete(key);
+        relayPorts.delete(allocation.relayPort);
+        allocation.relay.close();
+        server.emit('deallocate', { client: key, username: allocation.username });
+    }
+
+    // 对端发往中继地址的数据 → ChannelData 或 Data 指示转给客户端
+    function relayToClient(allocation, data, peer) {
+        if (!hasPermission(allocation, peer.address)) return;
+
+        const channel = allocation.peerChannels.get(`${peer.address}:${peer.port}`);
+        if (channel) {
+            const header = Buffer.alloc(4);
+            header.writeUInt16BE(channel, 0);
+            header.writeUInt16BE(data.length, 2);
+            send(Buffer.concat([header, data]), allocation.client);
+            return;
+        }
+
+        const transactionId = crypto.randomBytes(12);
+        send(buildMessage(METHOD.DATA, CLASS.INDICATION, transactionId, [
+            [ATTR.XOR_PEER_ADDRESS, encodeXorAddress(peer.address, peer.port, transactionId)],
+            [ATTR.DATA, data]
+        ]), allocation.client);
+    }
+
+    async function handleAllocate(message, rinfo) {
+        const key = clientKey(rinfo);
+        const existing = allocations.get(key);
+
+        const credentials = authenticate(message, rinfo);
+        if (!credentials) return;
+
+        // 同一事务的重传直接返回原响应
+        if (existing) {
+            if (existing.transactionId.equals(message.transactionId)) {
+                send(existing.response, rinfo);
+            } else {
+                sendError(message, rinfo, 437, credentials.key);
+            }
+            return;
+        }
+
+        // 中继端口还在绑定：同一事务的重传忽略，绑定完成后客户端再次重传即可拿到响应
+        const pending = pendingAllocations.get(key);
+        if (pending) {
+            if (!pending.equals(message.transactionId)) {
+                sendError(message, rinfo, 437, credentials.key);
+            }
+            return;
+        }
+
+        const transport = getAttribute(message, ATTR.REQUESTED_TRANSPORT);
+        if (!transport || transport[0] !== TRANSPORT_UDP) {
+            sendError(message, rinfo, 442, credentials.key);
+            return;
+        }
+
+        if (allocations.size + pendingAllocations.size >= maxAllocations) {
+            sendError(message, rinfo, 486, credentials.key);
+            return;
+        }
+
+        pendingAllocations.set(key, Buffer.from(message.transactionId));
+        let relay;
+        try {
+            relay = await bindRelaySocket();
+        } catch (error) {
+            pendingAllocations.delete(key);
+            sendError(message, rinfo, 508, credentials.key);
+            return;
+        }
+
+        // 绑定期间服务器已停止
+        if (!pendingAllocations.delete(key)) {
+            relay.close();
+            return;
+        }
+
+        const lifetime = clampLifetime(message) || DEFAULT_LIFETIME;
+        const allocation = {
+            client: { address: rinfo.address, port: rinfo.port },
+            username: credentials.username,
+            key: credentials.key,
+            relay: relay,
+            relayPort: relay.address().port,
+            transactionId: Buffer.from(message.transactionId),
+            response: null,
+            expiresAt: Date.now() + lifetime * 1000,
+            permissions: new Map(),
+            channels: new Map(),
+            peerChannels: new Map()
+        };
+        relay.on('message', (data, peer) => relayToClient(allocation, data, peer));
+        relay.on('error', (error) => {
+            logger.warn(`⚠️  TURN 中继端口出错，释放分配: ${key}`, { err: error, relayPort: allocation.relayPort });
+            if (allocations.get(key) === allocation) {
+                closeAllocation(key);
+            }
+        });
+        allocations.set(key, allocation);
+        relayPorts.add(allocation.relayPort);
+
+        allocation.response = buildMessage(METHOD.ALLOCATE, CLASS.SUCCESS, message.transactionId, [
+            [ATTR.XOR_RELAYED_ADDRESS, encodeXorAddress(relayAddress, allocation.relayPort, message.transactionId)],
+            [ATTR.LIFETIME, uint32(lifetime)],
+            [ATTR.XOR_MAPPED_ADDRESS, encodeXorAddress(rinfo.address, rinfo.port, message.transactionId)],
+            [ATTR.SOFTWARE, Buffer.from(SOFTWARE)]
+        ], credentials.key);
+        send(allocation.response, rinfo);
+
+        server.emit('allocate', { client: key, username: credentials.username, relayPort: allocation.relayPort });
+    }
+
+    // Refresh / CreatePermission / ChannelBind 需要已有分配且凭证一致
+    function authenticateAllocation(message, rinfo) {
+        const credentials = authenticate(message, rinfo);
+        if (!credentials) return null;
+
+        const allocation = allocations.get(clientKey(rinfo));
+        if (!allocation || allocation.username !== credentials.username) {
+            sendError(message, rinfo, 437, credentials.key);
+            return null;
+        }
+        return allocation;
+    }
+
+    function handleRefresh(message, rinfo) {
+        const allocation = authenticateAllocation(message, rinfo);
+        if (!allocation) return;
+
+        const lifetime = clampLifetime(message);
+        if (lifetime === 0) {
+            closeAllocation(clientKey(rinfo));
+        } else {
+            allocation.expiresAt = Date.now() + lifetime * 1000;
+        }
+        sendSuccess(message, rinfo, [[ATTR.LIFETIME, uint32(lifetime)]], allocation.key);
+    }
+
+    function handleCreatePermission(message, rinfo) {
+        const allocation = authenticateAllocation(message, rinfo);
+        if (!allocation) return;
+
+        const peers = message.attributes
+            .filter(attr => attr.type === ATTR.XOR_PEER_ADDRESS)
+            .map(attr => decodeXorAddress(attr.value, message.transactionId));
+        if (peers.length === 0 || peers.some(peer => !peer || peer.family !== 'IPv4')) {
+            sendError(message, rinfo, 400, allocation.key);
+            return;
+        }
+        if (!peers.every(peer => mayPermit(peer.address))) {
+            sendError(message, rinfo, 403, allocation.key);
+            return;
+        }
+
+        for (const peer of peers) {
+            allocation.permissions.set(peer.address, Date.now() + PERMISSION_LIFETIME * 1000);
+        }
+        sendSuccess(message, rinfo, [], allocation.key);
+    }
+
+    function handleChannelBind(message, rinfo) {
+        const allocation = authenticateAllocation(message, rinfo);
+        if (!allocation) return;
+
+        const channelValue = getAttribute(message, ATTR.CHANNEL_NUMBER);
+        const peer = decodeXorAddress(getAttribute(message, ATTR.XOR_PEER_ADDRESS), message.transactionId);
+        const channel = channelValue && channelValue.length >= 2 ? channelValue.readUInt16BE(0) : 0;
+        if (!peer || peer.family !== 'IPv4' || channel < 0x4000 || channel > 0x7fff) {
+            sendError(message, rinfo, 400, allocation.key);
+            return;
+        }
+        if (!mayRelayTo(peer)) {
+            sendError(message, rinfo, 403, allocation.key);
+            return;
+        }
+
+        // 通道号和对端地址必须一一对应
+        const peerKey = `${peer.address}:${peer.port}`;
+        const bound = allocation.channels.get(channel);
+        const boundChannel = allocation.peerChannels.get(peerKey);
+        if ((bound && `${bound.peer.address}:${bound.peer.port}` !== peerKey) ||
+            (boundChannel && boundChannel !== channel)) {
+            sendError(message, rinfo, 400, allocation.key);
+            return;
+        }
+
+        const now = Date.now();
+        allocation.channels.set(channel, { peer, expiresAt: now + CHANNEL_LIFETIME * 1000 });
+        allocation.peerChannels.set(peerKey, channel);
+        allocation.permissions.set(peer.address, now + PERMISSION_LIFETIME * 1000);
+        sendSuccess(message, rinfo, [], allocation.key);
+    }
+
+    function handleSendIndication(message, rinfo) {
+        const allocation = allocations.get(clientKey(rinfo));
+        if (!allocation) return;
+
+        const peer = decodeXorAddress(getAttribute(message, ATTR.XOR_PEER_ADDRESS), message.transactionId);
+        const data = getAttribute(message, ATTR.DATA);
+        if (!peer || !data || !hasPermission(allocation, peer.address) || !mayRelayTo(peer)) return;
+
+        allocation.relay.send(data, peer.port, peer.address);
+    }
+
+    function handleChannelData(buffer, rinfo) {
+        const allocation = allocations.get(clientKey(rinfo));
+        if (!allocation) return;
+
+        const channel = allocation.channels.get(buffer.readUInt16BE(0));
+        const length = buffer.readUInt16BE(2);
+        if (!channel || channel.expiresAt < Date.now() || 4 + length > buffer.length || !mayRelayTo(channel.peer)) return;
+
+        allocation.relay.send(buffer.subarray(4, 4 + length), channel.peer.port, channel.peer.address);
+    }
+
+    function handleMessage(buffer, rinfo) {
+        if (isChannelData(buffer)) {
+            handleChannelData(buffer, rinfo);
+            return;
+        }
+        if (!isStunMessage(buffer)) return;
+
+        const message = parseMessage(buffer);
+        if (!message) return;
+
+        if (message.cls === CLASS.INDICATION) {
+            if (message.method === METHOD.SEND) {
+                handleSendIndication(message, rinfo);
+            }
+            return;
+        }
+        if (message.cls !== CLASS.REQUEST) return;
+
+        switch (message.method) {
+            case METHOD.BINDING:
+                sendSuccess(message, rinfo, [
+                    [ATTR.XOR_MAPPED_ADDRESS, encodeXorAddress(rinfo.address, rinfo.port, message.transactionId)]
+                ]);
+                break;
+            case METHOD.ALLOCATE:
+                handleAllocate(message, rinfo).catch((error) => {
+                    logger.error('❌ TURN 分配失败', { err: error });
+                });
+                break;
+            case METHOD.REFRESH:
+                handleRefresh(message, rinfo);
+                break;
+            case METHOD.CREATE_PERMISSION:
+                handleCreatePermission(message, rinfo);
+                break;
+            case METHOD.CHANNEL_BIND:
+                handleChannelBind(message, rinfo);
+                break;
+            default:
+                sendError(message, rinfo, 400);
+        }
+    }
+
+    // 清理过期的分配、许可和通道
+    function sweep() {
+        const now = Date.now();
+        for (const [key, allocation] of Array.from(allocations.entries())) {
+            if (allocation.expiresAt <= now) {
+                closeAllocation(key);
+                continue;
+            }
+            for (const [address, expiresAt] of allocation.permissions.entries()) {
+                if (expiresAt <= now) allocation.permissions.delete(address);
+            }
+            for (const [channel, binding] of allocation.channels.entries()) {
+                if (binding.expiresAt <= now) {
+                    allocation.channels.delete(channel);
+                    allocation.peerChannels.delete(`${binding.peer.address}:${binding.peer.port}`);
+                }
+            }
+        }
+    }
+
+    socket.on('message', handleMessage);
+    socket.on('error', (error) => server.emit('error', error));
+
+    /**
+     * 开始监听
+     * @returns {Promise<void>}
+     */
+    server.start = () => new Promise((resolve, reject) => {
+        socket.once('error', reject);
+        socket.bind(port, () => {
+            socket.removeListener('error', reject);
+            sweepTimer = setInterval(sweep, 30000);
+            resolve();
+        });
+    });
+
+    /**
+     * 停止监听并释放所有中继端口
+     */
+    server.stop = () => {
+        clearInterval(sweepTimer);
+        pendingAllocations.clear();
+        for (const key of Array.from(allocations.keys())) {
+            closeAllocation(key);
+        }
+        try {
+            socket.close();
+        } catch (error) {
+            // 未启动时忽略
+        }
+    };
+
+    server.stats = () => ({
+        allocations: allocations.size
+    });
+
+    return server;
+}
+
+module.exports = {
+    createTurnServer,
+    createTurnCredentials
+};
@@ -1,175 +1,276 @@
 #!/usr/bin/env node
 /**
  * SimpleEyes WebSocket 测试服务器
- * 用于音频对讲功能测试
+ * 用于音频对讲功能测试，直接运行时默认监听 8080（选项见 --help），也可用 createIntercomServer() 在测试中创建
  */
 
 const WebSocket = require('ws');
 const http = require('http');
+const https = require('https');
+const path = require('path');
+const { createRecordingStore } = require('./lib/recording-store');
+const { createIntercomRelay } = require('./lib/intercom-relay');
+const { logger, configureLogger } = require('./lib/logger');
+const { resolveConfig, defaultConfig, formatOptions, loadTlsOptions, resolveCorsOrigin } = require('./lib/config');
 
-const PORT = 8080;
-
-// 创建 HTTP 服务器
-const server = http.createServer((req, res) => {
-    // 设置 CORS 头
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-    res.setHeader('Content-Type', 'application/json');
-
-    // 处理 OPTIONS 请求
-    if (req.method === 'OPTIONS') {
-        res.writeHead(200);
-        res.end();
-        return;
-    }
+/**
+ * 配置表（格式见 lib/config.js），与信令服务器的同名配置项含义相同
+ */
+const CONFIG_SCHEMA = {
+    host: { type: 'string', env: 'LISTEN_HOST', description: '监听地址，默认所有地址' },
+    port: { type: 'int', default: 8080, env: 'PORT', description: '监听端口，0 为由系统分配' },
+    tlsCert: { type: 'path', env: 'TLS_CERT', description: 'TLS 证书（PEM）' },
+    tlsKey: { type: 'path', env: 'TLS_KEY', description: 'TLS 私钥（PEM）' },
+    tlsCa: { type: 'path', env: 'TLS_CA', description: 'TLS 中间证书链（PEM，可选）' },
+    corsOrigins: { type: 'list', default: ['*'], env: 'CORS_ORIGINS', description: '允许的跨域来源' },
 
-    // API: 获取在线设备列表
-    if (req.url === '/api/devices/online' && req.method === 'GET') {
-        const onlineDevices = [];
-        const deviceSet = new Set();
+    // 对讲录音：每个连接的每段对讲写入一个 ADTS/.aac 文件
+    recording: { type: 'bool', default: true, env: 'RECORDING_DISABLED', invert: true, description: '关闭对讲录音' },
+    recordingsDir: { type: 'path', default: path.join(__dirname, 'data', 'recordings'), env: 'RECORDINGS_DIR', description: '录音目录' },
+    intercomIdleTimeout: { type: 'int', env: 'INTERCOM_IDLE_TIMEOUT', description: '对讲录音分段的静默时长（毫秒）' }
+};
 
-        for (const [key, ws] of clients.entries()) {
-            const [deviceId, role] = key.split('_');
+/**
+ * 读取配置：默认值 < 配置文件（--config / CONFIG_FILE）< 环境变量 < 命令行参数
+ * @param {Object} [env=process.env]
+ * @param {string[]} [argv=[]] 命令行参数（不含 node 和脚本路径）
+ * @returns {Object} 配置；argv 带 --help 时返回 null
+ */
+function loadConfig(env = process.env, argv = []) {
+    return resolveConfig(CONFIG_SCHEMA, { env: env, argv: argv });
+}
 
-            // 只统计设备端（device），不统计 app 端
-            if (role === 'device' && ws.readyState === WebSocket.OPEN) {
-                deviceSet.add(deviceId);
-            }
+/**
+ * 创建对讲测试服务器，listen() 后开始服务
+ * @param {Object} [options] 配置项见 CONFIG_SCHEMA，未指定的取默认值
+ * @returns {{config, secure, httpServer, port, listen, close, printStatus}}
+ */
+function createIntercomServer(options = {}) {
+    const config = { ...defaultConfig(CONFIG_SCHEMA), ...options };
+    const tlsOptions = loadTlsOptions(config);
+
+    // 对讲转发（webrtc-signaling-server.js 的 /intercom 路径使用同一实现）
+    const intercom = createIntercomRelay({
+        recordingStore: config.recording ? createRecordingStore({ dir: config.recordingsDir }) : null,
+        idleTimeout: config.intercomIdleTimeout
+    });
+
+    // 创建 HTTP(S) 服务器
+    const server = tlsOptions ? https.createServer(tlsOptions) : http.createServer();
+
+    server.on('request', (req, res) => {
+        // 设置 CORS 头
+        const allowedOrigin = resolveCorsOrigin(config.corsOrigins, req.headers.origin);
+        if (allowedOrigin) {
+            res.setHeader('Access-Control-Allow-Origin', allowedOrigin);
         }
+        if (allowedOrigin !== '*') {
+            res.setHeader('Vary', 'Origin');
+        }
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+        res.setHeader('Content-Type', 'application/json');
 
-        // 转换为数组
-        deviceSet.forEach(deviceId => {
-            onlineDevices.push({
-                deviceId: deviceId,
-                status: 'online',
-                name: `设备 ${deviceId}`
-            });
-        });
+        // 处理 OPTIONS 请求
+        if (req.method === 'OPTIONS') {
+            res.writeHead(200);
+            res.end();
+            return;
+        }
 
-        res.writeHead(200);
-        res.end(JSON.stringify({
-            devices: onlineDevices,
-            count: onlineDevices.length
-        }));
-        return;
-    }
+        // API: 获取在线设备列表
+        if (req.url === '/api/devices/online' && req.method === 'GET') {
+            const onlineDevices = [];
+            const deviceSet = new Set();
+
+            for (const { deviceId, role, open } of intercom.list()) {
+                // 只统计设备端（device），不统计 app 端
+                if (role === 'device' && open) {
+                    deviceSet.add(deviceId);
+                }
+            }
 
-    // 404
-    res.writeHead(404);
-    res.end(JSON.stringify({ error: 'Not Found' }));
-});
+            // 转换为数组
+            deviceSet.forEach(deviceId => {
+                onlineDevices.push({
+                    deviceId: deviceId,
+                    status: 'online',
+                    name: `设备 ${deviceId}`
+                });
+            });
 
-// 创建 WebSocket 服务器，附加到 HTTP 服务器
-// noServer: true 表示不自动处理升级请求，而是手动处理
-const wss = new WebSocket.Server({ noServer: true });
+            res.writeHead(200);
+            res.end(JSON.stringify({
+                devices: onlineDevices,
+                count: onlineDevices.length
+            }));
+            return;
+        }
 
-// 存储连接的客户端: Map<deviceId_role, WebSocket>
-const clients = new Map();
+        // API: 对讲话权持有情况和寻呼组
+        if (req.url === '/api/intercom/floors' && req.method === 'GET') {
+            res.writeHead(200);
+            res.end(JSON.stringify({ floors: intercom.floors(), groups: intercom.groups() }));
+            return;
+        }
 
-// 处理 WebSocket 升级请求
-server.on('upgrade', (request, socket, head) => {
-    const url = new URL(request.url, 'http://localhost');
+        // API: 对讲音频流的编码和丢包、乱序、抖动统计
+        if (req.url === '/api/intercom/streams' && req.method === 'GET') {
+            res.writeHead(200);
+            res.end(JSON.stringify({ streams: intercom.streams() }));
+            return;
+        }
 
-    // 只处理 WebSocket 连接请求
-    wss.handleUpgrade(request, socket, head, (ws) => {
-        wss.emit('connection', ws, request);
+        // 404
+        res.writeHead(404);
+        res.end(JSON.stringify({ error: 'Not Found' }));
     });
-});
-
-// 启动服务器
-server.listen(PORT, () => {
-    console.log('╔══════════════════════════════════════════════════════════╗');
-    console.log('║                                                          ║');
-    console.log('║     SimpleEyes WebSocket 音频转发服务器                  ║');
-    console.log('║                                                          ║');
-    console.log('╚══════════════════════════════════════════════════════════╝');
-    console.log('');
-    console.log(`🚀 WebSocket 服务器: ws://localhost:${PORT}`);
-    console.log(`📡 HTTP API 服务器: http://localhost:${PORT}`);
-    console.log(`📱 在线设备列表 API: http://localhost:${PORT}/api/devices/online`);
-    console.log('');
-});
-
-wss.on('connection', (ws, req) => {
-    // 解析连接参数
-    const url = new URL(req.url, 'http://localhost');
-    const deviceId = url.searchParams.get('deviceId');
-    const role = req.headers['x-role'] || 'unknown'; // 'app' 或 'device'
-    
-    if (!deviceId) {
-        console.log('❌ 连接被拒绝: 缺少 deviceId 参数');
-        ws.close();
-        return;
-    }
-    
-    const clientKey = `${deviceId}_${role}`;
-    clients.set(clientKey, ws);
-    
-    console.log(`✅ 新连接: [${role}] 设备ID=${deviceId} (总连接数: ${clients.size})`);
-    
-    // 接收消息
-    ws.on('message', (data) => {
-        const targetRole = role === 'app' ? 'device' : 'app';
-        const targetKey = `${deviceId}_${targetRole}`;
-        
-        // 转发音频数据到对应的目标端
-        if (clients.has(targetKey)) {
-            clients.get(targetKey).send(data);
-            console.log(`📡 转发音频: [${role}] → [${targetRole}] (${data.length} bytes)`);
-        } else {
-            console.log(`⚠️  目标端未连接: [${targetRole}] 设备ID=${deviceId}`);
+
+    // 创建 WebSocket 服务器，附加到 HTTP 服务器
+    // noServer: true 表示不自动处理升级请求，而是手动处理
+    const wss = new WebSocket.Server({ noServer: true });
+
+    // 处理 WebSocket 升级请求
+    server.on('upgrade', (request, socket, head) => {
+        // 浏览器发起的连接按 corsOrigins 校验来源
+        const origin = request.headers.origin;
+        if (origin && !resolveCorsOrigin(config.corsOrigins, origin)) {
+            socket.write('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+            socket.destroy();
+            return;
         }
+
+        // 只处理 WebSocket 连接请求
+        wss.handleUpgrade(request, socket, head, (ws) => {
+            wss.emit('connection', ws, request);
+        });
     });
-    
-    // 连接断开
-    ws.on('close', () => {
-        clients.delete(clientKey);
-        console.log(`❌ 断开连接: [${role}] 设备ID=${deviceId} (剩余连接: ${clients.size})`);
+
+    wss.on('connection', (ws, req) => {
+        intercom.handleConnection(ws, req);
     });
-    
-    // 错误处理
-    ws.on('error', (error) => {
-        console.log(`⚠️  错误 [${role}] 设备ID=${deviceId}:`, error.message);
+
+    let port = config.port;
+
+    return {
+        config: config,
+        secure: Boolean(tlsOptions),
+        httpServer: server,
+        get port() {
+            return port;
+        },
+
+        /**
+         * 开始监听，返回实际端口（port 为 0 时由系统分配）
+         */
+        listen(listenPort = config.port, host = config.host) {
+            return new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(listenPort, host, () => {
+                    server.removeListener('error', reject);
+                    port = server.address().port;
+                    resolve(port);
+                });
+            });
+        },
+
+        /**
+         * 停止服务：先写完进行中的录音，再断开所有连接
+         */
+        close() {
+            return intercom.close().then(() => new Promise((resolve) => {
+                for (const ws of wss.clients) ws.terminate();
+                wss.close(() => {
+                    server.close(() => resolve());
+                    if (server.closeIdleConnections) server.closeIdleConnections();
+                });
+            }));
+        },
+
+        // 输出当前连接状态
+        printStatus() {
+            if (intercom.size === 0) return;
+
+            logger.print(`\n📊 当前连接状态 (${new Date().toLocaleTimeString()}):`);
+            for (const { deviceId, role, open } of intercom.list()) {
+                const status = open ? '🟢 在线' : '🔴 离线';
+                logger.print(`   ${status} [${role}] 设备ID=${deviceId}`);
+            }
+            logger.print();
+        }
+    };
+}
+
+module.exports = {
+    createIntercomServer,
+    loadConfig
+};
+
+// 直接运行：按配置文件、环境变量和命令行参数启动
+if (require.main === module) {
+    // LOG_FORMAT=json 时对讲日志输出 JSON 行，横幅和状态表不输出
+    configureLogger({
+        format: process.env.LOG_FORMAT,
+        level: process.env.LOG_LEVEL
     });
-});
-
-// 定期显示连接状态
-setInterval(() => {
-    if (clients.size > 0) {
-        console.log(`\n📊 当前连接状态 (${new Date().toLocaleTimeString()}):`);
-        for (const [key, ws] of clients.entries()) {
-            const [deviceId, role] = key.split('_');
-            const status = ws.readyState === WebSocket.OPEN ? '🟢 在线' : '🔴 离线';
-            console.log(`   ${status} [${role}] 设备ID=${deviceId}`);
+
+    let intercomServer;
+    try {
+        const config = loadConfig(process.env, process.argv.slice(2));
+        if (!config) {
+            console.log(`用法: node test-server.js [选项]\n\n选项:\n${formatOptions(CONFIG_SCHEMA)}`);
+            process.exit(0);
         }
-        console.log('');
+        intercomServer = createIntercomServer(config);
+    } catch (error) {
+        console.error(`❌ 配置错误: ${error.message}（使用 --help 查看选项）`);
+        process.exit(2);
     }
-}, 30000); // 每30秒显示一次
-
-// 优雅退出
-process.on('SIGINT', () => {
-    console.log('\n\n👋 正在关闭服务器...');
-    wss.close(() => {
-        server.close(() => {
-            console.log('✅ 服务器已关闭');
+    const wsScheme = intercomServer.secure ? 'wss' : 'ws';
+    const httpScheme = intercomServer.secure ? 'https' : 'http';
+
+    // 启动服务器
+    intercomServer.listen().then((port) => {
+        logger.print('╔══════════════════════════════════════════════════════════╗');
+        logger.print('║                                                          ║');
+        logger.print('║     SimpleEyes WebSocket 音频转发服务器                  ║');
+        logger.print('║                                                          ║');
+        logger.print('╚══════════════════════════════════════════════════════════╝');
+        logger.print();
+        logger.print(`🚀 WebSocket 服务器: ${wsScheme}://localhost:${port}`);
+        logger.print(`📡 HTTP API 服务器: ${httpScheme}://localhost:${port}`);
+        logger.print(`📱 在线设备列表 API: ${httpScheme}://localhost:${port}/api/devices/online`);
+        logger.print();
+    }).catch((error) => {
+        logger.error(`❌ 启动失败: ${intercomServer.config.host || '0.0.0.0'}:${intercomServer.config.port}`, { err: error });
+        process.exit(1);
+    });
+
+    // 定期显示连接状态
+    setInterval(() => intercomServer.printStatus(), 30000); // 每30秒显示一次
+
+    // 优雅退出
+    process.on('SIGINT', () => {
+        logger.info('\n\n👋 正在关闭服务器...');
+        intercomServer.close().then(() => {
+            logger.info('✅ 服务器已关闭');
             process.exit(0);
         });
     });
-});
-
-console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-console.log('');
-console.log('💡 测试步骤:');
-console.log('   1. App 中进入"设置"标签');
-console.log('   2. 修改 WebSocket 服务器地址为: ws://你的IP:8080');
-console.log('   3. 保存配置');
-console.log('   4. 进入"语音对讲"标签');
-console.log('   5. 输入设备ID (例如: test-001)');
-console.log('   6. 点击"开始对讲"');
-console.log('');
-console.log('🔧 模拟设备端测试:');
-console.log('   在另一个终端运行: node device-simulator.js');
-console.log('');
-console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-console.log('');
+
+    logger.print('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    logger.print();
+    logger.print('💡 测试步骤:');
+    logger.print('   1. App 中进入"设置"标签');
+    logger.print('   2. 修改 WebSocket 服务器地址为: ws://你的IP:8080');
+    logger.print('   3. 保存配置');
+    logger.print('   4. 进入"语音对讲"标签');
+    logger.print('   5. 输入设备ID (例如: test-001)');
+    logger.print('   6. 点击"开始对讲"');
+    logger.print();
+    logger.print('🔧 模拟设备端测试:');
+    logger.print('   在另一个终端运行: node device-simulator.js');
+    logger.print();
+    logger.print('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    logger.print();
+}
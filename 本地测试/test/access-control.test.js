@@ -0,0 +1,372 @@
+/**
+ * 用户、设备归属与共享：呼叫、信令转发、命令、对讲、直播和查询接口按权限检查，不同家庭之间互相不可见
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createAccessControl } = require('../lib/access-control');
+const { createTokenAuth } = require('../lib/auth');
+const { startSignalingServer, connect, connectDevice } = require('./helpers');
+
+// 两个家庭：alice（bob 是家人）拥有 camera-a，carol 拥有 camera-c；admin 只负责管理
+const SECRETS = {
+    'phone-admin': { secret: 'admin-secret', role: 'app', userId: 'admin' },
+    'phone-alice': { secret: 'alice-secret', role: 'app', userId: 'alice' },
+    'phone-bob': { secret: 'bob-secret', role: 'app', userId: 'bob' },
+    'phone-carol': { secret: 'carol-secret', role: 'app', userId: 'carol' },
+    'camera-a': { secret: 'camera-a-secret', role: 'device' },
+    'camera-c': { secret: 'camera-c-secret', role: 'device' }
+};
+
+const ACCESS = {
+    users: [
+        { userId: 'admin', name: 'Admin', model: 'Console', userType: 'admin' },
+        { userId: 'alice', name: 'Alice', model: 'iPhone', userType: 'user' },
+        { userId: 'bob', name: 'Bob', model: 'iPhone', userType: 'user' },
+        { userId: 'carol', name: 'Carol', model: 'iPad', userType: 'user' }
+    ],
+    devices: [
+        { deviceId: 'camera-a', owner: 'alice', shares: [] },
+        { deviceId: 'camera-c', owner: 'carol', shares: [] }
+    ]
+};
+
+describe('设备权限存储', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'simpleeyes-access-'));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('按所有者和共享等级判断能否联系设备，转让时清除共享', () => {
+        const file = path.join(dir, 'access.json');
+        const store = createAccessControl({ file: file });
+        store.createUser({ userId: 'alice', model: 'iPhone' });
+        store.createUser({ userId: 'bob' });
+        store.createUser({ userId: 'carol' });
+        assert.throws(() => store.createUser({ userId: 'alice' }), /用户已存在/);
+        assert.throws(() => store.createUser({ userId: 'dave', userType: 'root' }), /userType/);
+
+        store.setOwner('camera-a', 'alice');
+        store.share('camera-a', 'bob', 'viewer');
+        assert.throws(() => store.share('camera-a', 'bob', 'owner'), /level/);
+        assert.throws(() => store.share('camera-x', 'bob', 'viewer'), /设备没有归属/);
+
+        const app = userId => ({ deviceId: `phone-${userId}`, role: 'app', userId: userId });
+        const camera = { deviceId: 'camera-a', role: 'device', userId: null };
+        assert.equal(store.mayReach(app('alice'), camera, 'talker'), true);
+        assert.equal(store.mayReach(app('bob'), camera, 'viewer'), true);
+        assert.equal(store.mayReach(app('bob'), camera, 'talker'), false);
+        assert.equal(store.mayReach(app('carol'), camera, 'viewer'), false);
+        assert.equal(store.mayReach(camera, app('bob'), 'viewer'), true);
+        assert.equal(store.mayReach(app('alice'), app('bob'), 'viewer'), true);
+        assert.equal(store.mayReach(app('alice'), app('carol'), 'viewer'), false);
+
+        // 重新加载后保留，转让后原共享失效
+        const reloaded = createAccessControl({ file: file });
+        assert.equal(reloaded.levelOf('bob', 'camera-a'), 'viewer');
+        reloaded.setOwner('camera-a', 'carol');
+        assert.deepEqual(reloaded.getDevice('camera-a').shares, []);
+        assert.deepEqual(reloaded.devicesOf('alice'), []);
+
+        // 其他实例（或手工编辑）写入的文件被重新读取
+        assert.equal(store.levelOf('carol', 'camera-a'), 'owner');
+
+        reloaded.removeUser('carol');
+        assert.equal(reloaded.getDevice('camera-a').owner, null);
+    });
+});
+
+describe('设备归属与共享（启用鉴权）', () => {
+    let env;
+    let dir;
+    const tokens = {};
+
+    async function api(method, pathname, deviceId, body) {
+        const res = await fetch(`${env.httpUrl}${pathname}`, {
+            method: method,
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${tokens[deviceId]}` },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        return { status: res.status, body: await res.json() };
+    }
+
+    function join(deviceId) {
+        return connectDevice(env, deviceId, `&token=${encodeURIComponent(tokens[deviceId])}`);
+    }
+
+    before(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'simpleeyes-access-'));
+        const secretsFile = path.join(dir, 'device-secrets.json');
+        const accessFile = path.join(dir, 'access.json');
+        const registryFile = path.join(dir, 'devices.json');
+        fs.writeFileSync(secretsFile, JSON.stringify(SECRETS));
+        fs.writeFileSync(accessFile, JSON.stringify(ACCESS));
+        fs.writeFileSync(registryFile, JSON.stringify({
+            devices: ['camera-a', 'camera-c'].map(deviceId => ({
+                deviceId: deviceId,
+                stream: { protocol: 'rtsp', url: `rtsp://192.168.1.20/${deviceId}` },
+                recordings: []
+            }))
+        }));
+        env = await startSignalingServer({
+            auth: true,
+            authSecret: 'test-signing-key',
+            deviceSecretsFile: secretsFile,
+            accessFile: accessFile,
+            deviceRegistryFile: registryFile
+        });
+
+        for (const [deviceId, { secret }] of Object.entries(SECRETS)) {
+            const res = await fetch(`${env.httpUrl}/api/auth/token`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ deviceId: deviceId, secret: secret })
+            });
+            tokens[deviceId] = (await res.json()).access_token;
+        }
+    });
+
+    after(async () => {
+        await env.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('所有者可以呼叫自己的摄像头，其他家庭的呼叫和信令被拒绝', async () => {
+        const alice = await join('phone-alice');
+        const carol = await join('phone-carol');
+        const camera = await join('camera-a');
+
+        try {
+            carol.send({ type: 'call', to: 'camera-a', callType: 'video' });
+            const failed = await carol.next('call-failed');
+            assert.equal(failed.reason, 'forbidden');
+
+            carol.send({ type: 'offer', to: 'camera-a', sdp: 'v=0', id: 'offer-1' });
+            const error = await carol.next('error');
+            assert.equal(error.code, 'forbidden');
+            assert.equal(error.ref, 'offer-1');
+            await camera.expectNone('offer');
+            await camera.expectNone('incoming-call', 0);
+
+            alice.send({ type: 'call', to: 'camera-a', callType: 'audio' });
+            const incoming = await camera.next('incoming-call');
+            assert.equal(incoming.from, 'phone-alice');
+            camera.send({ type: 'hangup', to: 'phone-alice', callId: incoming.callId });
+            await alice.next('hangup');
+        } finally {
+            await Promise.all([alice.close(), carol.close(), camera.close()]);
+        }
+    });
+
+    it('所有者共享给家人，viewer 只能视频通话，取消共享后失去权限', async () => {
+        const bob = await join('phone-bob');
+        const camera = await join('camera-a');
+
+        try {
+            // 只有所有者或管理员能共享
+            assert.equal((await api('PUT', '/api/devices/camera-a/shares/bob', 'phone-carol', { level: 'viewer' })).status, 403);
+            assert.equal((await api('PUT', '/api/devices/camera-a/shares/bob', 'phone-alice', { level: 'admin' })).status, 400);
+            assert.equal((await api('PUT', '/api/devices/camera-a/shares/nobody', 'phone-alice', { level: 'viewer' })).status, 404);
+
+            const shared = await api('PUT', '/api/devices/camera-a/shares/bob', 'phone-alice', { level: 'viewer' });
+            assert.equal(shared.status, 200);
+            assert.deepEqual(shared.body.shares.map(share => [share.userId, share.level]), [['bob', 'viewer']]);
+
+            const me = await api('GET', '/api/users/me', 'phone-bob');
+            assert.equal(me.body.user.model, 'iPhone');
+            assert.deepEqual(me.body.devices, [{ deviceId: 'camera-a', level: 'viewer' }]);
+
+            bob.send({ type: 'call', to: 'camera-a', callType: 'audio' });
+            assert.equal((await bob.next('call-failed')).reason, 'forbidden');
+
+            bob.send({ type: 'call', to: 'camera-a', callType: 'video' });
+            const incoming = await camera.next('incoming-call');
+            camera.send({ type: 'reject', callId: incoming.callId });
+            await bob.next('call-rejected');
+
+            // viewer 不能下发命令
+            assert.equal((await api('POST', '/api/devices/camera-a/commands', 'phone-bob', { action: 'reboot' })).status, 403);
+
+            // 被共享的用户可以自己退出
+            assert.equal((await api('DELETE', '/api/devices/camera-a/shares/bob', 'phone-bob')).status, 200);
+            bob.send({ type: 'call', to: 'camera-a', callType: 'video' });
+            assert.equal((await bob.next('call-failed')).reason, 'forbidden');
+        } finally {
+            await Promise.all([bob.close(), camera.close()]);
+        }
+    });
+
+    it('管理员管理用户和设备归属，但不能呼叫设备', async () => {
+        assert.equal((await api('GET', '/api/users', 'phone-alice')).status, 403);
+        assert.equal((await api('GET', '/api/users', 'camera-a')).status, 403);
+
+        const created = await api('POST', '/api/users', 'phone-admin', { userId: 'dave', name: 'Dave', model: 'iPhone' });
+        assert.equal(created.status, 201);
+        assert.deepEqual(created.body, { userId: 'dave', name: 'Dave', model: 'iPhone', userType: 'user' });
+        assert.equal((await api('POST', '/api/users', 'phone-admin', { userId: 'dave' })).status, 409);
+        assert.equal((await api('POST', '/api/users', 'phone-admin', { name: 'no id' })).status, 400);
+
+        // 没有归属的设备只有管理员能指定所有者
+        assert.equal((await api('PUT', '/api/devices/camera-new/owner', 'phone-alice', { userId: 'alice' })).status, 403);
+        const owned = await api('PUT', '/api/devices/camera-new/owner', 'phone-admin', { userId: 'dave' });
+        assert.equal(owned.status, 200);
+        assert.equal(owned.body.owner, 'dave');
+        assert.equal((await api('PUT', '/api/devices/camera-new/shares/carol', 'phone-admin', { level: 'talker' })).status, 200);
+        assert.equal((await api('GET', '/api/devices/camera-new/access', 'phone-carol')).status, 403);
+
+        assert.equal((await api('DELETE', '/api/users/dave', 'phone-admin')).status, 200);
+        const released = await api('GET', '/api/devices/camera-new/access', 'phone-admin');
+        assert.equal(released.body.owner, null);
+        assert.equal((await api('DELETE', '/api/devices/camera-new/owner', 'phone-admin')).status, 404);
+
+        const admin = await join('phone-admin');
+        try {
+            admin.send({ type: 'call', to: 'camera-a', callType: 'video' });
+            assert.equal((await admin.next('call-failed')).reason, 'forbidden');
+        } finally {
+            await admin.close();
+        }
+    });
+
+    it('对讲：无权限的 App 无法连接，viewer 只能收听', async () => {
+        const intercomUrl = deviceId => `${env.wsUrl}/intercom?deviceId=camera-a&token=${encodeURIComponent(tokens[deviceId])}`;
+
+        await assert.rejects(connect(intercomUrl('phone-carol'), { headers: { 'x-role': 'app' } }), { statusCode: 403 });
+
+        await api('PUT', '/api/devices/camera-a/shares/bob', 'phone-alice', { level: 'viewer' });
+        const device = await connect(intercomUrl('camera-a'), { headers: { 'x-role': 'device' } });
+        const bob = await connect(intercomUrl('phone-bob'), { headers: { 'x-role': 'app' } });
+
+        try {
+            bob.send(JSON.stringify({ type: 'floor-request', id: 'talk' }));
+            const error = await bob.next('error');
+            assert.equal(error.code, 'forbidden');
+            assert.equal(error.ref, 'talk');
+
+            bob.send(Buffer.from([1, 2, 3]));
+            device.send(Buffer.from([4, 5, 6]));
+            assert.deepEqual(await bob.nextBinary(), Buffer.from([4, 5, 6]));
+            await new Promise(resolve => setTimeout(resolve, 100));
+            assert.equal(device.binary.length, 0);
+        } finally {
+            await Promise.all([bob.close(), device.close()]);
+            await api('DELETE', '/api/devices/camera-a/shares/bob', 'phone-alice');
+        }
+    });
+
+    it('对讲：启用鉴权时角色以 Token 为准，忽略 x-role 头', async () => {
+        const camera = await connect(`${env.wsUrl}/intercom?deviceId=camera-a&token=${encodeURIComponent(tokens['camera-a'])}`,
+            { headers: { 'x-role': 'app' } });
+        try {
+            const { body } = await api('GET', '/api/intercom/streams', 'phone-alice');
+            assert.deepEqual(body.streams.map(stream => [stream.deviceId, stream.role]), [['camera-a', 'device']]);
+            // 其他家庭看不到该设备的对讲
+            assert.deepEqual((await api('GET', '/api/intercom/streams', 'phone-carol')).body.streams, []);
+        } finally {
+            await camera.close();
+        }
+    });
+
+    it('直播、回放和录像需要 viewer 权限，启停转码需要 talker 权限', async () => {
+        assert.equal((await api('GET', '/api/video/live/camera-a', 'phone-alice')).status, 200);
+        assert.equal((await api('GET', '/api/video/live/camera-a', 'phone-carol')).status, 403);
+        assert.equal((await api('GET', '/api/video/live/camera-a', 'phone-admin')).status, 403);
+        assert.equal((await api('POST', '/api/video/live/camera-a/start', 'phone-carol', { inputUrl: 'rtsp://192.168.1.20/camera-a' })).status, 403);
+        assert.equal((await api('POST', '/api/video/live/camera-a/stop', 'phone-carol')).status, 403);
+        assert.equal((await api('GET', '/api/video/playback/camera-a', 'phone-alice')).status, 200);
+        assert.equal((await api('GET', '/api/video/playback/camera-a', 'phone-carol')).status, 403);
+
+        // viewer 可以观看，不能启停转码
+        await api('PUT', '/api/devices/camera-a/shares/bob', 'phone-alice', { level: 'viewer' });
+        try {
+            assert.equal((await api('GET', '/api/video/live/camera-a', 'phone-bob')).status, 200);
+            assert.equal((await api('POST', '/api/video/live/camera-a/start', 'phone-bob', { inputUrl: 'rtsp://192.168.1.20/camera-a' })).status, 403);
+            assert.equal((await api('POST', '/api/video/live/camera-a/stop', 'phone-bob')).status, 403);
+        } finally {
+            await api('DELETE', '/api/devices/camera-a/shares/bob', 'phone-alice');
+        }
+
+        // 录像文件
+        const recordingsDir = path.join(env.dataDir, 'recordings');
+        fs.mkdirSync(recordingsDir, { recursive: true });
+        fs.writeFileSync(path.join(recordingsDir, 'rec-a.aac'), Buffer.from([0xff, 0xf1]));
+        fs.writeFileSync(path.join(recordingsDir, 'rec-a.json'), JSON.stringify({
+            id: 'rec-a', deviceId: 'camera-a', startTime: '2025-01-24T08:00:00Z', endTime: '2025-01-24T08:00:01Z',
+            duration: 1, size: 2, kind: 'intercom', format: 'aac', file: 'rec-a.aac'
+        }));
+        assert.equal((await fetch(`${env.httpUrl}/api/recordings/rec-a/media`, { headers: { Authorization: `Bearer ${tokens['phone-alice']}` } })).status, 200);
+        assert.equal((await api('GET', '/api/recordings/rec-a/media', 'phone-carol')).status, 403);
+
+        // 持有其他设备播放 Token 的用户也不能拉取无权限设备的 HLS
+        const streamAuth = createTokenAuth({ signingKey: 'test-signing-key', secretsFile: path.join(dir, 'device-secrets.json') });
+        const hls = deviceId => fetch(`${env.httpUrl}/hls/camera-a/index.m3u8?token=${encodeURIComponent(streamAuth.issueStreamToken(deviceId, 'camera-a'))}`);
+        assert.equal((await hls('phone-carol')).status, 403);
+        assert.equal((await hls('phone-alice')).status, 404);
+    });
+
+    it('查询接口只返回能查看的设备，设备状态不推送给其他家庭', async () => {
+        const alice = await join('phone-alice');
+        const carol = await join('phone-carol');
+        const camera = await join('camera-a');
+
+        try {
+            assert.equal((await alice.next(message => message.type === 'device-status' && message.deviceId === 'camera-a')).status, 'online');
+            await carol.expectNone('device-status');
+
+            const online = async deviceId => (await api('GET', '/api/devices/online', deviceId)).body.devices.map(device => device.deviceId).sort();
+            assert.deepEqual(await online('phone-alice'), ['camera-a', 'phone-alice']);
+            assert.deepEqual(await online('phone-carol'), ['phone-carol']);
+            assert.deepEqual(await online('phone-admin'), ['camera-a', 'phone-alice', 'phone-carol']);
+
+            const listed = async deviceId => (await api('GET', '/api/device/list', deviceId)).body.devices.map(device => device.deviceId).sort();
+            assert.deepEqual(await listed('phone-carol'), ['camera-c']);
+            assert.deepEqual(await listed('phone-admin'), ['camera-a', 'camera-c']);
+            assert.equal((await api('GET', '/api/device/camera-a', 'phone-carol')).status, 403);
+            assert.equal((await api('GET', '/api/device/camera-a', 'phone-alice')).status, 200);
+            assert.equal((await api('GET', '/api/devices/camera-a/commands', 'phone-carol')).status, 403);
+            assert.equal((await api('GET', '/api/devices/camera-a/commands/cmd-1', 'phone-carol')).status, 403);
+            assert.equal((await api('GET', '/api/devices/camera-a/commands', 'phone-alice')).status, 200);
+
+            // 没有通话时的挂断按权限检查
+            carol.send({ type: 'hangup', to: 'camera-a', id: 'hangup-1' });
+            const error = await carol.next('error');
+            assert.equal(error.code, 'forbidden');
+            assert.equal(error.ref, 'hangup-1');
+            await camera.expectNone('hangup');
+
+            alice.send({ type: 'join-room', roomId: 'home-a' });
+            await alice.next('room-roster');
+            assert.equal((await api('GET', '/api/rooms', 'phone-carol')).body.count, 0);
+            assert.equal((await api('GET', '/api/rooms/home-a', 'phone-carol')).status, 404);
+            assert.equal((await api('GET', '/api/rooms/home-a', 'phone-alice')).status, 200);
+            alice.send({ type: 'leave-room', roomId: 'home-a' });
+
+            alice.send({ type: 'call', to: 'camera-a', callType: 'video' });
+            const incoming = await camera.next('incoming-call');
+            assert.equal((await api('GET', '/api/calls/active', 'phone-alice')).body.count, 1);
+            assert.equal((await api('GET', '/api/calls/active', 'phone-carol')).body.count, 0);
+            assert.equal((await api('GET', '/api/calls', 'phone-carol')).body.count, 0);
+            assert.equal((await api('GET', `/api/calls/${incoming.callId}/stats`, 'phone-carol')).status, 404);
+            assert.equal((await api('GET', `/api/calls/${incoming.callId}/stats`, 'phone-alice')).status, 200);
+
+            camera.send({ type: 'reject', callId: incoming.callId });
+            await alice.next('call-rejected');
+            const history = async (deviceId, query = '') => api('GET', `/api/calls/history${query}`, deviceId);
+            assert.ok((await history('phone-alice')).body.calls.some(call => call.callId === incoming.callId));
+            assert.ok(!(await history('phone-carol')).body.calls.some(call => call.callId === incoming.callId));
+            assert.equal((await history('phone-carol', '?deviceId=camera-a')).status, 403);
+            assert.equal((await api('GET', `/api/calls/history/${incoming.callId}`, 'phone-carol')).status, 404);
+            assert.equal((await api('GET', `/api/calls/history/${incoming.callId}`, 'phone-admin')).status, 200);
+        } finally {
+            await Promise.all([alice.close(), carol.close(), camera.close()]);
+        }
+    });
+});
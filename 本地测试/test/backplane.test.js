@@ -0,0 +1,145 @@
+/**
+ * 多实例背板：两个信令服务器共用内存总线，在线设备目录、跨实例通话与信令转发、设备迁移
+ */
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryBackplane, createMemoryBus } = require('../lib/backplane');
+const { startSignalingServer, connectDevice } = require('./helpers');
+
+// 等待总线上异步投递的消息处理完
+function tick() {
+    return new Promise(resolve => setTimeout(resolve, 20));
+}
+
+describe('内存背板', () => {
+    it('设备目录只返回其他实例的设备，消息只投递给目标实例', async () => {
+        const bus = createMemoryBus();
+        const a = createMemoryBackplane({ instanceId: 'node-a', bus: bus });
+        const b = createMemoryBackplane({ instanceId: 'node-b', bus: bus });
+        const c = createMemoryBackplane({ instanceId: 'node-c', bus: bus });
+        await Promise.all([a.start(), b.start(), c.start()]);
+
+        const events = [];
+        a.on('device', (deviceId, info) => events.push([deviceId, info && info.instanceId]));
+        const received = { a: [], c: [] };
+        a.on('message', envelope => received.a.push(envelope));
+        c.on('message', envelope => received.c.push(envelope));
+
+        b.setDevice('camera-1', { presence: 'idle' });
+        await tick();
+        assert.deepEqual(events, [['camera-1', 'node-b']]);
+        assert.equal(a.getDevice('camera-1').instanceId, 'node-b');
+        assert.equal(b.getDevice('camera-1'), null, '本实例的设备不在目录中');
+        assert.deepEqual(a.listDevices().map(info => info.deviceId), ['camera-1']);
+
+        // 只能删除归属本实例的条目
+        a.removeDevice('camera-1');
+        await tick();
+        assert.ok(c.getDevice('camera-1'));
+
+        b.send('node-a', { kind: 'deliver', deviceId: 'phone-1', message: { type: 'offer' } });
+        await tick();
+        assert.equal(received.a.length, 1);
+        assert.equal(received.a[0].from, 'node-b');
+        assert.equal(received.a[0].to, 'node-a');
+        assert.deepEqual(received.c, []);
+
+        // 关闭时删除本实例的设备
+        await b.close();
+        await tick();
+        assert.equal(a.getDevice('camera-1'), null);
+        assert.deepEqual(events[events.length - 1], ['camera-1', null]);
+
+        await Promise.all([a.close(), c.close()]);
+    });
+});
+
+describe('多实例信令（内存背板）', () => {
+    let nodeA;
+    let nodeB;
+    let clients = [];
+
+    before(async () => {
+        const bus = createMemoryBus();
+        nodeA = await startSignalingServer({ instanceId: 'node-a', backplaneBus: bus });
+        nodeB = await startSignalingServer({ instanceId: 'node-b', backplaneBus: bus });
+    });
+
+    after(async () => {
+        await nodeA.close();
+        await nodeB.close();
+    });
+
+    afterEach(async () => {
+        await Promise.all(clients.map(client => client.close()));
+        clients = [];
+        await tick();
+    });
+
+    async function device(env, deviceId) {
+        const client = await connectDevice(env, deviceId);
+        clients.push(client);
+        return client;
+    }
+
+    it('其他实例上的设备出现在在线列表和 device-status 广播中', async () => {
+        const phone = await device(nodeA, 'phone-1');
+        const camera = await device(nodeB, 'camera-1');
+
+        const online = await phone.next(m => m.type === 'device-status' && m.deviceId === 'camera-1');
+        assert.equal(online.status, 'online');
+
+        const res = await fetch(`${nodeA.httpUrl}/api/devices/online`);
+        const { devices } = await res.json();
+        assert.deepEqual(devices.map(info => info.deviceId).sort(), ['camera-1', 'phone-1']);
+
+        await camera.close();
+        const offline = await phone.next(m => m.type === 'device-status' && m.deviceId === 'camera-1' && m.status === 'offline');
+        assert.equal(offline.presence, 'offline');
+    });
+
+    it('跨实例通话：呼叫、接听、SDP/ICE 转发和挂断', async () => {
+        const phone = await device(nodeA, 'phone-1');
+        const camera = await device(nodeB, 'camera-1');
+        await phone.next(m => m.type === 'device-status' && m.deviceId === 'camera-1');
+
+        phone.send({ type: 'call', to: 'camera-1', callType: 'video' });
+        const incoming = await camera.next('incoming-call');
+        assert.equal(incoming.from, 'phone-1');
+        const ringing = await phone.next('call-ringing');
+        assert.equal(ringing.callId, incoming.callId);
+
+        camera.send({ type: 'accept', callId: incoming.callId });
+        assert.equal((await phone.next('call-accepted')).callId, incoming.callId);
+
+        phone.send({ type: 'offer', to: 'camera-1', sdp: 'v=0 offer' });
+        const offer = await camera.next('offer');
+        assert.equal(offer.from, 'phone-1');
+        assert.equal(offer.sdp, 'v=0 offer');
+
+        camera.send({ type: 'answer', to: 'phone-1', sdp: 'v=0 answer' });
+        assert.equal((await phone.next('answer')).sdp, 'v=0 answer');
+
+        camera.send({ type: 'ice-candidate', to: 'phone-1', candidate: 'candidate:1 1 udp 1 10.0.0.2 5000 typ host', sdpMid: '0', sdpMLineIndex: 0 });
+        assert.equal((await phone.next('ice-candidate')).from, 'camera-1');
+
+        // 通话中的设备在其他实例上显示为忙线
+        const tablet = await device(nodeB, 'tablet-1');
+        tablet.send({ type: 'call', to: 'phone-1' });
+        assert.equal((await tablet.next('busy')).target, 'phone-1');
+
+        camera.send({ type: 'hangup', to: 'phone-1', callId: incoming.callId });
+        const hangup = await phone.next('hangup');
+        assert.equal(hangup.from, 'camera-1');
+        assert.equal(hangup.callId, incoming.callId);
+    });
+
+    it('设备重连到另一个实例时，原实例以 4000 replaced 关闭旧连接', async () => {
+        const camera = await device(nodeA, 'camera-1');
+        const closed = new Promise(resolve => camera.ws.once('close', code => resolve(code)));
+
+        await device(nodeB, 'camera-1');
+        assert.equal(await closed, 4000);
+    });
+});
@@ -0,0 +1,275 @@
+/**
+ * 通话记录（CDR）：每次呼叫结束写入一条，按设备、时间、是否接通查询，分页和 CSV 导出，重启后保留，过期和超出上限的记录删除
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createCallHistory, toCsv } = require('../lib/call-history');
+const { startSignalingServer, connectDevice } = require('./helpers');
+
+async function getJson(url) {
+    const res = await fetch(url);
+    return { status: res.status, body: await res.json() };
+}
+
+// 等待服务器写入通话记录（结束通话与查询之间没有先后保证）
+async function waitForHistory(url, count) {
+    const deadline = Date.now() + 3000;
+    for (;;) {
+        const { body } = await getJson(url);
+        if (body.total >= count) return body;
+        if (Date.now() > deadline) throw new Error('等待通话记录超时');
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+}
+
+describe('通话记录', () => {
+    let env;
+    let dir;
+
+    before(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'simpleeyes-cdr-'));
+        env = await startSignalingServer({ callHistoryFile: path.join(dir, 'call-history.db') });
+
+        const phone = await connectDevice(env, 'phone-1');
+        const camera = await connectDevice(env, 'camera-1');
+
+        // 接通后挂断
+        phone.send({ type: 'call', to: 'camera-1', callType: 'audio' });
+        const answered = await camera.next('incoming-call');
+        camera.send({ type: 'accept', callId: answered.callId });
+        await phone.next('call-accepted');
+        phone.send({ type: 'hangup', to: 'camera-1', callId: answered.callId });
+        await camera.next('hangup');
+
+        // 拒接
+        phone.send({ type: 'call', to: 'camera-1' });
+        const rejected = await camera.next('incoming-call');
+        camera.send({ type: 'reject', callId: rejected.callId });
+        await phone.next('call-rejected');
+
+        // 对方离线
+        phone.send({ type: 'call', to: 'camera-offline' });
+        await phone.next('call-failed');
+
+        // 通话中断线
+        phone.send({ type: 'call', to: 'camera-1' });
+        const dropped = await camera.next('incoming-call');
+        camera.send({ type: 'accept', callId: dropped.callId });
+        await phone.next('call-accepted');
+        await camera.close();
+        await phone.next('hangup');
+        await phone.close();
+
+        await waitForHistory(`${env.httpUrl}/api/calls/history`, 4);
+    });
+
+    after(async () => {
+        await env.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('每次呼叫结束写入一条记录，最新的在前', async () => {
+        const { status, body } = await getJson(`${env.httpUrl}/api/calls/history?deviceId=phone-1`);
+        assert.equal(status, 200);
+        assert.equal(body.total, 4);
+        assert.equal(body.page, 1);
+        assert.deepEqual(body.calls.map(call => call.endReason), ['network', 'offline', 'rejected', 'hangup']);
+
+        const hangup = body.calls[3];
+        assert.equal(hangup.caller, 'phone-1');
+        assert.equal(hangup.callee, 'camera-1');
+        assert.equal(hangup.callType, 'audio');
+        assert.equal(hangup.answered, true);
+        assert.match(hangup.answeredAt, /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z$/);
+        assert.equal(typeof hangup.duration, 'number');
+
+        const offline = body.calls[1];
+        assert.equal(offline.callee, 'camera-offline');
+        assert.equal(offline.answered, false);
+        assert.equal(offline.answeredAt, null);
+        assert.equal(offline.duration, 0);
+
+        const single = await getJson(`${env.httpUrl}/api/calls/history/${hangup.callId}`);
+        assert.deepEqual(single.body, hangup);
+        assert.equal((await getJson(`${env.httpUrl}/api/calls/history/unknown`)).status, 404);
+    });
+
+    it('按设备、时间和是否接通筛选并分页', async () => {
+        const camera = await getJson(`${env.httpUrl}/api/calls/history?deviceId=camera-1&answered=true`);
+        assert.equal(camera.body.total, 2);
+
+        const first = await getJson(`${env.httpUrl}/api/calls/history?pageSize=3`);
+        assert.equal(first.body.calls.length, 3);
+        assert.equal(first.body.totalPages, 2);
+        const second = await getJson(`${env.httpUrl}/api/calls/history?pageSize=3&page=2`);
+        assert.equal(second.body.calls.length, 1);
+        assert.equal(second.body.calls[0].endReason, 'hangup');
+
+        const future = await getJson(`${env.httpUrl}/api/calls/history?from=${Date.now() + 60000}`);
+        assert.equal(future.body.total, 0);
+
+        for (const query of ['page=0', 'pageSize=1000', 'from=yesterday']) {
+            assert.equal((await getJson(`${env.httpUrl}/api/calls/history?${query}`)).status, 400, query);
+        }
+    });
+
+    it('导出 CSV', async () => {
+        const res = await fetch(`${env.httpUrl}/api/calls/history?deviceId=camera-1&format=csv`);
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('content-type'), /^text\/csv/);
+        assert.match(res.headers.get('content-disposition'), /call-history\.csv/);
+
+        const lines = (await res.text()).trim().split('\r\n');
+        assert.equal(lines[0], 'callId,caller,callee,callType,startedAt,answeredAt,endedAt,endReason,answered,duration,ringDuration');
+        assert.equal(lines.length, 4);
+        assert.ok(lines[3].includes(',hangup,true,'));
+    });
+
+    it('重启后保留记录', async () => {
+        const restarted = await startSignalingServer({ callHistoryFile: path.join(dir, 'call-history.db') });
+        try {
+            const { body } = await getJson(`${restarted.httpUrl}/api/calls/history`);
+            assert.equal(body.total, 4);
+        } finally {
+            await restarted.close();
+        }
+    });
+
+    it('服务器停止时为振铃中的通话写入记录', async () => {
+        const file = path.join(dir, 'shutdown.db');
+        const server = await startSignalingServer({ callHistoryFile: file });
+        const phone = await connectDevice(server, 'phone-9');
+        const camera = await connectDevice(server, 'camera-9');
+        phone.send({ type: 'call', to: 'camera-9' });
+        await camera.next('incoming-call');
+        await server.close();
+
+        const history = createCallHistory({ file: file });
+        const records = history.query().calls;
+        history.close();
+        assert.equal(records.length, 1);
+        assert.equal(records[0].caller, 'phone-9');
+        assert.equal(records[0].endReason, 'shutdown');
+        assert.equal(records[0].answered, false);
+    });
+});
+
+describe('通话记录存储', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'simpleeyes-cdr-'));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function call(index, fields = {}) {
+        return { callId: `call-${index}`, caller: 'phone-1', callee: 'camera-1', callType: 'video', createdAt: new Date().toISOString(), endReason: 'timeout', ...fields };
+    }
+
+    it('超出条数上限时删除最旧的记录', () => {
+        const history = createCallHistory({ file: path.join(dir, 'limit.db'), maxRecords: 10 });
+
+        for (let i = 0; i < 12; i++) history.record(call(i));
+        assert.equal(history.size, 10);
+        assert.equal(history.get('call-1'), null);
+        assert.equal(history.get('call-2').callId, 'call-2');
+        assert.equal(history.get('call-11').callId, 'call-11');
+        assert.equal(history.query().total, 10);
+        history.close();
+    });
+
+    it('重新打开时删除超过保留天数的记录', () => {
+        const file = path.join(dir, 'retention.db');
+        const history = createCallHistory({ file: file, retentionDays: 30 });
+        const old = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000).toISOString();
+        history.record(call('old', { createdAt: old, endedAt: old }));
+        history.record(call('new'));
+        history.close();
+
+        const reopened = createCallHistory({ file: file, retentionDays: 30 });
+        assert.equal(reopened.size, 1);
+        assert.equal(reopened.get('call-old'), null);
+        assert.equal(reopened.get('call-new').callId, 'call-new');
+        reopened.close();
+    });
+
+    it('按发起时间倒序查询，visible 筛选后再分页', () => {
+        const history = createCallHistory({ file: path.join(dir, 'query.db') });
+        const base = Date.parse('2025-01-24T08:00:00Z');
+        const at = minutes => new Date(base + minutes * 60 * 1000).toISOString();
+
+        // 结束顺序与发起顺序不同
+        history.record(call('a', { createdAt: at(0), endedAt: at(30) }));
+        history.record(call('b', { caller: 'phone-2', createdAt: at(10), endedAt: at(11) }));
+        history.record(call('c', { createdAt: at(20), answeredAt: at(21), endedAt: at(22), endReason: 'hangup' }));
+        history.record(call('d', { callee: 'camera-2', createdAt: at(5), endedAt: at(6) }));
+
+        assert.deepEqual(history.query().calls.map(record => record.callId), ['call-c', 'call-b', 'call-d', 'call-a']);
+        assert.deepEqual(history.query({ deviceId: 'phone-1', from: base + 60 * 1000 }).calls.map(record => record.callId), ['call-c', 'call-d']);
+        assert.deepEqual(history.query({ answered: true }).calls.map(record => record.callId), ['call-c']);
+
+        const record = history.get('call-c');
+        assert.equal(record.answeredAt, '2025-01-24T08:21:00Z');
+        assert.equal(record.duration, 60);
+        assert.equal(record.ringDuration, 60);
+
+        const visible = record => record.callee === 'camera-1';
+        const page = history.query({ visible: visible }, { page: 2, pageSize: 2 });
+        assert.deepEqual(page.calls.map(record => record.callId), ['call-a']);
+        assert.equal(page.total, 3);
+        assert.equal(page.totalPages, 2);
+
+        const unfiltered = history.query({ deviceId: 'camera-1' }, { page: 1, pageSize: 2 });
+        assert.deepEqual(unfiltered.calls.map(record => record.callId), ['call-c', 'call-b']);
+        assert.equal(unfiltered.total, 3);
+        history.close();
+    });
+
+    it('CSV 中可能被当作公式的值加单引号', () => {
+        const csv = toCsv([{ callId: '=HYPERLINK("http://x")', caller: '+1', callee: '@camera', callType: '-video', answered: false }]);
+        const row = csv.split('\r\n')[1];
+        assert.equal(row, `"'=HYPERLINK(""http://x"")",'+1,'@camera,'-video,,,,,false,,`);
+    });
+});
+
+describe('通话记录（启用鉴权）', () => {
+    let env;
+    let secretsDir;
+
+    before(async () => {
+        secretsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'simpleeyes-secrets-'));
+        const secretsFile = path.join(secretsDir, 'device-secrets.json');
+        fs.writeFileSync(secretsFile, JSON.stringify({
+            'camera-1': { secret: 'camera-secret', role: 'device' }
+        }));
+        env = await startSignalingServer({ auth: true, authSecret: 'test-signing-key', deviceSecretsFile: secretsFile });
+    });
+
+    after(async () => {
+        await env.close();
+        fs.rmSync(secretsDir, { recursive: true, force: true });
+    });
+
+    it('设备角色的 Token 只能查询自己的通话', async () => {
+        const res = await fetch(`${env.httpUrl}/api/auth/token`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ deviceId: 'camera-1', secret: 'camera-secret' })
+        });
+        const token = (await res.json()).access_token;
+        const headers = { Authorization: `Bearer ${token}` };
+
+        const own = await fetch(`${env.httpUrl}/api/calls/history`, { headers });
+        assert.equal(own.status, 200);
+        const other = await fetch(`${env.httpUrl}/api/calls/history?deviceId=phone-1`, { headers });
+        assert.equal(other.status, 403);
+        assert.equal((await fetch(`${env.httpUrl}/api/calls/history`)).status, 401);
+    });
+});
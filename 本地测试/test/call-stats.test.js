@@ -0,0 +1,134 @@
+/**
+ * 通话质量统计：call-stats 上报、/api/calls/:id/stats 汇总（按设备、质量评级）、/api/calls 列表
+ */
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startSignalingServer, connectDevice } = require('./helpers');
+
+describe('通话质量统计', () => {
+    let env;
+    let clients = [];
+
+    before(async () => {
+        env = await startSignalingServer();
+    });
+
+    after(async () => {
+        await env.close();
+    });
+
+    afterEach(async () => {
+        await Promise.all(clients.map(client => client.close()));
+        clients = [];
+    });
+
+    async function device(deviceId) {
+        const client = await connectDevice(env, deviceId);
+        clients.push(client);
+        return client;
+    }
+
+    async function get(pathname) {
+        const res = await fetch(`${env.httpUrl}${pathname}`);
+        return { status: res.status, body: await res.json() };
+    }
+
+    // 建立一通已接通的通话
+    async function startCall(caller, callee, calleeId) {
+        caller.send({ type: 'call', to: calleeId, callType: 'video' });
+        const incoming = await callee.next('incoming-call');
+        callee.send({ type: 'accept', callId: incoming.callId });
+        await caller.next('call-accepted');
+        return incoming.callId;
+    }
+
+    it('接通前上报返回 not-in-call 错误', async () => {
+        const phone = await device('phone-1');
+        const camera = await device('camera-1');
+
+        phone.send({ type: 'call', to: 'camera-1' });
+        const incoming = await camera.next('incoming-call');
+
+        phone.send({ type: 'call-stats', id: 'stats-1', callId: incoming.callId, rtt: 80 });
+        const error = await phone.next('error');
+        assert.equal(error.code, 'not-in-call');
+        assert.equal(error.ref, 'stats-1');
+
+        const { body } = await get(`/api/calls/${incoming.callId}/stats`);
+        assert.equal(body.summary.samples, 0);
+        assert.equal(body.summary.quality, null);
+    });
+
+    it('按设备和整通通话汇总指标，通话评级取较差的一方', async () => {
+        const phone = await device('phone-1');
+        const camera = await device('camera-1');
+        const callId = await startCall(phone, camera, 'camera-1');
+
+        phone.send({ type: 'call-stats', callId: callId, rtt: 100, jitter: 10, packetLoss: 1, fps: 30, width: 1280, height: 720, candidateType: 'host' });
+        phone.send({ type: 'call-stats', callId: callId, rtt: 200, jitter: 20, packetLoss: 0, fps: 30, candidateType: 'host' });
+        camera.send({ type: 'call-stats', rtt: 400, bitrate: 800, candidateType: 'relay' });
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        const { status, body } = await get(`/api/calls/${callId}/stats`);
+        assert.equal(status, 200);
+        assert.equal(body.callId, callId);
+        assert.equal(body.caller, 'phone-1');
+        assert.equal(body.callee, 'camera-1');
+        assert.equal(body.state, 'active');
+
+        // 按设备
+        const phoneStats = body.devices['phone-1'];
+        assert.equal(phoneStats.samples, 2);
+        assert.deepEqual(phoneStats.rtt, { avg: 150, min: 100, max: 200, p95: 200 });
+        assert.equal(phoneStats.resolution, '1280x720');
+        assert.equal(phoneStats.bitrate, null);
+        assert.equal(phoneStats.quality, 'fair');
+        assert.equal(body.devices['camera-1'].quality, 'poor');
+
+        // 整通通话
+        assert.equal(body.summary.samples, 3);
+        assert.deepEqual(body.summary.rtt, { avg: 233.33, min: 100, max: 400, p95: 400 });
+        assert.deepEqual(body.summary.candidateTypes.sort(), ['host', 'relay']);
+        assert.equal(body.summary.quality, 'poor');
+
+        // 原始样本带上报时间
+        assert.equal(body.samples['phone-1'].length, 2);
+        assert.equal(body.samples['camera-1'][0].bitrate, 800);
+        assert.equal(typeof body.samples['camera-1'][0].time, 'string');
+    });
+
+    it('/api/calls 列出通话汇总，结束后保留并带结束原因，支持 from/to 筛选', async () => {
+        const phone = await device('phone-1');
+        const camera = await device('camera-1');
+        const callId = await startCall(phone, camera, 'camera-1');
+
+        phone.send({ type: 'call-stats', callId: callId, rtt: 50 });
+        phone.send({ type: 'hangup', to: 'camera-1', callId: callId });
+        await camera.next('hangup');
+
+        const { body } = await get('/api/calls');
+        const call = body.calls.find(item => item.callId === callId);
+        assert.equal(call.state, 'ended');
+        assert.equal(call.endReason, 'hangup');
+        assert.equal(call.summary.samples, 1);
+        assert.equal(call.summary.quality, 'good');
+        assert.equal(call.devices, undefined, '列表不含按设备的明细');
+
+        const stats = await get(`/api/calls/${callId}/stats`);
+        assert.equal(stats.body.state, 'ended');
+        assert.equal(stats.body.summary.rtt.avg, 50);
+
+        const future = await get(`/api/calls?from=${Date.now() + 60000}`);
+        assert.equal(future.body.count, 0);
+        const all = await get('/api/calls?from=2020-01-01T00:00:00Z');
+        assert.ok(all.body.calls.some(item => item.callId === callId));
+        assert.equal((await get('/api/calls?from=yesterday')).status, 400);
+    });
+
+    it('不存在的通话返回 404', async () => {
+        const { status, body } = await get('/api/calls/0000000000000000/stats');
+        assert.equal(status, 404);
+        assert.equal(body.error, 'Call Not Found');
+    });
+});
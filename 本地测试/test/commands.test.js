@@ -0,0 +1,149 @@
+/**
+ * 远程命令：HTTP API 或信令连接下发 command，设备回复 command-ack / command-result，超时未回复时为 timeout
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startSignalingServer, connectDevice } = require('./helpers');
+
+async function postJson(url, body) {
+    const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+}
+
+async function getJson(url) {
+    const res = await fetch(url);
+    return { status: res.status, body: await res.json() };
+}
+
+describe('远程命令', () => {
+    let env;
+
+    before(async () => {
+        env = await startSignalingServer({ commandAckTimeout: 200, commandTimeout: 1000 });
+    });
+
+    after(async () => {
+        await env.close();
+    });
+
+    it('HTTP 下发命令，设备确认并回报结果后可查询状态', async () => {
+        const camera = await connectDevice(env, 'camera-1');
+        try {
+            const { status, body } = await postJson(`${env.httpUrl}/api/devices/camera-1/commands`, {
+                action: 'ptz',
+                params: { pan: 30, tilt: -10, zoom: 2 }
+            });
+            assert.equal(status, 202);
+            assert.equal(body.status, 'sent');
+            assert.match(body.commandId, /^cmd-/);
+
+            const command = await camera.next('command');
+            assert.equal(command.commandId, body.commandId);
+            assert.equal(command.action, 'ptz');
+            assert.deepEqual(command.params, { pan: 30, tilt: -10, zoom: 2 });
+
+            const statusUrl = `${env.httpUrl}/api/devices/camera-1/commands/${body.commandId}`;
+            camera.send({ type: 'command-ack', commandId: body.commandId });
+            await new Promise(resolve => setTimeout(resolve, 50));
+            assert.equal((await getJson(statusUrl)).body.status, 'acked');
+
+            camera.send({ type: 'command-result', commandId: body.commandId, success: true, result: { pan: 30, tilt: -10, zoom: 2 } });
+            await new Promise(resolve => setTimeout(resolve, 50));
+            const done = await getJson(statusUrl);
+            assert.equal(done.body.status, 'succeeded');
+            assert.deepEqual(done.body.result, { pan: 30, tilt: -10, zoom: 2 });
+            assert.equal(typeof done.body.completedAt, 'string');
+
+            const list = await getJson(`${env.httpUrl}/api/devices/camera-1/commands`);
+            assert.equal(list.body.commands[0].commandId, body.commandId);
+        } finally {
+            await camera.close();
+        }
+    });
+
+    it('App 通过信令连接下发命令，状态变化以 command-status 推送', async () => {
+        const phone = await connectDevice(env, 'phone-1');
+        const camera = await connectDevice(env, 'camera-2');
+        try {
+            phone.send({ type: 'command', id: 'req-1', to: 'camera-2', action: 'snapshot' });
+            const sent = await phone.next('command-status');
+            assert.equal(sent.status, 'sent');
+            assert.equal(sent.ref, 'req-1');
+
+            const command = await camera.next('command');
+            assert.equal(command.from, 'phone-1');
+
+            camera.send({ type: 'command-ack', commandId: command.commandId });
+            assert.equal((await phone.next('command-status')).status, 'acked');
+
+            camera.send({ type: 'command-result', commandId: command.commandId, success: false, error: 'sd-card-full' });
+            const failed = await phone.next('command-status');
+            assert.equal(failed.status, 'failed');
+            assert.equal(failed.error, 'sd-card-full');
+        } finally {
+            await Promise.all([phone.close(), camera.close()]);
+        }
+    });
+
+    it('设备未确认时超时，之后的回复返回 unknown-command', async () => {
+        const phone = await connectDevice(env, 'phone-1');
+        const camera = await connectDevice(env, 'camera-3');
+        try {
+            phone.send({ type: 'command', to: 'camera-3', action: 'reboot' });
+            const command = await camera.next('command');
+
+            const timeout = await phone.next(message => message.type === 'command-status' && message.status === 'timeout');
+            assert.equal(timeout.error, 'ack-timeout');
+
+            camera.send({ type: 'command-result', id: 'late', commandId: command.commandId, success: true });
+            const error = await camera.next('error');
+            assert.equal(error.code, 'unknown-command');
+            assert.equal(error.ref, 'late');
+        } finally {
+            await Promise.all([phone.close(), camera.close()]);
+        }
+    });
+
+    it('离线、不存在或不支持该命令的设备无法下发', async () => {
+        const camera = await connectDevice(env, 'camera-4');
+        camera.send({ type: 'register', capabilities: { video: true, commands: ['snapshot', 'ptz'] } });
+        await camera.next('registered');
+
+        const phone = await connectDevice(env, 'phone-1');
+        try {
+            const unsupported = await postJson(`${env.httpUrl}/api/devices/camera-4/commands`, { action: 'reboot' });
+            assert.equal(unsupported.status, 400);
+            assert.equal(unsupported.body.error, 'Unsupported Command');
+
+            phone.send({ type: 'command', id: 'req-2', to: 'camera-4', action: 'reboot' });
+            const failed = await phone.next('command-failed');
+            assert.equal(failed.reason, 'unsupported-command');
+            assert.equal(failed.ref, 'req-2');
+
+            const invalid = await postJson(`${env.httpUrl}/api/devices/camera-4/commands`, { action: 'self-destruct' });
+            assert.equal(invalid.status, 400);
+            assert.equal(invalid.body.error, 'Invalid Command');
+
+            phone.send({ type: 'command', to: 'nobody', action: 'snapshot' });
+            assert.equal((await phone.next('command-failed')).reason, 'target-offline');
+        } finally {
+            await Promise.all([phone.close(), camera.close()]);
+        }
+
+        // camera-4 已注册但不在线
+        const offline = await postJson(`${env.httpUrl}/api/devices/camera-4/commands`, { action: 'snapshot' });
+        assert.equal(offline.status, 409);
+        assert.equal(offline.body.error, 'Device Offline');
+
+        const unknown = await postJson(`${env.httpUrl}/api/devices/nobody/commands`, { action: 'snapshot' });
+        assert.equal(unknown.status, 404);
+
+        const missing = await getJson(`${env.httpUrl}/api/devices/camera-4/commands/cmd-unknown`);
+        assert.equal(missing.status, 404);
+    });
+});
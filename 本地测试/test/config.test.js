@@ -0,0 +1,186 @@
+/**
+ * 配置加载：优先级、命令行参数、配置文件，以及 TLS 与 CORS 配置
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const https = require('https');
+const { execFileSync } = require('child_process');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadConfig, createSignalingServer } = require('../webrtc-signaling-server');
+const { startSignalingServer, connect } = require('./helpers');
+
+describe('配置加载', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'simpleeyes-config-'));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function writeConfig(name, content) {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, JSON.stringify(content));
+        return file;
+    }
+
+    it('未配置时取默认值', () => {
+        const config = loadConfig({});
+
+        assert.equal(config.port, 8080);
+        assert.equal(config.host, undefined);
+        assert.deepEqual(config.corsOrigins, ['*']);
+        assert.equal(config.discovery, true);
+        assert.equal(config.bonjourType, 'simpleyes');
+        assert.equal(config.multicastPort, 12345);
+        assert.equal(config.auth, true);
+        assert.equal(config.sessionGracePeriod, 30000);
+    });
+
+    it('配置文件 < 环境变量 < 命令行参数', () => {
+        const file = writeConfig('precedence.json', { port: 9000, serverName: '文件', ringTimeout: 1000 });
+        const config = loadConfig({ CONFIG_FILE: file, PORT: '9001', SERVER_NAME: '环境变量' }, ['--port', '9002']);
+
+        assert.equal(config.port, 9002);
+        assert.equal(config.serverName, '环境变量');
+        assert.equal(config.ringTimeout, 1000);
+    });
+
+    it('--config 优先于 CONFIG_FILE', () => {
+        const envFile = writeConfig('env.json', { port: 9100 });
+        const argFile = writeConfig('arg.json', { port: 9200 });
+
+        assert.equal(loadConfig({ CONFIG_FILE: envFile }, [`--config=${argFile}`]).port, 9200);
+    });
+
+    it('环境变量中的关闭开关（*_DISABLED=1）', () => {
+        const config = loadConfig({ AUTH_DISABLED: '1', BONJOUR_DISABLED: '1', SFU_ENABLED: '1', SESSION_GRACE_PERIOD: '0' });
+
+        assert.equal(config.auth, false);
+        assert.equal(config.bonjour, false);
+        assert.equal(config.multicast, true);
+        assert.equal(config.sfu, true);
+        assert.equal(config.sessionGracePeriod, 0);
+    });
+
+    it('命令行布尔项与列表项', () => {
+        const config = loadConfig({}, ['--no-multicast', '--no-auth', '--cors-origins', 'https://a.example, https://b.example', '--host=127.0.0.1']);
+
+        assert.equal(config.multicast, false);
+        assert.equal(config.bonjour, true);
+        assert.equal(config.auth, false);
+        assert.deepEqual(config.corsOrigins, ['https://a.example', 'https://b.example']);
+        assert.equal(config.host, '127.0.0.1');
+    });
+
+    it('配置文件中的相对路径以配置文件所在目录为基准', () => {
+        const file = writeConfig('paths.json', { tlsCert: 'certs/server.crt', deviceRegistryFile: '/var/lib/simpleeyes/devices.json' });
+        const config = loadConfig({}, ['--config', file]);
+
+        assert.equal(config.tlsCert, path.join(dir, 'certs', 'server.crt'));
+        assert.equal(config.deviceRegistryFile, '/var/lib/simpleeyes/devices.json');
+    });
+
+    it('--help 时返回 null', () => {
+        assert.equal(loadConfig({}, ['--help']), null);
+    });
+
+    it('格式错误的配置项给出来源', () => {
+        assert.throws(() => loadConfig({ PORT: 'abc' }), /环境变量 PORT 需要非负整数/);
+        assert.throws(() => loadConfig({}, ['--port']), /选项 --port 缺少参数/);
+        assert.throws(() => loadConfig({}, ['--prot', '1']), /未知选项: --prot/);
+        assert.throws(() => loadConfig({ BONJOUR_DISABLED: 'maybe' }), /需要布尔值/);
+
+        const file = writeConfig('typo.json', { prot: 8080 });
+        assert.throws(() => loadConfig({ CONFIG_FILE: file }), /未知的配置项: prot/);
+        assert.throws(() => loadConfig({ CONFIG_FILE: path.join(dir, 'missing.json') }), /读取配置文件失败/);
+    });
+});
+
+describe('CORS', () => {
+    let env;
+
+    before(async () => {
+        env = await startSignalingServer({ corsOrigins: ['https://console.example'] });
+    });
+
+    after(async () => {
+        await env.close();
+    });
+
+    it('只对允许的来源返回 Access-Control-Allow-Origin', async () => {
+        const allowed = await fetch(`${env.httpUrl}/api/health`, { headers: { Origin: 'https://console.example' } });
+        assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://console.example');
+        assert.equal(allowed.headers.get('vary'), 'Origin');
+
+        const denied = await fetch(`${env.httpUrl}/api/health`, { headers: { Origin: 'https://evil.example' } });
+        assert.equal(denied.headers.get('access-control-allow-origin'), null);
+    });
+
+    it('拒绝来自不允许来源的 WebSocket 连接，不带 Origin 的原生客户端不受限制', async () => {
+        await assert.rejects(connect(`${env.wsUrl}/signal?deviceId=phone-1`, { origin: 'https://evil.example' }), { statusCode: 403 });
+
+        const browser = await connect(`${env.wsUrl}/signal?deviceId=phone-1`, { origin: 'https://console.example' });
+        await browser.close();
+
+        const app = await connect(`${env.wsUrl}/signal?deviceId=phone-2`);
+        await app.close();
+    });
+});
+
+describe('TLS', () => {
+    let dir;
+    let env;
+    let cert;
+
+    before(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'simpleeyes-tls-'));
+        const certFile = path.join(dir, 'server.crt');
+        const keyFile = path.join(dir, 'server.key');
+        try {
+            execFileSync('openssl', ['req', '-x509', '-newkey', 'rsa:2048', '-nodes', '-days', '1',
+                '-subj', '/CN=localhost', '-addext', 'subjectAltName=IP:127.0.0.1',
+                '-keyout', keyFile, '-out', certFile], { stdio: 'ignore' });
+        } catch (error) {
+            return;
+        }
+        cert = fs.readFileSync(certFile);
+        env = await startSignalingServer({ tlsCert: certFile, tlsKey: keyFile });
+    });
+
+    after(async () => {
+        if (env) await env.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('配置证书后提供 HTTPS 和 WSS', async (t) => {
+        if (!env) {
+            t.skip('未安装 openssl，无法生成测试证书');
+            return;
+        }
+        assert.equal(env.server.secure, true);
+
+        const body = await new Promise((resolve, reject) => {
+            https.get(`https://127.0.0.1:${env.port}/api/health`, { ca: cert }, (res) => {
+                let data = '';
+                res.on('data', (chunk) => { data += chunk; });
+                res.on('end', () => resolve(JSON.parse(data)));
+            }).on('error', reject);
+        });
+        assert.equal(body.status, 'ok');
+
+        const client = await connect(`wss://127.0.0.1:${env.port}/signal?deviceId=phone-1`, { ca: cert });
+        const session = await client.next('session');
+        assert.equal(typeof session.resumeToken, 'string');
+        await client.close();
+    });
+
+    it('只配置证书或私钥之一时报错', () => {
+        assert.throws(() => createSignalingServer({ tlsCert: '/tmp/only-cert.pem' }), /同时配置 tlsCert 和 tlsKey/);
+    });
+});
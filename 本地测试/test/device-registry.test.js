@@ -0,0 +1,50 @@
+/**
+ * 设备注册表：注册和字段更新立即写入文件，心跳时间合并延迟写入
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createDeviceRegistry } = require('../lib/device-registry');
+
+function readDevices(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8')).devices;
+}
+
+describe('设备注册表', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'simpleeyes-registry-'));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('心跳时间先更新内存，延迟合并写入，关闭时写完', async () => {
+        const file = path.join(dir, 'devices.json');
+        const registry = createDeviceRegistry({ file: file, flushDelay: 50 });
+        registry.register('camera-1', { name: '门口' });
+        const registeredAt = readDevices(file)[0].lastHeartbeat;
+
+        registry.touch('camera-1', Date.parse('2030-01-01T00:00:00Z'));
+        registry.touch('camera-1', Date.parse('2030-01-01T00:00:05Z'));
+        assert.equal(registry.get('camera-1').lastHeartbeat, '2030-01-01T00:00:05Z');
+        assert.equal(readDevices(file)[0].lastHeartbeat, registeredAt);
+
+        await new Promise(resolve => setTimeout(resolve, 120));
+        assert.equal(readDevices(file)[0].lastHeartbeat, '2030-01-01T00:00:05Z');
+
+        registry.touch('camera-1', Date.parse('2030-01-01T00:00:10Z'));
+        registry.close();
+        assert.equal(readDevices(file)[0].lastHeartbeat, '2030-01-01T00:00:10Z');
+
+        // 关闭后只更新内存
+        registry.touch('camera-1', Date.parse('2030-01-01T00:00:15Z'));
+        await new Promise(resolve => setTimeout(resolve, 120));
+        assert.equal(readDevices(file)[0].lastHeartbeat, '2030-01-01T00:00:10Z');
+    });
+});
@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+/**
+ * 测试用的 ffmpeg 替身：按 lib/transcoder.js 传入的参数写出滚动的 HLS 播放列表和切片，收到 SIGTERM 后退出
+ * 输入文件名含 corrupt 时模拟 ffmpeg 解码失败
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const args = process.argv.slice(2);
+const input = args[args.indexOf('-i') + 1];
+const listSize = parseInt(args[args.indexOf('-hls_list_size') + 1], 10);
+const segmentPattern = args[args.indexOf('-hls_segment_filename') + 1];
+const playlist = args[args.length - 1];
+
+if (path.basename(input).includes('corrupt')) {
+    process.stderr.write(`${input}: Invalid data found when processing input\n`);
+    process.exit(1);
+}
+
+let sequence = 0;
+const segments = [];
+
+function writeSegment() {
+    sequence += 1;
+    const name = path.basename(segmentPattern).replace('%05d', String(sequence).padStart(5, '0'));
+    fs.writeFileSync(path.join(path.dirname(segmentPattern), name), Buffer.alloc(188, 0x47));
+    segments.push(name);
+    if (segments.length > listSize) {
+        fs.rmSync(path.join(path.dirname(segmentPattern), segments.shift()), { force: true });
+    }
+
+    const lines = ['#EXTM3U', '#EXT-X-VERSION:3', '#EXT-X-TARGETDURATION:2',
+        `#EXT-X-MEDIA-SEQUENCE:${sequence - segments.length + 1}`];
+    for (const segment of segments) {
+        lines.push('#EXTINF:2.000000,', segment);
+    }
+    fs.writeFileSync(`${playlist}.tmp`, lines.join('\n') + '\n');
+    fs.renameSync(`${playlist}.tmp`, playlist);
+}
+
+writeSegment();
+const timer = setInterval(writeSegment, 200);
+
+process.on('SIGTERM', () => {
+    clearInterval(timer);
+    process.exit(0);
+});
@@ -0,0 +1,194 @@
+/**
+ * 集成测试辅助：在随机端口启动服务器，以及收发信令的 WebSocket 客户端
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+const { createSignalingServer } = require('../webrtc-signaling-server');
+const { createIntercomServer } = require('../test-server');
+const { configureLogger } = require('../lib/logger');
+
+const DEFAULT_TIMEOUT = 2000;
+
+// 测试输出只保留错误日志
+configureLogger({ level: 'error' });
+
+/**
+ * 在随机端口启动信令服务器，数据文件写入临时目录
+ * @param {Object} [options] 覆盖 createSignalingServer 的配置
+ */
+async function startSignalingServer(options = {}) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'simpleeyes-test-'));
+    const server = createSignalingServer({
+        port: 0,
+        host: '127.0.0.1',
+        auth: false,
+        turn: false,
+        discovery: false,
+        recording: false,
+        deviceRegistryFile: path.join(dataDir, 'devices.json'),
+        callHistoryFile: path.join(dataDir, 'call-history.db'),
+        accessFile: path.join(dataDir, 'access.json'),
+        recordingsDir: path.join(dataDir, 'recordings'),
+        liveDir: path.join(dataDir, 'live'),
+        liveInputDir: path.join(dataDir, 'media'),
+        ...options
+    });
+    const port = await server.listen();
+
+    return {
+        server: server,
+        port: port,
+        dataDir: dataDir,
+        wsUrl: `ws://127.0.0.1:${port}`,
+        httpUrl: `http://127.0.0.1:${port}`,
+        async close() {
+            await server.close();
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    };
+}
+
+/**
+ * 在随机端口启动对讲测试服务器（test-server.js）
+ */
+async function startIntercomServer(options = {}) {
+    const server = createIntercomServer({ port: 0, recording: false, ...options });
+    const port = await server.listen();
+
+    return {
+        server: server,
+        port: port,
+        wsUrl: `ws://127.0.0.1:${port}`,
+        httpUrl: `http://127.0.0.1:${port}`,
+        close: () => server.close()
+    };
+}
+
+/**
+ * 连接 WebSocket，收到的文本消息按 JSON 解析后缓存，供 next() 按类型取出
+ * @param {string} url
+ * @param {Object} [options] 传给 WebSocket 的选项（headers 等）
+ */
+function connect(url, options = {}) {
+    return new Promise((resolve, reject) => {
+        const ws = new WebSocket(url, options);
+        const client = {
+            ws: ws,
+            messages: [],   // 尚未被 next() 取走的消息
+            binary: [],     // 收到的二进制帧
+            waiters: []
+        };
+
+        ws.on('message', (data, isBinary) => {
+            if (isBinary) {
+                client.binary.push(data);
+            } else {
+                client.messages.push(JSON.parse(data));
+            }
+            for (const waiter of client.waiters.slice()) waiter();
+        });
+
+        /**
+         * 等待下一条匹配的消息（已缓存的消息优先），超时则失败
+         * @param {string|function} match 消息类型或判断函数
+         */
+        client.next = (match, timeout = DEFAULT_TIMEOUT) => new Promise((resolveNext, rejectNext) => {
+            const test = typeof match === 'function' ? match : (message) => message.type === match;
+
+            const check = () => {
+                const index = client.messages.findIndex(test);
+                if (index === -1) return false;
+
+                const [message] = client.messages.splice(index, 1);
+                done();
+                resolveNext(message);
+                return true;
+            };
+            const timer = setTimeout(() => {
+                done();
+                rejectNext(new Error(`等待消息超时: ${typeof match === 'function' ? match.toString() : match}`));
+            }, timeout);
+            const done = () => {
+                clearTimeout(timer);
+                client.waiters = client.waiters.filter(waiter => waiter !== check);
+            };
+
+            if (!check()) client.waiters.push(check);
+        });
+
+        /**
+         * 等待下一个二进制帧
+         */
+        client.nextBinary = (timeout = DEFAULT_TIMEOUT) => new Promise((resolveNext, rejectNext) => {
+            const check = () => {
+                if (client.binary.length === 0) return false;
+                done();
+                resolveNext(client.binary.shift());
+                return true;
+            };
+            const timer = setTimeout(() => {
+                done();
+                rejectNext(new Error('等待音频帧超时'));
+            }, timeout);
+            const done = () => {
+                clearTimeout(timer);
+                client.waiters = client.waiters.filter(waiter => waiter !== check);
+            };
+
+            if (!check()) client.waiters.push(check);
+        });
+
+        /**
+         * 断言在 wait 毫秒内没有收到匹配的消息
+         */
+        client.expectNone = (type, wait = 200) => new Promise((resolveNone, rejectNone) => {
+            setTimeout(() => {
+                const message = client.messages.find(m => m.type === type);
+                if (message) {
+                    rejectNone(new Error(`不应收到消息: ${JSON.stringify(message)}`));
+                } else {
+                    resolveNone();
+                }
+            }, wait);
+        });
+
+        client.send = (message) => ws.send(typeof message === 'string' || Buffer.isBuffer(message)
+            ? message
+            : JSON.stringify(message));
+
+        client.close = (code = 1000) => new Promise((resolveClose) => {
+            if (ws.readyState === WebSocket.CLOSED) {
+                resolveClose();
+                return;
+            }
+            ws.once('close', () => resolveClose());
+            ws.close(code);
+        });
+
+        ws.once('open', () => resolve(client));
+        ws.once('error', reject);
+        ws.once('unexpected-response', (req, res) => {
+            reject(Object.assign(new Error(`HTTP ${res.statusCode}`), { statusCode: res.statusCode }));
+            req.destroy();
+        });
+    });
+}
+
+/**
+ * 连接信令通道并等待 session 消息
+ */
+async function connectDevice(env, deviceId, query = '') {
+    const client = await connect(`${env.wsUrl}/signal?deviceId=${encodeURIComponent(deviceId)}${query}`);
+    client.session = await client.next('session');
+    return client;
+}
+
+module.exports = {
+    startSignalingServer,
+    startIntercomServer,
+    connect,
+    connectDevice
+};
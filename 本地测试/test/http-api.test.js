@@ -0,0 +1,215 @@
+/**
+ * HTTP API：健康检查、在线设备列表、Token 鉴权、设备密钥文件缓存
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTokenAuth } = require('../lib/auth');
+const { startSignalingServer, connect, connectDevice } = require('./helpers');
+
+async function getJson(url, headers = {}) {
+    const res = await fetch(url, { headers: headers });
+    return { status: res.status, headers: res.headers, body: await res.json() };
+}
+
+describe('HTTP API', () => {
+    let env;
+
+    before(async () => {
+        env = await startSignalingServer();
+    });
+
+    after(async () => {
+        await env.close();
+    });
+
+    it('GET /api/health 返回服务器状态与实际端口', async () => {
+        const { status, headers, body } = await getJson(`${env.httpUrl}/api/health`, { 'X-Request-Id': 'req-1' });
+
+        assert.equal(status, 200);
+        assert.equal(headers.get('x-request-id'), 'req-1');
+        assert.equal(body.status, 'ok');
+        assert.equal(body.port, env.port);
+        assert.equal(body.backplane, 'memory');
+        assert.equal(body.clients, 0);
+    });
+
+    it('GET /api/devices/online 列出信令和对讲设备', async () => {
+        const phone = await connectDevice(env, 'phone-1');
+        const intercomDevice = await connect(`${env.wsUrl}/intercom?deviceId=door-1`, { headers: { 'x-role': 'device' } });
+        const intercomApp = await connect(`${env.wsUrl}/intercom?deviceId=door-1`, { headers: { 'x-role': 'app' } });
+
+        try {
+            const { status, body } = await getJson(`${env.httpUrl}/api/devices/online`);
+            assert.equal(status, 200);
+            assert.equal(body.count, 2, '对讲 app 端不计入设备列表');
+
+            const signalDevice = body.devices.find(device => device.deviceId === 'phone-1');
+            assert.equal(signalDevice.status, 'online');
+            assert.equal(signalDevice.presence, 'idle');
+            assert.deepEqual(signalDevice.protocols, ['signal']);
+
+            const door = body.devices.find(device => device.deviceId === 'door-1');
+            assert.deepEqual(door.protocols, ['intercom']);
+        } finally {
+            await Promise.all([phone.close(), intercomDevice.close(), intercomApp.close()]);
+        }
+    });
+
+    it('在线列表和设备详情返回 register 上报的信息，重连后保留', async () => {
+        const camera = await connectDevice(env, 'camera-9');
+        camera.send({ type: 'register', name: '车库摄像头', model: 'SE-CAM-200', platform: 'linux', appVersion: '2.0.0', capabilities: { video: true, audio: false } });
+        await camera.next('registered');
+
+        const online = await getJson(`${env.httpUrl}/api/devices/online`);
+        const listed = online.body.devices.find(device => device.deviceId === 'camera-9');
+        assert.equal(listed.name, '车库摄像头');
+        assert.equal(listed.model, 'SE-CAM-200');
+        assert.deepEqual(listed.capabilities, { video: true, audio: false });
+
+        await camera.close();
+        const reconnected = await connectDevice(env, 'camera-9');
+        try {
+            const { status, body } = await getJson(`${env.httpUrl}/api/device/camera-9`);
+            assert.equal(status, 200);
+            assert.equal(body.name, '车库摄像头');
+            assert.equal(body.platform, 'linux');
+            assert.equal(body.appVersion, '2.0.0');
+            assert.equal(body.status, 'online');
+
+            const again = await getJson(`${env.httpUrl}/api/devices/online`);
+            assert.equal(again.body.devices.find(device => device.deviceId === 'camera-9').name, '车库摄像头');
+        } finally {
+            await reconnected.close();
+        }
+    });
+
+    it('设备断开后从在线列表移除', async () => {
+        const phone = await connectDevice(env, 'phone-2');
+        await phone.close();
+
+        const { body } = await getJson(`${env.httpUrl}/api/devices/online`);
+        assert.equal(body.devices.find(device => device.deviceId === 'phone-2'), undefined);
+    });
+
+    it('未知路径返回 404', async () => {
+        const { status } = await getJson(`${env.httpUrl}/api/nothing-here`);
+        assert.equal(status, 404);
+    });
+
+    it('路径中的百分号编码不合法时返回 400，服务器继续运行', async () => {
+        for (const pathname of ['/api/rooms/%E0', '/api/device/%', '/api/devices/%E0%A4/commands']) {
+            const { status } = await getJson(`${env.httpUrl}${pathname}`);
+            assert.equal(status, 400, pathname);
+        }
+        assert.equal((await getJson(`${env.httpUrl}/api/health`)).status, 200);
+        await assert.rejects(connect(`${env.wsUrl}/signal/%E0`), { statusCode: 400 });
+    });
+});
+
+describe('HTTP API（启用鉴权）', () => {
+    let env;
+    let secretsDir;
+
+    before(async () => {
+        secretsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'simpleeyes-secrets-'));
+        const secretsFile = path.join(secretsDir, 'device-secrets.json');
+        fs.writeFileSync(secretsFile, JSON.stringify({ 'phone-1': { secret: 'phone-secret', role: 'app' } }));
+
+        env = await startSignalingServer({ auth: true, authSecret: 'test-signing-key', deviceSecretsFile: secretsFile });
+    });
+
+    after(async () => {
+        await env.close();
+        fs.rmSync(secretsDir, { recursive: true, force: true });
+    });
+
+    async function issueToken(deviceId, secret) {
+        const res = await fetch(`${env.httpUrl}/api/auth/token`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ deviceId: deviceId, secret: secret })
+        });
+        return { status: res.status, body: await res.json() };
+    }
+
+    it('密钥错误时拒绝签发 Token', async () => {
+        const { status } = await issueToken('phone-1', 'wrong');
+        assert.equal(status, 401);
+    });
+
+    it('/api/health 无需 Token，其余 API 需要 Bearer Token', async () => {
+        assert.equal((await getJson(`${env.httpUrl}/api/health`)).status, 200);
+        assert.equal((await getJson(`${env.httpUrl}/api/devices/online`)).status, 401);
+
+        const { status, body } = await issueToken('phone-1', 'phone-secret');
+        assert.equal(status, 200);
+        assert.equal(body.token_type, 'Bearer');
+
+        const online = await getJson(`${env.httpUrl}/api/devices/online`, { Authorization: `Bearer ${body.access_token}` });
+        assert.equal(online.status, 200);
+
+        // 无法设置请求头的客户端用 ?token=，带查询参数的路径同样匹配
+        const withQuery = await getJson(`${env.httpUrl}/api/devices/online?token=${body.access_token}`);
+        assert.equal(withQuery.status, 200);
+        assert.equal((await getJson(`${env.httpUrl}/api/health?probe=1`)).status, 200);
+    });
+
+    it('WebSocket 连接缺少 Token 时返回 401', async () => {
+        await assert.rejects(connect(`${env.wsUrl}/signal?deviceId=phone-1`), { statusCode: 401 });
+
+        const { body } = await issueToken('phone-1', 'phone-secret');
+        const phone = await connectDevice(env, 'phone-1', `&token=${body.access_token}`);
+        await phone.close();
+    });
+});
+
+describe('设备密钥文件', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'simpleeyes-secrets-'));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('文件未修改时不重复读取，修改后重新读取', () => {
+        const secretsFile = path.join(dir, 'device-secrets.json');
+        fs.writeFileSync(secretsFile, JSON.stringify({ 'phone-1': { secret: 'phone-secret', role: 'app', userId: 'alice' } }));
+        const auth = createTokenAuth({ secretsFile: secretsFile });
+
+        const readFileSync = fs.readFileSync;
+        let reads = 0;
+        fs.readFileSync = (...args) => {
+            if (args[0] === secretsFile) reads += 1;
+            return readFileSync(...args);
+        };
+        try {
+            for (let i = 0; i < 10; i++) {
+                assert.equal(auth.describeClient('phone-1').userId, 'alice');
+                assert.equal(auth.describeClient('camera-1'), null);
+            }
+            assert.equal(reads, 1);
+
+            fs.writeFileSync(secretsFile, JSON.stringify({ 'camera-1': { secret: 'camera-secret' } }));
+            const future = new Date(Date.now() + 10000);
+            fs.utimesSync(secretsFile, future, future);
+            assert.equal(auth.describeClient('phone-1'), null);
+            assert.equal(auth.describeClient('camera-1').role, 'device');
+            assert.equal(reads, 2);
+
+            // 文件被删除后视为没有密钥，不再反复读取
+            fs.rmSync(secretsFile);
+            assert.equal(auth.issueTokens('camera-1', 'camera-secret'), null);
+            assert.equal(auth.describeClient('camera-1'), null);
+            assert.equal(reads, 3);
+        } finally {
+            fs.readFileSync = readFileSync;
+        }
+    });
+});
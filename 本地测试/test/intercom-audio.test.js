@@ -0,0 +1,214 @@
+/**
+ * 对讲音频分帧协议：帧头编解码、编码协商、丢包 / 乱序 / 抖动统计，以及与旧客户端的互通
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    HEADER_SIZE,
+    FLAGS,
+    encodeFrame,
+    decodeFrame,
+    negotiateCodec,
+    convertPcm16,
+    createStreamStats
+} = require('../lib/intercom-audio');
+const { startSignalingServer, startIntercomServer, connect } = require('./helpers');
+
+describe('对讲帧格式', () => {
+    it('帧头编码后可以原样解析，序号按 16 位回绕', () => {
+        const frame = encodeFrame({ codec: 'opus', sequence: 65537, timestamp: 1234, flags: FLAGS.START }, Buffer.from([9, 8, 7]));
+        assert.equal(frame.length, HEADER_SIZE + 3);
+
+        const decoded = decodeFrame(frame);
+        assert.equal(decoded.version, 1);
+        assert.equal(decoded.codec, 'opus');
+        assert.equal(decoded.flags, FLAGS.START);
+        assert.equal(decoded.sequence, 1);
+        assert.equal(decoded.timestamp, 1234);
+        assert.deepEqual(decoded.payload, Buffer.from([9, 8, 7]));
+
+        assert.throws(() => decodeFrame(Buffer.from([1, 1, 0])), /小于帧头长度/);
+        assert.throws(() => decodeFrame(Buffer.alloc(HEADER_SIZE, 2)), /不支持的帧版本/);
+    });
+
+    it('协商时优先选对端的编码，其次按客户端的偏好', () => {
+        const offers = [
+            { name: 'opus', sampleRate: 48000 },
+            { name: 'AAC', sampleRate: 16000 },
+            { name: 'g711', sampleRate: 8000 }
+        ];
+        assert.deepEqual(negotiateCodec(offers), { name: 'opus', sampleRate: 48000, channels: 1 });
+        assert.deepEqual(negotiateCodec(offers, { name: 'aac', sampleRate: 16000, channels: 1 }),
+            { name: 'aac', sampleRate: 16000, channels: 1 });
+        assert.equal(negotiateCodec([{ name: 'opus', sampleRate: 44100 }]), null);
+        assert.throws(() => negotiateCodec([]), /non-empty array/);
+    });
+
+    it('统计丢包、乱序、重复和抖动', () => {
+        const stats = createStreamStats();
+        // 65534, 65535, 0（回绕）, 2, 1（迟到）, 2（重复）, 5 —— 3 和 4 丢失
+        const arrivals = [[65534, 0, 1000], [65535, 20, 1020], [0, 40, 1040], [2, 80, 1080], [1, 60, 1100], [2, 80, 1101], [5, 140, 1170]];
+        for (const [sequence, timestamp, arrival] of arrivals) {
+            stats.update(sequence, timestamp, arrival);
+        }
+
+        const snapshot = stats.snapshot();
+        assert.equal(snapshot.packetsReceived, 7);
+        assert.equal(snapshot.packetsExpected, 8);
+        assert.equal(snapshot.packetsLost, 2);
+        assert.equal(snapshot.reordered, 1);
+        assert.equal(snapshot.duplicates, 1);
+        assert.equal(snapshot.lastSequence, 5);
+        assert.ok(snapshot.jitter > 0);
+    });
+
+    it('PCM16 采样率和声道转换', () => {
+        const stereo = Buffer.alloc(8);
+        stereo.writeInt16LE(100, 0);
+        stereo.writeInt16LE(300, 2);
+        stereo.writeInt16LE(-100, 4);
+        stereo.writeInt16LE(-300, 6);
+
+        const mono = convertPcm16(stereo, { sampleRate: 16000, channels: 2 }, { sampleRate: 16000, channels: 1 });
+        assert.deepEqual([mono.readInt16LE(0), mono.readInt16LE(2)], [200, -200]);
+
+        const upsampled = convertPcm16(mono, { sampleRate: 8000, channels: 1 }, { sampleRate: 16000, channels: 1 });
+        assert.equal(upsampled.length, 8);
+        assert.deepEqual([0, 1, 2].map(i => upsampled.readInt16LE(i * 2)), [200, 0, -200]);
+    });
+});
+
+function framingCases(name, start, pathname) {
+    describe(name, () => {
+        let env;
+
+        before(async () => {
+            env = await start();
+        });
+
+        after(async () => {
+            await env.close();
+        });
+
+        function join(deviceId, role) {
+            return connect(`${env.wsUrl}${pathname}?deviceId=${deviceId}`, { headers: { 'x-role': role } });
+        }
+
+        async function negotiate(client, codecs) {
+            client.send(JSON.stringify({ type: 'negotiate', id: 'neg', codecs: codecs }));
+            return client.next(message => message.type === 'negotiated' || message.type === 'error');
+        }
+
+        async function streamOf(deviceId, role) {
+            const res = await fetch(`${env.httpUrl}/api/intercom/streams`);
+            const { streams } = await res.json();
+            return streams.find(stream => stream.deviceId === deviceId && stream.role === role);
+        }
+
+        it('两端协商后帧头原样转发，服务器统计丢包和乱序', async () => {
+            const app = await join('door-11', 'app');
+            const device = await join('door-11', 'device');
+
+            try {
+                const deviceReply = await negotiate(device, [{ name: 'opus', sampleRate: 16000 }, { name: 'aac', sampleRate: 16000 }]);
+                assert.deepEqual(deviceReply.codec, { name: 'opus', sampleRate: 16000, channels: 1 });
+                assert.deepEqual(deviceReply.framing, { version: 1, headerSize: HEADER_SIZE });
+                assert.equal(deviceReply.ref, 'neg');
+
+                // App 偏好 AAC，但设备端已用 Opus，选 Opus 免转码
+                const appReply = await negotiate(app, [{ name: 'aac', sampleRate: 16000 }, { name: 'opus', sampleRate: 16000 }]);
+                assert.equal(appReply.codec.name, 'opus');
+                assert.deepEqual(appReply.peer, deviceReply.codec);
+
+                for (const sequence of [0, 1, 3, 2, 6]) {
+                    const frame = encodeFrame({ codec: 'opus', sequence: sequence, timestamp: sequence * 20 }, Buffer.from([sequence]));
+                    app.send(frame);
+                    assert.deepEqual(await device.nextBinary(), frame);
+                }
+
+                const stream = await streamOf('door-11', 'app');
+                assert.equal(stream.framed, true);
+                assert.equal(stream.codec.name, 'opus');
+                assert.equal(stream.packetsReceived, 5);
+                assert.equal(stream.packetsExpected, 7);
+                assert.equal(stream.packetsLost, 2);
+                assert.equal(stream.reordered, 1);
+            } finally {
+                await Promise.all([app.close(), device.close()]);
+            }
+        });
+
+        it('与旧客户端互通：去掉或补上帧头', async () => {
+            const app = await join('door-12', 'app');
+            const device = await join('door-12', 'device');
+
+            try {
+                await negotiate(app, [{ name: 'aac', sampleRate: 16000 }]);
+
+                app.send(encodeFrame({ codec: 'aac', sequence: 0, timestamp: 0 }, Buffer.from([1, 2])));
+                assert.deepEqual(await device.nextBinary(), Buffer.from([1, 2]));
+
+                device.send(Buffer.from([3, 4]));
+                device.send(Buffer.from([5, 6]));
+                const first = decodeFrame(await app.nextBinary());
+                const second = decodeFrame(await app.nextBinary());
+                assert.equal(first.codec, 'aac');
+                assert.deepEqual(first.payload, Buffer.from([3, 4]));
+                assert.equal(second.sequence, first.sequence + 1);
+
+                const legacy = await streamOf('door-12', 'device');
+                assert.equal(legacy.framed, false);
+                assert.equal(legacy.packetsReceived, 2);
+                assert.equal(legacy.packetsLost, null);
+            } finally {
+                await Promise.all([app.close(), device.close()]);
+            }
+        });
+
+        it('两端都是 PCM16 但采样率不同时转换后转发', async () => {
+            const app = await join('door-13', 'app');
+            const device = await join('door-13', 'device');
+
+            try {
+                await negotiate(device, [{ name: 'pcm16', sampleRate: 8000 }]);
+                await negotiate(app, [{ name: 'pcm16', sampleRate: 16000 }]);
+
+                const samples = Buffer.alloc(320 * 2);
+                app.send(encodeFrame({ codec: 'pcm16', sequence: 7, timestamp: 140 }, samples));
+                const received = decodeFrame(await device.nextBinary());
+                assert.equal(received.sequence, 7);
+                assert.equal(received.payload.length, 160 * 2);
+            } finally {
+                await Promise.all([app.close(), device.close()]);
+            }
+        });
+
+        it('拒绝不支持的编码和无效的帧头', async () => {
+            const app = await join('door-14', 'app');
+            const device = await join('door-14', 'device');
+
+            try {
+                const unsupported = await negotiate(app, [{ name: 'g711', sampleRate: 8000 }]);
+                assert.equal(unsupported.code, 'unsupported-codec');
+                const invalid = await negotiate(app, 'opus');
+                assert.equal(invalid.code, 'invalid-field');
+
+                await negotiate(app, [{ name: 'opus', sampleRate: 48000 }]);
+                app.send(encodeFrame({ codec: 'aac', sequence: 0, timestamp: 0 }, Buffer.from([1])));
+                assert.equal((await app.next('error')).code, 'invalid-frame');
+                app.send(Buffer.from([1, 2, 3]));
+
+                await new Promise(resolve => setTimeout(resolve, 100));
+                assert.equal(device.binary.length, 0);
+                // 同一连接只提示一次
+                assert.equal(app.messages.filter(message => message.code === 'invalid-frame').length, 0);
+            } finally {
+                await Promise.all([app.close(), device.close()]);
+            }
+        });
+    });
+}
+
+framingCases('对讲分帧（信令服务器 /intercom）', () => startSignalingServer(), '/intercom');
+framingCases('对讲分帧（test-server.js）', () => startIntercomServer(), '/');
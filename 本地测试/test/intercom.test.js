@@ -0,0 +1,231 @@
+/**
+ * 语音对讲：App 端与设备端按 deviceId 配对转发二进制音频帧，话权控制（push-to-talk）与广播寻呼
+ * 信令服务器的 /intercom 路径与 test-server.js 使用同一转发实现，两者都覆盖
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startSignalingServer, startIntercomServer, connect } = require('./helpers');
+
+function intercomCases(name, start, pathname) {
+    describe(name, () => {
+        let env;
+
+        before(async () => {
+            env = await start();
+        });
+
+        after(async () => {
+            await env.close();
+        });
+
+        function join(deviceId, role, query = '') {
+            return connect(`${env.wsUrl}${pathname}?deviceId=${deviceId}${query}`, { headers: { 'x-role': role } });
+        }
+
+        // 等待一段时间，确认没有收到音频帧
+        async function expectNoAudio(client) {
+            const before = client.binary.length;
+            await new Promise(resolve => setTimeout(resolve, 100));
+            assert.equal(client.binary.length, before);
+        }
+
+        it('App 端与设备端之间双向转发音频帧', async () => {
+            const app = await join('door-1', 'app');
+            const device = await join('door-1', 'device');
+
+            try {
+                const uplink = Buffer.from([0xff, 0xf1, 0x01, 0x02, 0x03]);
+                app.send(uplink);
+                assert.deepEqual(await device.nextBinary(), uplink);
+
+                const downlink = Buffer.from([0xff, 0xf1, 0x04, 0x05]);
+                device.send(downlink);
+                assert.deepEqual(await app.nextBinary(), downlink);
+            } finally {
+                await Promise.all([app.close(), device.close()]);
+            }
+        });
+
+        it('不同 deviceId 之间不转发', async () => {
+            const app = await join('door-1', 'app');
+            const device = await join('door-1', 'device');
+            const otherDevice = await join('door-2', 'device');
+
+            try {
+                app.send(Buffer.from([1, 2, 3]));
+                await device.nextBinary();
+                await new Promise(resolve => setTimeout(resolve, 100));
+                assert.equal(otherDevice.binary.length, 0);
+            } finally {
+                await Promise.all([app.close(), device.close(), otherDevice.close()]);
+            }
+        });
+
+        it('同一端重复连接时旧连接被替换', async () => {
+            const first = await join('door-1', 'app');
+            const closed = new Promise(resolve => first.ws.once('close', code => resolve(code)));
+            const second = await join('door-1', 'app');
+            const device = await join('door-1', 'device');
+
+            try {
+                assert.equal(await closed, 4000);
+
+                device.send(Buffer.from([9, 9]));
+                assert.deepEqual(await second.nextBinary(), Buffer.from([9, 9]));
+            } finally {
+                await Promise.all([second.close(), device.close()]);
+            }
+        });
+
+        it('持有话权时只转发持有者的音频，释放后恢复全双工', async () => {
+            const app = await join('door-4', 'app');
+            const device = await join('door-4', 'device');
+
+            try {
+                app.send(JSON.stringify({ type: 'floor-request', id: 'ptt-1' }));
+                const granted = await app.next('floor-granted');
+                assert.equal(granted.ref, 'ptt-1');
+                assert.deepEqual(granted.holder, { deviceId: 'door-4', role: 'app' });
+
+                const state = await device.next('floor-state');
+                assert.deepEqual(state.holder, { deviceId: 'door-4', role: 'app' });
+
+                device.send(Buffer.from([1]));
+                await expectNoAudio(app);
+                app.send(Buffer.from([2]));
+                assert.deepEqual(await device.nextBinary(), Buffer.from([2]));
+
+                app.send(JSON.stringify({ type: 'floor-release' }));
+                const released = await device.next(message => message.type === 'floor-state' && message.holder === null);
+                assert.equal(released.deviceId, 'door-4');
+
+                device.send(Buffer.from([3]));
+                assert.deepEqual(await app.nextBinary(), Buffer.from([3]));
+            } finally {
+                await Promise.all([app.close(), device.close()]);
+            }
+        });
+
+        it('半双工频道没有人持有话权时不转发', async () => {
+            const app = await join('door-5', 'app');
+            const device = await join('door-5', 'device', '&mode=ptt');
+
+            try {
+                app.send(Buffer.from([1]));
+                await expectNoAudio(device);
+
+                app.send(JSON.stringify({ type: 'floor-request' }));
+                await app.next('floor-granted');
+                app.send(Buffer.from([2]));
+                assert.deepEqual(await device.nextBinary(), Buffer.from([2]));
+            } finally {
+                await Promise.all([app.close(), device.close()]);
+            }
+        });
+
+        it('优先级更高的申请抢占话权，同级申请被拒绝', async () => {
+            const app = await join('door-6', 'app');
+            const device = await join('door-6', 'device');
+
+            try {
+                device.send(JSON.stringify({ type: 'floor-request', priority: 2 }));
+                await device.next('floor-granted');
+
+                app.send(JSON.stringify({ type: 'floor-request', priority: 2 }));
+                const denied = await app.next('floor-denied');
+                assert.deepEqual(denied.holder, { deviceId: 'door-6', role: 'device' });
+                assert.equal(denied.priority, 2);
+
+                app.send(JSON.stringify({ type: 'floor-request', priority: 5 }));
+                await app.next('floor-granted');
+                const revoked = await device.next('floor-revoked');
+                assert.deepEqual(revoked.by, { deviceId: 'door-6', role: 'app' });
+                assert.equal(revoked.priority, 5);
+
+                const res = await fetch(`${env.httpUrl}/api/intercom/floors`);
+                const body = await res.json();
+                const floor = body.floors.find(entry => entry.deviceId === 'door-6');
+                assert.deepEqual(floor.holder, { deviceId: 'door-6', role: 'app' });
+
+                app.send(JSON.stringify({ type: 'floor-request', priority: 10 }));
+                assert.equal((await app.next('error')).code, 'invalid-field');
+            } finally {
+                await Promise.all([app.close(), device.close()]);
+            }
+        });
+
+        it('寻呼时 App 的音频广播给组内所有设备', async () => {
+            const units = await Promise.all(['unit-1', 'unit-2', 'unit-3'].map(id => join(id, 'device')));
+            const concierge = await join('lobby-desk', 'app');
+
+            try {
+                for (const unit of units) {
+                    unit.send(JSON.stringify({ type: 'join-group', groupId: 'tower-a' }));
+                    await unit.next('group-joined');
+                }
+
+                concierge.send(JSON.stringify({ type: 'page-start', groupId: 'tower-a', priority: 1 }));
+                const granted = await concierge.next('floor-granted');
+                assert.equal(granted.scope, 'group');
+                assert.equal(granted.groupId, 'tower-a');
+                for (const unit of units) {
+                    const state = await unit.next('floor-state');
+                    assert.deepEqual(state.holder, { deviceId: 'lobby-desk', role: 'app' });
+                }
+
+                concierge.send(Buffer.from([7, 7]));
+                for (const unit of units) {
+                    assert.deepEqual(await unit.nextBinary(), Buffer.from([7, 7]));
+                }
+
+                const res = await fetch(`${env.httpUrl}/api/intercom/floors`);
+                const group = (await res.json()).groups.find(entry => entry.groupId === 'tower-a');
+                assert.deepEqual(group.members.sort(), ['unit-1', 'unit-2', 'unit-3']);
+
+                concierge.send(JSON.stringify({ type: 'page-stop', groupId: 'tower-a' }));
+                await units[0].next(message => message.type === 'floor-state' && message.holder === null);
+                concierge.send(Buffer.from([8]));
+                await expectNoAudio(units[0]);
+            } finally {
+                await Promise.all([concierge.close(), ...units.map(unit => unit.close())]);
+            }
+        });
+
+        it('只有 App 可以寻呼，只有设备端可以加入寻呼组', async () => {
+            const app = await join('door-7', 'app');
+            const device = await join('door-7', 'device');
+
+            try {
+                device.send(JSON.stringify({ type: 'page-start', groupId: 'tower-b' }));
+                assert.equal((await device.next('error')).code, 'forbidden');
+
+                app.send(JSON.stringify({ type: 'join-group', groupId: 'tower-b' }));
+                assert.equal((await app.next('error')).code, 'forbidden');
+
+                app.send(JSON.stringify({ type: 'page-start', groupId: 'tower-b' }));
+                assert.equal((await app.next('error')).code, 'empty-group');
+            } finally {
+                await Promise.all([app.close(), device.close()]);
+            }
+        });
+
+        it('在线设备列表只包含设备端', async () => {
+            const app = await join('door-3', 'app');
+            const device = await join('door-3', 'device');
+
+            try {
+                const res = await fetch(`${env.httpUrl}/api/devices/online`);
+                const body = await res.json();
+                const ids = body.devices.map(entry => entry.deviceId);
+                assert.deepEqual(ids, ['door-3']);
+            } finally {
+                await Promise.all([app.close(), device.close()]);
+            }
+        });
+    });
+}
+
+intercomCases('对讲转发（信令服务器 /intercom）', () => startSignalingServer(), '/intercom');
+intercomCases('对讲转发（信令服务器根路径 + x-role）', () => startSignalingServer(), '/');
+intercomCases('对讲转发（test-server.js）', () => startIntercomServer(), '/');
@@ -0,0 +1,318 @@
+/**
+ * 直播转码：POST /api/video/live/:deviceId/start 启动 ffmpeg 输出 HLS，/hls/ 下提供播放列表和切片
+ * 测试机上不一定装有 ffmpeg，用 fixtures/fake-ffmpeg.js 按相同参数写出播放列表和切片
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startSignalingServer, connectDevice } = require('./helpers');
+
+const FAKE_FFMPEG = path.join(__dirname, 'fixtures', 'fake-ffmpeg.js');
+
+async function postJson(url, body) {
+    const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body || {})
+    });
+    return { status: res.status, body: await res.json() };
+}
+
+async function getJson(url) {
+    const res = await fetch(url);
+    return { status: res.status, body: await res.json() };
+}
+
+// 轮询直到 check() 返回真值
+async function waitFor(check, timeout = 3000) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+        const result = await check();
+        if (result) return result;
+        if (Date.now() > deadline) throw new Error('等待超时');
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+}
+
+describe('直播转码', () => {
+    let env;
+    let camera;
+
+    before(async () => {
+        env = await startSignalingServer({ ffmpegPath: FAKE_FFMPEG });
+        fs.mkdirSync(path.join(env.dataDir, 'media'), { recursive: true });
+        fs.writeFileSync(path.join(env.dataDir, 'media', 'sample.mp4'), '');
+        fs.writeFileSync(path.join(env.dataDir, 'media', 'corrupt.mp4'), '');
+        fs.writeFileSync(path.join(env.dataDir, 'secret.txt'), 'secret');
+
+        // 设备连接后进入注册表
+        camera = await connectDevice(env, 'camera-1');
+    });
+
+    afterEach(async () => {
+        await fetch(`${env.httpUrl}/api/video/live/camera-1/stop`, { method: 'POST' });
+    });
+
+    after(async () => {
+        await camera.close();
+        await env.close();
+    });
+
+    function start(body) {
+        return postJson(`${env.httpUrl}/api/video/live/camera-1/start`, body);
+    }
+
+    function waitForLive() {
+        return waitFor(async () => {
+            const { body } = await getJson(`${env.httpUrl}/api/video/live/camera-1`);
+            return body.status === 'live' && body;
+        });
+    }
+
+    it('启动转码后返回 hlsUrl，播放列表和切片可以拉取', async () => {
+        const { status, body } = await start({ inputUrl: 'sample.mp4', resolution: '1280x720', bitrate: '2000k', fps: 25 });
+        assert.equal(status, 200);
+        assert.equal(body.success, true);
+        assert.equal(body.deviceId, 'camera-1');
+        assert.equal(body.hlsUrl, `${env.httpUrl}/hls/camera-1/index.m3u8`);
+        assert.equal(body.status, 'starting');
+
+        const live = await waitForLive();
+        assert.equal(live.protocol, 'hls');
+        assert.equal(live.url, body.hlsUrl);
+        assert.equal(live.resolution, '1280x720');
+
+        const playlist = await fetch(body.hlsUrl);
+        assert.equal(playlist.status, 200);
+        assert.equal(playlist.headers.get('content-type'), 'application/vnd.apple.mpegurl');
+        const text = await playlist.text();
+        assert.match(text, /^#EXTM3U/);
+
+        const segment = text.split('\n').find(line => line.endsWith('.ts'));
+        const media = await fetch(`${env.httpUrl}/hls/camera-1/${segment}`);
+        assert.equal(media.status, 200);
+        assert.equal(media.headers.get('content-type'), 'video/mp2t');
+        assert.equal((await media.arrayBuffer()).byteLength, 188);
+    });
+
+    it('参数相同时复用进行中的任务，参数变化时重启', async () => {
+        await start({ inputUrl: 'sample.mp4' });
+        const first = await waitForLive();
+
+        await start({ inputUrl: 'sample.mp4' });
+        const reused = await getJson(`${env.httpUrl}/api/video/live/camera-1`);
+        assert.equal(reused.body.status, 'live');
+        assert.equal(reused.body.startedAt, first.startedAt);
+
+        const restarted = await start({ inputUrl: 'sample.mp4', resolution: '640x360' });
+        assert.equal(restarted.body.status, 'starting');
+        const live = await waitForLive();
+        assert.equal(live.resolution, '640x360');
+    });
+
+    it('停止后删除切片目录，再次停止返回 404', async () => {
+        await start({ inputUrl: 'sample.mp4' });
+        await waitForLive();
+
+        const stopped = await postJson(`${env.httpUrl}/api/video/live/camera-1/stop`);
+        assert.equal(stopped.status, 200);
+        assert.equal(fs.existsSync(path.join(env.dataDir, 'live', 'camera-1')), false);
+        assert.equal((await fetch(`${env.httpUrl}/hls/camera-1/index.m3u8`)).status, 404);
+        assert.equal((await getJson(`${env.httpUrl}/api/video/live/camera-1`)).status, 404);
+
+        const again = await postJson(`${env.httpUrl}/api/video/live/camera-1/stop`);
+        assert.equal(again.status, 404);
+    });
+
+    it('ffmpeg 异常退出时状态为 failed 并带上错误输出', async () => {
+        const { status } = await start({ inputUrl: 'corrupt.mp4' });
+        assert.equal(status, 200);
+
+        const failed = await waitFor(async () => {
+            const { body } = await getJson(`${env.httpUrl}/api/video/live/camera-1`);
+            return body.status === 'failed' && body;
+        });
+        assert.match(failed.error, /Invalid data found/);
+    });
+
+    it('拒绝无效的输入和参数', async () => {
+        const cases = [
+            [{}, 'Missing inputUrl'],
+            [{ inputUrl: '../secret.txt' }, 'Invalid Transcode Options'],
+            [{ inputUrl: 'missing.mp4' }, 'Invalid Transcode Options'],
+            [{ inputUrl: 'ftp://example.com/live' }, 'Invalid Transcode Options'],
+            [{ inputUrl: 'http://169.254.169.254/latest/meta-data' }, 'Invalid Transcode Options'],
+            [{ inputUrl: 'rtsp://10.0.0.5/live' }, 'Invalid Transcode Options'],
+            [{ inputUrl: 'sample.mp4', resolution: 'hd' }, 'Invalid Transcode Options'],
+            [{ inputUrl: 'sample.mp4', fps: 240 }, 'Invalid Transcode Options']
+        ];
+        for (const [body, error] of cases) {
+            const res = await start(body);
+            assert.equal(res.status, 400, JSON.stringify(body));
+            assert.equal(res.body.error, error);
+        }
+
+        const unknown = await postJson(`${env.httpUrl}/api/video/live/nobody/start`, { inputUrl: 'sample.mp4' });
+        assert.equal(unknown.status, 404);
+    });
+
+    it('HLS 路径只提供播放列表和切片', async () => {
+        await start({ inputUrl: 'sample.mp4' });
+        await waitForLive();
+
+        assert.equal((await fetch(`${env.httpUrl}/hls/camera-1/index.m3u8.tmp`)).status, 404);
+        assert.equal((await fetch(`${env.httpUrl}/hls/camera-1/..%2F..%2Fdevices.json`)).status, 404);
+        assert.equal((await fetch(`${env.httpUrl}/hls/camera-2/index.m3u8`)).status, 404);
+    });
+});
+
+describe('直播转码（网络输入）', () => {
+    let env;
+    let dir;
+
+    before(async () => {
+        // 注册表中登记了 camera-1 的 RTSP 地址
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'simpleeyes-live-'));
+        const registryFile = path.join(dir, 'devices.json');
+        fs.writeFileSync(registryFile, JSON.stringify({
+            devices: [{ deviceId: 'camera-1', stream: { protocol: 'rtsp', url: 'rtsp://192.168.1.20/live' }, recordings: [] }]
+        }));
+        env = await startSignalingServer({ ffmpegPath: FAKE_FFMPEG, deviceRegistryFile: registryFile, liveAllowedHosts: ['Cams.example.com'] });
+    });
+
+    after(async () => {
+        await env.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('只接受设备登记的直播地址和允许的主机', async () => {
+        const start = inputUrl => postJson(`${env.httpUrl}/api/video/live/camera-1/start`, { inputUrl: inputUrl });
+
+        assert.equal((await start('rtsp://192.168.1.20/live')).status, 200);
+        assert.equal((await start('rtsp://cams.example.com:8554/front')).status, 200);
+
+        for (const inputUrl of ['rtsp://192.168.1.20/other', 'http://127.0.0.1:6379/', 'rtsp://cams.example.com.evil.net/live']) {
+            const res = await start(inputUrl);
+            assert.equal(res.status, 400, inputUrl);
+            assert.match(res.body.message, /登记的直播地址/);
+        }
+        await postJson(`${env.httpUrl}/api/video/live/camera-1/stop`);
+    });
+});
+
+describe('直播转码（空闲停止与 ffmpeg 不可用）', () => {
+    let env;
+    let camera;
+
+    before(async () => {
+        env = await startSignalingServer({ ffmpegPath: FAKE_FFMPEG, liveIdleTimeout: 300 });
+        fs.mkdirSync(path.join(env.dataDir, 'media'), { recursive: true });
+        fs.writeFileSync(path.join(env.dataDir, 'media', 'sample.mp4'), '');
+        camera = await connectDevice(env, 'camera-1');
+    });
+
+    after(async () => {
+        await camera.close();
+        await env.close();
+    });
+
+    it('无人拉取播放列表时自动停止，拉取期间保持运行', async () => {
+        await postJson(`${env.httpUrl}/api/video/live/camera-1/start`, { inputUrl: 'sample.mp4' });
+
+        // 持续拉取超过 idleTimeout
+        for (let i = 0; i < 6; i++) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+            await fetch(`${env.httpUrl}/hls/camera-1/index.m3u8`);
+        }
+        assert.equal((await getJson(`${env.httpUrl}/api/video/live/camera-1`)).body.status, 'live');
+
+        await waitFor(async () => (await getJson(`${env.httpUrl}/api/video/live/camera-1`)).status === 404);
+    });
+
+    it('找不到 ffmpeg 时返回 503', async () => {
+        const other = await startSignalingServer({ ffmpegPath: '/nonexistent/ffmpeg' });
+        try {
+            fs.mkdirSync(path.join(other.dataDir, 'media'), { recursive: true });
+            fs.writeFileSync(path.join(other.dataDir, 'media', 'sample.mp4'), '');
+            const device = await connectDevice(other, 'camera-1');
+            const { status, body } = await postJson(`${other.httpUrl}/api/video/live/camera-1/start`, { inputUrl: 'sample.mp4' });
+            assert.equal(status, 503);
+            assert.equal(body.error, 'Transcoder Unavailable');
+            await device.close();
+        } finally {
+            await other.close();
+        }
+    });
+});
+
+describe('直播转码（启用鉴权）', () => {
+    let env;
+    let secretsDir;
+    let token;
+
+    before(async () => {
+        secretsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'simpleeyes-secrets-'));
+        const secretsFile = path.join(secretsDir, 'device-secrets.json');
+        const accessFile = path.join(secretsDir, 'access.json');
+        fs.writeFileSync(secretsFile, JSON.stringify({
+            'phone-1': { secret: 'phone-secret', role: 'app', userId: 'alice' },
+            'camera-1': { secret: 'camera-secret', role: 'device' }
+        }));
+        // 直播需要对设备有权限
+        fs.writeFileSync(accessFile, JSON.stringify({
+            users: [{ userId: 'alice', name: 'Alice', model: 'iPhone', userType: 'user' }],
+            devices: [{ deviceId: 'camera-1', owner: 'alice', shares: [] }]
+        }));
+        env = await startSignalingServer({
+            auth: true,
+            authSecret: 'test-signing-key',
+            deviceSecretsFile: secretsFile,
+            accessFile: accessFile,
+            ffmpegPath: FAKE_FFMPEG
+        });
+
+        fs.mkdirSync(path.join(env.dataDir, 'media'), { recursive: true });
+        fs.writeFileSync(path.join(env.dataDir, 'media', 'sample.mp4'), '');
+        token = (await postJson(`${env.httpUrl}/api/auth/token`, { deviceId: 'phone-1', secret: 'phone-secret' })).body.access_token;
+    });
+
+    after(async () => {
+        await env.close();
+        fs.rmSync(secretsDir, { recursive: true, force: true });
+    });
+
+    it('hlsUrl 带上限定该路直播的播放 Token，播放列表中的切片地址同样带上', async () => {
+        const cameraToken = (await postJson(`${env.httpUrl}/api/auth/token`, { deviceId: 'camera-1', secret: 'camera-secret' })).body.access_token;
+        const camera = await connectDevice(env, 'camera-1', `&token=${cameraToken}`);
+        try {
+            const res = await fetch(`${env.httpUrl}/api/video/live/camera-1/start`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+                body: JSON.stringify({ inputUrl: 'sample.mp4' })
+            });
+            const body = await res.json();
+            const streamToken = new URL(body.hlsUrl).searchParams.get('token');
+            assert.ok(body.hlsUrl.startsWith(`${env.httpUrl}/hls/camera-1/index.m3u8?token=`));
+            assert.notEqual(streamToken, token, '地址中不带 Access Token');
+
+            assert.equal((await fetch(`${env.httpUrl}/hls/camera-1/index.m3u8`)).status, 401);
+            assert.equal((await fetch(`${env.httpUrl}/hls/camera-1/index.m3u8?token=${token}`)).status, 401);
+            // 播放 Token 只能拉取这一路直播，不能调用其他 API
+            assert.equal((await fetch(`${env.httpUrl}/hls/camera-2/index.m3u8?token=${streamToken}`)).status, 401);
+            assert.equal((await fetch(`${env.httpUrl}/api/devices/online?token=${streamToken}`)).status, 401);
+
+            const text = await waitFor(async () => {
+                const playlist = await fetch(body.hlsUrl);
+                return playlist.status === 200 && playlist.text();
+            });
+            const segment = text.split('\n').find(line => line.includes('.ts'));
+            assert.ok(segment.endsWith(`?token=${encodeURIComponent(streamToken)}`));
+            assert.equal((await fetch(`${env.httpUrl}/hls/camera-1/${segment}`)).status, 200);
+        } finally {
+            await camera.close();
+        }
+    });
+});
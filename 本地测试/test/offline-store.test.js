@@ -0,0 +1,28 @@
+/**
+ * 离线消息队列：按设备暂存，队列数量有上限
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createOfflineStore } = require('../lib/offline-store');
+
+describe('离线消息队列', () => {
+    it('发往大量不存在的设备时，丢弃最早建立的队列而不是无限增长', () => {
+        const store = createOfflineStore({ maxDevices: 10 });
+        store.addMissedCall('phone-1', { callId: 'c1', from: 'camera-1', callType: 'video' });
+        for (let i = 0; i < 20; i++) {
+            store.enqueueMessage(`made-up-${i}`, { type: 'offer', sdp: 'v=0' });
+        }
+
+        assert.equal(store.drain('made-up-0').messages.length, 0);
+        assert.equal(store.drain('made-up-19').messages.length, 1);
+        // 信令消息和未接来电分别计算
+        assert.equal(store.drain('phone-1').missedCalls.length, 1);
+
+        let kept = 0;
+        for (let i = 0; i < 20; i++) {
+            kept += store.drain(`made-up-${i}`).messages.length;
+        }
+        assert.ok(kept < 10, `kept ${kept}`);
+    });
+});
@@ -0,0 +1,138 @@
+/**
+ * 录像回放：录像地址（公开地址 / 相对路径）、限定单段录像的播放 Token、Range 请求
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startSignalingServer } = require('./helpers');
+
+// 在录制目录写入一段已完成的录像（媒体文件 + 元数据）
+function writeRecording(env, id, deviceId, content) {
+    const dir = path.join(env.dataDir, 'recordings');
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, `${id}.aac`), content);
+    fs.writeFileSync(path.join(dir, `${id}.json`), JSON.stringify({
+        id: id,
+        deviceId: deviceId,
+        startTime: '2025-01-24T08:00:00Z',
+        endTime: '2025-01-24T08:00:10Z',
+        duration: 10,
+        size: content.length,
+        kind: 'intercom',
+        format: 'aac',
+        file: `${id}.aac`
+    }));
+}
+
+describe('录像回放', () => {
+    let env;
+
+    before(async () => {
+        env = await startSignalingServer({ publicUrl: 'https://cam.example.com/' });
+        writeRecording(env, 'rec-1', 'camera-1', Buffer.from('0123456789'));
+    });
+
+    after(async () => {
+        await env.close();
+    });
+
+    it('录像地址以配置的公开地址开头，不使用请求的 Host 头', async () => {
+        const res = await fetch(`${env.httpUrl}/api/video/playback/camera-1`, { headers: { Host: 'evil.example' } });
+        const body = await res.json();
+        assert.equal(body.count, 1);
+        assert.equal(body.recordings[0].url, 'https://cam.example.com/api/recordings/rec-1/media');
+    });
+
+    it('录像文件支持 Range 请求：206 和 Content-Range，范围无效时 416', async () => {
+        const url = `${env.httpUrl}/api/recordings/rec-1/media`;
+        const get = headers => fetch(url, { headers: headers });
+
+        const full = await get({});
+        assert.equal(full.status, 200);
+        assert.equal(full.headers.get('accept-ranges'), 'bytes');
+        assert.equal(full.headers.get('content-type'), 'audio/aac');
+        assert.equal(full.headers.get('content-length'), '10');
+        assert.equal(await full.text(), '0123456789');
+
+        const cases = [
+            ['bytes=2-5', 'bytes 2-5/10', '2345'],
+            ['bytes=7-', 'bytes 7-9/10', '789'],
+            ['bytes=-3', 'bytes 7-9/10', '789'],
+            ['bytes=8-100', 'bytes 8-9/10', '89']
+        ];
+        for (const [range, contentRange, content] of cases) {
+            const partial = await get({ Range: range });
+            assert.equal(partial.status, 206, range);
+            assert.equal(partial.headers.get('content-range'), contentRange, range);
+            assert.equal(partial.headers.get('content-length'), String(content.length), range);
+            assert.equal(await partial.text(), content, range);
+        }
+
+        for (const range of ['bytes=10-', 'bytes=5-2', 'bytes=-', 'items=0-1']) {
+            const unsatisfiable = await get({ Range: range });
+            assert.equal(unsatisfiable.status, 416, range);
+            assert.equal(unsatisfiable.headers.get('content-range'), 'bytes */10', range);
+            await unsatisfiable.arrayBuffer();
+        }
+
+        // HEAD 只返回头部
+        const head = await fetch(url, { method: 'HEAD', headers: { Range: 'bytes=0-0' } });
+        assert.equal(head.status, 206);
+        assert.equal(head.headers.get('content-range'), 'bytes 0-0/10');
+        assert.equal(head.headers.get('content-length'), '1');
+    });
+});
+
+describe('录像回放（启用鉴权）', () => {
+    let env;
+    let dir;
+    let token;
+
+    before(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'simpleeyes-recordings-'));
+        const secretsFile = path.join(dir, 'device-secrets.json');
+        const accessFile = path.join(dir, 'access.json');
+        fs.writeFileSync(secretsFile, JSON.stringify({ 'phone-1': { secret: 'phone-secret', role: 'app', userId: 'alice' } }));
+        fs.writeFileSync(accessFile, JSON.stringify({
+            users: [{ userId: 'alice', name: 'Alice', model: 'iPhone', userType: 'user' }],
+            devices: [{ deviceId: 'camera-1', owner: 'alice', shares: [] }]
+        }));
+        env = await startSignalingServer({ auth: true, authSecret: 'test-signing-key', deviceSecretsFile: secretsFile, accessFile: accessFile });
+        writeRecording(env, 'rec-1', 'camera-1', Buffer.from('0123456789'));
+        writeRecording(env, 'rec-2', 'camera-1', Buffer.from('abcdefghij'));
+
+        const res = await fetch(`${env.httpUrl}/api/auth/token`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ deviceId: 'phone-1', secret: 'phone-secret' })
+        });
+        token = (await res.json()).access_token;
+    });
+
+    after(async () => {
+        await env.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('录像地址为相对路径，带上只能拉取这段录像的播放 Token', async () => {
+        const res = await fetch(`${env.httpUrl}/api/video/playback/camera-1`, { headers: { Authorization: `Bearer ${token}` } });
+        const { recordings } = await res.json();
+        const url = recordings.find(recording => recording.id === 'rec-1').url;
+        assert.ok(url.startsWith('/api/recordings/rec-1/media?token='));
+        const streamToken = new URL(url, env.httpUrl).searchParams.get('token');
+        assert.notEqual(streamToken, token, '地址中不带 Access Token');
+
+        // 播放器不加请求头即可拉取
+        const media = await fetch(`${env.httpUrl}${url}`);
+        assert.equal(media.status, 200);
+        assert.equal(await media.text(), '0123456789');
+
+        // 不能拉取其他录像，也不能调用其他 API
+        assert.equal((await fetch(`${env.httpUrl}/api/recordings/rec-2/media?token=${streamToken}`)).status, 401);
+        assert.equal((await fetch(`${env.httpUrl}/api/device/list?token=${streamToken}`)).status, 401);
+        assert.equal((await fetch(`${env.httpUrl}/api/recordings/rec-1/media`)).status, 401);
+    });
+});
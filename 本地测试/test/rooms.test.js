@@ -0,0 +1,149 @@
+/**
+ * 多人房间：加入 / 离开、花名册、房间内信令转发、6 人上限
+ */
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startSignalingServer, connectDevice } = require('./helpers');
+
+describe('多人房间', () => {
+    let env;
+    let clients = [];
+
+    before(async () => {
+        env = await startSignalingServer();
+    });
+
+    after(async () => {
+        await env.close();
+    });
+
+    afterEach(async () => {
+        await Promise.all(clients.map(client => client.close()));
+        clients = [];
+    });
+
+    async function device(deviceId) {
+        const client = await connectDevice(env, deviceId);
+        clients.push(client);
+        return client;
+    }
+
+    async function join(client, roomId) {
+        client.send({ type: 'join-room', roomId: roomId });
+        return client.next('room-joined');
+    }
+
+    async function getRoom(roomId) {
+        const res = await fetch(`${env.httpUrl}/api/rooms/${roomId}`);
+        return { status: res.status, body: await res.json() };
+    }
+
+    it('加入房间时收到现有成员列表，其他成员收到花名册', async () => {
+        const phone = await device('phone-1');
+        const tablet = await device('tablet-1');
+
+        const first = await join(phone, 'home');
+        assert.equal(first.roomId, 'home');
+        assert.deepEqual(first.peers, []);
+        assert.equal(first.count, 1);
+        assert.equal(first.maxMembers, 6);
+        assert.equal(first.mode, 'mesh');
+        await phone.next('room-roster');
+
+        const second = await join(tablet, 'home');
+        assert.deepEqual(second.peers, ['phone-1']);
+        assert.equal(second.count, 2);
+
+        const roster = await phone.next('room-roster');
+        assert.deepEqual(roster.members, ['phone-1', 'tablet-1']);
+
+        // 重复加入只重新下发花名册
+        tablet.send({ type: 'join-room', roomId: 'home' });
+        const again = await tablet.next(m => m.type === 'room-roster' && m.count === 2);
+        assert.deepEqual(again.members, ['phone-1', 'tablet-1']);
+        await tablet.expectNone('room-joined');
+
+        const { body } = await getRoom('home');
+        assert.deepEqual(body.members, ['phone-1', 'tablet-1']);
+    });
+
+    it('房间内信令：带 to 点对点转发，不带 to 扇出给其他成员，非成员被拒绝', async () => {
+        const phone = await device('phone-1');
+        const tablet = await device('tablet-1');
+        const camera = await device('camera-1');
+        const outsider = await device('phone-2');
+        await join(phone, 'home');
+        await join(tablet, 'home');
+        await join(camera, 'home');
+
+        tablet.send({ type: 'offer', roomId: 'home', to: 'phone-1', sdp: 'v=0 mesh' });
+        const offer = await phone.next('offer');
+        assert.equal(offer.from, 'tablet-1');
+        assert.equal(offer.roomId, 'home');
+        assert.equal(offer.sdp, 'v=0 mesh');
+        await camera.expectNone('offer');
+
+        camera.send({ type: 'ice-candidate', roomId: 'home', candidate: 'candidate:1 1 udp 1 10.0.0.2 5000 typ host' });
+        assert.equal((await phone.next('ice-candidate')).from, 'camera-1');
+        assert.equal((await tablet.next('ice-candidate')).from, 'camera-1');
+        await camera.expectNone('ice-candidate');
+
+        outsider.send({ type: 'offer', roomId: 'home', to: 'phone-1', sdp: 'v=0 outsider' });
+        const error = await outsider.next('room-error');
+        assert.equal(error.reason, 'not-in-room');
+        await phone.expectNone('offer');
+    });
+
+    it('房间最多 6 人，第 7 人收到 room-full', async () => {
+        const members = [];
+        for (let i = 1; i <= 6; i++) {
+            const member = await device(`phone-${i}`);
+            await join(member, 'party');
+            members.push(member);
+        }
+
+        const late = await device('phone-7');
+        late.send({ type: 'join-room', roomId: 'party' });
+        const error = await late.next('room-error');
+        assert.equal(error.reason, 'room-full');
+        assert.equal(error.roomId, 'party');
+
+        const { body } = await getRoom('party');
+        assert.equal(body.count, 6);
+        assert.ok(!body.members.includes('phone-7'));
+
+        // 有人离开后即可加入
+        members[0].send({ type: 'leave-room', roomId: 'party' });
+        await members[1].next('peer-left');
+        const joined = await join(late, 'party');
+        assert.equal(joined.count, 6);
+        assert.equal(joined.peers.length, 5);
+    });
+
+    it('离开或断开时其他成员收到 peer-left，最后一人离开后房间销毁', async () => {
+        const phone = await device('phone-1');
+        const tablet = await device('tablet-1');
+        const camera = await device('camera-1');
+        await join(phone, 'home');
+        await join(tablet, 'home');
+        await join(camera, 'home');
+
+        tablet.send({ type: 'leave-room', roomId: 'home' });
+        const left = await phone.next('peer-left');
+        assert.equal(left.roomId, 'home');
+        assert.equal(left.deviceId, 'tablet-1');
+        const roster = await phone.next(m => m.type === 'room-roster' && m.count === 2 && !m.members.includes('tablet-1'));
+        assert.deepEqual(roster.members, ['phone-1', 'camera-1']);
+
+        await camera.close();
+        const disconnected = await phone.next('peer-left');
+        assert.equal(disconnected.deviceId, 'camera-1');
+
+        phone.send({ type: 'leave-room', roomId: 'home' });
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.equal((await getRoom('home')).status, 404);
+        const list = await (await fetch(`${env.httpUrl}/api/rooms`)).json();
+        assert.equal(list.count, 0);
+    });
+});
@@ -0,0 +1,388 @@
+/**
+ * 信令协议：通话请求与 SDP/ICE 转发、挂断、离线目标、忙线、上下线广播、设备注册、会话恢复
+ */
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startSignalingServer, connectDevice } = require('./helpers');
+
+describe('信令协议', () => {
+    let env;
+    let clients = [];
+
+    before(async () => {
+        env = await startSignalingServer();
+    });
+
+    after(async () => {
+        await env.close();
+    });
+
+    afterEach(async () => {
+        await Promise.all(clients.map(client => client.close()));
+        clients = [];
+    });
+
+    async function device(deviceId) {
+        const client = await connectDevice(env, deviceId);
+        clients.push(client);
+        return client;
+    }
+
+    it('连接后收到 session 消息', async () => {
+        const phone = await device('phone-1');
+
+        assert.equal(typeof phone.session.resumeToken, 'string');
+        assert.equal(phone.session.resumed, false);
+        assert.equal(phone.session.callId, null);
+    });
+
+    it('设备上线、下线时向其他客户端广播 device-status', async () => {
+        const phone = await device('phone-1');
+        const camera = await device('camera-1');
+
+        const online = await phone.next(m => m.type === 'device-status' && m.deviceId === 'camera-1');
+        assert.equal(online.status, 'online');
+        assert.equal(online.presence, 'idle');
+
+        await camera.close();
+        const offline = await phone.next(m => m.type === 'device-status' && m.deviceId === 'camera-1');
+        assert.equal(offline.status, 'offline');
+        assert.equal(offline.presence, 'offline');
+    });
+
+    it('call / accept / offer / answer / ice-candidate / hangup 在双方之间转发', async () => {
+        const phone = await device('phone-1');
+        const camera = await device('camera-1');
+
+        phone.send({ type: 'call', to: 'camera-1', callType: 'audio' });
+        const incoming = await camera.next('incoming-call');
+        assert.equal(incoming.from, 'phone-1');
+        assert.equal(incoming.callType, 'audio');
+
+        const ringing = await phone.next('call-ringing');
+        assert.equal(ringing.target, 'camera-1');
+        assert.equal(ringing.callId, incoming.callId);
+        const callId = incoming.callId;
+
+        camera.send({ type: 'accept', callId: callId });
+        const accepted = await phone.next('call-accepted');
+        assert.equal(accepted.callId, callId);
+
+        phone.send({ type: 'offer', to: 'camera-1', sdp: 'v=0 offer' });
+        const offer = await camera.next('offer');
+        assert.equal(offer.from, 'phone-1');
+        assert.equal(offer.sdp, 'v=0 offer');
+        assert.equal(offer.callId, callId, '省略 callId 时服务器补全');
+
+        camera.send({ type: 'answer', to: 'phone-1', sdp: 'v=0 answer', callId: callId });
+        const answer = await phone.next('answer');
+        assert.equal(answer.from, 'camera-1');
+        assert.equal(answer.sdp, 'v=0 answer');
+
+        phone.send({ type: 'ice-candidate', to: 'camera-1', candidate: 'candidate:1 1 udp 1 10.0.0.1 5000 typ host', sdpMid: '0', sdpMLineIndex: 0 });
+        const candidate = await camera.next('ice-candidate');
+        assert.equal(candidate.from, 'phone-1');
+        assert.equal(candidate.candidate, 'candidate:1 1 udp 1 10.0.0.1 5000 typ host');
+        assert.equal(candidate.sdpMid, '0');
+        assert.equal(candidate.sdpMLineIndex, 0);
+
+        camera.send({ type: 'ice-candidate', to: 'phone-1', candidate: '' });
+        const endOfCandidates = await phone.next('ice-candidate');
+        assert.equal(endOfCandidates.candidate, '');
+
+        phone.send({ type: 'hangup', to: 'camera-1', callId: callId });
+        const hangup = await camera.next('hangup');
+        assert.equal(hangup.from, 'phone-1');
+        assert.equal(hangup.callId, callId);
+    });
+
+    it('呼叫离线设备时返回 call-failed', async () => {
+        const phone = await device('phone-1');
+
+        phone.send({ type: 'call', to: 'camera-offline' });
+        const failed = await phone.next('call-failed');
+        assert.equal(failed.reason, 'target-offline');
+        assert.equal(failed.target, 'camera-offline');
+        assert.equal(typeof failed.callId, 'string');
+    });
+
+    it('被叫方正在通话时返回 busy', async () => {
+        const phone = await device('phone-1');
+        const tablet = await device('tablet-1');
+        const camera = await device('camera-1');
+
+        phone.send({ type: 'call', to: 'camera-1' });
+        await camera.next('incoming-call');
+
+        tablet.send({ type: 'call', to: 'camera-1' });
+        const busy = await tablet.next('busy');
+        assert.equal(busy.target, 'camera-1');
+        await camera.expectNone('incoming-call');
+    });
+
+    it('拒接时主叫收到 call-rejected', async () => {
+        const phone = await device('phone-1');
+        const camera = await device('camera-1');
+
+        phone.send({ type: 'call', to: 'camera-1' });
+        const incoming = await camera.next('incoming-call');
+
+        camera.send({ type: 'reject', callId: incoming.callId, reason: 'declined' });
+        const rejected = await phone.next('call-rejected');
+        assert.equal(rejected.callId, incoming.callId);
+        assert.equal(rejected.reason, 'declined');
+    });
+
+    it('通话中一方断开时对端收到 hangup（disconnected）', async () => {
+        const phone = await device('phone-1');
+        const camera = await device('camera-1');
+
+        phone.send({ type: 'call', to: 'camera-1' });
+        const incoming = await camera.next('incoming-call');
+        camera.send({ type: 'accept', callId: incoming.callId });
+        await phone.next('call-accepted');
+
+        await camera.close();
+        const hangup = await phone.next('hangup');
+        assert.equal(hangup.reason, 'disconnected');
+        assert.equal(hangup.callId, incoming.callId);
+    });
+
+    it('发往未连接设备的信令暂存，设备上线后补发', async () => {
+        const phone = await device('phone-1');
+
+        phone.send({ type: 'offer', to: 'camera-later', sdp: 'v=0 queued' });
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        const camera = await device('camera-later');
+        const offer = await camera.next('offer');
+        assert.equal(offer.from, 'phone-1');
+        assert.equal(offer.sdp, 'v=0 queued');
+        assert.equal(offer.queued, true);
+    });
+
+    it('register 上报设备信息，回复 registered 并广播给其他客户端', async () => {
+        const phone = await device('phone-1');
+        const camera = await device('camera-1');
+        await phone.next(m => m.type === 'device-status' && m.deviceId === 'camera-1');
+
+        camera.send({
+            type: 'register',
+            name: '门口摄像头',
+            model: 'SE-CAM-100',
+            platform: 'linux',
+            appVersion: '1.4.2',
+            capabilities: { video: true, audio: true, intercomCodecs: ['aac'], maxResolution: { width: 1280, height: 720 }, extra: 1 }
+        });
+
+        const registered = await camera.next('registered');
+        assert.equal(registered.name, '门口摄像头');
+        assert.deepEqual(registered.capabilities, {
+            video: true,
+            audio: true,
+            intercomCodecs: ['aac'],
+            maxResolution: { width: 1280, height: 720 }
+        }, '未声明的字段被丢弃');
+
+        const status = await phone.next(m => m.type === 'device-status' && m.deviceId === 'camera-1');
+        assert.equal(status.name, '门口摄像头');
+        assert.equal(status.capabilities.video, true);
+
+        // 再次发送时只更新带上的字段
+        camera.send({ type: 'register', appVersion: '1.5.0' });
+        const updated = await camera.next('registered');
+        assert.equal(updated.name, '门口摄像头');
+        assert.equal(updated.appVersion, '1.5.0');
+    });
+
+    it('被叫不支持该通话类型时返回 call-failed，不振铃', async () => {
+        const phone = await device('phone-1');
+        const door = await device('door-audio-only');
+        door.send({ type: 'register', capabilities: { video: false, audio: true } });
+        await door.next('registered');
+
+        phone.send({ type: 'call', to: 'door-audio-only', callType: 'video' });
+        const failed = await phone.next('call-failed');
+        assert.equal(failed.reason, 'unsupported-call-type');
+        assert.equal(failed.callType, 'video');
+        assert.deepEqual(failed.capabilities, { video: false, audio: true });
+        await door.expectNone('incoming-call');
+
+        phone.send({ type: 'call', to: 'door-audio-only', callType: 'audio' });
+        const incoming = await door.next('incoming-call');
+        assert.equal(incoming.callType, 'audio');
+    });
+
+    it('register 中格式错误的能力字段返回 error', async () => {
+        const phone = await device('phone-1');
+
+        phone.send({ type: 'register', capabilities: { intercomCodecs: ['aac', 1] } });
+        const error = await phone.next('error');
+        assert.equal(error.code, 'invalid-field');
+        assert.match(error.message, /capabilities\.intercomCodecs\[1\]/);
+    });
+
+    it('格式错误的消息返回 error 并回显 id', async () => {
+        const phone = await device('phone-1');
+
+        phone.send({ type: 'call', id: 'msg-2' });
+        const error = await phone.next('error');
+        assert.equal(error.code, 'missing-field');
+        assert.equal(error.ref, 'msg-2');
+    });
+});
+
+describe('会话恢复', () => {
+    let env;
+    let clients = [];
+
+    before(async () => {
+        env = await startSignalingServer({ sessionGracePeriod: 30000 });
+    });
+
+    after(async () => {
+        await env.close();
+    });
+
+    afterEach(async () => {
+        await Promise.all(clients.map(client => client.close()));
+        clients = [];
+    });
+
+    async function device(deviceId, query) {
+        const client = await connectDevice(env, deviceId, query);
+        clients.push(client);
+        return client;
+    }
+
+    // 异常断开（关闭码不是 1000），等服务器进入宽限期
+    async function dropConnection(client) {
+        await client.close(4001);
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+
+    it('宽限期内呼叫被叫照常振铃，来电在恢复后补发', async () => {
+        const phone = await device('phone-1');
+        const camera = await device('camera-1');
+        await dropConnection(camera);
+
+        phone.send({ type: 'call', to: 'camera-1', callType: 'audio' });
+        const ringing = await phone.next('call-ringing');
+        await phone.expectNone('call-failed');
+
+        const resumed = await device('camera-1', `&resumeToken=${camera.session.resumeToken}`);
+        assert.equal(resumed.session.resumed, true);
+        assert.equal(resumed.session.callId, ringing.callId);
+
+        const incoming = await resumed.next('incoming-call');
+        assert.equal(incoming.from, 'phone-1');
+        assert.equal(incoming.callId, ringing.callId);
+        assert.equal(incoming.queued, true);
+
+        resumed.send({ type: 'accept', callId: incoming.callId });
+        const accepted = await phone.next('call-accepted');
+        assert.equal(accepted.callId, ringing.callId);
+    });
+
+    it('通话中断线后带 resumeToken 重连：补发暂存的信令，通话对端收到 ICE restart 提示', async () => {
+        const phone = await device('phone-1');
+        const camera = await device('camera-1');
+
+        phone.send({ type: 'call', to: 'camera-1', callType: 'video' });
+        const { callId } = await camera.next('incoming-call');
+        camera.send({ type: 'accept', callId: callId });
+        await phone.next('call-accepted');
+
+        await dropConnection(camera);
+        const reconnecting = await phone.next('peer-reconnecting');
+        assert.equal(reconnecting.from, 'camera-1');
+        assert.equal(reconnecting.callId, callId);
+
+        // 宽限期内发给断线方的信令暂存
+        phone.send({ type: 'ice-candidate', to: 'camera-1', candidate: 'candidate:1 1 udp 1 10.0.0.1 5000 typ host', sdpMid: '0', sdpMLineIndex: 0 });
+        phone.send({ type: 'offer', to: 'camera-1', sdp: 'v=0 pending' });
+
+        const resumed = await device('camera-1', `&resumeToken=${camera.session.resumeToken}`);
+        assert.equal(resumed.session.resumed, true);
+        assert.equal(resumed.session.callId, callId);
+        assert.notEqual(resumed.session.resumeToken, camera.session.resumeToken, '令牌每次恢复后更换');
+
+        // 按原顺序补发
+        const candidate = await resumed.next(m => m.queued);
+        assert.equal(candidate.type, 'ice-candidate');
+        const offer = await resumed.next(m => m.queued);
+        assert.equal(offer.type, 'offer');
+        assert.equal(offer.sdp, 'v=0 pending');
+
+        const hint = await phone.next('peer-resumed');
+        assert.equal(hint.from, 'camera-1');
+        assert.equal(hint.callId, callId);
+        assert.ok(!phone.messages.some(m => m.type === 'device-status' && m.status === 'offline'), '宽限期内不广播离线');
+
+        // 恢复的信令通道上进行 ICE restart，通话未结束
+        resumed.send({ type: 'offer', to: 'phone-1', sdp: 'v=0 ice restart' });
+        const restart = await phone.next('offer');
+        assert.equal(restart.from, 'camera-1');
+        assert.equal(restart.sdp, 'v=0 ice restart');
+        await phone.expectNone('hangup');
+    });
+
+    it('宽限期内用错误的令牌重连：按断开结束原会话，开始新会话', async () => {
+        const phone = await device('phone-1');
+        const camera = await device('camera-1');
+
+        phone.send({ type: 'call', to: 'camera-1' });
+        const { callId } = await camera.next('incoming-call');
+        camera.send({ type: 'accept', callId: callId });
+        await phone.next('call-accepted');
+        await dropConnection(camera);
+
+        const fresh = await device('camera-1', '&resumeToken=0000');
+        assert.equal(fresh.session.resumed, false);
+        assert.equal(fresh.session.callId, null);
+
+        const hangup = await phone.next('hangup');
+        assert.equal(hangup.reason, 'disconnected');
+        assert.equal(hangup.callId, callId);
+    });
+});
+
+describe('会话恢复（宽限期到期）', () => {
+    const GRACE_PERIOD = 150;
+    let env;
+
+    before(async () => {
+        env = await startSignalingServer({ sessionGracePeriod: GRACE_PERIOD });
+    });
+
+    after(async () => {
+        await env.close();
+    });
+
+    it('宽限期结束后结束通话、广播离线，旧令牌不再有效', async () => {
+        const phone = await connectDevice(env, 'phone-1');
+        const camera = await connectDevice(env, 'camera-1');
+
+        phone.send({ type: 'call', to: 'camera-1' });
+        const { callId } = await camera.next('incoming-call');
+        camera.send({ type: 'accept', callId: callId });
+        await phone.next('call-accepted');
+
+        await camera.close(4001);
+        await phone.next('peer-reconnecting');
+
+        const hangup = await phone.next('hangup');
+        assert.equal(hangup.reason, 'disconnected');
+        assert.equal(hangup.callId, callId);
+        const offline = await phone.next(m => m.type === 'device-status' && m.deviceId === 'camera-1' && m.status === 'offline');
+        assert.equal(offline.presence, 'offline');
+
+        const fresh = await connectDevice(env, 'camera-1', `&resumeToken=${camera.session.resumeToken}`);
+        assert.equal(fresh.session.resumed, false);
+        assert.equal(fresh.session.callId, null);
+        assert.notEqual(fresh.session.resumeToken, camera.session.resumeToken);
+
+        await Promise.all([phone.close(), fresh.close()]);
+    });
+});
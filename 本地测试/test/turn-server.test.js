@@ -0,0 +1,289 @@
+/**
+ * 内置 TURN：Allocate 鉴权、重传不重复分配、分配数上限、禁止中继到本机和保留地址
+ */
+
+const crypto = require('crypto');
+const dgram = require('dgram');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTurnServer, createTurnCredentials } = require('../lib/turn-server');
+
+const SECRET = 'turn-test-secret';
+const REALM = 'simpleeyes';
+const MAGIC_COOKIE = 0x2112a442;
+
+const createSocket = dgram.createSocket;
+
+const METHOD = {
+    ALLOCATE: 0x003,
+    CREATE_PERMISSION: 0x008,
+    CHANNEL_BIND: 0x009
+};
+
+const ATTR = {
+    USERNAME: 0x0006,
+    MESSAGE_INTEGRITY: 0x0008,
+    ERROR_CODE: 0x0009,
+    CHANNEL_NUMBER: 0x000c,
+    XOR_PEER_ADDRESS: 0x0012,
+    DATA: 0x0013,
+    REALM: 0x0014,
+    NONCE: 0x0015,
+    XOR_RELAYED_ADDRESS: 0x0016,
+    REQUESTED_TRANSPORT: 0x0019
+};
+
+// IPv4 的 XOR-PEER-ADDRESS
+function xorAddress(address, port) {
+    const value = Buffer.alloc(8);
+    value[1] = 0x01;
+    value.writeUInt16BE(port ^ (MAGIC_COOKIE >>> 16), 2);
+    const ip = address.split('.').reduce((sum, part) => (sum << 8) + Number(part), 0) >>> 0;
+    value.writeUInt32BE((ip ^ MAGIC_COOKIE) >>> 0, 4);
+    return value;
+}
+
+function xorPort(value) {
+    return value.readUInt16BE(2) ^ (MAGIC_COOKIE >>> 16);
+}
+
+// Allocate 请求，传入凭证时附带 MESSAGE-INTEGRITY
+function allocateRequest(transactionId, auth) {
+    return stunRequest(METHOD.ALLOCATE, transactionId, [[ATTR.REQUESTED_TRANSPORT, Buffer.from([17, 0, 0, 0])]], auth);
+}
+
+function stunRequest(method, transactionId, attributes, auth) {
+    attributes = attributes.slice();
+    if (auth) {
+        attributes.push([ATTR.USERNAME, Buffer.from(auth.username)], [ATTR.REALM, Buffer.from(REALM)], [ATTR.NONCE, Buffer.from(auth.nonce)]);
+    }
+
+    const body = Buffer.concat(attributes.map(([type, value]) => {
+        const header = Buffer.alloc(4);
+        header.writeUInt16BE(type, 0);
+        header.writeUInt16BE(value.length, 2);
+        return Buffer.concat([header, value, Buffer.alloc((4 - (value.length % 4)) % 4)]);
+    }));
+    const header = Buffer.alloc(20);
+    header.writeUInt16BE(method, 0);
+    header.writeUInt32BE(MAGIC_COOKIE, 4);
+    transactionId.copy(header, 8);
+    if (!auth) {
+        header.writeUInt16BE(body.length, 2);
+        return Buffer.concat([header, body]);
+    }
+
+    const key = crypto.createHash('md5').update(`${auth.username}:${REALM}:${auth.credential}`).digest();
+    header.writeUInt16BE(body.length + 24, 2);
+    const integrity = Buffer.alloc(24);
+    integrity.writeUInt16BE(ATTR.MESSAGE_INTEGRITY, 0);
+    integrity.writeUInt16BE(20, 2);
+    crypto.createHmac('sha1', key).update(Buffer.concat([header, body])).digest().copy(integrity, 4);
+    return Buffer.concat([header, body, integrity]);
+}
+
+// 解析响应：类别（success / error）、错误码和属性
+function parseResponse(buffer) {
+    const cls = buffer.readUInt16BE(0) & 0x0110;
+    const attributes = new Map();
+    let offset = 20;
+    while (offset + 4 <= buffer.length) {
+        const type = buffer.readUInt16BE(offset);
+        const length = buffer.readUInt16BE(offset + 2);
+        attributes.set(type, buffer.subarray(offset + 4, offset + 4 + length));
+        offset += 4 + Math.ceil(length / 4) * 4;
+    }
+    const errorCode = attributes.get(ATTR.ERROR_CODE);
+    return {
+        success: cls === 0x0100,
+        code: errorCode ? errorCode[2] * 100 + errorCode[3] : null,
+        transactionId: buffer.subarray(8, 20),
+        attributes: attributes
+    };
+}
+
+function freeUdpPort() {
+    return new Promise((resolve) => {
+        const probe = createSocket('udp4');
+        probe.bind(0, () => {
+            const port = probe.address().port;
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+async function createClient(port) {
+    const socket = createSocket('udp4');
+    const responses = [];
+    const waiters = [];
+    socket.on('message', (buffer) => {
+        const response = parseResponse(buffer);
+        const waiter = waiters.shift();
+        if (waiter) waiter(response); else responses.push(response);
+    });
+    await new Promise(resolve => socket.bind(0, '127.0.0.1', resolve));
+
+    return {
+        responses: responses,
+        send(buffer) {
+            socket.send(buffer, port, '127.0.0.1');
+        },
+        next() {
+            if (responses.length > 0) return Promise.resolve(responses.shift());
+            return new Promise(resolve => waiters.push(resolve));
+        },
+        // 先取 nonce，再发带凭证的请求
+        async authorize() {
+            this.send(allocateRequest(crypto.randomBytes(12)));
+            const challenge = await this.next();
+            assert.equal(challenge.code, 401);
+            return Object.assign({ nonce: challenge.attributes.get(ATTR.NONCE).toString() }, createTurnCredentials(SECRET, 'phone-1', 600));
+        },
+        close() {
+            return new Promise(resolve => socket.close(resolve));
+        }
+    };
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('TURN 服务器', () => {
+    let turn;
+    let port;
+    const allocated = [];
+
+    before(async () => {
+        port = await freeUdpPort();
+        turn = createTurnServer({ secret: SECRET, port: port, relayAddress: '127.0.0.1', maxAllocations: 2 });
+        turn.on('allocate', event => allocated.push(event));
+        await turn.start();
+
+        // 中继端口绑定放慢，让重传和并发请求在绑定完成前到达
+        dgram.createSocket = (...args) => {
+            const socket = createSocket(...args);
+            const bind = socket.bind.bind(socket);
+            socket.bind = (...bindArgs) => setTimeout(() => bind(...bindArgs), 50);
+            return socket;
+        };
+    });
+
+    after(() => {
+        dgram.createSocket = createSocket;
+        turn.stop();
+    });
+
+    it('快速重传的 Allocate 只创建一个中继，之后的重传返回原响应', async () => {
+        const client = await createClient(port);
+        try {
+            const auth = await client.authorize();
+            const transactionId = crypto.randomBytes(12);
+            const request = allocateRequest(transactionId, auth);
+            client.send(request);
+            client.send(request);
+            client.send(request);
+
+            const response = await client.next();
+            assert.equal(response.success, true);
+            assert.deepEqual(response.transactionId, transactionId);
+            await wait(200);
+            assert.equal(allocated.length, 1);
+            assert.equal(turn.stats().allocations, 1);
+            // 绑定完成后才到达的重传收到同一个响应
+            for (const retransmitted of client.responses.splice(0)) {
+                assert.equal(retransmitted.success, true);
+                assert.deepEqual(retransmitted.transactionId, transactionId);
+            }
+
+            client.send(request);
+            const again = await client.next();
+            assert.equal(again.success, true);
+            assert.equal(allocated.length, 1);
+
+            // 同一客户端地址的新事务不能再分配
+            client.send(allocateRequest(crypto.randomBytes(12), auth));
+            assert.equal((await client.next()).code, 437);
+        } finally {
+            await client.close();
+        }
+    });
+
+    it('并发分配不能超过上限', async () => {
+        const clients = await Promise.all([1, 2, 3].map(() => createClient(port)));
+        try {
+            const auths = await Promise.all(clients.map(client => client.authorize()));
+            clients.forEach((client, i) => client.send(allocateRequest(crypto.randomBytes(12), auths[i])));
+
+            const results = await Promise.all(clients.map(client => client.next()));
+            // 上一个用例的分配仍占一个名额
+            assert.equal(results.filter(result => result.success).length, 1);
+            assert.deepEqual(results.filter(result => !result.success).map(result => result.code), [486, 486]);
+            assert.equal(turn.stats().allocations, 2);
+        } finally {
+            await Promise.all(clients.map(client => client.close()));
+        }
+    });
+});
+
+describe('TURN 中继对端地址', () => {
+    let turn;
+    let port;
+
+    before(async () => {
+        port = await freeUdpPort();
+        turn = createTurnServer({ secret: SECRET, port: port, relayAddress: '127.0.0.1' });
+        await turn.start();
+    });
+
+    after(() => {
+        turn.stop();
+    });
+
+    async function allocate(client) {
+        const auth = await client.authorize();
+        client.send(allocateRequest(crypto.randomBytes(12), auth));
+        const response = await client.next();
+        assert.equal(response.success, true);
+        return { auth: auth, relayPort: xorPort(response.attributes.get(ATTR.XOR_RELAYED_ADDRESS)) };
+    }
+
+    async function request(client, method, attributes, auth) {
+        client.send(stunRequest(method, crypto.randomBytes(12), attributes, auth));
+        return client.next();
+    }
+
+    it('拒绝回环、链路本地和本机的其他端口，允许发往其他分配的中继端口', async () => {
+        const alice = await createClient(port);
+        const bob = await createClient(port);
+        try {
+            const a = await allocate(alice);
+            const b = await allocate(bob);
+
+            for (const address of ['127.0.0.2', '0.0.0.0', '169.254.10.1', '224.0.0.1', '255.255.255.255']) {
+                const denied = await request(alice, METHOD.CREATE_PERMISSION, [[ATTR.XOR_PEER_ADDRESS, xorAddress(address, 5000)]], a.auth);
+                assert.equal(denied.code, 403, address);
+            }
+            assert.equal((await request(alice, METHOD.CREATE_PERMISSION, [[ATTR.XOR_PEER_ADDRESS, xorAddress('192.0.2.1', 5000)]], a.auth)).success, true);
+
+            // 中继地址本身可以许可，但只能绑定到其他分配的中继端口，不能是 TURN 端口
+            const channel = Buffer.from([0x40, 0x01, 0, 0]);
+            const toTurnPort = await request(alice, METHOD.CHANNEL_BIND,
+                [[ATTR.CHANNEL_NUMBER, channel], [ATTR.XOR_PEER_ADDRESS, xorAddress('127.0.0.1', port)]], a.auth);
+            assert.equal(toTurnPort.code, 403);
+            const toRelay = await request(alice, METHOD.CHANNEL_BIND,
+                [[ATTR.CHANNEL_NUMBER, channel], [ATTR.XOR_PEER_ADDRESS, xorAddress('127.0.0.1', b.relayPort)]], a.auth);
+            assert.equal(toRelay.success, true);
+
+            // 两端都走中继时数据照常转发
+            assert.equal((await request(bob, METHOD.CREATE_PERMISSION, [[ATTR.XOR_PEER_ADDRESS, xorAddress('127.0.0.1', 0)]], b.auth)).success, true);
+            const header = Buffer.alloc(4);
+            header.writeUInt16BE(0x4001, 0);
+            header.writeUInt16BE(3, 2);
+            alice.send(Buffer.concat([header, Buffer.from([1, 2, 3])]));
+            const data = await bob.next();
+            assert.deepEqual(data.attributes.get(ATTR.DATA), Buffer.from([1, 2, 3]));
+            assert.equal(xorPort(data.attributes.get(ATTR.XOR_PEER_ADDRESS)), a.relayPort);
+        } finally {
+            await Promise.all([alice.close(), bob.close()]);
+        }
+    });
+});
@@ -2,443 +2,3539 @@
 /**
  * SimpleEyes WebRTC 信令服务器
  * 用于双向音视频通话
+ *
+ * 直接运行时按配置文件、环境变量和命令行参数配置（node webrtc-signaling-server.js --help），默认监听 8080；
+ * 也可以在其他模块（如测试）中创建实例:
+ *   const { createSignalingServer } = require('./webrtc-signaling-server');
+ *   const signaling = createSignalingServer({ port: 0, auth: false, turn: false, discovery: false });
+ *   const port = await signaling.listen();
+ *   ...
+ *   await signaling.close();
  */
 
 const WebSocket = require('ws');
 const http = require('http');
+const https = require('https');
+const fs = require('fs');
 const dgram = require('dgram');
 const os = require('os');
-const bonjour = require('bonjour')();
-
-const PORT = 8080;
-const SERVER_NAME = 'SimpleEyes WebRTC 信令服务器';
-
-// Multicast 配置
-const MULTICAST_ADDRESS = '239.255.255.250';
-const MULTICAST_PORT = 12345;
-const MULTICAST_INTERVAL = 5000; // 每 5 秒广播一次
-
-// 创建 HTTP 服务器
-const server = http.createServer((req, res) => {
-    // 设置 CORS 头
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-    res.setHeader('Content-Type', 'application/json');
-
-    // 处理 OPTIONS 请求
-    if (req.method === 'OPTIONS') {
+const path = require('path');
+const crypto = require('crypto');
+const bonjour = require('bonjour');
+const { createTokenAuth, extractToken } = require('./lib/auth');
+const { createDeviceRegistry, toISO8601, toLocalDate } = require('./lib/device-registry');
+const { createOfflineStore } = require('./lib/offline-store');
+const { createSessionStore } = require('./lib/session-store');
+const { createBackplane } = require('./lib/backplane');
+const { createCallStatsStore } = require('./lib/call-stats');
+const { createCallHistory, toCsv, MAX_PAGE_SIZE: MAX_HISTORY_PAGE_SIZE } = require('./lib/call-history');
+const { createAccessControl } = require('./lib/access-control');
+const { createRecordingStore } = require('./lib/recording-store');
+const { createIntercomRelay } = require('./lib/intercom-relay');
+const { createTranscodeManager } = require('./lib/transcoder');
+const { createCommandTracker } = require('./lib/command-tracker');
+const { createTurnServer, createTurnCredentials } = require('./lib/turn-server');
+const { createWebhookNotifier, createNoopNotifier } = require('./lib/notifier');
+const { logger, configureLogger, createCorrelationId } = require('./lib/logger');
+const { createMetricsRegistry } = require('./lib/metrics');
+const { SCHEMA_VERSION, MAX_MESSAGE_SIZE, validateMessage } = require('./lib/signaling-schema');
+const { resolveConfig, defaultConfig, formatOptions, loadTlsOptions, resolveCorsOrigin } = require('./lib/config');
+
+// register 消息上报的设备信息字段
+const PROFILE_FIELDS = ['name', 'model', 'platform', 'appVersion', 'capabilities'];
+
+// 房间配置（Mesh 拓扑，每个成员与其他成员各自建立 PeerConnection）
+const MAX_ROOM_MEMBERS = 6;
+
+// 未启用内置 TURN 时下发的公共 STUN 服务器
+const PUBLIC_STUN_SERVERS = [
+    'stun:stun.l.google.com:19302',
+    'stun:stun1.l.google.com:19302',
+    'stun:stun.services.mozilla.com:3478'
+];
+
+/**
+ * 配置表：默认值可被配置文件、环境变量、命令行参数依次覆盖（见 lib/config.js）
+ */
+const CONFIG_SCHEMA = {
+    // 监听地址与端口：同一台机器运行多个实例时各用一个端口；0 为由系统分配
+    host: { type: 'string', env: 'LISTEN_HOST', description: '监听地址，默认所有地址' },
+    port: { type: 'int', default: 8080, env: 'PORT', description: '监听端口，0 为由系统分配' },
+
+    // TLS：配置证书后以 HTTPS / WSS 提供服务（iOS App Transport Security 要求）
+    tlsCert: { type: 'path', env: 'TLS_CERT', description: 'TLS 证书（PEM）' },
+    tlsKey: { type: 'path', env: 'TLS_KEY', description: 'TLS 私钥（PEM）' },
+    tlsCa: { type: 'path', env: 'TLS_CA', description: 'TLS 中间证书链（PEM，可选）' },
+
+    // 允许跨域访问 HTTP API 和建立 WebSocket 的来源，* 为不限制
+    corsOrigins: { type: 'list', default: ['*'], env: 'CORS_ORIGINS', description: '允许的跨域来源' },
+
+    // 局域网自动发现（Bonjour + UDP Multicast），可整体关闭或按方式关闭
+    serverName: { type: 'string', default: 'SimpleEyes WebRTC 信令服务器', env: 'SERVER_NAME', description: '服务器名称（Bonjour 服务名和 Multicast 广播）' },
+    discovery: { type: 'bool', default: true, env: 'DISCOVERY_DISABLED', invert: true, description: '关闭所有自动发现方式' },
+    bonjour: { type: 'bool', default: true, env: 'BONJOUR_DISABLED', invert: true, description: '关闭 Bonjour 发布' },
+    bonjourType: { type: 'string', default: 'simpleyes', env: 'BONJOUR_TYPE', description: 'Bonjour 服务类型（_<type>._tcp）' },
+    multicast: { type: 'bool', default: true, env: 'MULTICAST_DISABLED', invert: true, description: '关闭 UDP Multicast 广播' },
+    multicastAddress: { type: 'string', default: '239.255.255.250', env: 'MULTICAST_ADDRESS', description: 'Multicast 地址' },
+    multicastPort: { type: 'int', default: 12345, env: 'MULTICAST_PORT', description: 'Multicast 端口' },
+    multicastInterval: { type: 'int', default: 5000, env: 'MULTICAST_INTERVAL', description: 'Multicast 广播间隔（毫秒）' },
+
+    // 远程命令：下发后等待设备确认（command-ack）和结果（command-result）的时长（毫秒）
+    commandAckTimeout: { type: 'int', default: 10000, env: 'COMMAND_ACK_TIMEOUT', description: '命令确认超时（毫秒）' },
+    commandTimeout: { type: 'int', default: 60000, env: 'COMMAND_TIMEOUT', description: '命令结果超时（毫秒）' },
+
+    // 通话振铃超时（毫秒）
+    ringTimeout: { type: 'int', default: 30000, env: 'CALL_RING_TIMEOUT', description: '振铃超时（毫秒）' },
+
+    // 在线状态：服务器定期 ping，超过 presenceTimeout 未收到 pong 或任何消息即断开
+    heartbeatInterval: { type: 'int', default: 15000, env: 'HEARTBEAT_INTERVAL', description: '心跳间隔（毫秒）' },
+    presenceTimeout: { type: 'int', default: 45000, env: 'PRESENCE_TIMEOUT', description: '心跳超时（毫秒）' },
+
+    // 鉴权：本地调试时可关闭
+    auth: { type: 'bool', default: true, env: 'AUTH_DISABLED', invert: true, description: '关闭鉴权' },
+    authSecret: { type: 'string', env: 'AUTH_SECRET', description: 'Token 签名密钥，默认每次启动随机生成' },
+    deviceSecretsFile: { type: 'path', default: path.join(__dirname, 'device-secrets.json'), env: 'DEVICE_SECRETS_FILE', description: '设备密钥文件' },
+
+    // 用户、设备归属与共享：呼叫、转发信令、下发命令和对讲前检查权限（需要启用鉴权）
+    accessControl: { type: 'bool', default: true, env: 'ACCESS_CONTROL_DISABLED', invert: true, description: '关闭设备权限检查' },
+    accessFile: { type: 'path', default: path.join(__dirname, 'data', 'access.json'), env: 'ACCESS_FILE', description: '用户与设备权限文件' },
+
+    // 设备注册表（JSON 文件持久化）
+    deviceRegistryFile: { type: 'path', default: path.join(__dirname, 'data', 'devices.json'), env: 'DEVICE_REGISTRY_FILE', description: '设备注册表文件' },
+
+    // 通话记录（CDR，SQLite 数据库持久化）
+    callHistoryFile: { type: 'path', default: path.join(__dirname, 'data', 'call-history.db'), env: 'CALL_HISTORY_FILE', description: '通话记录数据库文件（SQLite）' },
+    callHistoryRetentionDays: { type: 'int', default: 90, env: 'CALL_HISTORY_RETENTION_DAYS', description: '通话记录保留天数' },
+
+    // 离线消息队列中信令消息的保留时长（毫秒）
+    offlineMessageTtl: { type: 'int', env: 'OFFLINE_MESSAGE_TTL', description: '离线信令保留时长（毫秒）' },
+
+    // 会话恢复：连接异常断开后保留的时长（毫秒），期间带 resumeToken 重连可恢复房间和通话
+    // 设为 0 时断开即清理（旧行为）
+    sessionGracePeriod: { type: 'int', default: 30000, env: 'SESSION_GRACE_PERIOD', description: '会话恢复宽限期（毫秒）' },
+
+    // 多实例背板：redis 时通过 redisUrl 共享在线设备并跨实例转发信令，默认单实例（memory）
+    backplane: { type: 'string', default: 'memory', env: 'BACKPLANE', description: '多实例背板：memory / redis' },
+    instanceId: { type: 'string', env: 'INSTANCE_ID', description: '实例ID，默认随机生成' },
+    redisUrl: { type: 'string', env: 'REDIS_URL', description: 'Redis 地址' },
+    redisKeyPrefix: { type: 'string', env: 'REDIS_KEY_PREFIX', description: 'Redis 键前缀' },
+
+    // 离线呼叫通知：配置后呼叫离线设备时 POST 到该地址
+    notifyWebhookUrl: { type: 'string', env: 'NOTIFY_WEBHOOK_URL', description: '离线呼叫通知 Webhook' },
+
+    // SFU 转发模式（依赖可选依赖 werift，需 Node.js 16+）
+    sfu: { type: 'bool', default: false, env: 'SFU_ENABLED', description: '启用 SFU 转发模式' },
+
+    // 录像存储：SFU 模式下录制发布的音视频以及对讲录音
+    recording: { type: 'bool', default: true, env: 'RECORDING_DISABLED', invert: true, description: '关闭录像和对讲录音' },
+    recordingsDir: { type: 'path', default: path.join(__dirname, 'data', 'recordings'), env: 'RECORDINGS_DIR', description: '录像目录' },
+    // 客户端访问服务器的地址，回放接口据此返回录像的完整地址；未设置时返回相对路径（不信任请求的 Host 头）
+    publicUrl: { type: 'string', env: 'PUBLIC_URL', description: '客户端访问服务器的基础地址（如 https://cam.example.com）' },
+
+    // 直播转码：ffmpeg 把本地文件或 RTSP 等网络流转成 HLS，切片写入 liveDir 并通过 /hls/<deviceId>/ 提供
+    // 文件输入只能引用 liveInputDir 下的文件
+    liveDir: { type: 'path', default: path.join(__dirname, 'data', 'live'), env: 'LIVE_DIR', description: 'HLS 输出目录' },
+    liveInputDir: { type: 'path', default: path.join(__dirname, 'data', 'media'), env: 'LIVE_INPUT_DIR', description: '直播源文件目录' },
+    ffmpegPath: { type: 'string', default: 'ffmpeg', env: 'FFMPEG_PATH', description: 'ffmpeg 可执行文件' },
+    liveIdleTimeout: { type: 'int', default: 60000, env: 'LIVE_IDLE_TIMEOUT', description: '无人观看多久后停止转码（毫秒），0 为不停止' },
+    liveSegmentDuration: { type: 'int', default: 2, env: 'LIVE_SEGMENT_DURATION', description: 'HLS 切片时长（秒）' },
+    livePlaylistSize: { type: 'int', default: 6, env: 'LIVE_PLAYLIST_SIZE', description: 'HLS 播放列表保留的切片数' },
+    // 网络输入只能是设备登记的直播地址，或这里列出的主机（避免服务器被用来访问内网任意地址）
+    liveAllowedHosts: { type: 'list', default: [], env: 'LIVE_ALLOWED_HOSTS', description: '允许作为直播网络输入的主机' },
+    liveTokenTtl: { type: 'int', default: 600, env: 'LIVE_TOKEN_TTL', description: 'HLS 地址和录像地址中播放 Token 的有效期（秒）' },
+
+    // 对讲录音分段的静默时长（毫秒）
+    intercomIdleTimeout: { type: 'int', env: 'INTERCOM_IDLE_TIMEOUT', description: '对讲录音分段的静默时长（毫秒）' },
+
+    // 内置 STUN/TURN（UDP），客户端通过 /api/ice-config 获取地址和临时凭证，凭证由 turnSecret 签名
+    // 中继地址须是对端可达的本机 IP，turnRelayAddress 可覆盖自动探测的局域网地址
+    turn: { type: 'bool', default: true, env: 'TURN_DISABLED', invert: true, description: '关闭内置 STUN/TURN' },
+    turnPort: { type: 'int', default: 3478, env: 'TURN_PORT', description: 'STUN/TURN 端口（UDP）' },
+    turnSecret: { type: 'string', env: 'TURN_SECRET', description: 'TURN 凭证签名密钥' },
+    turnCredentialTtl: { type: 'int', default: 86400, env: 'TURN_CREDENTIAL_TTL', description: 'TURN 凭证有效期（秒）' },
+    turnRealm: { type: 'string', default: 'simpleeyes', env: 'TURN_REALM', description: 'TURN realm' },
+    turnRelayAddress: { type: 'string', env: 'TURN_RELAY_ADDRESS', description: 'TURN 中继地址' },
+    turnPublicHost: { type: 'string', env: 'TURN_PUBLIC_HOST', description: '下发给客户端的 TURN 主机名' },
+    turnMinPort: { type: 'int', env: 'TURN_MIN_PORT', description: 'TURN 中继端口范围下限' },
+    turnMaxPort: { type: 'int', env: 'TURN_MAX_PORT', description: 'TURN 中继端口范围上限' },
+
+    // 运行指标（GET /metrics，Prometheus 文本格式）
+    metrics: { type: 'bool', default: true, env: 'METRICS_DISABLED', invert: true, description: '关闭 /metrics' }
+};
+
+/**
+ * 读取配置：默认值 < 配置文件（--config / CONFIG_FILE）< 环境变量 < 命令行参数
+ * @param {Object} [env=process.env]
+ * @param {string[]} [argv=[]] 命令行参数（不含 node 和脚本路径）
+ * @returns {Object} 配置；argv 带 --help 时返回 null
+ */
+function loadConfig(env = process.env, argv = []) {
+    return resolveConfig(CONFIG_SCHEMA, { env: env, argv: argv });
+}
+
+/**
+ * 创建信令服务器（HTTP API + /signal + /intercom），listen() 后开始服务
+ * @param {Object} [options] 配置项见 CONFIG_SCHEMA，未指定的取默认值（不读取环境变量和配置文件）
+ * @param {Object} [options.backplaneBus] 内存背板的共享总线（createMemoryBus()），同一进程内模拟多实例
+ * @returns {{config, secure, httpServer, port, listen, close, printStatus}}
+ */
+function createSignalingServer(options = {}) {
+    const config = { ...defaultConfig(CONFIG_SCHEMA), ...options };
+
+    // 配置了证书时以 HTTPS / WSS 提供服务
+    const tlsOptions = loadTlsOptions(config);
+    const HTTP_SCHEME = tlsOptions ? 'https' : 'http';
+    const WS_SCHEME = tlsOptions ? 'wss' : 'ws';
+
+    // 局域网自动发现
+    const SERVER_NAME = config.serverName;
+    const MULTICAST_ADDRESS = config.multicastAddress;
+    const MULTICAST_PORT = config.multicastPort;
+    const MULTICAST_INTERVAL = config.multicastInterval;
+
+    // 实际监听的端口（port 为 0 时在 listen() 后更新）
+    let PORT = config.port;
+
+    const CALL_RING_TIMEOUT = config.ringTimeout;
+    const HEARTBEAT_INTERVAL = config.heartbeatInterval;
+    const PRESENCE_TIMEOUT = config.presenceTimeout;
+
+    const AUTH_ENABLED = config.auth;
+    const auth = createTokenAuth({
+        secretsFile: config.deviceSecretsFile,
+        signingKey: config.authSecret,
+        streamTtl: config.liveTokenTtl
+    });
+
+    // 设备权限依赖 Token 识别客户端，关闭鉴权时不检查
+    const ACCESS_CONTROL_ENABLED = AUTH_ENABLED && config.accessControl;
+    const access = createAccessControl({ file: config.accessFile });
+    if (ACCESS_CONTROL_ENABLED && access.listUsers().length === 0) {
+        logger.warn(`⚠️  权限文件中没有用户，App 将无法联系任何设备（见 README「用户、设备归属与共享」）: ${config.accessFile}`);
+    }
+
+    const registry = createDeviceRegistry({ file: config.deviceRegistryFile });
+
+    const offlineStore = createOfflineStore({
+        messageTtl: config.offlineMessageTtl
+    });
+
+    const SESSION_GRACE_PERIOD = config.sessionGracePeriod;
+    const sessions = createSessionStore({ gracePeriod: SESSION_GRACE_PERIOD || undefined });
+
+    const backplane = createBackplane({
+        type: config.backplane,
+        instanceId: config.instanceId,
+        redisUrl: config.redisUrl,
+        keyPrefix: config.redisKeyPrefix,
+        bus: config.backplaneBus
+    });
+
+    // 远程命令（内存保存，结束的命令保留 10 分钟）
+    const commands = createCommandTracker({
+        ackTimeout: config.commandAckTimeout,
+        timeout: config.commandTimeout
+    });
+
+    // 其他实例下发给本实例设备的命令: Map<commandId, instanceId>，设备的确认和结果转交回该实例
+    const commandOrigins = new Map();
+
+    // 通话质量统计（内存保存，已结束的通话保留 24 小时）
+    const callStats = createCallStatsStore();
+
+    // 通话记录：每次呼叫结束时写入一条
+    const callHistory = createCallHistory({
+        file: config.callHistoryFile,
+        retentionDays: config.callHistoryRetentionDays
+    });
+
+    const notifier = config.notifyWebhookUrl
+        ? createWebhookNotifier(config.notifyWebhookUrl)
+        : createNoopNotifier();
+
+    const SFU_ENABLED = config.sfu;
+
+    const RECORDING_ENABLED = config.recording;
+    const recordingStore = createRecordingStore({ dir: config.recordingsDir });
+
+    // 语音对讲（/intercom 路径）
+    const intercom = createIntercomRelay({
+        recordingStore: RECORDING_ENABLED ? recordingStore : null,
+        idleTimeout: config.intercomIdleTimeout
+    });
+
+    // 直播转码（/api/video/live/:deviceId/start）
+    const transcoder = createTranscodeManager({
+        dir: config.liveDir,
+        inputDir: config.liveInputDir,
+        ffmpegPath: config.ffmpegPath,
+        segmentDuration: config.liveSegmentDuration,
+        playlistSize: config.livePlaylistSize,
+        idleTimeout: config.liveIdleTimeout,
+        allowedHosts: config.liveAllowedHosts
+    });
+
+    const TURN_ENABLED = config.turn;
+    const TURN_PORT = config.turnPort;
+    const TURN_SECRET = config.turnSecret || crypto.randomBytes(32).toString('hex');
+    const TURN_CREDENTIAL_TTL = config.turnCredentialTtl;
+
+    const METRICS_ENABLED = config.metrics;
+    const metrics = createMetricsRegistry({ prefix: 'simpleeyes_' });
+
+    // 心跳检测和状态表的定时器（listen() 时启动，close() 时停止）
+    let heartbeatIntervalId = null;
+    let shuttingDown = false;
+
+    metrics.gauge('connected_clients', 'Connected WebSocket clients by protocol, connection type and role',
+        ['protocol', 'type', 'role'], () => {
+            const counts = new Map();
+            const add = (labels) => {
+                const key = `${labels.protocol}|${labels.type}|${labels.role}`;
+                const entry = counts.get(key) || { labels: labels, value: 0 };
+                entry.value += 1;
+                counts.set(key, entry);
+            };
+            for (const connection of clients.values()) {
+                if (connection.suspended) continue;
+                add({ protocol: 'signal', type: connection.type, role: connection.role || 'unknown' });
+            }
+            for (const { role } of intercom.list()) {
+                add({ protocol: 'intercom', type: 'audio', role: role });
+            }
+            return Array.from(counts.values());
+        });
+    metrics.gauge('active_calls', 'Calls in progress by state', ['state'], () => {
+        const counts = { ringing: 0, active: 0 };
+        for (const call of calls.values()) {
+            counts[call.state] += 1;
+        }
+        return Object.entries(counts).map(([state, value]) => ({ labels: { state }, value }));
+    });
+    metrics.gauge('rooms', 'Open rooms', [], () => rooms.size);
+    metrics.gauge('remote_devices', 'Devices connected to other instances (via the backplane)', [],
+        () => backplane.listDevices().length);
+    const backplaneMessages = metrics.counter('backplane_messages_total',
+        'Envelopes exchanged with other instances by direction and kind', ['direction', 'kind']);
+    metrics.gauge('suspended_sessions', 'Disconnected signaling sessions waiting to be resumed', [],
+        () => sessions.suspendedCount());
+    const sessionResumes = metrics.counter('session_resumes_total', 'Signaling sessions resumed with a resume token', []);
+    metrics.counter('intercom_bytes_relayed_total', 'Intercom audio bytes relayed between app and device',
+        [], () => intercom.stats().bytesRelayed);
+    metrics.counter('intercom_frames_dropped_total', 'Intercom audio frames dropped because the other side was not connected',
+        [], () => intercom.stats().framesDropped);
+    metrics.counter('intercom_frames_blocked_total', 'Intercom audio frames dropped because the sender did not hold the floor',
+        [], () => intercom.stats().framesBlocked);
+    metrics.counter('intercom_frames_malformed_total', 'Framed intercom audio dropped because the header was invalid',
+        [], () => intercom.stats().framesMalformed);
+    metrics.counter('intercom_frames_transcoded_total', 'Intercom audio frames converted to the codec parameters of the receiver',
+        [], () => intercom.stats().framesTranscoded);
+    metrics.gauge('intercom_streams', 'Intercom audio streams by negotiated codec (legacy for unframed clients)', ['codec'], () => {
+        const counts = new Map();
+        for (const stream of intercom.streams()) {
+            const codec = stream.framed ? stream.codec.name : 'legacy';
+            counts.set(codec, (counts.get(codec) || 0) + 1);
+        }
+        return Array.from(counts, ([codec, value]) => ({ labels: { codec }, value }));
+    });
+    metrics.gauge('intercom_packets_lost', 'Packets lost across open framed intercom streams (from sequence numbers)', [],
+        () => intercom.streams().reduce((sum, stream) => sum + (stream.packetsLost || 0), 0));
+    metrics.gauge('intercom_floors', 'Intercom floors currently held, by scope', ['scope'], () => {
+        const counts = { channel: 0, group: 0 };
+        for (const floor of intercom.floors()) counts[floor.scope] += 1;
+        return Object.entries(counts).map(([scope, value]) => ({ labels: { scope }, value }));
+    });
+    metrics.gauge('live_transcodes', 'Live HLS transcode jobs by status', ['status'], () => {
+        const counts = { starting: 0, live: 0, failed: 0 };
+        for (const job of transcoder.list()) {
+            if (job.status in counts) counts[job.status] += 1;
+        }
+        return Object.entries(counts).map(([status, value]) => ({ labels: { status }, value }));
+    });
+    metrics.gauge('turn_allocations', 'Active TURN allocations', [],
+        () => turnServer && turnReady ? turnServer.stats().allocations : 0);
+
+    const signalingMessages = metrics.counter('signaling_messages_total',
+        'Signaling messages received by type (invalid for messages that failed validation)', ['type']);
+    const signalingErrors = metrics.counter('signaling_errors_total', 'Error replies sent to clients by code', ['code']);
+    const forwardFailures = metrics.counter('forward_failures_total',
+        'Messages that could not be forwarded because the target was not connected', ['type', 'reason']);
+    const callsEnded = metrics.counter('calls_total', 'Finished calls by end reason', ['reason']);
+    const callSetupSeconds = metrics.histogram('call_setup_seconds',
+        'Time from call request to answer', ['callType'], [0.5, 1, 2, 3, 5, 10, 15, 20, 30]);
+    metrics.gauge('pending_commands', 'Device commands waiting for acknowledgement or result', [],
+        () => commands.pendingCount());
+    const commandsFinished = metrics.counter('commands_total', 'Finished device commands by action and status',
+        ['action', 'status']);
+
+    // 请求体大小上限
+    const MAX_BODY_SIZE = 64 * 1024;
+
+    // 读取 JSON 请求体
+    function readJsonBody(req) {
+        return new Promise((resolve, reject) => {
+            let body = '';
+            req.on('data', (chunk) => {
+                body += chunk;
+                if (body.length > MAX_BODY_SIZE) {
+                    reject(new Error('Payload Too Large'));
+                    req.destroy();
+                }
+            });
+            req.on('end', () => {
+                try {
+                    resolve(body ? JSON.parse(body) : {});
+                } catch (error) {
+                    reject(error);
+                }
+            });
+            req.on('error', reject);
+        });
+    }
+
+    // 创建 HTTP(S) 服务器
+    const server = tlsOptions ? https.createServer(tlsOptions) : http.createServer();
+
+    server.on('request', (req, res) => {
+        // 请求关联 ID：沿用调用方的 X-Request-Id，否则生成一个，并在响应头中回显
+        const requestId = String(req.headers['x-request-id'] || createCorrelationId()).slice(0, 64);
+        const requestLog = logger.child({ requestId: requestId });
+        const startedAt = Date.now();
+        res.setHeader('X-Request-Id', requestId);
+        res.on('finish', () => {
+            // 查询参数中可能有 token，不写入日志
+            const logPath = req.url.split('?')[0];
+            requestLog.debug(`🌐 ${req.method} ${logPath} ${res.statusCode}`, {
+                method: req.method,
+                path: logPath,
+                status: res.statusCode,
+                durationMs: Date.now() - startedAt
+            });
+        });
+
+        // 设置 CORS 头：只对允许的来源返回 Access-Control-Allow-Origin
+        const allowedOrigin = resolveCorsOrigin(config.corsOrigins, req.headers.origin);
+        if (allowedOrigin) {
+            res.setHeader('Access-Control-Allow-Origin', allowedOrigin);
+        }
+        if (allowedOrigin !== '*') {
+            res.setHeader('Vary', 'Origin');
+        }
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Range, X-Request-Id');
+        res.setHeader('Access-Control-Expose-Headers', 'Content-Range, Content-Length, Accept-Ranges, X-Request-Id');
+        res.setHeader('Content-Type', 'application/json');
+
+        // 处理 OPTIONS 请求
+        if (req.method === 'OPTIONS') {
+            res.writeHead(200);
+            res.end();
+            return;
+        }
+
+        // 路径不合法（如 /api/rooms/%E0）时回复 400，之后各路由解码路径参数不会再抛出
+        const requestUrl = parseRequestUrl(req.url);
+        if (!requestUrl) {
+            res.writeHead(400);
+            res.end(JSON.stringify({ error: 'Bad Request' }));
+            return;
+        }
+        const pathname = requestUrl.pathname;
+
+        // API: 健康检查（用于服务器发现）
+        if (pathname === '/api/health' && req.method === 'GET') {
+            res.writeHead(200);
+            res.end(JSON.stringify({
+                name: SERVER_NAME,
+                status: 'ok',
+                port: PORT,
+                schemaVersion: SCHEMA_VERSION,
+                sfu: SFU_ENABLED,
+                turn: turnReady,
+                instanceId: backplane.instanceId,
+                backplane: backplane.type,
+                clients: clients.size
+            }));
+            return;
+        }
+
+        // Prometheus 指标（不走 /api 鉴权，建议只在内网开放）
+        if (METRICS_ENABLED && pathname === '/metrics' && req.method === 'GET') {
+            res.writeHead(200, { 'Content-Type': metrics.contentType });
+            res.end(metrics.render());
+            return;
+        }
+
+        // API: 用设备密钥换取 Token
+        if (pathname === '/api/auth/token' && req.method === 'POST') {
+            readJsonBody(req).then((body) => {
+                const tokens = auth.issueTokens(body.deviceId, body.secret);
+                if (!tokens) {
+                    res.writeHead(401);
+                    res.end(JSON.stringify({ error: 'Invalid Credentials' }));
+                    return;
+                }
+                requestLog.info(`🔑 签发 Token: 设备ID=${body.deviceId}`, { deviceId: body.deviceId });
+                res.writeHead(200);
+                res.end(JSON.stringify(tokens));
+            }).catch(() => {
+                res.writeHead(400);
+                res.end(JSON.stringify({ error: 'Bad Request' }));
+            });
+            return;
+        }
+
+        // API: 刷新 Token（对应 iOS CombineTokenManager.refreshAccessToken）
+        if (pathname === '/api/auth/refresh' && req.method === 'POST') {
+            readJsonBody(req).then((body) => {
+                const tokens = auth.refreshTokens(body.refreshToken);
+                if (!tokens) {
+                    res.writeHead(401);
+                    res.end(JSON.stringify({ error: 'Invalid Refresh Token' }));
+                    return;
+                }
+                res.writeHead(200);
+                res.end(JSON.stringify(tokens));
+            }).catch(() => {
+                res.writeHead(400);
+                res.end(JSON.stringify({ error: 'Bad Request' }));
+            });
+            return;
+        }
+
+        // 其余 /api/* 需要 Bearer Token（无法加请求头时可用 ?token=）
+        // /hls/<deviceId>/* 只接受直播接口签发的、限定该路直播的播放 Token
+        // 录像文件另外接受回放接口签发的、限定该段录像的播放 Token
+        // identity 为请求方身份 {deviceId, ...}，关闭鉴权时为 null
+        const hlsMatch = pathname.match(/^\/hls\/([^/]+)\/([^/]+)$/);
+        const recordingMediaMatch = pathname.match(/^\/api\/recordings\/([^/]+)\/media$/);
+        let identity = null;
+        if (AUTH_ENABLED && (pathname.startsWith('/api/') || pathname.startsWith('/hls/'))) {
+            const token = extractToken(req);
+            if (pathname.startsWith('/hls/')) {
+                identity = hlsMatch && auth.verifyStreamToken(token, decodeURIComponent(hlsMatch[1]));
+            } else {
+                identity = (recordingMediaMatch && auth.verifyStreamToken(token, recordingStreamId(decodeURIComponent(recordingMediaMatch[1])))) ||
+                    auth.verifyAccessToken(token);
+            }
+            if (!identity) {
+                res.writeHead(401);
+                res.end(JSON.stringify({ error: 'Unauthorized' }));
+                return;
+            }
+        }
+
+        // API: 获取在线设备列表
+        if (pathname === '/api/devices/online' && req.method === 'GET') {
+            const onlineDevices = [];
+
+            // 半开连接由心跳检测清理，这里只统计仍在心跳有效期内的连接
+            for (const [deviceId, connection] of clients.entries()) {
+                if (isDeviceOnline(deviceId)) {
+                    onlineDevices.push({
+                        deviceId: deviceId,
+                        status: 'online',
+                        presence: connection.presence,
+                        ...deviceProfile(deviceId),
+                        lastHeartbeat: connection.lastHeartbeat,
+                        protocols: ['signal']
+                    });
+                }
+            }
+
+            // 连接在其他实例上的设备
+            for (const info of backplane.listDevices()) {
+                if (clients.has(info.deviceId)) continue;
+                onlineDevices.push({
+                    deviceId: info.deviceId,
+                    status: 'online',
+                    presence: info.presence,
+                    ...(info.profile || deviceProfile(info.deviceId)),
+                    lastHeartbeat: info.lastHeartbeat,
+                    protocols: ['signal']
+                });
+            }
+
+            // 对讲设备端（不统计 app 端）
+            for (const { deviceId, role, open } of intercom.list()) {
+                if (role !== 'device' || !open) continue;
+
+                const existing = onlineDevices.find(device => device.deviceId === deviceId);
+                if (existing) {
+                    existing.protocols.push('intercom');
+                } else {
+                    onlineDevices.push({
+                        deviceId: deviceId,
+                        status: 'online',
+                        presence: 'idle',
+                        ...deviceProfile(deviceId),
+                        lastHeartbeat: null,
+                        protocols: ['intercom']
+                    });
+                }
+            }
+
+            // 只列出请求方能查看的设备
+            const visibleDevices = onlineDevices.filter(device => mayView(identity, device.deviceId));
+
+            res.writeHead(200);
+            res.end(JSON.stringify({
+                devices: visibleDevices,
+                count: visibleDevices.length
+            }));
+            return;
+        }
+
+        // API: 对讲话权持有情况和寻呼组
+        if (pathname === '/api/intercom/floors' && req.method === 'GET') {
+            // 寻呼组只列出请求方能查看的成员，没有可见成员的组不列出
+            const floors = intercom.floors().filter(floor => floor.scope !== 'channel' || mayView(identity, floor.deviceId));
+            const groups = intercom.groups()
+                .map(group => ({ ...group, members: group.members.filter(member => mayView(identity, member)) }))
+                .filter(group => group.members.length > 0);
+            const visibleGroups = new Set(groups.map(group => group.groupId));
+            res.writeHead(200);
+            res.end(JSON.stringify({
+                floors: floors.filter(floor => floor.scope !== 'group' || visibleGroups.has(floor.groupId)),
+                groups: groups
+            }));
+            return;
+        }
+
+        // API: 对讲音频流的编码和丢包、乱序、抖动统计
+        if (pathname === '/api/intercom/streams' && req.method === 'GET') {
+            res.writeHead(200);
+            res.end(JSON.stringify({ streams: intercom.streams().filter(stream => mayView(identity, stream.deviceId)) }));
+            return;
+        }
+
+        // API: ICE 服务器配置（可直接用作 RTCConfiguration.iceServers）
+        if (pathname === '/api/ice-config' && req.method === 'GET') {
+            const userId = identity ? identity.deviceId : (requestUrl.searchParams.get('deviceId') || 'guest');
+            res.writeHead(200);
+            res.end(JSON.stringify(buildIceConfig(req, userId)));
+            return;
+        }
+
+        // API: 获取房间列表
+        if (pathname === '/api/rooms' && req.method === 'GET') {
+            const roomList = Array.from(rooms.values()).filter(room => mayViewRoom(identity, room)).map(describeRoom);
+            res.writeHead(200);
+            res.end(JSON.stringify({
+                rooms: roomList,
+                count: roomList.length
+            }));
+            return;
+        }
+
+        // API: 获取进行中的通话
+        if (pathname === '/api/calls/active' && req.method === 'GET') {
+            const callList = Array.from(calls.values()).filter(call => mayViewCall(identity, call)).map(describeCall);
+            res.writeHead(200);
+            res.end(JSON.stringify({
+                calls: callList,
+                count: callList.length
+            }));
+            return;
+        }
+
+        // API: 通话记录，?deviceId=&from=&to=&answered=&page=&pageSize=，?format=csv 导出全部匹配的记录
+        if (pathname === '/api/calls/history' && req.method === 'GET') {
+            const params = requestUrl.searchParams;
+            const from = parseTimeParam(params.get('from'));
+            const to = parseTimeParam(params.get('to'));
+            if (Number.isNaN(from) || Number.isNaN(to)) {
+                res.writeHead(400);
+                res.end(JSON.stringify({ error: 'Invalid from/to' }));
+                return;
+            }
+            const page = params.has('page') ? Number(params.get('page')) : 1;
+            const pageSize = params.has('pageSize') ? Number(params.get('pageSize')) : undefined;
+            if (!Number.isInteger(page) || page < 1 ||
+                (pageSize !== undefined && (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_HISTORY_PAGE_SIZE))) {
+                res.writeHead(400);
+                res.end(JSON.stringify({ error: 'Invalid page/pageSize' }));
+                return;
+            }
+
+            // 设备角色的 Token 只能查自己的通话，App 只能查能查看的设备参与的通话
+            let deviceId = params.get('deviceId') || null;
+            if (identity && identity.role === 'device') {
+                if (deviceId && deviceId !== identity.deviceId) {
+                    res.writeHead(403);
+                    res.end(JSON.stringify({ error: 'Forbidden' }));
+                    return;
+                }
+                deviceId = identity.deviceId;
+            } else if (deviceId && !mayView(identity, deviceId)) {
+                res.writeHead(403);
+                res.end(JSON.stringify({ error: 'Forbidden' }));
+                return;
+            }
+
+            const answered = params.get('answered');
+            const filters = {
+                deviceId: deviceId,
+                from: from,
+                to: to,
+                answered: answered === 'true' ? true : answered === 'false' ? false : undefined,
+                visible: ACCESS_CONTROL_ENABLED && identity ? record => mayViewCall(identity, record) : undefined
+            };
+
+            if (params.get('format') === 'csv') {
+                res.writeHead(200, {
+                    'Content-Type': 'text/csv; charset=utf-8',
+                    'Content-Disposition': 'attachment; filename="call-history.csv"'
+                });
+                res.end(toCsv(callHistory.query(filters).calls));
+                return;
+            }
+
+            res.writeHead(200);
+            res.end(JSON.stringify(callHistory.query(filters, { page: page, pageSize: pageSize })));
+            return;
+        }
+
+        // API: 单条通话记录
+        const historyMatch = pathname.match(/^\/api\/calls\/history\/([^/]+)$/);
+        if (historyMatch && req.method === 'GET') {
+            const record = callHistory.get(decodeURIComponent(historyMatch[1]));
+            const visible = record && (identity && identity.role === 'device'
+                ? record.caller === identity.deviceId || record.callee === identity.deviceId
+                : mayViewCall(identity, record));
+            if (!visible) {
+                res.writeHead(404);
+                res.end(JSON.stringify({ error: 'Call Not Found' }));
+                return;
+            }
+            res.writeHead(200);
+            res.end(JSON.stringify(record));
+            return;
+        }
+
+        // API: 通话列表及质量汇总，?from=&to= 按创建时间筛选（ISO8601 或毫秒时间戳）
+        if (pathname === '/api/calls' && req.method === 'GET') {
+            const from = parseTimeParam(requestUrl.searchParams.get('from'));
+            const to = parseTimeParam(requestUrl.searchParams.get('to'));
+            if (Number.isNaN(from) || Number.isNaN(to)) {
+                res.writeHead(400);
+                res.end(JSON.stringify({ error: 'Invalid from/to' }));
+                return;
+            }
+
+            const callList = callStats.list(from, to)
+                .filter(call => mayViewCall(identity, call))
+                .map(({ devices, ...call }) => call);
+            res.writeHead(200);
+            res.end(JSON.stringify({
+                calls: callList,
+                count: callList.length
+            }));
+            return;
+        }
+
+        // API: 单个通话的质量统计（汇总、按设备汇总和原始样本）
+        const callStatsMatch = pathname.match(/^\/api\/calls\/([^/]+)\/stats$/);
+        if (callStatsMatch && req.method === 'GET') {
+            const stats = callStats.get(decodeURIComponent(callStatsMatch[1]));
+            if (!stats || !mayViewCall(identity, stats)) {
+                res.writeHead(404);
+                res.end(JSON.stringify({ error: 'Call Not Found' }));
+                return;
+            }
+            res.writeHead(200);
+            res.end(JSON.stringify(stats));
+            return;
+        }
+
+        // API: 获取房间详情
+        const roomMatch = pathname.match(/^\/api\/rooms\/([^/]+)$/);
+        if (roomMatch && req.method === 'GET') {
+            const room = rooms.get(decodeURIComponent(roomMatch[1]));
+            if (!room || !mayViewRoom(identity, room)) {
+                res.writeHead(404);
+                res.end(JSON.stringify({ error: 'Room Not Found' }));
+                return;
+            }
+            res.writeHead(200);
+            res.end(JSON.stringify(describeRoom(room)));
+            return;
+        }
+
+        // API: 获取设备列表（DeviceListResponse）
+        if (pathname === '/api/device/list' && req.method === 'GET') {
+            const deviceList = registry.list().filter(device => mayView(identity, device.deviceId)).map(toDeviceResponse);
+            res.writeHead(200);
+            res.end(JSON.stringify({
+                devices: deviceList,
+                count: deviceList.length
+            }));
+            return;
+        }
+
+        // API: 获取设备详情（Device）
+        const deviceMatch = pathname.match(/^\/api\/device\/([^/]+)$/);
+        if (deviceMatch && req.method === 'GET') {
+            const deviceId = decodeURIComponent(deviceMatch[1]);
+            if (!mayView(identity, deviceId)) {
+                res.writeHead(403);
+                res.end(JSON.stringify({ error: 'Forbidden' }));
+                return;
+            }
+            const device = registry.get(deviceId);
+            if (!device) {
+                res.writeHead(404);
+                res.end(JSON.stringify({ error: 'Device Not Found' }));
+                return;
+            }
+            res.writeHead(200);
+            res.end(JSON.stringify(toDeviceResponse(device)));
+            return;
+        }
+
+        // API: 向设备下发远程命令，返回 202 和命令信息，之后按 commandId 查询状态
+        const commandsMatch = pathname.match(/^\/api\/devices\/([^/]+)\/commands$/);
+        if (commandsMatch && req.method === 'POST') {
+            const deviceId = decodeURIComponent(commandsMatch[1]);
+            if (identity && (identity.role === 'device' || !mayReach(identity.deviceId, deviceId, 'talker'))) {
+                res.writeHead(403);
+                res.end(JSON.stringify({ error: 'Forbidden' }));
+                return;
+            }
+
+            readJsonBody(req).then((body) => {
+                // 与信令连接上的 command 消息使用同一校验
+                const result = validateMessage({ ...body, type: 'command', to: deviceId });
+                if (!result.ok) {
+                    res.writeHead(400);
+                    res.end(JSON.stringify({ error: 'Invalid Command', message: result.message }));
+                    return;
+                }
+                if (!registry.get(deviceId) && !isCommandTargetOnline(deviceId)) {
+                    res.writeHead(404);
+                    res.end(JSON.stringify({ error: 'Device Not Found' }));
+                    return;
+                }
+
+                const issued = issueCommand({
+                    deviceId: deviceId,
+                    action: result.message.action,
+                    params: result.message.params,
+                    from: identity ? identity.deviceId : null,
+                    timeout: result.message.timeout
+                });
+                if (!issued.command) {
+                    const statusCode = issued.reason === 'target-offline' ? 409 : 400;
+                    const error = issued.reason === 'target-offline' ? 'Device Offline' : 'Unsupported Command';
+                    res.writeHead(statusCode);
+                    res.end(JSON.stringify({ error: error, message: issued.message }));
+                    return;
+                }
+                res.writeHead(202);
+                res.end(JSON.stringify(issued.command));
+            }).catch(() => {
+                res.writeHead(400);
+                res.end(JSON.stringify({ error: 'Bad Request' }));
+            });
+            return;
+        }
+
+        // API: 设备最近的命令（最新的在前）
+        if (commandsMatch && req.method === 'GET') {
+            const deviceId = decodeURIComponent(commandsMatch[1]);
+            if (!mayView(identity, deviceId)) {
+                res.writeHead(403);
+                res.end(JSON.stringify({ error: 'Forbidden' }));
+                return;
+            }
+            const list = commands.list(deviceId);
+            res.writeHead(200);
+            res.end(JSON.stringify({ commands: list, count: list.length }));
+            return;
+        }
+
+        // API: 命令状态
+        const commandMatch = pathname.match(/^\/api\/devices\/([^/]+)\/commands\/([^/]+)$/);
+        if (commandMatch && req.method === 'GET') {
+            const deviceId = decodeURIComponent(commandMatch[1]);
+            if (!mayView(identity, deviceId)) {
+                res.writeHead(403);
+                res.end(JSON.stringify({ error: 'Forbidden' }));
+                return;
+            }
+            const command = commands.get(deviceId, decodeURIComponent(commandMatch[2]));
+            if (!command) {
+                res.writeHead(404);
+                res.end(JSON.stringify({ error: 'Command Not Found' }));
+                return;
+            }
+            res.writeHead(200);
+            res.end(JSON.stringify(command));
+            return;
+        }
+
+        // API: 当前用户及其拥有或被共享的设备
+        if (pathname === '/api/users/me' && req.method === 'GET') {
+            const requester = requesterOf(req, requestUrl);
+            const user = requester.userId ? access.getUser(requester.userId) : null;
+            if (!user) {
+                res.writeHead(404);
+                res.end(JSON.stringify({ error: 'User Not Found' }));
+                return;
+            }
+            res.writeHead(200);
+            res.end(JSON.stringify({ user: user, devices: access.devicesOf(user.userId) }));
+            return;
+        }
+
+        // API: 用户列表（管理员）
+        if (pathname === '/api/users' && req.method === 'GET') {
+            if (!requesterOf(req, requestUrl).admin) {
+                res.writeHead(403);
+                res.end(JSON.stringify({ error: 'Forbidden' }));
+                return;
+            }
+            const users = access.listUsers();
+            res.writeHead(200);
+            res.end(JSON.stringify({ users: users, count: users.length }));
+            return;
+        }
+
+        // API: 创建用户（管理员），请求体为 UserInfo {userId, name, model, userType}
+        if (pathname === '/api/users' && req.method === 'POST') {
+            if (!requesterOf(req, requestUrl).admin) {
+                res.writeHead(403);
+                res.end(JSON.stringify({ error: 'Forbidden' }));
+                return;
+            }
+            readJsonBody(req).then((body) => {
+                if (body.userId && access.getUser(body.userId)) {
+                    res.writeHead(409);
+                    res.end(JSON.stringify({ error: 'User Exists' }));
+                    return;
+                }
+                let user;
+                try {
+                    user = access.createUser(body);
+                } catch (error) {
+                    res.writeHead(400);
+                    res.end(JSON.stringify({ error: 'Invalid User', message: error.message }));
+                    return;
+                }
+                res.writeHead(201);
+                res.end(JSON.stringify(user));
+            }).catch(() => {
+                res.writeHead(400);
+                res.end(JSON.stringify({ error: 'Bad Request' }));
+            });
+            return;
+        }
+
+        // API: 删除用户（管理员），同时释放其拥有的设备和收到的共享
+        const userMatch = pathname.match(/^\/api\/users\/([^/]+)$/);
+        if (userMatch && req.method === 'DELETE') {
+            const userId = decodeURIComponent(userMatch[1]);
+            if (!requesterOf(req, requestUrl).admin) {
+                res.writeHead(403);
+                res.end(JSON.stringify({ error: 'Forbidden' }));
+                return;
+            }
+            if (!access.removeUser(userId)) {
+                res.writeHead(404);
+                res.end(JSON.stringify({ error: 'User Not Found' }));
+                return;
+            }
+            res.writeHead(200);
+            res.end(JSON.stringify({ success: true, userId: userId }));
+            return;
+        }
+
+        // API: 设备的归属和共享（所有者或管理员）
+        const accessMatch = pathname.match(/^\/api\/devices\/([^/]+)\/access$/);
+        if (accessMatch && req.method === 'GET') {
+            const deviceId = decodeURIComponent(accessMatch[1]);
+            if (!canManageDevice(requesterOf(req, requestUrl), deviceId)) {
+                res.writeHead(403);
+                res.end(JSON.stringify({ error: 'Forbidden' }));
+                return;
+            }
+            res.writeHead(200);
+            res.end(JSON.stringify(access.getDevice(deviceId)));
+            return;
+        }
+
+        // API: 指定或转让设备归属 {userId}（没有归属的设备只能由管理员指定），原有共享随之清除
+        const ownerMatch = pathname.match(/^\/api\/devices\/([^/]+)\/owner$/);
+        if (ownerMatch && req.method === 'PUT') {
+            const deviceId = decodeURIComponent(ownerMatch[1]);
+            if (!canManageDevice(requesterOf(req, requestUrl), deviceId)) {
+                res.writeHead(403);
+                res.end(JSON.stringify({ error: 'Forbidden' }));
+                return;
+            }
+            readJsonBody(req).then((body) => {
+                if (typeof body.userId !== 'string' || !body.userId) {
+                    res.writeHead(400);
+                    res.end(JSON.stringify({ error: 'Missing userId' }));
+                    return;
+                }
+                if (!access.getUser(body.userId)) {
+                    res.writeHead(404);
+                    res.end(JSON.stringify({ error: 'User Not Found' }));
+                    return;
+                }
+                res.writeHead(200);
+                res.end(JSON.stringify(access.setOwner(deviceId, body.userId)));
+            }).catch(() => {
+                res.writeHead(400);
+                res.end(JSON.stringify({ error: 'Bad Request' }));
+            });
+            return;
+        }
+
+        // API: 解除设备归属（所有者或管理员）
+        if (ownerMatch && req.method === 'DELETE') {
+            const deviceId = decodeURIComponent(ownerMatch[1]);
+            if (!canManageDevice(requesterOf(req, requestUrl), deviceId)) {
+                res.writeHead(403);
+                res.end(JSON.stringify({ error: 'Forbidden' }));
+                return;
+            }
+            if (!access.removeOwner(deviceId)) {
+                res.writeHead(404);
+                res.end(JSON.stringify({ error: 'Device Not Owned' }));
+                return;
+            }
+            res.writeHead(200);
+            res.end(JSON.stringify({ success: true, deviceId: deviceId }));
+            return;
+        }
+
+        // API: 共享设备给用户 {level: viewer | talker}，已共享时修改等级（所有者或管理员）
+        const shareMatch = pathname.match(/^\/api\/devices\/([^/]+)\/shares\/([^/]+)$/);
+        if (shareMatch && req.method === 'PUT') {
+            const deviceId = decodeURIComponent(shareMatch[1]);
+            const userId = decodeURIComponent(shareMatch[2]);
+            if (!canManageDevice(requesterOf(req, requestUrl), deviceId)) {
+                res.writeHead(403);
+                res.end(JSON.stringify({ error: 'Forbidden' }));
+                return;
+            }
+            readJsonBody(req).then((body) => {
+                if (!access.getDevice(deviceId).owner) {
+                    res.writeHead(409);
+                    res.end(JSON.stringify({ error: 'Device Not Owned' }));
+                    return;
+                }
+                if (!access.getUser(userId)) {
+                    res.writeHead(404);
+                    res.end(JSON.stringify({ error: 'User Not Found' }));
+                    return;
+                }
+                let device;
+                try {
+                    device = access.share(deviceId, userId, body.level);
+                } catch (error) {
+                    res.writeHead(400);
+                    res.end(JSON.stringify({ error: 'Invalid Share', message: error.message }));
+                    return;
+                }
+                res.writeHead(200);
+                res.end(JSON.stringify(device));
+            }).catch(() => {
+                res.writeHead(400);
+                res.end(JSON.stringify({ error: 'Bad Request' }));
+            });
+            return;
+        }
+
+        // API: 取消共享（所有者、管理员，或被共享的用户自己退出）
+        if (shareMatch && req.method === 'DELETE') {
+            const deviceId = decodeURIComponent(shareMatch[1]);
+            const userId = decodeURIComponent(shareMatch[2]);
+            const requester = requesterOf(req, requestUrl);
+            if (!canManageDevice(requester, deviceId) && requester.userId !== userId) {
+                res.writeHead(403);
+                res.end(JSON.stringify({ error: 'Forbidden' }));
+                return;
+            }
+            if (!access.unshare(deviceId, userId)) {
+                res.writeHead(404);
+                res.end(JSON.stringify({ error: 'Share Not Found' }));
+                return;
+            }
+            res.writeHead(200);
+            res.end(JSON.stringify({ success: true, deviceId: deviceId, userId: userId }));
+            return;
+        }
+
+        // API: 获取直播流地址（LiveStreamResponse）
+        // 有转码任务时返回任务状态（starting / live / failed），否则返回设备登记的直播地址
+        const liveMatch = pathname.match(/^\/api\/video\/live\/([^/]+)$/);
+        if (liveMatch && req.method === 'GET') {
+            const deviceId = decodeURIComponent(liveMatch[1]);
+            if (!mayWatch(identity, deviceId, 'viewer')) {
+                res.writeHead(403);
+                res.end(JSON.stringify({ error: 'Forbidden' }));
+                return;
+            }
+            const job = transcoder.get(deviceId);
+            if (job) {
+                res.writeHead(200);
+                res.end(JSON.stringify({
+                    deviceId: deviceId,
+                    protocol: 'hls',
+                    url: liveHlsUrl(req, identity, deviceId),
+                    status: job.status,
+                    resolution: job.resolution,
+                    bitrate: job.bitrate,
+                    fps: job.fps,
+                    startedAt: job.startedAt,
+                    error: job.error
+                }));
+                return;
+            }
+
+            const device = registry.get(deviceId);
+            if (!device || !device.stream) {
+                res.writeHead(404);
+                res.end(JSON.stringify({ error: 'Stream Not Found' }));
+                return;
+            }
+            res.writeHead(200);
+            res.end(JSON.stringify({
+                deviceId: device.deviceId,
+                protocol: device.stream.protocol,
+                url: device.stream.url,
+                status: isDeviceOnline(device.deviceId) ? 'live' : 'offline'
+            }));
+            return;
+        }
+
+        // API: 启动直播转码（TranscodeResponse），同一设备参数不变时复用进行中的任务
+        const liveStartMatch = pathname.match(/^\/api\/video\/live\/([^/]+)\/start$/);
+        if (liveStartMatch && req.method === 'POST') {
+            const deviceId = decodeURIComponent(liveStartMatch[1]);
+            if (!mayWatch(identity, deviceId, 'talker')) {
+                res.writeHead(403);
+                res.end(JSON.stringify({ error: 'Forbidden' }));
+                return;
+            }
+            readJsonBody(req).then((body) => {
+                if (!registry.get(deviceId)) {
+                    res.writeHead(404);
+                    res.end(JSON.stringify({ error: 'Device Not Found' }));
+                    return;
+                }
+                if (!body.inputUrl) {
+                    res.writeHead(400);
+                    res.end(JSON.stringify({ error: 'Missing inputUrl' }));
+                    return;
+                }
+
+                const device = registry.get(deviceId);
+                let started;
+                try {
+                    started = transcoder.start(deviceId, body, device.stream ? device.stream.url : null);
+                } catch (error) {
+                    res.writeHead(400);
+                    res.end(JSON.stringify({ error: 'Invalid Transcode Options', message: error.message }));
+                    return;
+                }
+
+                started.then((job) => {
+                    res.writeHead(200);
+                    res.end(JSON.stringify({
+                        success: true,
+                        deviceId: deviceId,
+                        hlsUrl: liveHlsUrl(req, identity, deviceId),
+                        status: job.status
+                    }));
+                }).catch((error) => {
+                    requestLog.error(`❌ 启动转码失败: 设备ID=${deviceId}`, { deviceId: deviceId, err: error });
+                    res.writeHead(503);
+                    res.end(JSON.stringify({ error: 'Transcoder Unavailable', message: error.message }));
+                });
+            }).catch(() => {
+                res.writeHead(400);
+                res.end(JSON.stringify({ error: 'Bad Request' }));
+            });
+            return;
+        }
+
+        // API: 停止直播转码
+        const liveStopMatch = pathname.match(/^\/api\/video\/live\/([^/]+)\/stop$/);
+        if (liveStopMatch && req.method === 'POST') {
+            const deviceId = decodeURIComponent(liveStopMatch[1]);
+            if (!mayWatch(identity, deviceId, 'talker')) {
+                res.writeHead(403);
+                res.end(JSON.stringify({ error: 'Forbidden' }));
+                return;
+            }
+            transcoder.stop(deviceId).then((stopped) => {
+                if (!stopped) {
+                    res.writeHead(404);
+                    res.end(JSON.stringify({ error: 'Stream Not Found' }));
+                    return;
+                }
+                res.writeHead(200);
+                res.end(JSON.stringify({ success: true, deviceId: deviceId }));
+            }).catch((error) => {
+                requestLog.error(`❌ 停止转码失败: 设备ID=${deviceId}`, { deviceId: deviceId, err: error });
+                res.writeHead(500);
+                res.end(JSON.stringify({ error: 'Internal Server Error' }));
+            });
+            return;
+        }
+
+        // HLS 播放列表和切片：/hls/<deviceId>/index.m3u8、/hls/<deviceId>/seg_00001.ts
+        // 播放 Token 签发后取消了共享的，不能继续拉取
+        if (hlsMatch && (req.method === 'GET' || req.method === 'HEAD')) {
+            const deviceId = decodeURIComponent(hlsMatch[1]);
+            if (!mayWatch(identity, deviceId, 'viewer')) {
+                res.writeHead(403);
+                res.end(JSON.stringify({ error: 'Forbidden' }));
+                return;
+            }
+            sendHlsFile(req, res, deviceId, decodeURIComponent(hlsMatch[2]));
+            return;
+        }
+
+        // API: 获取录像列表（PlaybackListResponse），?date=YYYY-MM-DD 按日期筛选
+        const playbackMatch = pathname.match(/^\/api\/video\/playback\/([^/]+)$/);
+        if (playbackMatch && req.method === 'GET') {
+            const deviceId = decodeURIComponent(playbackMatch[1]);
+            if (!mayWatch(identity, deviceId, 'viewer')) {
+                res.writeHead(403);
+                res.end(JSON.stringify({ error: 'Forbidden' }));
+                return;
+            }
+            const device = registry.get(deviceId);
+            const stored = recordingStore.list(deviceId);
+            if (!device && stored.length === 0) {
+                res.writeHead(404);
+                res.end(JSON.stringify({ error: 'Device Not Found' }));
+                return;
+            }
+
+            // 注册表中登记的录像 + 服务器录制的录像
+            const date = requestUrl.searchParams.get('date');
+            const recordings = ((device && device.recordings) || [])
+                .concat(stored.map(recording => toRecordingResponse(recording, identity)))
+                .filter(recording => !date || toLocalDate(recording.startTime) === date);
+
+            res.writeHead(200);
+            res.end(JSON.stringify({
+                recordings: recordings,
+                count: recordings.length
+            }));
+            return;
+        }
+
+        // API: 录像文件（支持 Range 请求，可直接用于播放器拖动）
+        if (recordingMediaMatch && (req.method === 'GET' || req.method === 'HEAD')) {
+            const recording = recordingStore.get(decodeURIComponent(recordingMediaMatch[1]));
+            if (!recording || recording.recording) {
+                res.writeHead(404);
+                res.end(JSON.stringify({ error: 'Recording Not Found' }));
+                return;
+            }
+            if (!mayWatch(identity, recording.deviceId, 'viewer')) {
+                res.writeHead(403);
+                res.end(JSON.stringify({ error: 'Forbidden' }));
+                return;
+            }
+            sendRecordingFile(req, res, recording);
+            return;
+        }
+
+        // 404
+        res.writeHead(404);
+        res.end(JSON.stringify({ error: 'Not Found' }));
+    });
+
+    // ICE 服务器配置：内置 TURN 可用时下发其 STUN/TURN 地址和临时凭证，否则只下发公共 STUN
+    function buildIceConfig(req, userId) {
+        if (!turnReady) {
+            return {
+                iceServers: PUBLIC_STUN_SERVERS.map(url => ({ urls: [url] })),
+                ttl: null
+            };
+        }
+
+        // 客户端访问 HTTP 时使用的主机名，TURN 监听在同一台机器上
+        const host = config.turnPublicHost || requestHostname(req);
+        const credentials = createTurnCredentials(TURN_SECRET, userId, TURN_CREDENTIAL_TTL);
+
+        return {
+            iceServers: [
+                { urls: [`stun:${host}:${TURN_PORT}`] },
+                {
+                    urls: [`turn:${host}:${TURN_PORT}?transport=udp`],
+                    username: credentials.username,
+                    credential: credentials.credential
+                }
+            ],
+            ttl: credentials.ttl
+        };
+    }
+
+    // 解析请求 URL 并确认路径中的百分号编码都能解码，不合法时返回 null
+    function parseRequestUrl(rawUrl) {
+        try {
+            const url = new URL(rawUrl, 'http://localhost');
+            decodeURIComponent(url.pathname);
+            return url;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // 客户端访问时使用的主机名（Host 头不合法时为 localhost）
+    function requestHostname(req) {
+        try {
+            return new URL(`http://${req.headers.host || 'localhost'}`).hostname;
+        } catch (error) {
+            return 'localhost';
+        }
+    }
+
+    // 解析时间查询参数：省略时为 null，无法解析时为 NaN
+    function parseTimeParam(value) {
+        if (!value) return null;
+        return /^\d+$/.test(value) ? parseInt(value, 10) : Date.parse(value);
+    }
+
+    // 录像播放 Token 限定的范围，与直播的 deviceId 区分开
+    function recordingStreamId(recordingId) {
+        return `recording:${recordingId}`;
+    }
+
+    // 录像元数据 → iOS Recording 模型
+    // url 以配置的 publicUrl 开头（未配置时为相对路径）；开启鉴权时带上只能拉取这段录像的短期播放 Token，播放器无需再加请求头
+    function toRecordingResponse(recording, identity) {
+        let url = `${(config.publicUrl || '').replace(/\/+$/, '')}/api/recordings/${encodeURIComponent(recording.id)}/media`;
+        if (identity) {
+            url += `?token=${encodeURIComponent(auth.issueStreamToken(identity.deviceId, recordingStreamId(recording.id)))}`;
+        }
+        return {
+            id: recording.id,
+            deviceId: recording.deviceId,
+            startTime: recording.startTime,
+            endTime: recording.endTime,
+            duration: recording.duration,
+            size: recording.size,
+            url: url
+        };
+    }
+
+    // 解析 Range 头（只支持单段 bytes=start-end），不可满足时返回 null
+    function parseRange(header, size) {
+        const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+        if (!match || (match[1] === '' && match[2] === '')) return null;
+
+        let start;
+        let end;
+        if (match[1] === '') {
+            // bytes=-N：最后 N 字节
+            start = Math.max(size - parseInt(match[2], 10), 0);
+            end = size - 1;
+        } else {
+            start = parseInt(match[1], 10);
+            end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+        }
+
+        if (start > end || start >= size) return null;
+        return { start, end };
+    }
+
+    // 发送录像文件，带 Range 时返回 206 部分内容
+    function sendRecordingFile(req, res, recording) {
+        const filePath = recordingStore.filePath(recording);
+        let size;
+        try {
+            size = fs.statSync(filePath).size;
+        } catch (error) {
+            res.writeHead(404);
+            res.end(JSON.stringify({ error: 'Recording Not Found' }));
+            return;
+        }
+
+        res.setHeader('Content-Type', recordingStore.contentType(recording));
+        res.setHeader('Accept-Ranges', 'bytes');
+
+        let range = null;
+        if (req.headers.range) {
+            range = parseRange(req.headers.range, size);
+            if (!range) {
+                res.setHeader('Content-Range', `bytes */${size}`);
+                res.writeHead(416);
+                res.end();
+                return;
+            }
+            res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+        }
+
+        res.setHeader('Content-Length', range ? range.end - range.start + 1 : size);
+        res.writeHead(range ? 206 : 200);
+
+        if (req.method === 'HEAD' || size === 0) {
+            res.end();
+            return;
+        }
+        fs.createReadStream(filePath, range || {}).pipe(res);
+    }
+
+    // 直播 HLS 地址；开启鉴权时带上只能拉取该路直播的短期播放 Token，播放器无需再加请求头
+    function liveHlsUrl(req, identity, deviceId) {
+        const url = `${HTTP_SCHEME}://${req.headers.host}/hls/${encodeURIComponent(deviceId)}/index.m3u8`;
+        if (!identity) return url;
+        return `${url}?token=${encodeURIComponent(auth.issueStreamToken(identity.deviceId, deviceId))}`;
+    }
+
+    // 发送 HLS 文件；播放列表中的切片地址补上请求的播放 Token，拉取即为转码任务续期
+    function sendHlsFile(req, res, deviceId, name) {
+        const filePath = transcoder.resolveFile(deviceId, name);
+        let content;
+        try {
+            content = filePath && fs.readFileSync(filePath);
+        } catch (error) {
+            content = null;
+        }
+        if (!content) {
+            res.writeHead(404);
+            res.end(JSON.stringify({ error: 'Not Found' }));
+            return;
+        }
+        transcoder.touch(deviceId);
+
+        if (name.endsWith('.m3u8')) {
+            const token = new URL(req.url, 'http://localhost').searchParams.get('token');
+            if (token) {
+                content = Buffer.from(content.toString('utf8').split('\n').map(line =>
+                    line && !line.startsWith('#') ? `${line}?token=${encodeURIComponent(token)}` : line
+                ).join('\n'));
+            }
+            res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+            res.setHeader('Cache-Control', 'no-cache');
+        } else {
+            res.setHeader('Content-Type', 'video/mp2t');
+        }
+        res.setHeader('Content-Length', content.length);
         res.writeHead(200);
-        res.end();
-        return;
+        res.end(req.method === 'HEAD' ? undefined : content);
+    }
+
+    // 创建 WebSocket 服务器：信令（/signal）和语音对讲（/intercom）各用一个
+    const wss = new WebSocket.Server({ noServer: true });
+    const intercomWss = new WebSocket.Server({ noServer: true });
+
+    intercomWss.on('connection', (ws, req, identity) => {
+        // 启用鉴权时角色以 Token 为准（不信任 x-role 头）；App 端按用户对设备的权限决定能否发言、能寻呼哪些设备
+        const access = identity
+            ? {
+                role: identity.role,
+                canTalkTo: ACCESS_CONTROL_ENABLED && identity.role === 'app'
+                    ? (deviceId) => mayReach(identity.deviceId, deviceId, 'talker')
+                    : null
+            }
+            : null;
+        intercom.handleConnection(ws, req, access);
+    });
+
+    // 内置 STUN/TURN 服务器，监听成功后 turnReady 为 true
+    // 中继地址须是对端可达的本机 IP，TURN_RELAY_ADDRESS 可覆盖自动探测的局域网地址
+    let turnReady = false;
+    const turnServer = TURN_ENABLED
+        ? createTurnServer({
+            port: TURN_PORT,
+            secret: TURN_SECRET,
+            realm: config.turnRealm,
+            relayAddress: config.turnRelayAddress ||
+                (getLocalIPAddress() === 'localhost' ? '127.0.0.1' : getLocalIPAddress()),
+            minPort: config.turnMinPort,
+            maxPort: config.turnMaxPort
+        })
+        : null;
+
+    if (turnServer) {
+        turnServer.on('allocate', ({ username, relayPort }) => {
+            logger.info(`🔁 TURN 分配中继: 用户=${username} 端口=${relayPort}`, { username, relayPort });
+        });
+        turnServer.on('error', (error) => {
+            logger.warn('⚠️  TURN 服务错误', { err: error });
+        });
+    }
+
+    // 存储连接的客户端: Map<deviceId, {ws, type, role, rooms, presence, declaredStatus, profile, lastSeen, lastHeartbeat}>
+    // profile: register 消息上报的设备信息（name、model、platform、appVersion、capabilities），未注册时为 null
+    // presence: idle（空闲）、busy（振铃中或设备自报忙碌）、in-call（通话中或在房间内）
+    const clients = new Map();
+
+    // 存储进行中的通话: Map<callId, {callId, caller, callee, callType, state, createdAt, answeredAt, endedAt, endReason}>
+    // state: ringing（振铃中）→ active（通话中）→ ended（已结束）
+    const calls = new Map();
+
+    // 设备当前所在通话: Map<deviceId, callId>
+    const deviceCalls = new Map();
+
+    // 本实例设备参与的、由其他实例管理的通话: Map<deviceId, {callId, state, instanceId}>
+    // 通话状态只保存在主叫所在的实例，被叫实例把该设备的通话消息转交过去处理
+    const remoteCalls = new Map();
+
+    // 存储房间: Map<roomId, {id, members: Set<deviceId>, createdAt}>
+    const rooms = new Map();
+
+    // SFU 转发（未启用时为 null，房间内走 Mesh 点对点）
+    const sfu = SFU_ENABLED
+        ? require('./lib/sfu-relay').createSfuRelay({
+            send: sendToDevice,
+            getRoomMembers: (roomId) => rooms.has(roomId) ? Array.from(rooms.get(roomId).members) : []
+        })
+        : null;
+
+    // 进行中的 SFU 录制: Map<"roomId|publisherId", {recorder, entry}>
+    const sfuRecordings = new Map();
+
+    if (sfu && RECORDING_ENABLED) {
+        const { MediaRecorder } = require('werift/nonstandard');
+
+        // 发布者的音视频写入 WebM（werift MediaRecorder 支持 VP8/Opus）
+        sfu.on('publish', ({ roomId, publisherId, tracks }) => {
+            const key = `${roomId}|${publisherId}`;
+            if (tracks.length === 0 || sfuRecordings.has(key)) return;
+
+            const entry = recordingStore.startFileRecording({
+                deviceId: publisherId,
+                kind: 'call',
+                source: 'sfu',
+                roomId: roomId
+            }, 'webm');
+            const recorder = new MediaRecorder({ path: entry.filePath, tracks: tracks });
+            recorder.onError.subscribe((error) => {
+                logger.error(`❌ 录制失败: [${publisherId}]`, { err: error, roomId, deviceId: publisherId });
+            });
+            sfuRecordings.set(key, { recorder, entry });
+        });
+
+        sfu.on('unpublish', ({ roomId, publisherId }) => {
+            const key = `${roomId}|${publisherId}`;
+            const active = sfuRecordings.get(key);
+            if (!active) return;
+
+            sfuRecordings.delete(key);
+            active.recorder.stop()
+                .catch(() => {})
+                .then(() => active.entry.close());
+        });
+    }
+
+    // 其他实例上的设备上线、状态变化或离线
+    backplane.on('device', (deviceId, info) => {
+        const connection = clients.get(deviceId);
+        if (connection && info) {
+            // 设备已重连到其他实例：结束本实例的旧会话（通话不跨实例迁移），再关闭旧连接
+            releaseConnection(deviceId, connection);
+            if (!connection.suspended) {
+                connection.ws.close(4000, 'replaced');
+            }
+            logger.info(`🔁 设备已连接到其他实例，关闭本地连接: 设备ID=${deviceId}`, {
+                deviceId: deviceId,
+                instanceId: info.instanceId
+            });
+        }
+        if (clients.has(deviceId)) return;
+
+        const profile = info && info.profile ? info.profile : deviceProfile(deviceId);
+        sendDeviceStatus({
+            type: 'device-status',
+            deviceId: deviceId,
+            status: info ? 'online' : 'offline',
+            presence: info ? info.presence : 'offline',
+            name: profile.name,
+            capabilities: profile.capabilities,
+            lastHeartbeat: info ? info.lastHeartbeat : null
+        });
+    });
+
+    backplane.on('message', handleBackplaneMessage);
+
+    // 命令状态变化时通知发起方（command-status）
+    commands.on('update', (command) => {
+        if (command.status === 'succeeded' || command.status === 'failed' || command.status === 'timeout') {
+            commandsFinished.inc({ action: command.action, status: command.status });
+            logger.info(`📟 命令结束: 设备ID=${command.deviceId} ${command.action} → ${command.status}`, {
+                deviceId: command.deviceId,
+                commandId: command.commandId,
+                error: command.error
+            });
+        }
+        if (command.from) {
+            sendToDevice(command.from, { type: 'command-status', ...command });
+        }
+    });
+
+    // 设备是否在线
+    function isDeviceOnline(deviceId) {
+        const connection = clients.get(deviceId);
+        if (connection && connection.suspended) return true; // 宽限期内仍视为在线
+        return Boolean(connection &&
+            connection.ws.readyState === WebSocket.OPEN &&
+            Date.now() - connection.lastSeen <= PRESENCE_TIMEOUT);
+    }
+
+    // 注册表中的设备 → iOS Device 模型
+    function toDeviceResponse(device) {
+        return {
+            deviceId: device.deviceId,
+            name: device.name,
+            model: device.model,
+            type: device.type,
+            platform: device.platform || null,
+            appVersion: device.appVersion || null,
+            capabilities: device.capabilities || null,
+            status: isDeviceOnline(device.deviceId) ? 'online' : 'offline',
+            registeredAt: device.registeredAt,
+            lastHeartbeat: device.lastHeartbeat,
+            updateAt: device.updateAt
+        };
+    }
+
+    // 在升级前拒绝连接
+    function rejectUpgrade(socket, statusCode, statusText) {
+        socket.write(`HTTP/1.1 ${statusCode} ${statusText}\r\nConnection: close\r\n\r\n`);
+        socket.destroy();
+    }
+
+    // 按路径选择协议：/signal 为信令，/intercom 为语音对讲
+    // 根路径兼容旧客户端：带 x-role 头的是对讲（原 test-server.js），否则为信令
+    function resolveUpgradeChannel(request, pathname) {
+        if (pathname === '/signal') return 'signal';
+        if (pathname === '/intercom') return 'intercom';
+        if (pathname === '/') return request.headers['x-role'] ? 'intercom' : 'signal';
+        return null;
+    }
+
+    // 处理 WebSocket 升级请求
+    server.on('upgrade', (request, socket, head) => {
+        const url = parseRequestUrl(request.url);
+        if (!url) {
+            rejectUpgrade(socket, 400, 'Bad Request');
+            return;
+        }
+        const channel = resolveUpgradeChannel(request, url.pathname);
+        if (!channel) {
+            logger.info(`❌ 连接被拒绝: 未知路径 ${url.pathname}`, { path: url.pathname });
+            rejectUpgrade(socket, 404, 'Not Found');
+            return;
+        }
+
+        // 浏览器发起的连接带 Origin 头，按 corsOrigins 校验；原生 App 不带 Origin，不受限制
+        const origin = request.headers.origin;
+        if (origin && !resolveCorsOrigin(config.corsOrigins, origin)) {
+            logger.info(`❌ 连接被拒绝: 来源 ${origin} 不在允许列表中`, { origin: origin, channel: channel });
+            rejectUpgrade(socket, 403, 'Forbidden');
+            return;
+        }
+
+        let identity = null;
+
+        if (AUTH_ENABLED) {
+            identity = auth.verifyAccessToken(extractToken(request));
+            if (!identity) {
+                logger.info('❌ 连接被拒绝: Token 无效或已过期', { channel: channel });
+                rejectUpgrade(socket, 401, 'Unauthorized');
+                return;
+            }
+
+            // Token 只能用于签发时的设备ID；对讲时 App 以目标设备ID 连接，不受此限制
+            const deviceId = url.searchParams.get('deviceId');
+            const appIntercom = channel === 'intercom' && identity.role === 'app';
+            if (deviceId && deviceId !== identity.deviceId && !appIntercom) {
+                logger.info(`❌ 连接被拒绝: 设备ID=${deviceId} 与 Token 不匹配`, { deviceId: deviceId, channel: channel });
+                rejectUpgrade(socket, 403, 'Forbidden');
+                return;
+            }
+
+            // App 只能收听有权限的设备
+            if (appIntercom && deviceId && !mayReach(identity.deviceId, deviceId, 'viewer')) {
+                logger.info(`❌ 对讲连接被拒绝: [${identity.deviceId}] 无权访问设备 ${deviceId}`, { deviceId: deviceId, channel: channel });
+                rejectUpgrade(socket, 403, 'Forbidden');
+                return;
+            }
+        }
+
+        if (channel === 'intercom') {
+            intercomWss.handleUpgrade(request, socket, head, (ws) => {
+                intercomWss.emit('connection', ws, request, identity);
+            });
+            return;
+        }
+
+        wss.handleUpgrade(request, socket, head, (ws) => {
+            wss.emit('connection', ws, request, identity);
+        });
+    });
+
+    // WebSocket 连接处理
+    wss.on('connection', (ws, req, identity) => {
+        // 解析连接参数（启用鉴权时设备ID以 Token 为准）
+        const url = new URL(req.url, 'http://localhost');
+        const deviceId = identity ? identity.deviceId : url.searchParams.get('deviceId');
+        const type = url.searchParams.get('type') || 'peer'; // peer, audio
+        const role = identity ? identity.role : null;
+
+        if (!deviceId) {
+            logger.info('❌ 连接被拒绝: 缺少 deviceId 参数');
+            ws.close();
+            return;
+        }
+
+        // 连接关联 ID：该连接上的日志都带 connectionId 和 deviceId
+        const log = logger.child({ connectionId: createCorrelationId(), deviceId: deviceId });
+
+        // 带有效 resumeToken 重连时恢复原会话：沿用房间和通话，不广播上下线
+        let previous = clients.get(deviceId);
+        const resumeToken = previous ? sessions.resume(deviceId, url.searchParams.get('resumeToken')) : null;
+        const resumed = Boolean(resumeToken);
+
+        if (previous && previous.suspended && !resumed) {
+            // 宽限期内没有带令牌重连，先按断开结束原会话
+            releaseConnection(deviceId, previous);
+            log.info(`❌ 断开连接: [${previous.type}] 设备ID=${deviceId} (会话未恢复)`);
+            previous = null;
+        } else if (previous && !previous.suspended) {
+            // 同一设备重复连接时关闭旧连接（如切换网络后旧连接尚未超时）
+            log.info(`🔁 设备重复连接，关闭旧连接: 设备ID=${deviceId}`);
+            previous.ws.close(4000, 'replaced');
+        }
+
+        // 保存客户端连接（重复连接或恢复会话时沿用已加入的房间）
+        const connection = {
+            ws,
+            type,
+            role,
+            rooms: previous ? previous.rooms : new Set(),
+            presence: 'idle',
+            declaredStatus: previous ? previous.declaredStatus : null,
+            profile: previous ? previous.profile : null,
+            suspended: false,
+            lastSeen: Date.now(),
+            lastHeartbeat: toISO8601(Date.now())
+        };
+        clients.set(deviceId, connection);
+        connection.presence = computePresence(deviceId);
+
+        // 收到 pong 说明连接仍然存活
+        ws.on('pong', () => {
+            connection.lastSeen = Date.now();
+        });
+
+        if (resumed) {
+            sessionResumes.inc();
+            log.info(`🔄 会话已恢复: [${type}] 设备ID=${deviceId} (总连接数: ${clients.size})`, {
+                clientType: type,
+                role: role,
+                callId: currentCallId(deviceId)
+            });
+        } else {
+            log.info(`✅ 新连接: [${type}] 设备ID=${deviceId} (总连接数: ${clients.size})`, { clientType: type, role: role });
+        }
+
+        // 下发会话信息，客户端保存 resumeToken 用于断线重连
+        sendToDevice(deviceId, {
+            type: 'session',
+            resumeToken: resumed ? resumeToken : sessions.open(deviceId),
+            resumed: resumed,
+            gracePeriod: SESSION_GRACE_PERIOD,
+            callId: currentCallId(deviceId),
+            rooms: Array.from(connection.rooms)
+        });
+
+        // 设备端首次连接时自动注册（App 端不计入设备列表）
+        if (role !== 'app') {
+            registry.register(deviceId);
+            registry.touch(deviceId);
+        }
+
+        // 接收消息
+        ws.on('message', (message, isBinary) => {
+            connection.lastSeen = Date.now();
+
+            // 二进制数据（音频）
+            if (isBinary) {
+                forwardAudioData(deviceId, message);
+                return;
+            }
+
+            if (message.length > MAX_MESSAGE_SIZE) {
+                sendError(deviceId, 'too-large', `message exceeds ${MAX_MESSAGE_SIZE} bytes`, null);
+                return;
+            }
+
+            let raw;
+            try {
+                raw = JSON.parse(message);
+            } catch (error) {
+                log.warn('⚠️  解析消息失败', { err: error });
+                signalingMessages.inc({ type: 'invalid' });
+                sendError(deviceId, 'invalid-json', error.message, null);
+                return;
+            }
+
+            // 按消息类型校验格式，只保留声明过的字段
+            const result = validateMessage(raw);
+            if (!result.ok) {
+                log.warn(`⚠️  消息格式错误: [${type}] 设备ID=${deviceId} ${result.code}: ${result.message}`, {
+                    code: result.code,
+                    messageId: messageRef(raw)
+                });
+                signalingMessages.inc({ type: 'invalid' });
+                sendError(deviceId, result.code, result.message, messageRef(raw));
+                return;
+            }
+
+            const data = result.message;
+            signalingMessages.inc({ type: data.type });
+            log.info(`📨 收到消息: [${type}] 设备ID=${deviceId} ${data.type}`, {
+                messageType: data.type,
+                messageId: data.id,
+                callId: data.callId,
+                roomId: data.roomId
+            });
+
+            // 通话由其他实例管理时，转交给该实例处理
+            const route = remoteCalls.get(deviceId);
+            if (route && isCallMessage(data)) {
+                sendToInstance(route.instanceId, { kind: 'inbound', deviceId: deviceId, data: data });
+                return;
+            }
+
+            try {
+                dispatchMessage(deviceId, data);
+            } catch (error) {
+                log.error(`⚠️  处理消息失败: [${type}] 设备ID=${deviceId} (${data.type})`, {
+                    err: error,
+                    stack: error.stack,
+                    messageType: data.type,
+                    messageId: data.id
+                });
+                sendError(deviceId, 'internal-error', 'failed to handle message', messageRef(data));
+            }
+        });
+
+        // 连接断开
+        ws.on('close', (code) => {
+            // 已被新连接替换，不再清理
+            if (clients.get(deviceId) !== connection) return;
+
+            // 服务器关闭时不再保留会话、通知对端
+            if (shuttingDown) return;
+
+            // 正常关闭（1000）立即清理；网络切换等异常断开先保留会话，宽限期内可恢复
+            if (SESSION_GRACE_PERIOD > 0 && code !== 1000) {
+                connection.suspended = true;
+                notifyCallPeer(deviceId, 'peer-reconnecting');
+                log.info(`⏸️  连接中断，等待恢复: [${type}] 设备ID=${deviceId} (宽限期 ${SESSION_GRACE_PERIOD}ms)`, { code: code });
+
+                sessions.suspend(deviceId, () => {
+                    if (clients.get(deviceId) !== connection) return;
+                    releaseConnection(deviceId, connection);
+                    log.info(`❌ 断开连接: [${type}] 设备ID=${deviceId} (会话未恢复，剩余连接: ${clients.size})`);
+                });
+                return;
+            }
+
+            releaseConnection(deviceId, connection);
+            log.info(`❌ 断开连接: [${type}] 设备ID=${deviceId} (剩余连接: ${clients.size})`);
+        });
+
+        // 错误处理
+        ws.on('error', (error) => {
+            log.warn(`⚠️  错误 [${type}] 设备ID=${deviceId}`, { err: error });
+        });
+
+        if (resumed) {
+            // 通知通话对端，可在恢复后的信令通道上进行 ICE restart
+            notifyCallPeer(deviceId, 'peer-resumed');
+        } else {
+            // 广播设备上线
+            broadcastDeviceStatus(deviceId, 'online');
+        }
+
+        // 投递断线期间暂存的未接来电和信令消息
+        deliverOfflineMessages(deviceId);
+    });
+
+    // 按消息类型分发信令（本实例连接上的消息，以及其他实例转交的通话消息）
+    function dispatchMessage(deviceId, data) {
+        // 处理不同类型的信令消息
+        switch (data.type) {
+            case 'offer':
+            case 'answer':
+            case 'ice-candidate':
+                // 转发 WebRTC 信令到目标设备（带 roomId 时在房间内转发）
+                if (data.roomId) {
+                    forwardRoomSignaling(deviceId, data);
+                } else {
+                    forwardSignaling(deviceId, data);
+                }
+                break;
+
+            case 'heartbeat':
+                // 应用层心跳
+                handleHeartbeat(deviceId, data);
+                break;
+
+            case 'register':
+                // 上报设备信息与能力
+                handleRegister(deviceId, data);
+                break;
+
+            case 'join-room':
+                // 加入房间
+                handleJoinRoom(deviceId, data);
+                break;
+
+            case 'leave-room':
+                // 离开房间
+                handleLeaveRoom(deviceId, data.roomId);
+                break;
+
+            case 'sfu-publish':
+            case 'sfu-unpublish':
+            case 'sfu-subscribe':
+            case 'sfu-subscribe-answer':
+            case 'sfu-unsubscribe':
+            case 'sfu-ice-candidate':
+                // SFU 发布/订阅
+                handleSfuMessage(deviceId, data);
+                break;
+
+            case 'call':
+                // 发起通话请求
+                handleCallRequest(deviceId, data);
+                break;
+
+            case 'accept':
+                // 接听来电
+                handleCallAccept(deviceId, data);
+                break;
+
+            case 'reject':
+                // 拒接来电
+                handleCallReject(deviceId, data);
+                break;
+
+            case 'hangup':
+                // 挂断通话
+                handleHangup(deviceId, data);
+                break;
+
+            case 'call-stats':
+                // 通话质量统计
+                handleCallStats(deviceId, data);
+                break;
+
+            case 'command':
+                // 向设备下发远程命令
+                handleCommandRequest(deviceId, data);
+                break;
+
+            case 'command-ack':
+            case 'command-result':
+                // 设备确认命令、回报结果
+                handleCommandReply(deviceId, data);
+                break;
+        }
+    }
+
+    // 需要由通话所在实例处理的消息
+    function isCallMessage(data) {
+        switch (data.type) {
+            case 'call':
+            case 'accept':
+            case 'reject':
+            case 'hangup':
+            case 'call-stats':
+                return true;
+            case 'offer':
+            case 'answer':
+            case 'ice-candidate':
+                return !data.roomId;
+            default:
+                return false;
+        }
+    }
+
+    // 释放断开设备占用的资源：退出房间、结束通话、广播离线
+    function releaseConnection(deviceId, connection) {
+        sessions.discard(deviceId);
+
+        // 先移除连接，避免退出房间、结束通话时再广播中间状态
+        clients.delete(deviceId);
+
+        // 退出所有已加入的房间
+        for (const roomId of Array.from(connection.rooms)) {
+            handleLeaveRoom(deviceId, roomId);
+        }
+
+        // 结束该设备所在的通话（通话在其他实例时通知该实例结束）
+        const route = remoteCalls.get(deviceId);
+        if (route) {
+            remoteCalls.delete(deviceId);
+            sendToInstance(route.instanceId, { kind: 'call-event', deviceId: deviceId, event: 'disconnected' });
+        } else {
+            endDeviceCall(deviceId);
+        }
+
+        registry.touch(deviceId, connection.lastSeen);
+
+        // 通知其他客户端
+        broadcastDeviceStatus(deviceId, 'offline');
+    }
+
+    // 设备断开时结束其所在的通话，并通知对端
+    function endDeviceCall(deviceId) {
+        const callId = deviceCalls.get(deviceId);
+        if (!callId) return;
+
+        const call = calls.get(callId);
+        const peerId = call.caller === deviceId ? call.callee : call.caller;
+        sendToDevice(peerId, {
+            type: 'hangup',
+            from: deviceId,
+            callId: callId,
+            reason: 'disconnected'
+        });
+        endCall(call, 'disconnected');
+    }
+
+    // 设备当前通话的 callId（包括由其他实例管理的通话）
+    function currentCallId(deviceId) {
+        const route = remoteCalls.get(deviceId);
+        return route ? route.callId : (deviceCalls.get(deviceId) || null);
+    }
+
+    // 通知通话对端本设备的连接状态（peer-reconnecting / peer-resumed）
+    function notifyCallPeer(deviceId, type) {
+        const route = remoteCalls.get(deviceId);
+        if (route) {
+            sendToInstance(route.instanceId, { kind: 'call-event', deviceId: deviceId, event: type });
+            return;
+        }
+
+        const call = findDeviceCall(deviceId);
+        if (!call) return;
+
+        const peerId = call.caller === deviceId ? call.callee : call.caller;
+        sendToDevice(peerId, {
+            type: type,
+            from: deviceId,
+            callId: call.callId
+        });
+    }
+
+    // 转发 WebRTC 信令消息
+    function forwardSignaling(fromDeviceId, data) {
+        const targetDeviceId = data.to;
+        if (!targetDeviceId) {
+            logger.warn('⚠️  缺少目标设备ID', { deviceId: fromDeviceId });
+            return;
+        }
+
+        // 没有进行中的通话时按权限检查（通话建立时已检查过）
+        const call = findCallBetween(fromDeviceId, targetDeviceId);
+        if (!call && !mayReach(fromDeviceId, targetDeviceId, 'viewer')) {
+            forwardFailures.inc({ type: data.type, reason: 'forbidden' });
+            sendError(fromDeviceId, 'forbidden', `no access to ${targetDeviceId}`, messageRef(data));
+            logger.warn(`🚫 无权限，信令未转发: [${fromDeviceId}] → [${targetDeviceId}] (${data.type})`, {
+                deviceId: fromDeviceId,
+                to: targetDeviceId,
+                messageType: data.type
+            });
+            return;
+        }
+
+        // 被叫方直接回 offer/answer（旧版客户端没有 accept 消息）视为接听
+        if (call && call.state === 'ringing' && call.callee === fromDeviceId &&
+            (data.type === 'offer' || data.type === 'answer')) {
+            acceptCall(call);
+        }
+
+        const signaling = {
+            ...data,
+            from: fromDeviceId
+        };
+        if (call && !signaling.callId) {
+            signaling.callId = call.callId;
+        }
+
+        const targetConnection = clients.get(targetDeviceId);
+        if (targetConnection && targetConnection.suspended) {
+            // 对端正在恢复会话，暂存后随恢复一起补发
+            offlineStore.enqueueMessage(targetDeviceId, signaling);
+            logger.info(`⏸️  目标设备等待恢复，信令已暂存: [${targetDeviceId}] (${data.type})`, {
+                deviceId: fromDeviceId,
+                to: targetDeviceId,
+                messageType: data.type,
+                callId: signaling.callId
+            });
+        } else if (targetConnection && targetConnection.ws.readyState === WebSocket.OPEN) {
+            targetConnection.ws.send(JSON.stringify(signaling));
+            logger.info(`📡 转发信令: [${fromDeviceId}] → [${targetDeviceId}] (${data.type})`, {
+                deviceId: fromDeviceId,
+                to: targetDeviceId,
+                messageType: data.type,
+                callId: signaling.callId
+            });
+        } else if (!targetConnection && backplane.getDevice(targetDeviceId)) {
+            // 目标设备连接在其他实例上
+            const remote = backplane.getDevice(targetDeviceId);
+            sendToInstance(remote.instanceId, { kind: 'deliver', deviceId: targetDeviceId, message: signaling });
+            logger.info(`📡 转发信令: [${fromDeviceId}] → [${targetDeviceId}] (${data.type}, 实例 ${remote.instanceId})`, {
+                deviceId: fromDeviceId,
+                to: targetDeviceId,
+                messageType: data.type,
+                callId: signaling.callId,
+                instanceId: remote.instanceId
+            });
+        } else {
+            // 暂存，设备短暂掉线重连后仍可收到
+            offlineStore.enqueueMessage(targetDeviceId, signaling);
+            forwardFailures.inc({ type: data.type, reason: 'target-offline' });
+            logger.warn(`⚠️  目标设备未连接，信令已暂存: [${targetDeviceId}] (${data.type})`, {
+                deviceId: fromDeviceId,
+                to: targetDeviceId,
+                messageType: data.type,
+                callId: signaling.callId
+            });
+        }
+    }
+
+    // 查找两台设备之间进行中的通话
+    function findCallBetween(deviceA, deviceB) {
+        const callId = deviceCalls.get(deviceA);
+        if (!callId) return null;
+
+        const call = calls.get(callId);
+        if (call && (call.caller === deviceB || call.callee === deviceB)) {
+            return call;
+        }
+        return null;
+    }
+
+    // 按 callId 查找设备参与的通话，未指定 callId 时取设备当前通话
+    function findDeviceCall(deviceId, callId) {
+        const call = calls.get(callId || deviceCalls.get(deviceId));
+        if (call && (call.caller === deviceId || call.callee === deviceId)) {
+            return call;
+        }
+        return null;
+    }
+
+    // 通话信息（不含内部定时器）
+    function describeCall(call) {
+        return {
+            callId: call.callId,
+            caller: call.caller,
+            callee: call.callee,
+            callType: call.callType,
+            state: call.state,
+            createdAt: call.createdAt,
+            answeredAt: call.answeredAt,
+            endedAt: call.endedAt,
+            endReason: call.endReason
+        };
+    }
+
+    // 创建通话记录
+    function createCall(caller, callee, callType) {
+        const call = {
+            callId: crypto.randomBytes(8).toString('hex'),
+            caller: caller,
+            callee: callee,
+            callType: callType,
+            state: 'ringing',
+            createdAt: new Date().toISOString(),
+            answeredAt: null,
+            endedAt: null,
+            endReason: null,
+            ringTimer: null
+        };
+        calls.set(call.callId, call);
+        callStats.trackCall(describeCall(call));
+        return call;
+    }
+
+    // 通话接通
+    function acceptCall(call) {
+        clearTimeout(call.ringTimer);
+        call.ringTimer = null;
+        call.state = 'active';
+        call.answeredAt = new Date().toISOString();
+        callStats.trackCall(describeCall(call));
+        publishCallRoutes(call);
+        callSetupSeconds.observe({ callType: call.callType },
+            (Date.parse(call.answeredAt) - Date.parse(call.createdAt)) / 1000);
+        refreshPresence(call.caller);
+        refreshPresence(call.callee);
+
+        sendToDevice(call.caller, {
+            type: 'call-accepted',
+            callId: call.callId,
+            from: call.callee,
+            callType: call.callType
+        });
+        logger.info(`✅ 通话接通: [${call.caller}] ↔ [${call.callee}] (${call.callId})`, callLogFields(call));
+    }
+
+    // 结束通话并释放双方占用
+    // reason: hangup, cancelled, rejected, timeout, busy, offline, disconnected, shutdown
+    function endCall(call, reason) {
+        if (call.state === 'ended') return;
+
+        clearTimeout(call.ringTimer);
+        call.ringTimer = null;
+        call.state = 'ended';
+        call.endedAt = new Date().toISOString();
+        call.endReason = reason;
+
+        for (const deviceId of [call.caller, call.callee]) {
+            if (deviceCalls.get(deviceId) === call.callId) {
+                deviceCalls.delete(deviceId);
+            }
+        }
+        calls.delete(call.callId);
+        callStats.trackCall(describeCall(call));
+        callHistory.record(describeCall(call));
+        callsEnded.inc({ reason: reason });
+        publishCallRoutes(call);
+        refreshPresence(call.caller);
+        refreshPresence(call.callee);
+
+        logger.info(`🔚 通话结束: [${call.caller}] → [${call.callee}] (${call.callId}, ${reason})`, {
+            ...callLogFields(call),
+            reason: reason
+        });
+    }
+
+    // 把通话状态同步给参与方所在的其他实例（通话结束时清除）
+    function publishCallRoutes(call) {
+        for (const deviceId of [call.caller, call.callee]) {
+            if (clients.has(deviceId)) continue;
+
+            const remote = backplane.getDevice(deviceId);
+            if (!remote) continue;
+
+            sendToInstance(remote.instanceId, {
+                kind: 'call-route',
+                deviceId: deviceId,
+                callId: call.callId,
+                state: call.state === 'ended' ? null : call.state
+            });
+        }
+    }
+
+    // 通话日志的关联字段
+    function callLogFields(call) {
+        return {
+            callId: call.callId,
+            caller: call.caller,
+            callee: call.callee,
+            callType: call.callType
+        };
+    }
+
+    // 处理通话请求
+    function handleCallRequest(fromDeviceId, data) {
+        const targetDeviceId = data.to;
+        if (!targetDeviceId) {
+            logger.warn('⚠️  缺少目标设备ID', { deviceId: fromDeviceId });
+            return;
+        }
+
+        const callType = data.callType || 'video'; // video, audio
+
+        // 主叫方已在通话中
+        if (deviceCalls.has(fromDeviceId)) {
+            sendToDevice(fromDeviceId, {
+                type: 'call-failed',
+                reason: 'already-in-call',
+                target: targetDeviceId,
+                callId: deviceCalls.get(fromDeviceId)
+            });
+            return;
+        }
+
+        // 语音通话需要 talker 权限，视频通话（观看）需要 viewer 权限
+        if (!mayReach(fromDeviceId, targetDeviceId, callType === 'audio' ? 'talker' : 'viewer')) {
+            forwardFailures.inc({ type: 'call', reason: 'forbidden' });
+            sendToDevice(fromDeviceId, {
+                type: 'call-failed',
+                reason: 'forbidden',
+                target: targetDeviceId
+            });
+            logger.warn(`🚫 无权限呼叫: [${fromDeviceId}] → [${targetDeviceId}] (${callType})`, {
+                deviceId: fromDeviceId,
+                to: targetDeviceId,
+                callType: callType
+            });
+            return;
+        }
+
+        const call = createCall(fromDeviceId, targetDeviceId, callType);
+
+        // 被叫可能连接在本实例，也可能在其他实例上；
+        // 处于会话宽限期的被叫仍视为可达，来电暂存到恢复后补发，由振铃超时决定结果
+        const targetConnection = clients.get(targetDeviceId);
+        const remoteTarget = targetConnection ? null : backplane.getDevice(targetDeviceId);
+        const targetReachable = remoteTarget || (targetConnection &&
+            (targetConnection.suspended || targetConnection.ws.readyState === WebSocket.OPEN));
+        if (!targetReachable) {
+            // 目标设备不在线：记录未接来电并触发离线通知，再通知发起者
+            const missedCall = {
+                callId: call.callId,
+                from: fromDeviceId,
+                callType: callType,
+                time: call.createdAt
+            };
+            offlineStore.addMissedCall(targetDeviceId, missedCall);
+            forwardFailures.inc({ type: 'call', reason: 'target-offline' });
+            notifier.notify({
+                event: 'incoming-call',
+                deviceId: targetDeviceId,
+                ...missedCall
+            });
+
+            sendToDevice(fromDeviceId, {
+                type: 'call-failed',
+                reason: 'target-offline',
+                target: targetDeviceId,
+                callId: call.callId
+            });
+            endCall(call, 'offline');
+            return;
+        }
+
+        // 被叫方声明不支持该通话类型（如只有音频的对讲设备收到视频通话）
+        const targetCapabilities = remoteTarget
+            ? (remoteTarget.profile ? remoteTarget.profile.capabilities : null)
+            : deviceProfile(targetDeviceId).capabilities;
+        if (!supportsCallType(targetCapabilities, callType)) {
+            sendToDevice(fromDeviceId, {
+                type: 'call-failed',
+                reason: 'unsupported-call-type',
+                target: targetDeviceId,
+                callId: call.callId,
+                callType: callType,
+                capabilities: targetCapabilities
+            });
+            logger.info(`🚫 对方不支持该通话类型: [${fromDeviceId}] → [${targetDeviceId}] (${callType})`, callLogFields(call));
+            endCall(call, 'unsupported');
+            return;
+        }
+
+        // 被叫方正在通话、振铃中或自报忙碌
+        const targetBusy = remoteTarget
+            ? remoteTarget.inCall || remoteTarget.declaredStatus === 'busy'
+            : targetConnection.declaredStatus === 'busy';
+        if (deviceCalls.has(targetDeviceId) || targetBusy) {
+            sendToDevice(fromDeviceId, {
+                type: 'busy',
+                target: targetDeviceId,
+                callId: call.callId
+            });
+            logger.info(`📵 对方忙线: [${fromDeviceId}] → [${targetDeviceId}]`, callLogFields(call));
+            endCall(call, 'busy');
+            return;
+        }
+
+        deviceCalls.set(fromDeviceId, call.callId);
+        deviceCalls.set(targetDeviceId, call.callId);
+        refreshPresence(fromDeviceId);
+        refreshPresence(targetDeviceId);
+
+        call.ringTimer = setTimeout(() => {
+            const timeout = {
+                type: 'call-timeout',
+                callId: call.callId
+            };
+            sendToDevice(call.caller, { ...timeout, target: call.callee });
+            sendToDevice(call.callee, { ...timeout, from: call.caller });
+            logger.info(`⏰ 无人接听: [${call.caller}] → [${call.callee}] (${call.callId})`, callLogFields(call));
+            endCall(call, 'timeout');
+        }, CALL_RING_TIMEOUT);
+
+        publishCallRoutes(call);
+        sendToDevice(targetDeviceId, {
+            type: 'incoming-call',
+            from: fromDeviceId,
+            callId: call.callId,
+            callType: callType
+        });
+        sendToDevice(fromDeviceId, {
+            type: 'call-ringing',
+            target: targetDeviceId,
+            callId: call.callId,
+            callType: callType
+        });
+        logger.info(`📞 通话请求: [${fromDeviceId}] → [${targetDeviceId}] (${callType}, ${call.callId})`, callLogFields(call));
+    }
+
+    // 处理接听
+    function handleCallAccept(fromDeviceId, data) {
+        const call = findDeviceCall(fromDeviceId, data.callId);
+        if (!call || call.callee !== fromDeviceId || call.state !== 'ringing') {
+            sendToDevice(fromDeviceId, {
+                type: 'call-failed',
+                reason: 'no-such-call',
+                callId: data.callId
+            });
+            return;
+        }
+
+        acceptCall(call);
+    }
+
+    // 处理拒接
+    function handleCallReject(fromDeviceId, data) {
+        const call = findDeviceCall(fromDeviceId, data.callId);
+        if (!call || call.callee !== fromDeviceId || call.state !== 'ringing') {
+            sendToDevice(fromDeviceId, {
+                type: 'call-failed',
+                reason: 'no-such-call',
+                callId: data.callId
+            });
+            return;
+        }
+
+        sendToDevice(call.caller, {
+            type: 'call-rejected',
+            callId: call.callId,
+            from: fromDeviceId,
+            reason: data.reason || 'declined'
+        });
+        logger.info(`🙅 拒接通话: [${call.caller}] → [${fromDeviceId}] (${call.callId})`, callLogFields(call));
+        endCall(call, 'rejected');
+    }
+
+    // 处理挂断
+    function handleHangup(fromDeviceId, data) {
+        const call = data.callId
+            ? findDeviceCall(fromDeviceId, data.callId)
+            : findCallBetween(fromDeviceId, data.to);
+
+        const targetDeviceId = call
+            ? (call.caller === fromDeviceId ? call.callee : call.caller)
+            : data.to;
+        if (!targetDeviceId) return;
+
+        // 没有进行中的通话时按权限检查，与其他信令一样
+        if (!call && !mayReach(fromDeviceId, targetDeviceId, 'viewer')) {
+            forwardFailures.inc({ type: data.type, reason: 'forbidden' });
+            sendError(fromDeviceId, 'forbidden', `no access to ${targetDeviceId}`, messageRef(data));
+            logger.warn(`🚫 无权限，挂断未转发: [${fromDeviceId}] → [${targetDeviceId}]`, {
+                deviceId: fromDeviceId,
+                to: targetDeviceId
+            });
+            return;
+        }
+
+        const hangup = {
+            type: 'hangup',
+            from: fromDeviceId,
+            callId: call ? call.callId : undefined
+        };
+        if (sendToDevice(targetDeviceId, hangup)) {
+            logger.info(`📴 挂断通话: [${fromDeviceId}] → [${targetDeviceId}]`, {
+                deviceId: fromDeviceId,
+                to: targetDeviceId,
+                callId: hangup.callId
+            });
+        } else {
+            // 对方离线时暂存，避免重连后收到之前暂存的 offer 却收不到挂断
+            offlineStore.enqueueMessage(targetDeviceId, hangup);
+        }
+
+        if (call) {
+            // 主叫在振铃阶段挂断视为取消
+            endCall(call, call.state === 'ringing' ? 'cancelled' : 'hangup');
+        }
+    }
+
+    // 记录通话质量统计，只接受通话双方在接通后上报
+    function handleCallStats(fromDeviceId, data) {
+        const call = findDeviceCall(fromDeviceId, data.callId);
+        if (!call || call.state !== 'active') {
+            sendError(fromDeviceId, 'not-in-call', 'call-stats requires an active call', messageRef(data));
+            return;
+        }
+
+        const { type, v, id, callId, ...sample } = data;
+        callStats.record(call.callId, fromDeviceId, sample);
     }
 
-    // API: 健康检查（用于服务器发现）
-    if (req.url === '/api/health' && req.method === 'GET') {
-        res.writeHead(200);
-        res.end(JSON.stringify({
-            name: 'SimpleEyes WebRTC 信令服务器',
-            status: 'ok',
-            port: PORT,
-            clients: clients.size
-        }));
-        return;
+    // 设备是否可以接收命令（本实例或其他实例上在线）
+    function isCommandTargetOnline(deviceId) {
+        return isDeviceOnline(deviceId) || Boolean(backplane.getDevice(deviceId));
     }
 
-    // API: 获取在线设备列表
-    if (req.url === '/api/devices/online' && req.method === 'GET') {
-        const onlineDevices = [];
-        const deviceSet = new Set();
+    // 设备是否支持该命令：只有 register 时声明了 capabilities.commands 且不含该命令才视为不支持
+    function supportsCommand(capabilities, action) {
+        return !capabilities || !Array.isArray(capabilities.commands) || capabilities.commands.includes(action);
+    }
 
-        for (const [deviceId, connection] of clients.entries()) {
-            if (connection.ws.readyState === WebSocket.OPEN) {
-                deviceSet.add(deviceId);
-            }
+    /**
+     * 创建命令并下发给设备（HTTP API 和信令连接共用）
+     * @returns {{command: Object} | {reason: string, message: string}}
+     *          reason: target-offline / unsupported-command / invalid-command
+     */
+    function issueCommand(request) {
+        const { deviceId, action } = request;
+        if (!isCommandTargetOnline(deviceId)) {
+            return { reason: 'target-offline', message: `device ${deviceId} is offline` };
         }
 
-        // 转换为数组
-        deviceSet.forEach(deviceId => {
-            onlineDevices.push({
-                deviceId: deviceId,
-                status: 'online',
-                name: `设备 ${deviceId}`
-            });
-        });
+        const remote = clients.has(deviceId) ? null : backplane.getDevice(deviceId);
+        const profile = remote && remote.profile ? remote.profile : deviceProfile(deviceId);
+        if (!supportsCommand(profile.capabilities, action)) {
+            return { reason: 'unsupported-command', message: `device ${deviceId} does not support ${action}` };
+        }
 
-        res.writeHead(200);
-        res.end(JSON.stringify({
-            devices: onlineDevices,
-            count: onlineDevices.length
-        }));
-        return;
+        let command;
+        try {
+            command = commands.create(request);
+        } catch (error) {
+            return { reason: 'invalid-command', message: error.message };
+        }
+
+        sendToDevice(deviceId, {
+            type: 'command',
+            commandId: command.commandId,
+            from: command.from,
+            action: command.action,
+            params: command.params,
+            timeout: request.timeout
+        });
+        logger.info(`📟 下发命令: 设备ID=${deviceId} ${action} (${command.commandId})`, {
+            deviceId: deviceId,
+            commandId: command.commandId,
+            from: command.from
+        });
+        return { command: command };
     }
 
-    // 404
-    res.writeHead(404);
-    res.end(JSON.stringify({ error: 'Not Found' }));
-});
+    // 处理信令连接上的命令请求：结果以 command-status 推送给发起方，无法下发时回复 command-failed
+    function handleCommandRequest(fromDeviceId, data) {
+        const connection = clients.get(fromDeviceId);
+        let failure = null;
+        if (connection && connection.role === 'device') {
+            failure = { reason: 'forbidden', message: 'devices cannot send commands' };
+        } else if (data.to === fromDeviceId) {
+            failure = { reason: 'invalid-command', message: 'cannot send a command to yourself' };
+        } else if (!mayReach(fromDeviceId, data.to, 'talker')) {
+            failure = { reason: 'forbidden', message: `no access to ${data.to}` };
+        } else {
+            const issued = issueCommand({
+                deviceId: data.to,
+                action: data.action,
+                params: data.params,
+                from: fromDeviceId,
+                ref: data.id,
+                timeout: data.timeout
+            });
+            failure = issued.command ? null : issued;
+        }
+
+        if (failure) {
+            sendToDevice(fromDeviceId, {
+                type: 'command-failed',
+                to: data.to,
+                action: data.action,
+                reason: failure.reason,
+                message: failure.message,
+                ref: messageRef(data)
+            });
+        }
+    }
 
-// 创建 WebSocket 服务器
-const wss = new WebSocket.Server({ noServer: true });
+    // 处理设备的 command-ack / command-result；命令由其他实例下发时转交回该实例
+    function handleCommandReply(deviceId, data) {
+        const updated = data.type === 'command-ack'
+            ? commands.ack(deviceId, data.commandId)
+            : commands.complete(deviceId, data.commandId, data);
+        if (updated) return;
+
+        const origin = commandOrigins.get(data.commandId);
+        if (origin) {
+            if (data.type === 'command-result') commandOrigins.delete(data.commandId);
+            sendToInstance(origin, { kind: 'inbound', deviceId: deviceId, data: data });
+            return;
+        }
 
-// 存储连接的客户端: Map<deviceId, {ws, type}>
-const clients = new Map();
+        // 未知、已超时或已回报过结果的命令
+        sendError(deviceId, 'unknown-command', `no pending command ${data.commandId}`, messageRef(data));
+    }
 
-// 处理 WebSocket 升级请求
-server.on('upgrade', (request, socket, head) => {
-    wss.handleUpgrade(request, socket, head, (ws) => {
-        wss.emit('connection', ws, request);
-    });
-});
+    // 记录其他实例下发的命令来源，只保留最近的 1000 条
+    function rememberCommandOrigin(commandId, instanceId) {
+        commandOrigins.set(commandId, instanceId);
+        if (commandOrigins.size > 1000) {
+            commandOrigins.delete(commandOrigins.keys().next().value);
+        }
+    }
 
-// WebSocket 连接处理
-wss.on('connection', (ws, req) => {
-    // 解析连接参数
-    const url = new URL(req.url, 'http://localhost');
-    const deviceId = url.searchParams.get('deviceId');
-    const type = url.searchParams.get('type') || 'peer'; // peer, audio
+    // 发送消息给指定设备，设备处于会话宽限期时暂存，恢复后补发
+    function sendToDevice(deviceId, message) {
+        const connection = clients.get(deviceId);
+        if (connection && connection.ws.readyState === WebSocket.OPEN) {
+            connection.ws.send(JSON.stringify(message));
+            return true;
+        }
+        if (connection && connection.suspended) {
+            offlineStore.enqueueMessage(deviceId, message);
+            return true;
+        }
 
-    if (!deviceId) {
-        console.log('❌ 连接被拒绝: 缺少 deviceId 参数');
-        ws.close();
-        return;
+        // 连接在其他实例上的设备经背板投递
+        const remote = connection ? null : backplane.getDevice(deviceId);
+        if (remote) {
+            sendToInstance(remote.instanceId, { kind: 'deliver', deviceId: deviceId, message: message });
+            return true;
+        }
+        return false;
     }
 
-    // 保存客户端连接
-    clients.set(deviceId, { ws, type });
+    // 发送背板消息给其他实例
+    function sendToInstance(instanceId, envelope) {
+        backplaneMessages.inc({ direction: 'out', kind: envelope.kind });
+        backplane.send(instanceId, envelope);
+    }
 
-    console.log(`✅ 新连接: [${type}] 设备ID=${deviceId} (总连接数: ${clients.size})`);
+    // 处理其他实例发来的背板消息
+    function handleBackplaneMessage(envelope) {
+        backplaneMessages.inc({ direction: 'in', kind: envelope.kind });
 
-    // 接收消息
-    ws.on('message', (message) => {
-        try {
-            const data = JSON.parse(message);
-            console.log(`📨 收到消息: [${type}] 设备ID=${deviceId}`, data.type || data);
-
-            // 处理不同类型的信令消息
-            switch (data.type) {
-                case 'offer':
-                case 'answer':
-                case 'ice-candidate':
-                    // 转发 WebRTC 信令到目标设备
-                    forwardSignaling(deviceId, data);
-                    break;
-
-                case 'call':
-                    // 发起通话请求
-                    handleCallRequest(deviceId, data);
-                    break;
-
-                case 'hangup':
-                    // 挂断通话
-                    handleHangup(deviceId, data);
-                    break;
-
-                default:
-                    // 其他消息类型（音频数据等）
-                    if (Buffer.isBuffer(message) || data.audio) {
-                        // 转发音频数据
-                        forwardAudioData(deviceId, message);
-                    }
-            }
-        } catch (error) {
-            // 二进制数据（音频）
-            if (Buffer.isBuffer(message)) {
-                forwardAudioData(deviceId, message);
-            } else {
-                console.log(`⚠️  解析消息失败: ${error.message}`);
+        switch (envelope.kind) {
+            case 'deliver': {
+                // 投递给本实例的设备；设备已离开时按离线消息暂存
+                const connection = clients.get(envelope.deviceId);
+                if (envelope.message.type === 'command') {
+                    rememberCommandOrigin(envelope.message.commandId, envelope.from);
+                }
+                if (connection && connection.ws.readyState === WebSocket.OPEN) {
+                    connection.ws.send(JSON.stringify(envelope.message));
+                } else {
+                    offlineStore.enqueueMessage(envelope.deviceId, envelope.message);
+                }
+                break;
             }
+
+            case 'inbound':
+                // 其他实例转交的通话消息，按本实例的通话状态处理
+                try {
+                    dispatchMessage(envelope.deviceId, envelope.data);
+                } catch (error) {
+                    logger.error(`⚠️  处理转交消息失败: 设备ID=${envelope.deviceId} (${envelope.data.type})`, {
+                        err: error,
+                        deviceId: envelope.deviceId,
+                        instanceId: envelope.from
+                    });
+                }
+                break;
+
+            case 'call-route':
+                // 本实例设备参与的通话状态（由通话所在实例同步）
+                if (envelope.state) {
+                    remoteCalls.set(envelope.deviceId, {
+                        callId: envelope.callId,
+                        state: envelope.state,
+                        instanceId: envelope.from
+                    });
+                } else if ((remoteCalls.get(envelope.deviceId) || {}).callId === envelope.callId) {
+                    remoteCalls.delete(envelope.deviceId);
+                }
+                refreshPresence(envelope.deviceId);
+                break;
+
+            case 'call-event':
+                // 参与方所在实例上报的连接变化
+                if (envelope.event === 'disconnected') {
+                    endDeviceCall(envelope.deviceId);
+                } else {
+                    notifyCallPeer(envelope.deviceId, envelope.event);
+                }
+                break;
         }
-    });
+    }
 
-    // 连接断开
-    ws.on('close', () => {
-        clients.delete(deviceId);
-        console.log(`❌ 断开连接: [${type}] 设备ID=${deviceId} (剩余连接: ${clients.size})`);
+    // 错误回复中引用的原消息：优先使用客户端提供的 id，否则为消息类型
+    function messageRef(data) {
+        if (!data || typeof data !== 'object') return null;
+        if (data.id !== undefined) return data.id;
+        return typeof data.type === 'string' ? data.type : null;
+    }
 
-        // 通知其他客户端
-        broadcastDeviceStatus(deviceId, 'offline');
-    });
+    // 客户端身份: {deviceId, role, userId}，未登记在密钥文件中的按没有归属的设备处理
+    function principalOf(deviceId) {
+        return auth.describeClient(deviceId) || { deviceId: deviceId, role: 'device', userId: null };
+    }
 
-    // 错误处理
-    ws.on('error', (error) => {
-        console.log(`⚠️  错误 [${type}] 设备ID=${deviceId}:`, error.message);
-    });
+    // fromDeviceId 能否以 level 权限联系 toDeviceId（见 access-control 的 mayReach），关闭权限检查时总是允许
+    function mayReach(fromDeviceId, toDeviceId, level) {
+        if (!ACCESS_CONTROL_ENABLED) return true;
+        return access.mayReach(principalOf(fromDeviceId), principalOf(toDeviceId), level);
+    }
+
+    // HTTP 请求方对应的用户: {userId, admin}，只有 App 的 Token 对应用户
+    // 关闭鉴权时视为管理员，可用 ?userId= 指定查询的用户
+    function requesterOf(req, requestUrl) {
+        if (!AUTH_ENABLED) {
+            return { userId: requestUrl.searchParams.get('userId'), admin: true };
+        }
+        const identity = auth.verifyAccessToken(extractToken(req));
+        const principal = identity ? principalOf(identity.deviceId) : null;
+        const userId = principal && principal.role === 'app' ? principal.userId : null;
+        return { userId: userId, admin: access.isAdmin(userId) };
+    }
+
+    // 能否管理设备的归属和共享：管理员或设备所有者
+    function canManageDevice(requester, deviceId) {
+        return requester.admin || access.levelOf(requester.userId, deviceId) === 'owner';
+    }
+
+    // HTTP 请求方能否查看设备的信息（在线状态、房间、通话、对讲、命令）：设备自己、能以 viewer 权限联系它，或管理员
+    // identity 为 null（关闭鉴权）或关闭权限检查时总是允许
+    function mayView(identity, deviceId) {
+        if (!ACCESS_CONTROL_ENABLED || !identity || identity.deviceId === deviceId) return true;
+        if (mayReach(identity.deviceId, deviceId, 'viewer')) return true;
+        const principal = principalOf(identity.deviceId);
+        return principal.role === 'app' && access.isAdmin(principal.userId);
+    }
+
+    // 通话（或通话记录）有一方能查看即可
+    function mayViewCall(identity, call) {
+        return mayView(identity, call.caller) || mayView(identity, call.callee);
+    }
+
+    // 房间有成员能查看即可（入会时已要求成员之间互相可见）
+    function mayViewRoom(identity, room) {
+        return !ACCESS_CONTROL_ENABLED || !identity || Array.from(room.members).some(member => mayView(identity, member));
+    }
+
+    // HTTP 请求方能否以 level 权限观看设备的直播和录像（管理员不例外）
+    function mayWatch(identity, deviceId, level) {
+        return !identity || identity.deviceId === deviceId || mayReach(identity.deviceId, deviceId, level);
+    }
+
+    // 回复结构化错误
+    function sendError(deviceId, code, message, ref) {
+        signalingErrors.inc({ code: code });
+        sendToDevice(deviceId, {
+            type: 'error',
+            code: code,
+            message: message,
+            ref: ref
+        });
+    }
+
+    // 投递离线期间暂存的内容：先发未接来电汇总，再按顺序补发信令
+    function deliverOfflineMessages(deviceId) {
+        const pending = offlineStore.drain(deviceId);
+
+        if (pending.missedCalls.length > 0) {
+            sendToDevice(deviceId, {
+                type: 'missed-calls',
+                calls: pending.missedCalls,
+                count: pending.missedCalls.length
+            });
+        }
+
+        for (const { message, queuedAt } of pending.messages) {
+            sendToDevice(deviceId, {
+                ...message,
+                queued: true,
+                queuedAt: toISO8601(queuedAt)
+            });
+        }
+
+        if (pending.missedCalls.length > 0 || pending.messages.length > 0) {
+            logger.info(`📬 投递离线消息: 设备ID=${deviceId} (未接来电 ${pending.missedCalls.length}, 信令 ${pending.messages.length})`, {
+                deviceId: deviceId,
+                missedCalls: pending.missedCalls.length,
+                messages: pending.messages.length
+            });
+        }
+    }
+
+    // 房间信息（用于 API 与花名册广播）
+    function describeRoom(room) {
+        return {
+            roomId: room.id,
+            members: Array.from(room.members),
+            count: room.members.size,
+            maxMembers: MAX_ROOM_MEMBERS,
+            createdAt: room.createdAt,
+            mode: sfu ? 'sfu' : 'mesh',
+            publishers: sfu ? sfu.listPublishers(room.id) : []
+        };
+    }
+
+    // 向房间成员广播花名册
+    function broadcastRoomRoster(room) {
+        const roster = {
+            type: 'room-roster',
+            ...describeRoom(room)
+        };
+        for (const memberId of room.members) {
+            sendToDevice(memberId, roster);
+        }
+    }
+
+    // 处理加入房间
+    function handleJoinRoom(fromDeviceId, data) {
+        const roomId = data.roomId;
+        if (!roomId || typeof roomId !== 'string') {
+            sendToDevice(fromDeviceId, {
+                type: 'room-error',
+                reason: 'missing-room-id'
+            });
+            return;
+        }
+
+        let room = rooms.get(roomId);
+        if (room && room.members.has(fromDeviceId)) {
+            // 重复加入，仅重新下发花名册
+            sendToDevice(fromDeviceId, { type: 'room-roster', ...describeRoom(room) });
+            return;
+        }
+
+        if (room && room.members.size >= MAX_ROOM_MEMBERS) {
+            sendToDevice(fromDeviceId, {
+                type: 'room-error',
+                reason: 'room-full',
+                roomId: roomId
+            });
+            logger.warn(`⚠️  房间已满: [${roomId}] 拒绝 [${fromDeviceId}]`, { roomId: roomId, deviceId: fromDeviceId });
+            return;
+        }
+
+        // 房间成员之间互相收发音视频，新成员须与每个现有成员都有权限
+        if (room && Array.from(room.members).some(member =>
+            !mayReach(fromDeviceId, member, 'viewer') || !mayReach(member, fromDeviceId, 'viewer'))) {
+            sendToDevice(fromDeviceId, {
+                type: 'room-error',
+                reason: 'forbidden',
+                roomId: roomId
+            });
+            logger.warn(`🚫 无权限加入房间: [${roomId}] 拒绝 [${fromDeviceId}]`, { roomId: roomId, deviceId: fromDeviceId });
+            return;
+        }
+
+        if (!room) {
+            room = { id: roomId, members: new Set(), createdAt: new Date().toISOString() };
+            rooms.set(roomId, room);
+            logger.info(`🏠 创建房间: [${roomId}]`, { roomId: roomId });
+        }
+
+        room.members.add(fromDeviceId);
+        const connection = clients.get(fromDeviceId);
+        if (connection) {
+            connection.rooms.add(roomId);
+        }
+        refreshPresence(fromDeviceId);
+
+        // 新成员收到现有成员列表，由新成员向每个现有成员发起 offer
+        sendToDevice(fromDeviceId, {
+            type: 'room-joined',
+            ...describeRoom(room),
+            peers: Array.from(room.members).filter(id => id !== fromDeviceId)
+        });
+        broadcastRoomRoster(room);
 
-    // 广播设备上线
-    broadcastDeviceStatus(deviceId, 'online');
-});
+        logger.info(`🚪 加入房间: [${fromDeviceId}] → [${roomId}] (成员数: ${room.members.size})`, { roomId: roomId, deviceId: fromDeviceId });
+    }
+
+    // 处理离开房间
+    function handleLeaveRoom(fromDeviceId, roomId) {
+        const room = rooms.get(roomId);
+        if (!room || !room.members.has(fromDeviceId)) return;
+
+        room.members.delete(fromDeviceId);
+        if (sfu) {
+            sfu.leave(roomId, fromDeviceId);
+        }
+        const connection = clients.get(fromDeviceId);
+        if (connection) {
+            connection.rooms.delete(roomId);
+        }
+        refreshPresence(fromDeviceId);
+
+        logger.info(`🚶 离开房间: [${fromDeviceId}] ← [${roomId}] (成员数: ${room.members.size})`, { roomId: roomId, deviceId: fromDeviceId });
+
+        if (room.members.size === 0) {
+            rooms.delete(roomId);
+            logger.info(`🗑️  销毁房间: [${roomId}]`, { roomId: roomId });
+            return;
+        }
 
-// 转发 WebRTC 信令消息
-function forwardSignaling(fromDeviceId, data) {
-    const targetDeviceId = data.to;
-    if (!targetDeviceId) {
-        console.log(`⚠️  缺少目标设备ID`);
-        return;
+        for (const memberId of room.members) {
+            sendToDevice(memberId, {
+                type: 'peer-left',
+                roomId: roomId,
+                deviceId: fromDeviceId
+            });
+        }
+        broadcastRoomRoster(room);
     }
 
-    const targetConnection = clients.get(targetDeviceId);
-    if (targetConnection && targetConnection.ws.readyState === WebSocket.OPEN) {
+    // 在房间内转发 WebRTC 信令
+    // 带 to 时点对点转发（Mesh 中每对成员各自协商），否则扇出给房间内其他成员
+    function forwardRoomSignaling(fromDeviceId, data) {
+        const room = rooms.get(data.roomId);
+        if (!room || !room.members.has(fromDeviceId)) {
+            sendToDevice(fromDeviceId, {
+                type: 'room-error',
+                reason: 'not-in-room',
+                roomId: data.roomId
+            });
+            return;
+        }
+
         const signaling = {
             ...data,
             from: fromDeviceId
         };
-        targetConnection.ws.send(JSON.stringify(signaling));
-        console.log(`📡 转发信令: [${fromDeviceId}] → [${targetDeviceId}] (${data.type})`);
-    } else {
-        console.log(`⚠️  目标设备未连接: [${targetDeviceId}]`);
+
+        if (data.to) {
+            if (!room.members.has(data.to)) {
+                forwardFailures.inc({ type: data.type, reason: 'not-in-room' });
+                logger.warn(`⚠️  目标设备不在房间内: [${data.to}] 房间=${data.roomId}`, {
+                    roomId: data.roomId,
+                    deviceId: fromDeviceId,
+                    to: data.to
+                });
+                return;
+            }
+            if (!sendToDevice(data.to, signaling)) {
+                forwardFailures.inc({ type: data.type, reason: 'target-offline' });
+            }
+            logger.info(`📡 房间信令: [${fromDeviceId}] → [${data.to}] 房间=${data.roomId} (${data.type})`, {
+                roomId: data.roomId,
+                deviceId: fromDeviceId,
+                to: data.to,
+                messageType: data.type
+            });
+            return;
+        }
+
+        for (const memberId of room.members) {
+            if (memberId !== fromDeviceId) {
+                sendToDevice(memberId, signaling);
+            }
+        }
+        logger.info(`📡 房间信令扇出: [${fromDeviceId}] → 房间=${data.roomId} (${data.type})`, {
+            roomId: data.roomId,
+            deviceId: fromDeviceId,
+            messageType: data.type
+        });
     }
-}
 
-// 处理通话请求
-function handleCallRequest(fromDeviceId, data) {
-    const targetDeviceId = data.to;
-    if (!targetDeviceId) {
-        console.log(`⚠️  缺少目标设备ID`);
-        return;
+    // 处理 SFU 发布/订阅信令
+    function handleSfuMessage(fromDeviceId, data) {
+        if (!sfu) {
+            sendError(fromDeviceId, 'sfu-disabled', 'SFU relay mode is not enabled', messageRef(data));
+            return;
+        }
+
+        const room = rooms.get(data.roomId);
+        if (!room || !room.members.has(fromDeviceId)) {
+            sendError(fromDeviceId, 'not-in-room', `not a member of room ${data.roomId}`, messageRef(data));
+            return;
+        }
+
+        let task;
+        switch (data.type) {
+            case 'sfu-publish':
+                task = sfu.publish(data.roomId, fromDeviceId, data.sdp).then((sdp) => {
+                    sendToDevice(fromDeviceId, {
+                        type: 'sfu-publish-answer',
+                        roomId: data.roomId,
+                        sdp: sdp
+                    });
+                });
+                break;
+
+            case 'sfu-unpublish':
+                sfu.unpublish(data.roomId, fromDeviceId);
+                return;
+
+            case 'sfu-subscribe':
+                task = sfu.subscribe(data.roomId, fromDeviceId, data.publisherId).then((sdp) => {
+                    sendToDevice(fromDeviceId, {
+                        type: 'sfu-subscribe-offer',
+                        roomId: data.roomId,
+                        publisherId: data.publisherId,
+                        sdp: sdp
+                    });
+                });
+                break;
+
+            case 'sfu-subscribe-answer':
+                task = sfu.completeSubscribe(data.roomId, fromDeviceId, data.publisherId, data.sdp);
+                break;
+
+            case 'sfu-unsubscribe':
+                sfu.unsubscribe(data.roomId, fromDeviceId, data.publisherId);
+                return;
+
+            case 'sfu-ice-candidate':
+                task = sfu.addIceCandidate(data.roomId, fromDeviceId, data.publisherId, {
+                    candidate: data.candidate,
+                    sdpMid: data.sdpMid,
+                    sdpMLineIndex: data.sdpMLineIndex
+                });
+                break;
+        }
+
+        task.catch((error) => {
+            logger.warn(`⚠️  SFU 处理失败: [${fromDeviceId}] ${data.type}`, {
+                err: error,
+                roomId: data.roomId,
+                deviceId: fromDeviceId,
+                messageType: data.type
+            });
+            sendError(fromDeviceId, 'sfu-failed', error.message, messageRef(data));
+        });
     }
 
-    const targetConnection = clients.get(targetDeviceId);
-    if (targetConnection && targetConnection.ws.readyState === WebSocket.OPEN) {
-        const callRequest = {
-            type: 'incoming-call',
-            from: fromDeviceId,
-            callType: data.callType || 'video' // video, audio
-        };
-        targetConnection.ws.send(JSON.stringify(callRequest));
-        console.log(`📞 通话请求: [${fromDeviceId}] → [${targetDeviceId}] (${data.callType})`);
-    } else {
-        // 目标设备不在线，通知发起者
-        const fromConnection = clients.get(fromDeviceId);
-        if (fromConnection) {
-            fromConnection.ws.send(JSON.stringify({
-                type: 'call-failed',
-                reason: 'target-offline',
-                target: targetDeviceId
-            }));
+    // 转发音频数据：通话接通后，信令连接上的二进制帧转给通话对端
+    // WebRTC 的音视频走 RTP 不经过这里，供只能通过 WebSocket 收发音频的设备使用
+    function forwardAudioData(fromDeviceId, data) {
+        const call = findDeviceCall(fromDeviceId);
+        if (!call || call.state !== 'active') return;
+
+        const peerId = call.caller === fromDeviceId ? call.callee : call.caller;
+        const peer = clients.get(peerId);
+        if (peer && peer.ws.readyState === WebSocket.OPEN) {
+            peer.ws.send(data, { binary: true });
+        } else {
+            forwardFailures.inc({ type: 'audio', reason: 'target-offline' });
         }
     }
-}
 
-// 处理挂断
-function handleHangup(fromDeviceId, data) {
-    const targetDeviceId = data.to;
-    if (!targetDeviceId) return;
+    // 广播设备状态
+    function broadcastDeviceStatus(deviceId, status) {
+        const connection = clients.get(deviceId);
+        const device = registry.get(deviceId);
+
+        // 同步到设备目录，其他实例再广播给各自的客户端
+        if (connection && status === 'online') {
+            backplane.setDevice(deviceId, {
+                type: connection.type,
+                role: connection.role,
+                presence: connection.presence,
+                inCall: Boolean(currentCallId(deviceId)),
+                declaredStatus: connection.declaredStatus,
+                profile: deviceProfile(deviceId),
+                lastHeartbeat: connection.lastHeartbeat
+            });
+        } else if (!connection) {
+            backplane.removeDevice(deviceId);
+            // 设备已重连到其他实例时不广播离线
+            if (backplane.getDevice(deviceId)) return;
+        }
 
-    const targetConnection = clients.get(targetDeviceId);
-    if (targetConnection && targetConnection.ws.readyState === WebSocket.OPEN) {
-        targetConnection.ws.send(JSON.stringify({
-            type: 'hangup',
-            from: fromDeviceId
-        }));
-        console.log(`📴 挂断通话: [${fromDeviceId}] → [${targetDeviceId}]`);
+        const profile = deviceProfile(deviceId);
+        sendDeviceStatus({
+            type: 'device-status',
+            deviceId: deviceId,
+            status: status,
+            presence: connection ? connection.presence : 'offline',
+            name: profile.name,
+            capabilities: profile.capabilities,
+            lastHeartbeat: connection ? connection.lastHeartbeat : (device ? device.lastHeartbeat : null)
+        });
     }
-}
 
-// 转发音频数据
-function forwardAudioData(fromDeviceId, data) {
-    // 这里可以根据需要实现音频数据转发逻辑
-    // 对于 WebRTC，音频数据通过 RTP 直接传输，不经过服务器
-}
+    // 把设备状态发给本实例的其他客户端
+    function sendDeviceStatus(status) {
+        const message = JSON.stringify(status);
+        for (const [id, connection] of clients.entries()) {
+            if (id !== status.deviceId && connection.ws.readyState === WebSocket.OPEN && mayReach(id, status.deviceId, 'viewer')) {
+                connection.ws.send(message);
+            }
+        }
+    }
 
-// 广播设备状态
-function broadcastDeviceStatus(deviceId, status) {
-    const message = JSON.stringify({
-        type: 'device-status',
-        deviceId: deviceId,
-        status: status
-    });
+    // 计算设备当前的在线状态
+    function computePresence(deviceId) {
+        const connection = clients.get(deviceId);
+        if (!connection) return 'offline';
+
+        const call = calls.get(deviceCalls.get(deviceId)) || remoteCalls.get(deviceId);
+        if ((call && call.state === 'active') || connection.rooms.size > 0) return 'in-call';
+        if (call || connection.declaredStatus === 'busy') return 'busy';
+        return 'idle';
+    }
+
+    // 重新计算在线状态，有变化时广播
+    function refreshPresence(deviceId) {
+        const connection = clients.get(deviceId);
+        if (!connection) return;
+
+        const presence = computePresence(deviceId);
+        if (presence === connection.presence) return;
+
+        connection.presence = presence;
+        broadcastDeviceStatus(deviceId, 'online');
+    }
+
+    // 处理应用层心跳，可携带 status（busy/idle）声明忙碌状态
+    function handleHeartbeat(deviceId, data) {
+        const connection = clients.get(deviceId);
+        if (!connection) return;
 
-    for (const [id, connection] of clients.entries()) {
-        if (id !== deviceId && connection.ws.readyState === WebSocket.OPEN) {
-            connection.ws.send(message);
+        connection.lastHeartbeat = toISO8601(Date.now());
+        registry.touch(deviceId);
+
+        if (data.status === 'busy' || data.status === 'idle') {
+            connection.declaredStatus = data.status;
         }
+        refreshPresence(deviceId);
+
+        sendToDevice(deviceId, {
+            type: 'heartbeat-ack',
+            presence: connection.presence,
+            serverTime: toISO8601(Date.now())
+        });
+    }
+
+    // 处理设备注册：保存名称、型号、平台、版本和能力（只更新消息中带的字段），设备端同时写入注册表
+    function handleRegister(deviceId, data) {
+        const connection = clients.get(deviceId);
+        if (!connection) return;
+
+        const profile = { ...connection.profile };
+        for (const field of PROFILE_FIELDS) {
+            if (data[field] !== undefined) profile[field] = data[field];
+        }
+        connection.profile = profile;
+
+        if (connection.role !== 'app') {
+            registry.update(deviceId, profile);
+        }
+
+        const current = deviceProfile(deviceId);
+        logger.info(`📇 设备注册: 设备ID=${deviceId} (${current.name}, ${current.platform || '未知平台'} ${current.appVersion || ''})`, {
+            deviceId: deviceId,
+            model: current.model,
+            platform: current.platform,
+            appVersion: current.appVersion
+        });
+
+        sendToDevice(deviceId, {
+            type: 'registered',
+            deviceId: deviceId,
+            ...current
+        });
+        broadcastDeviceStatus(deviceId, 'online');
     }
-}
 
-// 获取本地 IP 地址
-function getLocalIPAddress() {
-    const interfaces = os.networkInterfaces();
+    // 设备信息：本次连接 register 上报的优先，其次是注册表中保存的（上次连接上报的）
+    function deviceProfile(deviceId) {
+        const connection = clients.get(deviceId);
+        const reported = connection ? connection.profile : null;
+        const device = registry.get(deviceId);
+
+        const profile = {};
+        for (const field of PROFILE_FIELDS) {
+            let value = reported ? reported[field] : undefined;
+            if (value === undefined && device) value = device[field];
+            profile[field] = value === undefined ? null : value;
+        }
+        if (!profile.name) profile.name = `设备 ${deviceId}`;
+        return profile;
+    }
+
+    // 按设备能力判断是否支持该通话类型，能力未知（未发送 register）时视为支持
+    function supportsCallType(capabilities, callType) {
+        if (!capabilities) return true;
+        return capabilities[callType] !== false;
+    }
 
-    for (const name of Object.keys(interfaces)) {
-        for (const iface of interfaces[name]) {
-            // 跳过内部地址和非 IPv4 地址
-            if (iface.family === 'IPv4' && !iface.internal) {
-                // 优先返回局域网地址
-                if (iface.address.startsWith('192.168.') ||
-                    iface.address.startsWith('10.') ||
-                    iface.address.startsWith('172.')) {
-                    return iface.address;
+    // 获取本地 IP 地址
+    function getLocalIPAddress() {
+        const interfaces = os.networkInterfaces();
+
+        for (const name of Object.keys(interfaces)) {
+            for (const iface of interfaces[name]) {
+                // 跳过内部地址和非 IPv4 地址
+                if (iface.family === 'IPv4' && !iface.internal) {
+                    // 优先返回局域网地址
+                    if (iface.address.startsWith('192.168.') ||
+                        iface.address.startsWith('10.') ||
+                        iface.address.startsWith('172.')) {
+                        return iface.address;
+                    }
                 }
             }
         }
+
+        return 'localhost';
     }
 
-    return 'localhost';
-}
+    // UDP Multicast 广播
+    let multicastSocket = null;
+    let multicastIntervalId = null;
+
+    function startMulticastBroadcast() {
+        // 监听在指定地址时广播该地址，否则广播探测到的局域网地址
+        const localIP = config.host && config.host !== '0.0.0.0' && config.host !== '::'
+            ? config.host
+            : getLocalIPAddress();
+
+        // 创建 UDP socket
+        multicastSocket = dgram.createSocket('udp4');
+
+        // 配置 socket
+        multicastSocket.bind(() => {
+            try {
+                multicastSocket.setBroadcast(true);
+                multicastSocket.setMulticastTTL(128);
+                multicastSocket.addMembership(MULTICAST_ADDRESS);
+
+                logger.print('📡 UDP Multicast 广播已启动:');
+                logger.print(`   多播地址: ${MULTICAST_ADDRESS}:${MULTICAST_PORT}`);
+                logger.print(`   广播间隔: ${MULTICAST_INTERVAL}ms`);
+                logger.print(`   本地IP: ${localIP}`);
+                logger.print();
+            } catch (error) {
+                logger.warn('⚠️  Multicast 配置错误', { err: error });
+            }
+        });
+
+        // 定期广播服务器信息
+        const broadcastMessage = () => {
+            const message = JSON.stringify({
+                name: SERVER_NAME,
+                host: localIP,
+                port: PORT,
+                apiURL: `${HTTP_SCHEME}://${localIP}:${PORT}`,
+                wsURL: `${WS_SCHEME}://${localIP}:${PORT}`,
+                tls: Boolean(tlsOptions),
+                signalPath: '/signal',
+                intercomPath: '/intercom',
+                timestamp: Date.now()
+            });
 
-// UDP Multicast 广播
-let multicastSocket = null;
-let multicastIntervalId = null;
+            const buffer = Buffer.from(message);
 
-function startMulticastBroadcast() {
-    const localIP = getLocalIPAddress();
+            multicastSocket.send(buffer, 0, buffer.length, MULTICAST_PORT, MULTICAST_ADDRESS, (error) => {
+                if (error) {
+                    logger.warn('⚠️  Multicast 发送错误', { err: error });
+                }
+            });
+        };
 
-    // 创建 UDP socket
-    multicastSocket = dgram.createSocket('udp4');
+        // 立即发送一次
+        setTimeout(broadcastMessage, 1000);
 
-    // 配置 socket
-    multicastSocket.bind(() => {
-        try {
-            multicastSocket.setBroadcast(true);
-            multicastSocket.setMulticastTTL(128);
-            multicastSocket.addMembership(MULTICAST_ADDRESS);
-
-            console.log('📡 UDP Multicast 广播已启动:');
-            console.log(`   多播地址: ${MULTICAST_ADDRESS}:${MULTICAST_PORT}`);
-            console.log(`   广播间隔: ${MULTICAST_INTERVAL}ms`);
-            console.log(`   本地IP: ${localIP}`);
-            console.log('');
-        } catch (error) {
-            console.log('⚠️  Multicast 配置错误:', error.message);
+        // 启动定时广播
+        multicastIntervalId = setInterval(broadcastMessage, MULTICAST_INTERVAL);
+    }
+
+    function stopMulticastBroadcast() {
+        if (multicastIntervalId) {
+            clearInterval(multicastIntervalId);
+            multicastIntervalId = null;
         }
-    });
 
-    // 定期广播服务器信息
-    const broadcastMessage = () => {
-        const message = JSON.stringify({
+        if (multicastSocket) {
+            try {
+                multicastSocket.dropMembership(MULTICAST_ADDRESS);
+                multicastSocket.close();
+            } catch (error) {
+                // Ignore errors during cleanup
+            }
+            multicastSocket = null;
+            logger.info('✅ UDP Multicast 广播已停止');
+        }
+    }
+
+
+    // 启动心跳检测：清理半开连接（如手机休眠后未正常关闭的连接）
+    function startHeartbeat() {
+        heartbeatIntervalId = setInterval(() => {
+            const now = Date.now();
+            for (const [deviceId, connection] of clients.entries()) {
+                if (connection.suspended) continue;
+                if (now - connection.lastSeen > PRESENCE_TIMEOUT) {
+                    logger.info(`💤 心跳超时，断开连接: 设备ID=${deviceId}`, { deviceId: deviceId });
+                    connection.ws.terminate();
+                    continue;
+                }
+                if (connection.ws.readyState === WebSocket.OPEN) {
+                    connection.ws.ping();
+                }
+            }
+        }, HEARTBEAT_INTERVAL);
+    }
+
+    // 发布 Bonjour 服务（用于局域网自动发现）
+    let bonjourInstance = null;
+    let bonjourServiceInstance = null;
+
+    function startBonjour() {
+        bonjourInstance = bonjour();
+        bonjourServiceInstance = bonjourInstance.publish({
             name: SERVER_NAME,
-            host: localIP,
+            type: config.bonjourType,
             port: PORT,
-            apiURL: `http://${localIP}:${PORT}`,
-            wsURL: `ws://${localIP}:${PORT}`,
-            timestamp: Date.now()
+            txt: {
+                apiPort: String(PORT),
+                wsPort: String(PORT),
+                signalPath: '/signal',
+                intercomPath: '/intercom',
+                name: SERVER_NAME,
+                tls: tlsOptions ? '1' : '0',
+                version: '1.0.0'
+            }
         });
 
-        const buffer = Buffer.from(message);
+        logger.print('📡 Bonjour 服务已发布:');
+        logger.print(`   服务名称: ${SERVER_NAME}`);
+        logger.print(`   服务类型: _${config.bonjourType}._tcp`);
+        logger.print(`   端口: ${PORT}`);
+        logger.print(`   ✅ iOS 客户端现在可以自动发现此服务器`);
+        logger.print();
 
-        multicastSocket.send(buffer, 0, buffer.length, MULTICAST_PORT, MULTICAST_ADDRESS, (error) => {
-            if (error) {
-                console.log('⚠️  Multicast 发送错误:', error.message);
-            }
+        bonjourServiceInstance.on('up', () => {
+            logger.info('✅ Bonjour 服务已上线');
         });
-    };
 
-    // 立即发送一次
-    setTimeout(broadcastMessage, 1000);
+        bonjourServiceInstance.on('error', (error) => {
+            logger.warn('⚠️  Bonjour 服务错误', { err: error });
+        });
+    }
 
-    // 启动定时广播
-    multicastIntervalId = setInterval(broadcastMessage, MULTICAST_INTERVAL);
-}
+    function stopBonjour() {
+        if (!bonjourInstance) return;
 
-function stopMulticastBroadcast() {
-    if (multicastIntervalId) {
-        clearInterval(multicastIntervalId);
-        multicastIntervalId = null;
+        if (bonjourServiceInstance) {
+            bonjourServiceInstance.stop();
+            bonjourServiceInstance = null;
+            logger.info('✅ Bonjour 服务已停止');
+        }
+        bonjourInstance.destroy();
+        bonjourInstance = null;
     }
 
-    if (multicastSocket) {
-        try {
-            multicastSocket.dropMembership(MULTICAST_ADDRESS);
-            multicastSocket.close();
-        } catch (error) {
-            // Ignore errors during cleanup
-        }
-        multicastSocket = null;
-        console.log('✅ UDP Multicast 广播已停止');
+    /**
+     * 开始监听，返回实际端口
+     * @param {number} [port=config.port] 0 为由系统分配
+     * @param {string} [host] 省略时监听所有地址
+     * @returns {Promise<number>}
+     */
+    function listen(port = config.port, host = config.host) {
+        return new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, host, () => {
+                server.removeListener('error', reject);
+                PORT = server.address().port;
+
+                startHeartbeat();
+
+                // 局域网自动发现：discovery 为总开关，bonjour / multicast 可分别关闭
+                if (config.discovery && config.bonjour) {
+                    startBonjour();
+                }
+                if (config.discovery && config.multicast) {
+                    // 启动 UDP Multicast 广播
+                    startMulticastBroadcast();
+                }
+
+                // 连接多实例背板
+                backplane.start().then(() => {
+                    if (backplane.type !== 'memory') {
+                        logger.info(`🔗 背板已连接: ${backplane.type} (实例 ${backplane.instanceId})`, { instanceId: backplane.instanceId });
+                    }
+                }).catch((error) => {
+                    logger.error('❌ 背板连接失败', { err: error });
+                });
+
+                // 启动内置 STUN/TURN
+                if (turnServer) {
+                    turnServer.start().then(() => {
+                        turnReady = true;
+                        logger.info(`🧊 STUN/TURN 服务已启动: udp://0.0.0.0:${TURN_PORT}`, { port: TURN_PORT });
+                    }).catch((error) => {
+                        logger.warn(`⚠️  STUN/TURN 启动失败（${error.message}），/api/ice-config 将只返回公共 STUN`, { err: error });
+                    });
+                }
+
+                resolve(PORT);
+            });
+        });
     }
-}
 
-// 启动服务器
-server.listen(PORT, () => {
-    console.log('╔══════════════════════════════════════════════════════════╗');
-    console.log('║                                                          ║');
-    console.log('║     SimpleEyes WebRTC 信令服务器                         ║');
-    console.log('║                                                          ║');
-    console.log('╚══════════════════════════════════════════════════════════╝');
-    console.log('');
-    console.log(`🚀 WebSocket 服务器: ws://localhost:${PORT}`);
-    console.log(`📡 HTTP API 服务器: http://localhost:${PORT}`);
-    console.log(`📱 在线设备列表 API: http://localhost:${PORT}/api/devices/online`);
-    console.log(`🎥 支持双向音视频通话（WebRTC）`);
-    console.log('');
+    /**
+     * 停止服务：断开所有连接，写完进行中的录像，释放端口和定时器
+     * @returns {Promise}
+     */
+    function close() {
+        shuttingDown = true;
 
-    // 发布 Bonjour 服务（用于局域网自动发现）
-    bonjourServiceInstance = bonjour.publish({
-        name: SERVER_NAME,
-        type: 'simpleyes',
-        port: PORT,
-        txt: {
-            apiPort: String(PORT),
-            wsPort: String(PORT),
-            name: SERVER_NAME,
-            version: '1.0.0'
+        // 停止心跳检测和会话宽限期
+        clearInterval(heartbeatIntervalId);
+        sessions.close();
+
+        // 停止 UDP Multicast 广播
+        stopMulticastBroadcast();
+
+        // 停止 STUN/TURN
+        if (turnServer) {
+            turnServer.stop();
         }
-    });
 
-    console.log('📡 Bonjour 服务已发布:');
-    console.log(`   服务名称: ${SERVER_NAME}`);
-    console.log(`   服务类型: _simpleyes._tcp`);
-    console.log(`   端口: ${PORT}`);
-    console.log(`   ✅ iOS 客户端现在可以自动发现此服务器`);
-    console.log('');
+        // 停止 Bonjour 服务
+        stopBonjour();
 
-    bonjourServiceInstance.on('up', () => {
-        console.log('✅ Bonjour 服务已上线');
-    });
+        // 结束进行中和振铃中的通话，写入通话记录
+        for (const call of Array.from(calls.values())) {
+            endCall(call, 'shutdown');
+        }
 
-    bonjourServiceInstance.on('error', (error) => {
-        console.log('⚠️  Bonjour 服务错误:', error.message);
-    });
+        // 停止命令超时计时
+        commands.close();
+
+        // 先写完进行中的录像
+        const pendingRecordings = Array.from(sfuRecordings.values()).map(({ recorder, entry }) =>
+            recorder.stop().catch(() => {}).then(() => entry.close()));
+        sfuRecordings.clear();
+        pendingRecordings.push(intercom.close());
+        pendingRecordings.push(transcoder.close());
+        pendingRecordings.push(backplane.close().catch(() => {}));
+
+        return Promise.all(pendingRecordings).then(() => new Promise((resolve) => {
+            for (const ws of wss.clients) ws.terminate();
+            for (const ws of intercomWss.clients) ws.terminate();
+            intercomWss.close();
+            wss.close(() => {
+                server.close(() => {
+                    registry.close();
+                    callHistory.close();
+                    resolve();
+                });
+                // 断开空闲的 keep-alive 连接（Node.js 18.2+）
+                if (server.closeIdleConnections) server.closeIdleConnections();
+            });
+        }));
+    }
 
-    // 启动 UDP Multicast 广播
-    startMulticastBroadcast();
-});
+    // 输出当前连接状态表（JSON 日志格式下不输出，可用 /metrics 代替）
+    function printStatus() {
+        if (clients.size === 0 && intercom.size === 0) return;
 
-// 定期显示连接状态
-setInterval(() => {
-    if (clients.size > 0) {
-        console.log(`\n📊 当前连接状态 (${new Date().toLocaleTimeString()}):`);
+        logger.print(`\n📊 当前连接状态 (${new Date().toLocaleTimeString()}):`);
         for (const [deviceId, connection] of clients.entries()) {
-            const status = connection.ws.readyState === WebSocket.OPEN ? '🟢 在线' : '🔴 离线';
-            console.log(`   ${status} [${connection.type}] 设备ID=${deviceId}`);
+            const status = connection.suspended ? '⏸️  等待恢复'
+                : connection.ws.readyState === WebSocket.OPEN ? '🟢 在线' : '🔴 离线';
+            logger.print(`   ${status} [${connection.type}] 设备ID=${deviceId} (${connection.presence})`);
+        }
+        for (const { deviceId, role, open } of intercom.list()) {
+            const status = open ? '🟢 在线' : '🔴 离线';
+            logger.print(`   ${status} [对讲 ${role}] 设备ID=${deviceId}`);
         }
-        console.log('');
+        logger.print();
     }
-}, 30000); // 每30秒显示一次
 
-// 优雅退出
-let bonjourServiceInstance = null;
-
-process.on('SIGINT', () => {
-    console.log('\n\n👋 正在关闭服务器...');
+    return {
+        config: config,
+        secure: Boolean(tlsOptions),
+        httpServer: server,
+        get port() {
+            return PORT;
+        },
+        listen: listen,
+        close: close,
+        printStatus: printStatus
+    };
+}
 
-    // 停止 UDP Multicast 广播
-    stopMulticastBroadcast();
+module.exports = {
+    createSignalingServer,
+    loadConfig
+};
+
+// 直接运行：按配置文件、环境变量和命令行参数启动
+if (require.main === module) {
+    // 日志格式：LOG_FORMAT=json 时输出 JSON 行（带 requestId / connectionId / callId），LOG_LEVEL 默认 info
+    configureLogger({
+        format: process.env.LOG_FORMAT,
+        level: process.env.LOG_LEVEL
+    });
 
-    // 停止 Bonjour 服务
-    if (bonjourServiceInstance) {
-        bonjourServiceInstance.stop();
-        console.log('✅ Bonjour 服务已停止');
+    // 配置：默认值 < 配置文件 < 环境变量 < 命令行参数，如 node webrtc-signaling-server.js --port 9090 --no-bonjour
+    let signaling;
+    try {
+        const config = loadConfig(process.env, process.argv.slice(2));
+        if (!config) {
+            console.log(`用法: node webrtc-signaling-server.js [选项]\n\n选项:\n${formatOptions(CONFIG_SCHEMA)}`);
+            process.exit(0);
+        }
+        signaling = createSignalingServer(config);
+    } catch (error) {
+        console.error(`❌ 配置错误: ${error.message}（使用 --help 查看选项）`);
+        process.exit(2);
     }
-    bonjour.destroy();
+    const wsScheme = signaling.secure ? 'wss' : 'ws';
+    const httpScheme = signaling.secure ? 'https' : 'http';
+
+    logger.print('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    logger.print();
+    logger.print('💡 使用说明:');
+    logger.print('   1. App 中进入"设置"标签');
+    logger.print(`   2. 配置 WebSocket 服务器地址: ${wsScheme}://你的IP:${signaling.config.port}`);
+    logger.print('   3. 进入"视频通话"标签');
+    logger.print('   4. 选择在线设备');
+    logger.print('   5. 点击"开始通话"进行音视频通话');
+    logger.print();
+    logger.print('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    logger.print();
+
+    signaling.listen().then((port) => {
+        logger.print('╔══════════════════════════════════════════════════════════╗');
+        logger.print('║                                                          ║');
+        logger.print('║     SimpleEyes WebRTC 信令服务器                         ║');
+        logger.print('║                                                          ║');
+        logger.print('╚══════════════════════════════════════════════════════════╝');
+        logger.print();
+        logger.print(`🚀 WebSocket 服务器: ${wsScheme}://localhost:${port}`);
+        logger.print(`   信令: ${wsScheme}://localhost:${port}/signal`);
+        logger.print(`   对讲: ${wsScheme}://localhost:${port}/intercom`);
+        logger.print(`📡 HTTP API 服务器: ${httpScheme}://localhost:${port}`);
+        logger.print(`📱 在线设备列表 API: ${httpScheme}://localhost:${port}/api/devices/online`);
+        logger.print(`🎥 支持双向音视频通话（WebRTC）和语音对讲`);
+        if (signaling.config.metrics) {
+            logger.print(`📈 Prometheus 指标: ${httpScheme}://localhost:${port}/metrics`);
+        }
+        logger.print();
+    }).catch((error) => {
+        logger.error(`❌ 启动失败: ${signaling.config.host || '0.0.0.0'}:${signaling.config.port}`, { err: error });
+        process.exit(1);
+    });
 
-    wss.close(() => {
-        server.close(() => {
-            console.log('✅ 服务器已关闭');
+    // 定期显示连接状态
+    setInterval(() => signaling.printStatus(), 30000); // 每30秒显示一次
+
+    // 优雅退出
+    process.on('SIGINT', () => {
+        logger.info('\n\n👋 正在关闭服务器...');
+        signaling.close().then(() => {
+            logger.info('✅ 服务器已关闭');
             process.exit(0);
         });
     });
-});
-
-console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-console.log('');
-console.log('💡 使用说明:');
-console.log('   1. App 中进入"设置"标签');
-console.log('   2. 配置 WebSocket 服务器地址: ws://你的IP:8080');
-console.log('   3. 进入"视频通话"标签');
-console.log('   4. 选择在线设备');
-console.log('   5. 点击"开始通话"进行音视频通话');
-console.log('');
-console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-console.log('');
+}